@@ -26,6 +26,7 @@ const ADMIN_EMAIL = 'ftnlabiola@gmail.com';
 
 // DOM Elements
 const recordButton = document.getElementById('recordButton');
+const pauseButton = document.getElementById('pauseButton');
 const recordingStatus = document.getElementById('recordingStatus');
 const recordingTime = document.getElementById('recordingTime');
 const visualizerCanvas = document.getElementById('visualizer');
@@ -39,6 +40,7 @@ const toast = document.getElementById('toast');
 // Transcription Elements
 const transcriptionSection = document.getElementById('transcriptionSection');
 const transcriptionLoading = document.getElementById('transcriptionLoading');
+const transcriptionLoadingText = document.getElementById('transcriptionLoadingText');
 const transcriptionText = document.getElementById('transcriptionText');
 const transcriptionActions = document.getElementById('transcriptionActions');
 const transcriptionTitle = document.getElementById('transcriptionTitle');
@@ -54,11 +56,12 @@ const addFolderBtn = document.getElementById('addFolderBtn');
 const disposableCheckbox = document.getElementById('disposableCheckbox');
 const seriesCheckbox = document.getElementById('seriesCheckbox');
 const seriesToggleWrapper = document.getElementById('seriesToggleWrapper');
+const languageSelect = document.getElementById('languageSelect');
+const setDefaultLanguageBtn = document.getElementById('setDefaultLanguageBtn');
 
 // State
 let isRecording = false;
 let recordingTimer = null;
-let recordingStartTime = 0;
 let currentTranscription = null;
 let currentRecordingUrl = null;
 let currentRecordingTitle = null;
@@ -69,6 +72,9 @@ let folders = [];
 let lastRecordedSeriesId = null;
 let lastRecordedFolderId = null;
 
+// Language State
+let defaultLanguage = 'en';
+
 /**
  * Initialize application
  */
@@ -94,6 +100,9 @@ async function init() {
   // Load folders
   await loadFolders();
 
+  // Load default transcription language
+  await loadUserSettings();
+
   // Restore disposable toggle state from session
   const savedDisposable = localStorage.getItem('disposableMode');
   if (savedDisposable === 'true' && disposableCheckbox) {
@@ -104,6 +113,9 @@ async function init() {
   // Check for sign-in redirect request (from share.html deferred save flow)
   checkSignInRedirect();
 
+  // Pick up a transcription that was still running when the page was left
+  resumePendingTranscription();
+
   console.log('App initialized');
 }
 
@@ -290,6 +302,9 @@ async function handleSignOut() {
 function setupEventListeners() {
   // Record button
   recordButton.addEventListener('click', toggleRecording);
+  if (pauseButton) {
+    pauseButton.addEventListener('click', togglePause);
+  }
 
   // Theme toggle
   if (themeToggle) {
@@ -323,6 +338,44 @@ async function toggleRecording() {
   }
 }
 
+/**
+ * Pause or resume the current recording
+ */
+function togglePause() {
+  if (!recorder.isRecording() && !recorder.isPaused()) return;
+
+  if (recorder.isPaused()) {
+    recorder.resumeRecording();
+  } else {
+    recorder.pauseRecording();
+  }
+  updatePauseUI();
+  updateRecordingTime();
+}
+
+/**
+ * Reflect the paused state on the record button, status, timer and visualizer
+ */
+function updatePauseUI() {
+  const paused = recorder.isPaused();
+  const active = paused || !!recorder.isRecording();
+
+  recordButton.classList.toggle('paused', paused);
+  recordingTime.classList.toggle('paused', paused);
+  if (visualizerCanvas) visualizerCanvas.classList.toggle('paused', paused);
+  if (active) {
+    recordingStatus.textContent = paused ? 'Paused' : 'Recording...';
+  }
+
+  if (!pauseButton) return;
+  pauseButton.style.display = active && AudioRecorder.isPauseSupported() ? 'inline-flex' : 'none';
+  pauseButton.querySelector('.pause-svg').style.display = paused ? 'none' : 'block';
+  pauseButton.querySelector('.resume-svg').style.display = paused ? 'block' : 'none';
+  pauseButton.querySelector('.pause-label').textContent = paused ? 'Resume' : 'Pause';
+  pauseButton.setAttribute('aria-label', paused ? 'Resume recording' : 'Pause recording');
+  pauseButton.title = paused ? 'Resume recording' : 'Pause recording';
+}
+
 // Anonymous user trial limit
 const ANONYMOUS_RECORDING_LIMIT = 2;
 
@@ -402,13 +455,13 @@ async function startRecording() {
     await recorder.startRecording();
 
     isRecording = true;
-    recordingStartTime = Date.now();
 
     // Update UI
     recordButton.classList.add('recording');
     recordButton.querySelector('.mic-svg').style.display = 'none';
     recordButton.querySelector('.stop-svg').style.display = 'block';
     recordingStatus.textContent = 'Recording...';
+    updatePauseUI();
 
     // Start timer
     recordingTimer = setInterval(updateRecordingTime, 1000);
@@ -439,8 +492,9 @@ async function stopRecording() {
     recordButton.querySelector('.stop-svg').style.display = 'none';
     recordingStatus.textContent = 'Processing...';
 
-    // Stop recording
+    // Stop recording (works from paused too)
     const result = await recorder.stopRecording();
+    updatePauseUI();
 
     // Generate filename
     const extension = recorder.getFileExtension(result.mimeType);
@@ -454,8 +508,14 @@ async function stopRecording() {
       updateUploadProgress(progress);
     });
 
-    // Transcribe
-    await transcribeAudio(uploadResult.shareableUrl);
+    // Transcribe (the server checks these against the file's own header)
+    await transcribeAudio(uploadResult.shareableUrl, {
+      durationSeconds: result.duration / 1000,
+      mimeType: result.mimeType,
+      sampleRate: result.sampleRate,
+      channelCount: result.channelCount,
+      sizeBytes: result.blob.size
+    });
 
   } catch (error) {
     console.error('Error stopping recording:', error);
@@ -466,14 +526,20 @@ async function stopRecording() {
 
 /**
  * Transcribe audio file
+ * audioMetadata: what the recorder knows about the file (duration, MIME type,
+ * sample rate, channel count, size)
  */
-async function transcribeAudio(audioUrl) {
+async function transcribeAudio(audioUrl, audioMetadata) {
   try {
     hideUploadProgress();
     showTranscriptionLoading();
 
-    // Build transcription request with folder/series/disposable options
-    const transcribeBody = { fileUrl: audioUrl };
+    // Build transcription request with language/folder/series/disposable options
+    const transcribeBody = { fileUrl: audioUrl, audioMetadata };
+
+    if (languageSelect && languageSelect.value) {
+      transcribeBody.language = languageSelect.value;
+    }
 
     const isDisposable = disposableCheckbox && disposableCheckbox.checked;
     if (isDisposable) {
@@ -502,34 +568,125 @@ async function transcribeAudio(audioUrl) {
       throw new Error(errorData.error || 'Transcription failed');
     }
 
-    const data = await response.json();
+    const { jobId } = await response.json();
 
-    // Store current transcription
-    currentTranscription = data.transcription;
-    currentRecordingUrl = audioUrl;
-    currentRecordingTitle = data.title;
+    // Remember the job so a reload can keep waiting for it
+    const startedAt = Date.now();
+    localStorage.setItem(PENDING_TRANSCRIPTION_KEY, JSON.stringify({ jobId, audioUrl, startedAt }));
 
-    // Track series for "continue series" feature
-    if (data.transcriptId) {
-      // If this recording is part of a series or we can start one
-      lastRecordedSeriesId = data.seriesId || null;
-      lastRecordedFolderId = data.folderId || (folderSelect ? folderSelect.value : null);
+    await completeTranscriptionJob(jobId, audioUrl, startedAt);
+  } catch (error) {
+    console.error('Transcription error:', error);
+    showError(error.message);
+    hideTranscriptionLoading();
+  } finally {
+    resetRecordingUI();
+  }
+}
 
-      // Show series toggle if we just recorded something in a folder
-      if (seriesToggleWrapper && (lastRecordedFolderId || lastRecordedSeriesId)) {
-        seriesToggleWrapper.style.display = 'flex';
-      }
+// ============================================
+// Transcription Jobs
+// ============================================
+
+const PENDING_TRANSCRIPTION_KEY = 'pendingTranscriptionJob';
+const TRANSCRIPTION_POLL_INTERVAL_MS = 2000;
+// Stop waiting for a job after this long; by then it has finished or been lost
+const PENDING_TRANSCRIPTION_MAX_AGE_MS = 15 * 60 * 1000;
+
+const TRANSCRIPTION_STATUS_TEXT = {
+  queued: 'Waiting to start...',
+  transcribing: 'Transcribing audio...',
+  titling: 'Generating title...'
+};
+
+/**
+ * Poll a transcription job until it is done or failed
+ * Returns the job result (transcription, title, transcriptId, ...)
+ */
+async function waitForTranscriptionJob(jobId, startedAt) {
+  while (true) {
+    if (Date.now() - startedAt > PENDING_TRANSCRIPTION_MAX_AGE_MS) {
+      throw new Error('Transcription is taking too long. Check your history later.');
+    }
+
+    const response = await authFetch(`${config.apiUrl}/transcription-jobs/${jobId}`);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Failed to check transcription progress');
+    }
+
+    const { job } = await response.json();
+    if (job.status === 'done') return job.result;
+    if (job.status === 'failed') throw new Error(job.error || 'Transcription failed');
+
+    if (transcriptionLoadingText) {
+      transcriptionLoadingText.textContent = TRANSCRIPTION_STATUS_TEXT[job.status] || 'Transcribing audio...';
+    }
+
+    await new Promise(resolve => setTimeout(resolve, TRANSCRIPTION_POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Wait for a queued job and show its transcription
+ */
+async function completeTranscriptionJob(jobId, audioUrl, startedAt) {
+  let data;
+  try {
+    data = await waitForTranscriptionJob(jobId, startedAt);
+  } finally {
+    localStorage.removeItem(PENDING_TRANSCRIPTION_KEY);
+  }
+
+  // Store current transcription
+  currentTranscription = data.transcription;
+  currentRecordingUrl = audioUrl;
+  currentRecordingTitle = data.title;
+
+  // Track series for "continue series" feature
+  if (data.transcriptId) {
+    // If this recording is part of a series or we can start one
+    lastRecordedSeriesId = data.seriesId || null;
+    lastRecordedFolderId = data.folderId || (folderSelect ? folderSelect.value : null);
+
+    // Show series toggle if we just recorded something in a folder
+    if (seriesToggleWrapper && (lastRecordedFolderId || lastRecordedSeriesId)) {
+      seriesToggleWrapper.style.display = 'flex';
     }
+  }
+
+  // Show transcription
+  showTranscription(data.transcription, data.title, data.transcriptId);
+
+  if (languageSelect && languageSelect.value === 'auto' && data.language) {
+    showToast(`Detected language: ${getLanguageName(data.language)}`);
+  }
+}
+
+/**
+ * Resume waiting for a transcription job started before a page reload
+ */
+async function resumePendingTranscription() {
+  let pending = null;
+  try {
+    pending = JSON.parse(localStorage.getItem(PENDING_TRANSCRIPTION_KEY));
+  } catch (e) {
+    // Corrupt entry - ignore
+  }
+  if (!pending || !pending.jobId) return;
 
-    // Show transcription
-    showTranscription(data.transcription, data.title, data.transcriptId);
+  if (Date.now() - pending.startedAt > PENDING_TRANSCRIPTION_MAX_AGE_MS) {
+    localStorage.removeItem(PENDING_TRANSCRIPTION_KEY);
+    return;
+  }
 
+  showTranscriptionLoading();
+  try {
+    await completeTranscriptionJob(pending.jobId, pending.audioUrl, pending.startedAt);
   } catch (error) {
     console.error('Transcription error:', error);
     showError(error.message);
     hideTranscriptionLoading();
-  } finally {
-    resetRecordingUI();
   }
 }
 
@@ -537,8 +694,8 @@ async function transcribeAudio(audioUrl) {
  * Update recording time display
  */
 function updateRecordingTime() {
-  const elapsed = Date.now() - recordingStartTime;
-  recordingTime.textContent = AudioRecorder.formatTime(elapsed);
+  // Paused time is excluded, so the display holds still while paused
+  recordingTime.textContent = AudioRecorder.formatTime(recorder.getElapsedTime());
 }
 
 /**
@@ -569,6 +726,7 @@ function hideUploadProgress() {
  * Show transcription loading state
  */
 function showTranscriptionLoading() {
+  if (transcriptionLoadingText) transcriptionLoadingText.textContent = TRANSCRIPTION_STATUS_TEXT.queued;
   transcriptionSection.style.display = 'block';
   transcriptionSection.classList.add('show');
   transcriptionLoading.style.display = 'flex';
@@ -628,6 +786,7 @@ function resetRecordingUI() {
   recordingStatus.textContent = 'Ready to record';
   recordingTime.textContent = '00:00';
   isRecording = false;
+  updatePauseUI();
 }
 
 /**
@@ -700,7 +859,15 @@ function downloadTranscription() {
     ? `${currentRecordingTitle.replace(/[^a-z0-9]/gi, '_')}.txt`
     : 'transcription.txt';
 
-  const blob = new Blob([text], { type: 'text/plain' });
+  saveBlob(new Blob([text], { type: 'text/plain' }), filename);
+
+  showToast('Downloaded');
+}
+
+/**
+ * Trigger a browser download for a blob
+ */
+function saveBlob(blob, filename) {
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement('a');
@@ -710,8 +877,6 @@ function downloadTranscription() {
   a.click();
   document.body.removeChild(a);
   URL.revokeObjectURL(url);
-
-  showToast('Downloaded');
 }
 
 /**
@@ -782,6 +947,8 @@ const viewHistoryBtn = document.getElementById('viewHistoryBtn');
 const viewSharedBtn = document.getElementById('viewSharedBtn');
 const sharedEmpty = document.getElementById('sharedEmpty');
 const sharedSignInPrompt = document.getElementById('sharedSignInPrompt');
+const vocabularyEmpty = document.getElementById('vocabularyEmpty');
+const trashEmpty = document.getElementById('trashEmpty');
 
 // Shared Filter Bar Elements (Desktop)
 const sharedFilterBar = document.getElementById('sharedFilterBar');
@@ -795,6 +962,21 @@ const audioPlayer = document.getElementById('audioPlayer');
 const closePlayer = document.getElementById('closePlayer');
 const modalTranscriptText = document.getElementById('modalTranscriptText');
 const saveModalTranscriptBtn = document.getElementById('saveModalTranscriptBtn');
+const modalSegmentsSection = document.getElementById('modalSegmentsSection');
+const modalTranscriptSegments = document.getElementById('modalTranscriptSegments');
+const modalAutoCorrectionsSection = document.getElementById('modalAutoCorrectionsSection');
+const modalAutoCorrectionsNote = document.getElementById('modalAutoCorrectionsNote');
+const modalAutoCorrectionsText = document.getElementById('modalAutoCorrectionsText');
+const modalVersionsSection = document.getElementById('modalVersionsSection');
+const modalVersionsList = document.getElementById('modalVersionsList');
+const modalVersionDetail = document.getElementById('modalVersionDetail');
+const modalVersionChanges = document.getElementById('modalVersionChanges');
+const revertVersionBtn = document.getElementById('revertVersionBtn');
+const modalPlayer = audioPlayer ? new AudioPlayer(audioPlayer) : null;
+const modalExport = document.getElementById('modalExport');
+const modalExportScope = document.getElementById('modalExportScope');
+const modalExportFormat = document.getElementById('modalExportFormat');
+const modalExportBtn = document.getElementById('modalExportBtn');
 
 // Delete Modal Elements
 const deleteModal = document.getElementById('deleteModal');
@@ -808,9 +990,38 @@ let deleteTargetId = null;
 let selectMode = false;
 let selectedIds = new Set();
 let modalTranscriptId = null;
+let modalAutoCorrections = null;
+let modalVersions = [];
+let modalSelectedVersion = null;
+
+// Search Elements and State
+const searchBar = document.getElementById('searchBar');
+const searchInput = document.getElementById('searchInput');
+const searchFromDate = document.getElementById('searchFromDate');
+const searchToDate = document.getElementById('searchToDate');
+const searchStatus = document.getElementById('searchStatus');
+const searchLoadMoreBtn = document.getElementById('searchLoadMoreBtn');
+const historySortSelect = document.getElementById('historySortSelect');
+const historyLengthSelect = document.getElementById('historyLengthSelect');
+
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Length filter options, in seconds (min inclusive, max exclusive)
+const HISTORY_LENGTH_FILTERS = {
+  short: { maxDuration: 60 },
+  medium: { minDuration: 60, maxDuration: 300 },
+  long: { minDuration: 300, maxDuration: 900 },
+  'extra-long': { minDuration: 900 }
+};
+
+let searchQuery = '';
+let searchResults = [];
+let searchTotal = 0;
+let searchDebounceTimer = null;
 
 // View Toggle State (Desktop)
-let currentRecordingsView = 'history'; // 'history' or 'shared'
+let currentRecordingsView = 'history'; // 'history', 'folders', 'disposable', 'vocabulary' or 'shared'
 let sharedRecordings = [];
 let sharedPeople = [];
 let currentSharedViewMode = 'all'; // 'all' or 'by-person'
@@ -824,7 +1035,7 @@ async function loadHistory() {
   showHistoryLoading();
 
   try {
-    const response = await authFetch(`${config.apiUrl}/transcripts`);
+    const response = await authFetch(`${config.apiUrl}/transcripts?${getHistoryListParams()}`);
 
     if (!response.ok) {
       throw new Error('Failed to load transcripts');
@@ -847,6 +1058,9 @@ async function loadHistory() {
 
     // Check for shared recording in URL after loading
     checkSharedRecordingUrl();
+
+    // Keep search results in step with edits, moves and deletes
+    if (searchQuery) searchTranscripts();
   } catch (error) {
     console.error('Error loading history:', error);
     showHistoryEmpty();
@@ -881,13 +1095,25 @@ function checkSharedRecordingUrl() {
 function renderHistory() {
   if (!recordingsList) return;
 
+  // Vocabulary view lists corrections, not recordings
+  if (currentRecordingsView === 'vocabulary') {
+    renderCorrections();
+    return;
+  }
+  if (currentRecordingsView === 'trash') {
+    renderTrash();
+    return;
+  }
+
   historyLoading.style.display = 'none';
   historyEmpty.style.display = 'none';
   recordingsList.style.display = 'grid';
 
-  // Filter based on current view
+  // Filter based on current view (search results are already filtered server-side)
   let displayTranscripts = transcripts;
-  if (currentRecordingsView === 'disposable') {
+  if (searchQuery) {
+    displayTranscripts = searchResults;
+  } else if (currentRecordingsView === 'disposable') {
     displayTranscripts = transcripts.filter(t => t.is_disposable);
   } else if (currentRecordingsView === 'folders') {
     const selectedFolder = document.getElementById('folderFilterSelect')?.value;
@@ -906,6 +1132,11 @@ function renderHistory() {
   }
 
   if (displayTranscripts.length === 0) {
+    if (searchQuery) {
+      // "No matches" is reported in the search status line
+      recordingsList.innerHTML = '';
+      return;
+    }
     showHistoryEmpty();
     return;
   }
@@ -923,6 +1154,9 @@ function renderHistory() {
     if (transcript.is_disposable) {
       badges += `<span class="recording-disposable-badge">Quick Note</span>`;
     }
+    if (transcript.language && transcript.language !== 'en') {
+      badges += `<span class="recording-language-badge">${escapeHtml(getLanguageName(transcript.language))}</span>`;
+    }
     const badgesHtml = badges ? `<div class="recording-badges">${badges}</div>` : '';
 
     // Build title with series part appended
@@ -939,7 +1173,12 @@ function renderHistory() {
         ${badgesHtml}
         <div class="recording-meta">
           <span>${formatDate(transcript.created_at)}</span>
-          <span>${truncateText(transcript.final_text || transcript.personalized_text || transcript.raw_text, 50)}</span>
+          ${transcript.duration_seconds != null
+            ? `<span class="recording-duration" title="${escapeHtml(describeRecordingAudio(transcript))}">${AudioPlayer.formatTime(transcript.duration_seconds)}</span>`
+            : ''}
+          ${transcript.snippet
+            ? renderSnippetHtml(transcript.snippet)
+            : `<span>${truncateText(transcript.final_text || transcript.personalized_text || transcript.raw_text, 50)}</span>`}
         </div>
       </div>
       <div class="recording-actions">
@@ -1117,6 +1356,8 @@ function showHistoryLoading() {
   if (historyEmpty) historyEmpty.style.display = 'none';
   if (sharedEmpty) sharedEmpty.style.display = 'none';
   if (sharedSignInPrompt) sharedSignInPrompt.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'none';
   if (recordingsList) recordingsList.style.display = 'none';
 }
 
@@ -1128,9 +1369,184 @@ function showHistoryEmpty() {
   if (historyEmpty) historyEmpty.style.display = 'block';
   if (sharedEmpty) sharedEmpty.style.display = 'none';
   if (sharedSignInPrompt) sharedSignInPrompt.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'none';
   if (recordingsList) recordingsList.style.display = 'none';
 }
 
+// ============================================
+// Search
+// ============================================
+
+/**
+ * Look up a transcript by ID in the loaded history or the current search results
+ */
+function findTranscript(id) {
+  return transcripts.find(t => t.id === id) || searchResults.find(t => t.id === id);
+}
+
+/**
+ * Build a search snippet with matches wrapped in <mark> (text is escaped)
+ */
+function renderSnippetHtml(parts) {
+  const html = parts
+    .map(part => part.highlight ? `<mark>${escapeHtml(part.text)}</mark>` : escapeHtml(part.text))
+    .join('');
+  return `<span class="search-snippet">${html}</span>`;
+}
+
+/**
+ * Debounce typing in the search box
+ */
+function handleSearchInput() {
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(() => {
+    searchQuery = searchInput.value.trim();
+    if (searchQuery) {
+      searchTranscripts();
+    } else {
+      clearSearch();
+    }
+  }, SEARCH_DEBOUNCE_MS);
+}
+
+/**
+ * Run the current search (append = load the next page)
+ */
+async function searchTranscripts(append = false) {
+  if (!searchQuery) return;
+
+  const query = searchQuery;
+  const params = new URLSearchParams({
+    q: query,
+    limit: SEARCH_PAGE_SIZE,
+    offset: append ? searchResults.length : 0
+  });
+
+  // Scope to the selected folder in the folders view
+  const selectedFolder = document.getElementById('folderFilterSelect')?.value;
+  if (currentRecordingsView === 'folders' && selectedFolder && selectedFolder !== 'all' && selectedFolder !== 'all-files') {
+    params.set('folderId', selectedFolder);
+  }
+  if (searchFromDate?.value) params.set('from', searchFromDate.value);
+  if (searchToDate?.value) params.set('to', searchToDate.value);
+  applyLengthFilter(params);
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/search?${params}`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Search failed');
+    }
+
+    const data = await response.json();
+    // Ignore responses for a query the user has since changed
+    if (query !== searchQuery) return;
+
+    searchResults = append ? searchResults.concat(data.results || []) : (data.results || []);
+    searchTotal = data.total || 0;
+
+    updateSearchStatus();
+    renderHistory();
+  } catch (error) {
+    console.error('Error searching transcripts:', error);
+    showToast(error.message || 'Search failed');
+  }
+}
+
+/**
+ * Show the result count and the "Load more" button
+ */
+function updateSearchStatus() {
+  if (!searchStatus) return;
+
+  if (!searchQuery) {
+    searchStatus.style.display = 'none';
+    if (searchLoadMoreBtn) searchLoadMoreBtn.style.display = 'none';
+    return;
+  }
+
+  searchStatus.textContent = searchTotal === 0
+    ? `No transcripts match "${searchQuery}"`
+    : `${searchTotal} ${searchTotal === 1 ? 'result' : 'results'} for "${searchQuery}"`;
+  searchStatus.style.display = 'block';
+
+  if (searchLoadMoreBtn) {
+    searchLoadMoreBtn.style.display = searchResults.length < searchTotal ? 'block' : 'none';
+  }
+}
+
+/**
+ * Leave search mode and show the normal list again
+ */
+function clearSearch() {
+  clearTimeout(searchDebounceTimer);
+  searchQuery = '';
+  searchResults = [];
+  searchTotal = 0;
+  if (searchInput) searchInput.value = '';
+  updateSearchStatus();
+  if (currentRecordingsView !== 'vocabulary' && currentRecordingsView !== 'shared') {
+    renderHistory();
+  }
+}
+
+/**
+ * Set up search box, date filters and pagination
+ */
+function setupSearchListeners() {
+  if (!searchInput) return;
+
+  searchInput.addEventListener('input', handleSearchInput);
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && searchInput.value) {
+      e.stopPropagation();
+      clearSearch();
+    }
+  });
+
+  [searchFromDate, searchToDate].forEach(input => {
+    if (input) input.addEventListener('change', () => searchTranscripts());
+  });
+
+  if (searchLoadMoreBtn) {
+    searchLoadMoreBtn.addEventListener('click', () => searchTranscripts(true));
+  }
+
+  // Sort and length filter reload the list (which reruns an active search)
+  [historySortSelect, historyLengthSelect].forEach(select => {
+    if (select) select.addEventListener('change', () => loadHistory());
+  });
+}
+
+/**
+ * Add the selected length filter (minDuration/maxDuration) to request params
+ */
+function applyLengthFilter(params) {
+  const range = HISTORY_LENGTH_FILTERS[historyLengthSelect?.value];
+  if (!range) return;
+  Object.entries(range).forEach(([key, value]) => params.set(key, value));
+}
+
+/**
+ * Query params for the history list: sort order and length filter
+ */
+function getHistoryListParams() {
+  const params = new URLSearchParams();
+  if (historySortSelect?.value) params.set('sort', historySortSelect.value);
+  applyLengthFilter(params);
+  return params;
+}
+
+/**
+ * Put sort and length filter back to newest first / any length
+ * (views without the search bar always list everything)
+ */
+function resetHistoryListFilters() {
+  if (historySortSelect) historySortSelect.value = 'newest';
+  if (historyLengthSelect) historyLengthSelect.value = '';
+}
+
 // ============================================
 // Shared Recordings (Desktop view toggle)
 // ============================================
@@ -1154,6 +1570,22 @@ function switchRecordingsView(view) {
   if (folderFilterBar) folderFilterBar.style.display = 'none';
   const disposableActionsBar = document.getElementById('disposableActionsBar');
   if (disposableActionsBar) disposableActionsBar.style.display = 'none';
+  const vocabularyActionsBar = document.getElementById('vocabularyActionsBar');
+  if (vocabularyActionsBar) vocabularyActionsBar.style.display = 'none';
+  const trashActionsBar = document.getElementById('trashActionsBar');
+  if (trashActionsBar) trashActionsBar.style.display = 'none';
+
+  // Multi-select only applies to recordings
+  const listsRecordings = view !== 'vocabulary' && view !== 'trash';
+  const selectModeBtn = document.getElementById('selectModeBtn');
+  if (selectModeBtn) selectModeBtn.style.display = listsRecordings ? '' : 'none';
+  if (!listsRecordings && selectMode) exitSelectMode();
+
+  // Search covers your own recordings (all of them, or one folder)
+  const searchable = view === 'history' || view === 'folders';
+  if (searchBar) searchBar.style.display = searchable ? 'flex' : 'none';
+  if (!searchable && searchQuery) clearSearch();
+  if (!searchable) resetHistoryListFilters();
 
   if (view === 'history') {
     if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'Your Recordings';
@@ -1171,6 +1603,14 @@ function switchRecordingsView(view) {
     if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'Disposable Notes';
     if (disposableActionsBar) disposableActionsBar.style.display = 'flex';
     loadHistory();
+  } else if (view === 'vocabulary') {
+    if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'My Vocabulary';
+    if (vocabularyActionsBar) vocabularyActionsBar.style.display = 'flex';
+    loadCorrections();
+  } else if (view === 'trash') {
+    if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'Trash';
+    if (trashActionsBar) trashActionsBar.style.display = 'flex';
+    loadTrash();
   } else if (view === 'shared') {
     if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'Shared with Me';
     loadSharedRecordings();
@@ -1422,6 +1862,10 @@ function openSharedPlayerModal(shareId) {
   modalTranscriptText.value = text;
   modalTranscriptText.readOnly = true; // Can't edit shared recordings
   if (saveModalTranscriptBtn) saveModalTranscriptBtn.style.display = 'none';
+  resetModalExport(null);
+  renderModalSegments([]);
+  renderModalAutoCorrections(null);
+  renderModalVersions([]);
 
   if (share.recording.audio_url) {
     const audioUrl = `${config.apiUrl}/audio-proxy?url=${encodeURIComponent(share.recording.audio_url)}`;
@@ -1489,6 +1933,8 @@ function showSharedEmpty() {
   if (historyEmpty) historyEmpty.style.display = 'none';
   if (sharedEmpty) sharedEmpty.style.display = 'block';
   if (sharedSignInPrompt) sharedSignInPrompt.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'none';
   if (recordingsList) recordingsList.style.display = 'none';
   if (sharedFilterBar) sharedFilterBar.style.display = 'none';
 }
@@ -1501,6 +1947,8 @@ function showSharedSignInPrompt() {
   if (historyEmpty) historyEmpty.style.display = 'none';
   if (sharedEmpty) sharedEmpty.style.display = 'none';
   if (sharedSignInPrompt) sharedSignInPrompt.style.display = 'block';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'none';
   if (recordingsList) recordingsList.style.display = 'none';
   if (sharedFilterBar) sharedFilterBar.style.display = 'none';
 }
@@ -1509,7 +1957,7 @@ function showSharedSignInPrompt() {
  * Open player modal
  */
 function openPlayerModal(id) {
-  const transcript = transcripts.find(t => t.id === id);
+  const transcript = findTranscript(id);
   if (!transcript || !playerModal) return;
 
   // Store transcript ID for saving edits
@@ -1529,8 +1977,16 @@ function openPlayerModal(id) {
     modalTranscriptText.readOnly = false; // Editable for own recordings
   }
   if (saveModalTranscriptBtn) saveModalTranscriptBtn.style.display = 'block';
+  resetModalExport(transcript);
 
+  renderModalSegments([]);
+  renderModalAutoCorrections(null);
+  renderModalVersions([]);
   playerModal.style.display = 'flex';
+
+  loadModalSegments(id);
+  loadModalAutoCorrections(id);
+  loadModalVersions(id);
 }
 
 /**
@@ -1542,102 +1998,511 @@ function closePlayerModal() {
   audioPlayer.pause();
   audioPlayer.src = '';
   modalTranscriptId = null;
+  renderModalSegments([]);
+  renderModalAutoCorrections(null);
+  renderModalVersions([]);
 }
 
 /**
- * Save transcript edits from modal
+ * Show export options that apply to a transcript (series/folder only when it has one)
  */
-async function saveModalTranscript() {
-  if (!modalTranscriptId) {
-    showToast('No transcript to save');
-    return;
-  }
+function resetModalExport(transcript) {
+  if (!modalExport) return;
 
-  const editedText = modalTranscriptText.value.trim();
-  if (!editedText) {
-    showToast('Cannot save empty transcript');
-    return;
+  modalExport.style.display = transcript ? 'flex' : 'none';
+  if (!transcript) return;
+
+  modalExportScope.value = 'transcript';
+  modalExportScope.querySelector('option[value="series"]').hidden = !transcript.series_id;
+  modalExportScope.querySelector('option[value="folder"]').hidden = !transcript.folder_id;
+}
+
+/**
+ * Download the open transcript (or its series/folder) in the chosen format
+ */
+async function exportModalTranscript() {
+  const transcript = findTranscript(modalTranscriptId);
+  if (!transcript) return;
+
+  const scope = modalExportScope.value;
+  const format = modalExportFormat.value;
+
+  let endpoint = `${config.apiUrl}/transcripts/${transcript.id}/export`;
+  if (scope === 'series' && transcript.series_id) {
+    endpoint = `${config.apiUrl}/series/${transcript.series_id}/export`;
+  } else if (scope === 'folder' && transcript.folder_id) {
+    endpoint = `${config.apiUrl}/folders/${transcript.folder_id}/export`;
   }
 
   try {
-    const response = await authFetch(`${config.apiUrl}/transcripts/${modalTranscriptId}`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ finalText: editedText })
-    });
-
+    const response = await authFetch(`${endpoint}?format=${format}`);
     if (!response.ok) {
-      throw new Error('Failed to save');
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Export failed');
     }
 
-    showToast('Saved');
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    saveBlob(await response.blob(), match ? match[1] : `transcript.${format}`);
+    showToast('Exported');
+  } catch (error) {
+    console.error('Error exporting transcript:', error);
+    showToast(error.message || 'Failed to export');
+  }
+}
 
-    // Refresh history to show updated text
-    await loadHistory();
+/**
+ * Fetch segment timestamps for the open transcript (list queries omit them)
+ */
+async function loadModalSegments(id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}`);
+    if (!response.ok) return;
+
+    const data = await response.json();
+    // Ignore the response if the modal has moved on to another recording
+    if (modalTranscriptId !== id) return;
+
+    renderModalSegments(data.transcript?.segments || []);
   } catch (error) {
-    console.error('Save error:', error);
-    showToast('Failed to save');
+    console.error('Error loading transcript segments:', error);
   }
 }
 
 /**
- * Copy transcript from history
+ * Render clickable, time-synced sentences in the player modal
  */
-async function copyHistoryTranscript(id) {
-  const transcript = transcripts.find(t => t.id === id);
-  const textToCopy = transcript?.final_text || transcript?.personalized_text || transcript?.raw_text;
+function renderModalSegments(segments) {
+  if (!modalTranscriptSegments || !modalSegmentsSection) return;
 
-  if (!textToCopy) {
-    showToast('No text to copy');
+  modalTranscriptSegments.innerHTML = '';
+  if (modalPlayer) modalPlayer.setSegments(segments);
+
+  if (segments.length === 0) {
+    modalSegmentsSection.style.display = 'none';
     return;
   }
 
-  try {
-    await navigator.clipboard.writeText(textToCopy);
-    showToast('Copied to clipboard');
-  } catch (error) {
-    showToast('Failed to copy');
-  }
+  segments.forEach((segment, index) => {
+    const el = document.createElement('span');
+    el.className = 'transcript-segment';
+    el.dataset.index = index;
+    el.title = AudioPlayer.formatTime(segment.start);
+    el.textContent = segment.text + ' ';
+    el.addEventListener('click', () => seekToModalSegment(index));
+    modalTranscriptSegments.appendChild(el);
+  });
+
+  modalTranscriptSegments.scrollTop = 0;
+  modalSegmentsSection.style.display = 'block';
 }
 
 /**
- * Convert title to URL-safe slug
+ * Jump playback to a sentence and start playing from there
  */
-function slugify(text) {
-  if (!text) return '';
-  return text
-    .toLowerCase()
-    .trim()
-    .replace(/[^\w\s-]/g, '')  // Remove non-word chars except spaces and hyphens
-    .replace(/\s+/g, '-')       // Replace spaces with hyphens
-    .replace(/-+/g, '-')        // Replace multiple hyphens with single
-    .substring(0, 50);          // Limit length
+function seekToModalSegment(index) {
+  if (!modalPlayer || !audioPlayer.src) return;
+
+  modalPlayer.seekToSegment(index);
+  modalPlayer.play().catch(error => console.error('Error playing segment:', error));
 }
 
 /**
- * Share recording - copy shareable link to clipboard
- * Uses API endpoint for dynamic OG tags (WhatsApp/social media previews)
+ * Highlight the sentence currently playing and keep it in view
  */
-async function shareRecording(id) {
-  const transcript = transcripts.find(t => t.id === id);
-  if (!transcript) {
-    showToast('Recording not found');
-    return;
-  }
+function highlightModalSegment(index) {
+  if (!modalTranscriptSegments) return;
 
-  // Use API share-page endpoint for dynamic OG tags
-  // This allows WhatsApp etc. to show the actual recording title
-  const shareUrl = `${config.apiUrl}/share-page/${id}`;
+  const previous = modalTranscriptSegments.querySelector('.transcript-segment.active');
+  if (previous) previous.classList.remove('active');
+
+  const current = modalTranscriptSegments.querySelector(`.transcript-segment[data-index="${index}"]`);
+  if (!current) return;
+
+  current.classList.add('active');
+  modalTranscriptSegments.scrollTo({
+    top: current.offsetTop - modalTranscriptSegments.clientHeight / 3,
+    behavior: 'smooth'
+  });
+}
 
+/**
+ * Fetch the corrections personalization applied to the open transcript
+ */
+async function loadModalAutoCorrections(id) {
   try {
-    // Try Web Share API first (mobile-friendly)
-    // Note: Don't include 'text' - when users pick "Copy" from share menu,
-    // some browsers/OS concatenate text+url, breaking the link
-    if (navigator.share) {
-      await navigator.share({
-        title: transcript.title || 'Voice Recording',
-        url: shareUrl.toString()
-      });
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/corrections`);
+    if (!response.ok) return;
+
+    const data = await response.json();
+    // Ignore the response if the modal has moved on to another recording
+    if (modalTranscriptId !== id) return;
+
+    renderModalAutoCorrections(data);
+  } catch (error) {
+    console.error('Error loading applied corrections:', error);
+  }
+}
+
+/**
+ * Render the auto-corrected transcript as a diff: what Whisper wrote struck
+ * through, what replaced it highlighted, each with an undo button
+ */
+function renderModalAutoCorrections(data) {
+  if (!modalAutoCorrectionsSection || !modalAutoCorrectionsText) return;
+
+  modalAutoCorrections = data;
+  modalAutoCorrectionsText.replaceChildren();
+
+  const applied = data?.appliedCorrections || [];
+  if (applied.length === 0) {
+    modalAutoCorrectionsSection.style.display = 'none';
+    return;
+  }
+
+  modalAutoCorrectionsNote.textContent = data.edited
+    ? 'You have edited this transcript since; undoing fixes the auto-corrected version and stops the correction being applied again.'
+    : 'Undo puts back what Whisper wrote and stops the correction being applied again.';
+
+  const text = data.personalizedText || '';
+  let cursor = 0;
+  applied.forEach((entry, index) => {
+    modalAutoCorrectionsText.appendChild(document.createTextNode(text.slice(cursor, entry.start)));
+
+    if (entry.original.trim()) {
+      const del = document.createElement('del');
+      del.className = 'auto-correction-original';
+      del.textContent = entry.original;
+      modalAutoCorrectionsText.appendChild(del);
+    }
+    const corrected = text.slice(entry.start, entry.end);
+    if (corrected.trim()) {
+      const ins = document.createElement('ins');
+      ins.className = 'auto-correction';
+      ins.textContent = corrected;
+      modalAutoCorrectionsText.appendChild(ins);
+    }
+
+    const undoBtn = document.createElement('button');
+    undoBtn.className = 'auto-correction-undo';
+    undoBtn.textContent = 'Undo';
+    // Glossary spellings keep applying until the term is removed from the glossary
+    const undoLabel = entry.kind === 'glossary' ? 'Undo this glossary spelling' : 'Undo and stop learning this';
+    undoBtn.title = undoLabel;
+    undoBtn.setAttribute('aria-label', undoLabel);
+    undoBtn.addEventListener('click', () => undoModalAutoCorrection(index));
+    modalAutoCorrectionsText.appendChild(undoBtn);
+
+    cursor = entry.end;
+  });
+  modalAutoCorrectionsText.appendChild(document.createTextNode(text.slice(cursor)));
+
+  modalAutoCorrectionsSection.style.display = 'block';
+}
+
+/**
+ * Undo one auto-correction on the open transcript and stop applying it
+ */
+async function undoModalAutoCorrection(index) {
+  const id = modalTranscriptId;
+  if (!id || !modalAutoCorrections) return;
+
+  const previousText = modalAutoCorrections.personalizedText;
+  const isGlossary = modalAutoCorrections.appliedCorrections[index]?.kind === 'glossary';
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/corrections/${index}/undo`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) throw new Error('Failed to undo correction');
+
+    const data = await response.json();
+    const transcript = data.transcript;
+    showToast(isGlossary ? 'Glossary spelling undone' : 'Correction undone and won\'t be applied again');
+    if (modalTranscriptId !== id) return;
+
+    // Only replace the text box if it still shows the untouched auto-corrected text
+    if (modalTranscriptText.value === previousText) {
+      modalTranscriptText.value = transcript.final_text || transcript.personalized_text || '';
+    }
+    renderModalAutoCorrections({
+      personalizedText: transcript.personalized_text || '',
+      appliedCorrections: transcript.applied_corrections || [],
+      edited: modalAutoCorrections.edited
+    });
+
+    await loadHistory();
+  } catch (error) {
+    console.error('Error undoing correction:', error);
+    showToast('Failed to undo correction');
+  }
+}
+
+// Labels for how each version of a transcript came about
+const VERSION_SOURCE_LABELS = {
+  transcription: 'Transcribed',
+  edit: 'Edited',
+  revert: 'Restored'
+};
+
+/**
+ * Fetch the open transcript's saved versions for the edit history timeline
+ */
+async function loadModalVersions(id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/versions`);
+    if (!response.ok) return;
+
+    const data = await response.json();
+    // Ignore the response if the modal has moved on to another recording
+    if (modalTranscriptId !== id) return;
+
+    renderModalVersions(data.versions || []);
+  } catch (error) {
+    console.error('Error loading transcript versions:', error);
+  }
+}
+
+/**
+ * Render the edit history timeline, newest (current) version first.
+ * Hidden until the transcript has been edited.
+ */
+function renderModalVersions(versions) {
+  if (!modalVersionsSection || !modalVersionsList) return;
+
+  modalVersions = versions;
+  modalSelectedVersion = null;
+  modalVersionsList.replaceChildren();
+  modalVersionDetail.style.display = 'none';
+
+  if (versions.length === 0) {
+    modalVersionsSection.style.display = 'none';
+    return;
+  }
+
+  versions.forEach((version, index) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'version-item';
+    item.dataset.version = version.version;
+
+    const label = document.createElement('span');
+    label.className = 'version-label';
+    label.textContent = `v${version.version} · ` + (version.source === 'revert'
+      ? `Restored v${version.reverted_to}`
+      : VERSION_SOURCE_LABELS[version.source] || 'Edited');
+    item.appendChild(label);
+
+    const meta = document.createElement('span');
+    meta.className = 'version-meta';
+    const parts = [formatDate(version.created_at)];
+    if (version.added || version.removed) parts.push(`+${version.added} −${version.removed} words`);
+    if (index === 0) parts.push('current');
+    meta.textContent = parts.join(' · ');
+    item.appendChild(meta);
+
+    item.addEventListener('click', () => selectModalVersion(version.version));
+    modalVersionsList.appendChild(item);
+  });
+
+  modalVersionsSection.style.display = 'block';
+}
+
+/**
+ * Fetch one version and show what it changed
+ */
+async function selectModalVersion(versionNumber) {
+  const id = modalTranscriptId;
+  if (!id) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/versions/${versionNumber}`);
+    if (!response.ok) throw new Error('Failed to load version');
+
+    const data = await response.json();
+    if (modalTranscriptId !== id) return;
+
+    modalSelectedVersion = data.version;
+    renderModalVersionDetail(data.version);
+  } catch (error) {
+    console.error('Error loading transcript version:', error);
+    showToast('Failed to load version');
+  }
+}
+
+/**
+ * Show a version's changes from the one before it (the first version, as
+ * transcribed, is shown whole), with a restore button unless it is current
+ */
+function renderModalVersionDetail(version) {
+  modalVersionsList.querySelectorAll('.version-item').forEach(item => {
+    item.classList.toggle('active', Number(item.dataset.version) === version.version);
+  });
+  modalVersionChanges.replaceChildren();
+
+  const changes = version.diff?.changes || [];
+  if (version.version === 1) {
+    modalVersionChanges.textContent = version.text;
+  } else if (changes.length === 0) {
+    modalVersionChanges.textContent = 'No changes to the text.';
+  }
+
+  changes.forEach(change => {
+    const line = document.createElement('div');
+    line.className = 'version-change';
+    if (change.before) line.appendChild(document.createTextNode(`…${change.before} `));
+    if (change.removed) {
+      const del = document.createElement('del');
+      del.className = 'auto-correction-original';
+      del.textContent = change.removed;
+      line.appendChild(del);
+      line.appendChild(document.createTextNode(' '));
+    }
+    if (change.added) {
+      const ins = document.createElement('ins');
+      ins.className = 'auto-correction';
+      ins.textContent = change.added;
+      line.appendChild(ins);
+      line.appendChild(document.createTextNode(' '));
+    }
+    if (change.after) line.appendChild(document.createTextNode(`${change.after}…`));
+    modalVersionChanges.appendChild(line);
+  });
+
+  const isCurrent = modalVersions.length > 0 && modalVersions[0].version === version.version;
+  revertVersionBtn.style.display = isCurrent ? 'none' : 'inline-flex';
+  modalVersionDetail.style.display = 'block';
+}
+
+/**
+ * Restore the selected version. The current text stays in the history, and
+ * corrections learned only from the edits being undone are forgotten.
+ */
+async function revertModalVersion() {
+  const id = modalTranscriptId;
+  const version = modalSelectedVersion;
+  if (!id || !version) return;
+  if (!confirm(`Restore version ${version.version}? The current text stays in the edit history.`)) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/versions/${version.version}/revert`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) throw new Error('Failed to restore version');
+
+    const data = await response.json();
+    const forgotten = data.forgottenCorrections || 0;
+    showToast(forgotten > 0
+      ? `Version ${version.version} restored; ${forgotten} correction${forgotten !== 1 ? 's' : ''} learned from the undone edits forgotten`
+      : `Version ${version.version} restored`);
+    if (modalTranscriptId !== id) return;
+
+    modalTranscriptText.value = data.transcript.final_text || '';
+    await loadModalVersions(id);
+    await loadHistory();
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    showToast('Failed to restore version');
+  }
+}
+
+/**
+ * Save transcript edits from modal
+ */
+async function saveModalTranscript() {
+  if (!modalTranscriptId) {
+    showToast('No transcript to save');
+    return;
+  }
+
+  const editedText = modalTranscriptText.value.trim();
+  if (!editedText) {
+    showToast('Cannot save empty transcript');
+    return;
+  }
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${modalTranscriptId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ finalText: editedText })
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to save');
+    }
+
+    showToast('Saved');
+    loadModalVersions(modalTranscriptId);
+
+    // Refresh history to show updated text
+    await loadHistory();
+  } catch (error) {
+    console.error('Save error:', error);
+    showToast('Failed to save');
+  }
+}
+
+/**
+ * Copy transcript from history
+ */
+async function copyHistoryTranscript(id) {
+  const transcript = findTranscript(id);
+  const textToCopy = transcript?.final_text || transcript?.personalized_text || transcript?.raw_text;
+
+  if (!textToCopy) {
+    showToast('No text to copy');
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(textToCopy);
+    showToast('Copied to clipboard');
+  } catch (error) {
+    showToast('Failed to copy');
+  }
+}
+
+/**
+ * Convert title to URL-safe slug
+ */
+function slugify(text) {
+  if (!text) return '';
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')  // Remove non-word chars except spaces and hyphens
+    .replace(/\s+/g, '-')       // Replace spaces with hyphens
+    .replace(/-+/g, '-')        // Replace multiple hyphens with single
+    .substring(0, 50);          // Limit length
+}
+
+/**
+ * Share recording - copy shareable link to clipboard
+ * Uses API endpoint for dynamic OG tags (WhatsApp/social media previews)
+ */
+async function shareRecording(id) {
+  const transcript = findTranscript(id);
+  if (!transcript) {
+    showToast('Recording not found');
+    return;
+  }
+
+  // Use API share-page endpoint for dynamic OG tags
+  // This allows WhatsApp etc. to show the actual recording title
+  const shareUrl = `${config.apiUrl}/share-page/${id}`;
+
+  try {
+    // Try Web Share API first (mobile-friendly)
+    // Note: Don't include 'text' - when users pick "Copy" from share menu,
+    // some browsers/OS concatenate text+url, breaking the link
+    if (navigator.share) {
+      await navigator.share({
+        title: transcript.title || 'Voice Recording',
+        url: shareUrl.toString()
+      });
       showToast('Shared');
     } else {
       // Fall back to clipboard copy
@@ -1692,7 +2557,7 @@ async function handleConfirmDelete() {
       throw new Error('Failed to delete');
     }
 
-    showToast('Recording deleted');
+    showToast('Recording moved to the Trash');
     closeDeleteModal();
     await loadHistory();
   } catch (error) {
@@ -1718,6 +2583,10 @@ function setupHistoryEventListeners() {
     refreshBtn.addEventListener('click', () => {
       if (currentRecordingsView === 'shared') {
         loadSharedRecordings();
+      } else if (currentRecordingsView === 'vocabulary') {
+        loadCorrections();
+      } else if (currentRecordingsView === 'trash') {
+        loadTrash();
       } else {
         loadHistory();
       }
@@ -1750,6 +2619,9 @@ function setupHistoryEventListeners() {
   if (closePlayer) {
     closePlayer.addEventListener('click', closePlayerModal);
   }
+  if (modalPlayer) {
+    modalPlayer.onSegmentChange(highlightModalSegment);
+  }
   if (playerModal) {
     playerModal.addEventListener('click', (e) => {
       if (e.target === playerModal) closePlayerModal();
@@ -1758,6 +2630,12 @@ function setupHistoryEventListeners() {
   if (saveModalTranscriptBtn) {
     saveModalTranscriptBtn.addEventListener('click', saveModalTranscript);
   }
+  if (modalExportBtn) {
+    modalExportBtn.addEventListener('click', exportModalTranscript);
+  }
+  if (revertVersionBtn) {
+    revertVersionBtn.addEventListener('click', revertModalVersion);
+  }
 
   // Delete modal
   if (closeDelete) {
@@ -1781,6 +2659,7 @@ function setupHistoryEventListeners() {
       closePlayerModal();
       closeDeleteModal();
       closeTrialLimitModal();
+      closeCorrectionModal();
     }
   });
 
@@ -1832,6 +2711,28 @@ function formatDate(dateString) {
   });
 }
 
+/**
+ * Format a byte count as KB/MB
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * One-line summary of a recording's audio, e.g. "OPUS · 48 kHz · Mono · 1.2 MB"
+ */
+function describeRecordingAudio(transcript) {
+  const parts = [];
+  if (transcript.audio_codec) parts.push(transcript.audio_codec.toUpperCase());
+  if (transcript.audio_sample_rate) parts.push(`${transcript.audio_sample_rate / 1000} kHz`);
+  if (transcript.audio_channels) {
+    parts.push(transcript.audio_channels === 1 ? 'Mono' : transcript.audio_channels === 2 ? 'Stereo' : `${transcript.audio_channels} channels`);
+  }
+  if (transcript.audio_size_bytes) parts.push(formatFileSize(transcript.audio_size_bytes));
+  return parts.join(' \u00b7 ');
+}
+
 /**
  * Truncate text with ellipsis
  */
@@ -2006,7 +2907,7 @@ function openEmptyDisposableModal() {
   }
 
   const msg = document.getElementById('emptyDisposableMessage');
-  if (msg) msg.textContent = `This will permanently delete ${count} disposable note${count !== 1 ? 's' : ''}.`;
+  if (msg) msg.textContent = `This will move ${count} disposable note${count !== 1 ? 's' : ''} to the Trash.`;
 
   const confirmInput = document.getElementById('emptyDisposableConfirmInput');
   const confirmBtn = document.getElementById('confirmEmptyDisposable');
@@ -2033,7 +2934,7 @@ async function confirmEmptyDisposable() {
     if (!response.ok) throw new Error('Failed to delete');
 
     closeEmptyDisposableModal();
-    showToast(`Deleted ${count} disposable note${count !== 1 ? 's' : ''}`);
+    showToast(`Moved ${count} disposable note${count !== 1 ? 's' : ''} to the Trash`);
     loadHistory();
   } catch (error) {
     console.error('Error emptying disposable notes:', error);
@@ -2042,56 +2943,416 @@ async function confirmEmptyDisposable() {
 }
 
 // ============================================
-// Recording Options Event Listeners
+// Trash
 // ============================================
 
-function setupRecordingOptionsListeners() {
-  // Add folder button
-  if (addFolderBtn) {
-    addFolderBtn.addEventListener('click', createFolder);
-  }
+// Recordings and folders in the Trash, and how many days they are kept there
+let trash = { transcripts: [], folders: [], retentionDays: 30 };
 
-  // Disposable toggle
-  if (disposableCheckbox) {
-    disposableCheckbox.addEventListener('change', updateDisposableUI);
-  }
+/**
+ * Load the recordings and folders in the Trash from API
+ */
+async function loadTrash() {
+  if (!recordingsList) return;
 
-  // Empty disposable button
-  const emptyDisposableBtn = document.getElementById('emptyDisposableBtn');
-  if (emptyDisposableBtn) {
-    emptyDisposableBtn.addEventListener('click', openEmptyDisposableModal);
-  }
+  showHistoryLoading();
 
-  // Folder filter change
-  const folderFilterSelect = document.getElementById('folderFilterSelect');
-  if (folderFilterSelect) {
-    folderFilterSelect.addEventListener('change', renderHistory);
-  }
+  try {
+    const response = await authFetch(`${config.apiUrl}/trash`);
 
-  // View toggle: Folders
-  const viewFoldersBtn = document.getElementById('viewFoldersBtn');
-  if (viewFoldersBtn) {
-    viewFoldersBtn.addEventListener('click', () => switchRecordingsView('folders'));
-  }
+    if (!response.ok) {
+      throw new Error('Failed to load trash');
+    }
 
-  // View toggle: Disposable
-  const viewDisposableBtn = document.getElementById('viewDisposableBtn');
-  if (viewDisposableBtn) {
-    viewDisposableBtn.addEventListener('click', () => switchRecordingsView('disposable'));
+    const data = await response.json();
+    trash = {
+      transcripts: data.transcripts || [],
+      folders: data.folders || [],
+      retentionDays: data.retentionDays || trash.retentionDays
+    };
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    showToast('Failed to load trash');
+    trash = { ...trash, transcripts: [], folders: [] };
   }
+
+  renderTrash();
 }
 
-// ============================================
-// Folder Management (Rename, Delete)
-// ============================================
+/**
+ * Render the Trash, folders before recordings
+ */
+function renderTrash() {
+  if (!recordingsList) return;
 
-let renameFolderTargetId = null;
-let deleteFolderTargetId = null;
-let moveTargetId = null;
+  updateTrashCount();
 
-function openRenameFolderModal() {
-  const folderFilterSelect = document.getElementById('folderFilterSelect');
-  const selectedId = folderFilterSelect?.value;
+  if (trash.transcripts.length === 0 && trash.folders.length === 0) {
+    showTrashEmpty();
+    return;
+  }
+
+  historyLoading.style.display = 'none';
+  historyEmpty.style.display = 'none';
+  recordingsList.style.display = 'grid';
+
+  recordingsList.replaceChildren();
+  trash.folders.forEach(folder => {
+    recordingsList.appendChild(buildTrashCard('folder', folder));
+  });
+  trash.transcripts.forEach(transcript => {
+    recordingsList.appendChild(buildTrashCard('transcript', transcript));
+  });
+}
+
+/**
+ * Describe how long until something in the Trash is deleted for good
+ */
+function describeTrashExpiry(deletedAt) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const days = Math.ceil((new Date(deletedAt).getTime() + trash.retentionDays * dayMs - Date.now()) / dayMs);
+  return days > 1 ? `Deleted for good in ${days} days` : 'Deleted for good within a day';
+}
+
+/**
+ * Build a card for a recording ('transcript') or folder ('folder') in the Trash
+ */
+function buildTrashCard(kind, entry) {
+  const item = document.createElement('div');
+  item.className = 'recording-item trash-item';
+  item.dataset.id = entry.id;
+
+  const infoGroup = document.createElement('div');
+  infoGroup.className = 'recording-info-group';
+
+  const nameDiv = document.createElement('div');
+  nameDiv.className = 'recording-name';
+  nameDiv.textContent = kind === 'folder' ? entry.name : (entry.title || 'Untitled Recording');
+  infoGroup.appendChild(nameDiv);
+
+  if (kind === 'folder' || entry.is_disposable) {
+    const badgesDiv = document.createElement('div');
+    badgesDiv.className = 'recording-badges';
+    const badge = document.createElement('span');
+    badge.className = kind === 'folder' ? 'recording-folder-badge' : 'recording-disposable-badge';
+    badge.textContent = kind === 'folder' ? 'Folder' : 'Quick Note';
+    badgesDiv.appendChild(badge);
+    infoGroup.appendChild(badgesDiv);
+  }
+
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'recording-meta';
+  const deletedSpan = document.createElement('span');
+  deletedSpan.textContent = `Deleted ${formatDate(entry.deleted_at)}`;
+  const expirySpan = document.createElement('span');
+  expirySpan.textContent = describeTrashExpiry(entry.deleted_at);
+  metaDiv.appendChild(deletedSpan);
+  metaDiv.appendChild(expirySpan);
+  if (kind === 'transcript') {
+    const textSpan = document.createElement('span');
+    textSpan.textContent = truncateText(entry.final_text || entry.personalized_text || entry.raw_text, 50);
+    metaDiv.appendChild(textSpan);
+  }
+  infoGroup.appendChild(metaDiv);
+
+  item.appendChild(infoGroup);
+
+  // Action buttons
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'recording-actions';
+
+  const buttons = [
+    { cls: 'restore-btn', label: kind === 'folder' ? 'Restore folder' : 'Restore recording', svg: '<polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>', handler: () => restoreTrashItem(kind, entry.id) },
+    { cls: 'delete-btn', label: 'Delete forever', svg: '<polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>', handler: () => deleteTrashItemForever(kind, entry.id) }
+  ];
+
+  buttons.forEach(b => {
+    const btn = document.createElement('button');
+    btn.className = 'icon-button ' + b.cls;
+    btn.setAttribute('aria-label', b.label);
+    btn.title = b.label;
+    // SVG icons are static markup, not user-controlled content
+    btn.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${b.svg}</svg>`;
+    btn.addEventListener('click', b.handler);
+    actionsDiv.appendChild(btn);
+  });
+
+  item.appendChild(actionsDiv);
+  return item;
+}
+
+/**
+ * Update the count shown in the trash actions bar
+ */
+function updateTrashCount() {
+  const countEl = document.getElementById('trashCount');
+  if (!countEl) return;
+
+  const count = trash.transcripts.length + trash.folders.length;
+  countEl.textContent = `${count} item${count !== 1 ? 's' : ''}, kept for ${trash.retentionDays} days`;
+}
+
+/**
+ * Show trash empty state
+ */
+function showTrashEmpty() {
+  historyLoading.style.display = 'none';
+  historyEmpty.style.display = 'none';
+  if (sharedEmpty) sharedEmpty.style.display = 'none';
+  if (sharedSignInPrompt) sharedSignInPrompt.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'block';
+  recordingsList.style.display = 'none';
+}
+
+/**
+ * Take a recording or folder back out of the Trash
+ */
+async function restoreTrashItem(kind, id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/trash/${kind}s/${id}/restore`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) throw new Error('Failed to restore');
+
+    showToast(kind === 'folder' ? 'Folder restored' : 'Recording restored');
+    if (kind === 'folder') await loadFolders();
+    await loadTrash();
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    showToast(kind === 'folder' ? 'Failed to restore folder' : 'Failed to restore recording');
+  }
+}
+
+/**
+ * Delete one recording (with its audio) or folder in the Trash for good
+ */
+async function deleteTrashItemForever(kind, id) {
+  const what = kind === 'folder' ? 'folder' : 'recording and its audio';
+  if (!confirm(`Delete this ${what} forever? This cannot be undone.`)) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/trash/${kind}s/${id}`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok) throw new Error('Failed to delete');
+
+    showToast('Deleted forever');
+    await loadTrash();
+  } catch (error) {
+    console.error('Error deleting from trash:', error);
+    showToast(kind === 'folder' ? 'Failed to delete folder' : 'Failed to delete recording');
+  }
+}
+
+/**
+ * Empty the Trash
+ */
+function openEmptyTrashModal() {
+  const count = trash.transcripts.length + trash.folders.length;
+  if (count === 0) {
+    showToast('Trash is already empty');
+    return;
+  }
+
+  const msg = document.getElementById('emptyTrashMessage');
+  if (msg) msg.textContent = `This action cannot be undone. ${count} item${count !== 1 ? 's' : ''} in the Trash, including the audio, will be permanently deleted.`;
+
+  const confirmInput = document.getElementById('emptyTrashConfirmInput');
+  const confirmBtn = document.getElementById('confirmEmptyTrash');
+  if (confirmInput) confirmInput.value = '';
+  if (confirmBtn) confirmBtn.disabled = true;
+
+  const modal = document.getElementById('emptyTrashModal');
+  if (modal) modal.style.display = 'flex';
+}
+
+function closeEmptyTrashModal() {
+  const modal = document.getElementById('emptyTrashModal');
+  if (modal) modal.style.display = 'none';
+}
+
+async function confirmEmptyTrash() {
+  const count = trash.transcripts.length + trash.folders.length;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/trash`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok) throw new Error('Failed to empty trash');
+
+    closeEmptyTrashModal();
+    showToast(`Deleted ${count} item${count !== 1 ? 's' : ''} forever`);
+    loadTrash();
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    showToast('Failed to empty trash');
+  }
+}
+
+// ============================================
+// Transcription Language
+// ============================================
+
+// Languages offered in the pickers; Whisper can auto-detect many more,
+// which are shown by their code
+const LANGUAGE_NAMES = {
+  en: 'English',
+  fr: 'French',
+  yo: 'Yoruba'
+};
+
+/**
+ * Display name for a language code
+ */
+function getLanguageName(code) {
+  if (!code) return '';
+  return LANGUAGE_NAMES[code] || code.toUpperCase();
+}
+
+/**
+ * Make sure a <select> has an option for the given language code
+ */
+function ensureLanguageOption(select, code) {
+  if (!select || !code || select.querySelector(`option[value="${code}"]`)) return;
+  const option = document.createElement('option');
+  option.value = code;
+  option.textContent = getLanguageName(code);
+  select.appendChild(option);
+}
+
+/**
+ * Load the user's default language and preselect it for the next recording
+ */
+async function loadUserSettings() {
+  if (!languageSelect) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/settings`);
+    if (!response.ok) throw new Error('Failed to load settings');
+
+    const data = await response.json();
+    defaultLanguage = data.settings?.default_language || 'en';
+  } catch (error) {
+    console.error('Error loading settings:', error);
+    defaultLanguage = 'en';
+  }
+
+  ensureLanguageOption(languageSelect, defaultLanguage);
+  languageSelect.value = defaultLanguage;
+  updateDefaultLanguageBtn();
+}
+
+/**
+ * Only offer "make default" when the picked language isn't already the default
+ */
+function updateDefaultLanguageBtn() {
+  if (!setDefaultLanguageBtn || !languageSelect) return;
+  setDefaultLanguageBtn.style.display = languageSelect.value !== defaultLanguage ? 'flex' : 'none';
+}
+
+async function setDefaultLanguage() {
+  if (!languageSelect) return;
+  const language = languageSelect.value;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ defaultLanguage: language })
+    });
+
+    if (!response.ok) throw new Error('Failed to save settings');
+
+    defaultLanguage = language;
+    updateDefaultLanguageBtn();
+    showToast(language === 'auto' ? 'Auto-detect is now your default' : `${getLanguageName(language)} is now your default language`);
+  } catch (error) {
+    console.error('Error saving default language:', error);
+    showToast('Failed to save default language');
+  }
+}
+
+// ============================================
+// Recording Options Event Listeners
+// ============================================
+
+function setupRecordingOptionsListeners() {
+  // Add folder button
+  if (addFolderBtn) {
+    addFolderBtn.addEventListener('click', createFolder);
+  }
+
+  // Disposable toggle
+  if (disposableCheckbox) {
+    disposableCheckbox.addEventListener('change', updateDisposableUI);
+  }
+
+  // Language picker
+  if (languageSelect) {
+    languageSelect.addEventListener('change', updateDefaultLanguageBtn);
+  }
+  if (setDefaultLanguageBtn) {
+    setDefaultLanguageBtn.addEventListener('click', setDefaultLanguage);
+  }
+
+  // Empty disposable button
+  const emptyDisposableBtn = document.getElementById('emptyDisposableBtn');
+  if (emptyDisposableBtn) {
+    emptyDisposableBtn.addEventListener('click', openEmptyDisposableModal);
+  }
+
+  // Folder filter change
+  const folderFilterSelect = document.getElementById('folderFilterSelect');
+  if (folderFilterSelect) {
+    folderFilterSelect.addEventListener('change', () => {
+      if (searchQuery) {
+        searchTranscripts();
+      } else {
+        renderHistory();
+      }
+    });
+  }
+
+  // View toggle: Folders
+  const viewFoldersBtn = document.getElementById('viewFoldersBtn');
+  if (viewFoldersBtn) {
+    viewFoldersBtn.addEventListener('click', () => switchRecordingsView('folders'));
+  }
+
+  // View toggle: Disposable
+  const viewDisposableBtn = document.getElementById('viewDisposableBtn');
+  if (viewDisposableBtn) {
+    viewDisposableBtn.addEventListener('click', () => switchRecordingsView('disposable'));
+  }
+
+  // View toggle: Trash
+  const viewTrashBtn = document.getElementById('viewTrashBtn');
+  if (viewTrashBtn) {
+    viewTrashBtn.addEventListener('click', () => switchRecordingsView('trash'));
+  }
+
+  // Empty trash button
+  const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+  if (emptyTrashBtn) {
+    emptyTrashBtn.addEventListener('click', openEmptyTrashModal);
+  }
+}
+
+// ============================================
+// Folder Management (Rename, Delete)
+// ============================================
+
+let renameFolderTargetId = null;
+let deleteFolderTargetId = null;
+let moveTargetId = null;
+
+function openRenameFolderModal() {
+  const folderFilterSelect = document.getElementById('folderFilterSelect');
+  const selectedId = folderFilterSelect?.value;
   if (!selectedId || selectedId === 'all') return;
 
   const folder = folders.find(f => f.id === selectedId);
@@ -2171,7 +3432,7 @@ async function confirmDeleteFolder() {
 
     if (!response.ok) throw new Error('Failed to delete folder');
 
-    showToast('Folder deleted');
+    showToast('Folder moved to the Trash');
     closeDeleteFolderModal();
 
     // Switch back to "All Folders"
@@ -2204,7 +3465,7 @@ function openMoveFolderModal(transcriptId) {
     });
 
     // Pre-select current folder
-    const transcript = transcripts.find(t => t.id === transcriptId);
+    const transcript = findTranscript(transcriptId);
     if (transcript?.folder_id) {
       select.value = transcript.folder_id;
     }
@@ -2252,7 +3513,7 @@ let seriesTargetId = null;
 
 function openSeriesModal(transcriptId) {
   seriesTargetId = transcriptId;
-  const currentTranscript = transcripts.find(t => t.id === transcriptId);
+  const currentTranscript = findTranscript(transcriptId);
   if (!currentTranscript) return;
 
   const list = document.getElementById('seriesPickerList');
@@ -2434,7 +3695,7 @@ function openBulkDeleteModal() {
   }
 
   const msg = document.getElementById('bulkDeleteMessage');
-  if (msg) msg.textContent = `This will permanently delete ${selectedIds.size} recording${selectedIds.size !== 1 ? 's' : ''}.`;
+  if (msg) msg.textContent = `This will move ${selectedIds.size} recording${selectedIds.size !== 1 ? 's' : ''} to the Trash.`;
 
   const confirmInput = document.getElementById('bulkDeleteConfirmInput');
   const confirmBtn = document.getElementById('confirmBulkDelete');
@@ -2466,9 +3727,9 @@ async function confirmBulkDelete() {
     exitSelectMode();
 
     if (failed === 0) {
-      showToast(`Deleted ${count} recording${count !== 1 ? 's' : ''}`);
+      showToast(`Moved ${count} recording${count !== 1 ? 's' : ''} to the Trash`);
     } else {
-      showToast(`Deleted ${count - failed} of ${count} recordings`);
+      showToast(`Moved ${count - failed} of ${count} recordings to the Trash`);
     }
 
     await loadHistory();
@@ -2581,6 +3842,24 @@ function setupFolderManagementListeners() {
     });
   }
 
+  // Empty trash modal
+  const closeEmptyTrashBtn = document.getElementById('closeEmptyTrash');
+  if (closeEmptyTrashBtn) closeEmptyTrashBtn.addEventListener('click', closeEmptyTrashModal);
+
+  const cancelEmptyTrashBtn = document.getElementById('cancelEmptyTrash');
+  if (cancelEmptyTrashBtn) cancelEmptyTrashBtn.addEventListener('click', closeEmptyTrashModal);
+
+  const confirmEmptyTrashBtn = document.getElementById('confirmEmptyTrash');
+  if (confirmEmptyTrashBtn) confirmEmptyTrashBtn.addEventListener('click', confirmEmptyTrash);
+
+  const emptyTrashConfirmInput = document.getElementById('emptyTrashConfirmInput');
+  if (emptyTrashConfirmInput) {
+    emptyTrashConfirmInput.addEventListener('input', () => {
+      const confirmBtn = document.getElementById('confirmEmptyTrash');
+      if (confirmBtn) confirmBtn.disabled = emptyTrashConfirmInput.value !== 'DELETE';
+    });
+  }
+
   // Select mode
   const selectModeBtn = document.getElementById('selectModeBtn');
   if (selectModeBtn) selectModeBtn.addEventListener('click', toggleSelectMode);
@@ -2613,11 +3892,775 @@ function setupFolderManagementListeners() {
   }
 }
 
+// ============================================
+// Vocabulary (Learned Corrections)
+// SYNC: keep in sync with history.js (mobile)
+// ============================================
+
+let corrections = [];
+let correctionEditTargetId = null;
+let vocabularyImport = null; // { format, content } of the file being imported
+
+// Rows listed in the import preview before it is cut short
+const VOCABULARY_IMPORT_PREVIEW_ROWS = 50;
+let glossary = { terms: [], suggestions: [] };
+
+/**
+ * Load the user's learned corrections from API
+ */
+async function loadCorrections() {
+  showHistoryLoading();
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load corrections');
+    }
+
+    const data = await response.json();
+    corrections = data.corrections || [];
+  } catch (error) {
+    console.error('Error loading corrections:', error);
+    showToast('Failed to load vocabulary');
+    corrections = [];
+  }
+
+  renderCorrections();
+}
+
+/**
+ * Render the corrections list
+ */
+function renderCorrections() {
+  if (!recordingsList) return;
+
+  updateVocabularyCount();
+
+  if (corrections.length === 0) {
+    showVocabularyEmpty();
+    return;
+  }
+
+  historyLoading.style.display = 'none';
+  historyEmpty.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'none';
+  recordingsList.style.display = 'grid';
+
+  recordingsList.replaceChildren();
+  corrections.forEach(correction => {
+    recordingsList.appendChild(buildCorrectionCard(correction));
+  });
+}
+
+/**
+ * Describe whether a correction is currently applied to new transcripts
+ */
+function getCorrectionStatus(correction) {
+  if (correction.disabled) {
+    return { label: 'Disabled', cls: 'correction-status-disabled' };
+  }
+  // applied/conflicted come from the server's scoring (count decayed by age,
+  // weighed against other corrections of the same words)
+  if (correction.conflicted) {
+    return { label: 'Conflicting', cls: 'correction-status-conflict', title: 'Also corrected to something else here; applies once one correction clearly wins' };
+  }
+  if (correction.applied) {
+    return { label: 'Auto-applied', cls: 'correction-status-active' };
+  }
+  return { label: 'Learning', cls: 'correction-status-learning' };
+}
+
+/**
+ * Describe where a learned correction applies, e.g. "Only in: over … in".
+ * Corrections without context (manual ones) apply everywhere.
+ */
+function describeCorrectionContext(correction) {
+  const left = correction.left_context || '';
+  const right = correction.right_context || '';
+  if (!left && !right) return null;
+  return 'Only in: ' + [left, '…', right].filter(Boolean).join(' ');
+}
+
+/**
+ * Describe the folder or series a correction is scoped to, or null for a
+ * global one. Scoped corrections are learned from (and applied to) only the
+ * transcripts in that folder or series.
+ */
+function describeCorrectionScope(correction) {
+  if (correction.series_id) {
+    return { label: 'Series', title: 'Only applied to recordings in this series' };
+  }
+  if (correction.folder_id) {
+    const folder = folders.find(f => f.id === correction.folder_id);
+    return { label: folder ? folder.name : 'Folder', title: 'Only applied to recordings in this folder' };
+  }
+  return null;
+}
+
+/**
+ * Build a single correction card element
+ */
+function buildCorrectionCard(correction) {
+  const status = getCorrectionStatus(correction);
+  // Learned insertions have no original text, learned deletions no corrected text
+  const isInsertOrDelete = !correction.original_token || !correction.corrected_token;
+
+  const item = document.createElement('div');
+  item.className = 'recording-item correction-item' + (correction.disabled ? ' disabled' : '');
+  item.dataset.id = correction.id;
+
+  const infoGroup = document.createElement('div');
+  infoGroup.className = 'recording-info-group';
+
+  // "original → corrected"
+  const pairDiv = document.createElement('div');
+  pairDiv.className = 'recording-name correction-pair';
+  const originalSpan = document.createElement('span');
+  originalSpan.className = 'correction-original';
+  originalSpan.textContent = correction.original_token || '(insert)';
+  if (!correction.original_token) originalSpan.classList.add('correction-empty');
+  const arrowSpan = document.createElement('span');
+  arrowSpan.className = 'correction-arrow';
+  arrowSpan.textContent = '→';
+  const correctedSpan = document.createElement('span');
+  correctedSpan.className = 'correction-corrected';
+  correctedSpan.textContent = correction.corrected_token || '(delete)';
+  if (!correction.corrected_token) correctedSpan.classList.add('correction-empty');
+  pairDiv.appendChild(originalSpan);
+  pairDiv.appendChild(arrowSpan);
+  pairDiv.appendChild(correctedSpan);
+  infoGroup.appendChild(pairDiv);
+
+  const badgesDiv = document.createElement('div');
+  badgesDiv.className = 'recording-badges';
+  const statusBadge = document.createElement('span');
+  statusBadge.className = 'correction-status-badge ' + status.cls;
+  statusBadge.textContent = status.label;
+  if (status.title) statusBadge.title = status.title;
+  badgesDiv.appendChild(statusBadge);
+  const languageBadge = document.createElement('span');
+  languageBadge.className = 'recording-language-badge';
+  languageBadge.textContent = getLanguageName(correction.language || 'en');
+  badgesDiv.appendChild(languageBadge);
+  const scope = describeCorrectionScope(correction);
+  if (scope) {
+    const scopeBadge = document.createElement('span');
+    scopeBadge.className = 'correction-scope-badge';
+    scopeBadge.textContent = scope.label;
+    scopeBadge.title = scope.title;
+    badgesDiv.appendChild(scopeBadge);
+  }
+  infoGroup.appendChild(badgesDiv);
+
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'recording-meta';
+  const countSpan = document.createElement('span');
+  countSpan.textContent = correction.count === 1 ? 'Seen once' : `Seen ${correction.count} times`;
+  const lastSeenSpan = document.createElement('span');
+  lastSeenSpan.textContent = formatDate(correction.last_seen_at);
+  const scoreSpan = document.createElement('span');
+  scoreSpan.textContent = `Score ${correction.score}`;
+  scoreSpan.title = 'Times seen, fading once a correction goes unused for a month';
+  metaDiv.appendChild(countSpan);
+  metaDiv.appendChild(lastSeenSpan);
+  metaDiv.appendChild(scoreSpan);
+  if (correction.phonetic_disabled) {
+    const phoneticSpan = document.createElement('span');
+    phoneticSpan.textContent = 'Exact spelling only';
+    metaDiv.appendChild(phoneticSpan);
+  }
+  const context = describeCorrectionContext(correction);
+  if (context) {
+    const contextSpan = document.createElement('span');
+    contextSpan.className = 'correction-context';
+    contextSpan.textContent = context;
+    metaDiv.appendChild(contextSpan);
+  }
+  infoGroup.appendChild(metaDiv);
+
+  item.appendChild(infoGroup);
+
+  // Action buttons
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'recording-actions';
+
+  const buttons = [
+    correction.disabled
+      ? { cls: 'enable-correction-btn', label: 'Enable correction', svg: '<polyline points="20 6 9 17 4 12"></polyline>', handler: () => toggleCorrection(correction.id) }
+      : { cls: 'disable-correction-btn', label: 'Disable correction', svg: '<circle cx="12" cy="12" r="10"></circle><line x1="4.93" y1="4.93" x2="19.07" y2="19.07"></line>', handler: () => toggleCorrection(correction.id) },
+    // The edit form needs text on both sides, so insertions/deletions can only be toggled or deleted
+    scope ? { cls: 'promote-correction-btn', label: 'Make global', svg: '<circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>', handler: () => promoteCorrection(correction.id) } : null,
+    isInsertOrDelete ? null : { cls: 'edit-correction-btn', label: 'Edit correction', svg: '<path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>', handler: () => openCorrectionModal(correction.id) },
+    { cls: 'delete-btn', label: 'Delete correction', svg: '<polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>', handler: () => deleteCorrection(correction.id) }
+  ].filter(Boolean);
+
+  buttons.forEach(b => {
+    const btn = document.createElement('button');
+    btn.className = 'icon-button ' + b.cls;
+    btn.setAttribute('aria-label', b.label);
+    btn.title = b.label;
+    // SVG icons are static markup, not user-controlled content
+    btn.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${b.svg}</svg>`;
+    btn.addEventListener('click', b.handler);
+    actionsDiv.appendChild(btn);
+  });
+
+  item.appendChild(actionsDiv);
+  return item;
+}
+
+/**
+ * Update the count shown in the vocabulary actions bar
+ */
+function updateVocabularyCount() {
+  const countEl = document.getElementById('vocabularyCount');
+  if (!countEl) return;
+
+  const active = corrections.filter(c => c.applied).length;
+  countEl.textContent = `${corrections.length} correction${corrections.length !== 1 ? 's' : ''}, ${active} auto-applied`;
+}
+
+/**
+ * Show vocabulary empty state
+ */
+function showVocabularyEmpty() {
+  historyLoading.style.display = 'none';
+  historyEmpty.style.display = 'none';
+  if (sharedEmpty) sharedEmpty.style.display = 'none';
+  if (sharedSignInPrompt) sharedSignInPrompt.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'block';
+  recordingsList.style.display = 'none';
+}
+
+/**
+ * Enable or disable a correction without deleting it
+ */
+async function toggleCorrection(id) {
+  const correction = corrections.find(c => c.id === id);
+  if (!correction) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ disabled: !correction.disabled })
+    });
+
+    if (!response.ok) throw new Error('Failed to update correction');
+
+    const data = await response.json();
+    showToast(data.correction.disabled ? 'Correction disabled' : 'Correction enabled');
+    // Reload rather than patch: toggling one correction rescores those competing with it
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error toggling correction:', error);
+    showToast('Failed to update correction');
+  }
+}
+
+/**
+ * Make a scoped correction apply to every recording
+ */
+async function promoteCorrection(id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections/${id}/promote`, { method: 'POST' });
+    if (!response.ok) throw new Error('Failed to promote correction');
+
+    showToast('Correction now applies everywhere');
+    // Reload rather than patch: it may have merged into an existing global correction
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error promoting correction:', error);
+    showToast('Failed to make correction global');
+  }
+}
+
+/**
+ * Open the add/edit correction modal (no id = add new)
+ */
+function openCorrectionModal(id) {
+  const correction = id ? corrections.find(c => c.id === id) : null;
+  correctionEditTargetId = correction ? correction.id : null;
+
+  const title = document.getElementById('correctionModalTitle');
+  const originalInput = document.getElementById('correctionOriginalInput');
+  const correctedInput = document.getElementById('correctionCorrectedInput');
+  const languageInput = document.getElementById('correctionLanguageSelect');
+  const phoneticInput = document.getElementById('correctionPhoneticCheckbox');
+
+  if (title) title.textContent = correction ? 'Edit Correction' : 'Add Correction';
+  if (originalInput) originalInput.value = correction ? correction.original_token : '';
+  if (correctedInput) correctedInput.value = correction ? correction.corrected_token : '';
+  if (languageInput) {
+    const language = correction ? (correction.language || 'en') : 'en';
+    ensureLanguageOption(languageInput, language);
+    languageInput.value = language;
+  }
+  if (phoneticInput) phoneticInput.checked = correction ? !correction.phonetic_disabled : true;
+
+  const modal = document.getElementById('correctionModal');
+  if (modal) modal.style.display = 'flex';
+  if (originalInput) originalInput.focus();
+}
+
+function closeCorrectionModal() {
+  const modal = document.getElementById('correctionModal');
+  if (modal) modal.style.display = 'none';
+  correctionEditTargetId = null;
+}
+
+async function confirmCorrectionModal() {
+  const originalToken = document.getElementById('correctionOriginalInput')?.value?.trim();
+  const correctedToken = document.getElementById('correctionCorrectedInput')?.value?.trim();
+  const language = document.getElementById('correctionLanguageSelect')?.value || 'en';
+  const phoneticDisabled = !(document.getElementById('correctionPhoneticCheckbox')?.checked ?? true);
+
+  if (!originalToken || !correctedToken) {
+    showToast('Please fill in both fields');
+    return;
+  }
+  if (originalToken === correctedToken) {
+    showToast('The replacement must be different');
+    return;
+  }
+
+  const isEdit = !!correctionEditTargetId;
+  const url = isEdit
+    ? `${config.apiUrl}/corrections/${correctionEditTargetId}`
+    : `${config.apiUrl}/corrections`;
+
+  try {
+    const response = await authFetch(url, {
+      method: isEdit ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ originalToken, correctedToken, language, phoneticDisabled })
+    });
+
+    if (!response.ok) throw new Error('Failed to save correction');
+
+    showToast(isEdit ? 'Correction updated' : 'Correction added');
+    closeCorrectionModal();
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error saving correction:', error);
+    showToast('Failed to save correction');
+  }
+}
+
+/**
+ * Delete a correction so it is no longer applied or learned from
+ */
+async function deleteCorrection(id) {
+  const correction = corrections.find(c => c.id === id);
+  if (!correction) return;
+
+  if (!confirm(`Delete the correction "${correction.original_token}" → "${correction.corrected_token}"?`)) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections/${id}`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok) throw new Error('Failed to delete correction');
+
+    showToast('Correction deleted');
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error deleting correction:', error);
+    showToast('Failed to delete correction');
+  }
+}
+
+/**
+ * Download the whole vocabulary in the chosen format (JSON or CSV)
+ */
+async function exportVocabulary() {
+  const format = document.getElementById('vocabularyExportFormat')?.value || 'json';
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections/export?format=${format}`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Export failed');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    saveBlob(await response.blob(), match ? match[1] : `vocabulary.${format}`);
+    showToast('Vocabulary exported');
+  } catch (error) {
+    console.error('Error exporting vocabulary:', error);
+    showToast(error.message || 'Failed to export vocabulary');
+  }
+}
+
+/**
+ * Send a vocabulary file to the import endpoint
+ * @param {{format: string, content: string}} file - The file's format and text
+ * @param {boolean} dryRun - Only preview what the import would change
+ */
+async function postVocabularyImport({ format, content }, dryRun) {
+  const response = await authFetch(`${config.apiUrl}/corrections/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ format, content, dryRun })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || 'Import failed');
+  return data;
+}
+
+/**
+ * Read the chosen file and preview the import before anything is saved
+ */
+async function previewVocabularyImport(file) {
+  if (!file) return;
+
+  try {
+    const format = /\.csv$/i.test(file.name) ? 'csv' : 'json';
+    vocabularyImport = { format, content: await file.text() };
+
+    const preview = await postVocabularyImport(vocabularyImport, true);
+    renderVocabularyImportPreview(preview);
+
+    const modal = document.getElementById('vocabularyImportModal');
+    if (modal) modal.style.display = 'flex';
+  } catch (error) {
+    console.error('Error previewing vocabulary import:', error);
+    showToast(error.message || 'Failed to read vocabulary file');
+    vocabularyImport = null;
+  }
+}
+
+/**
+ * Summarise a dry-run import: counts, then the rows that would change
+ * or can't be imported (rows already in the vocabulary are left out)
+ */
+function renderVocabularyImportPreview({ rows, summary }) {
+  const summaryEl = document.getElementById('vocabularyImportSummary');
+  const list = document.getElementById('vocabularyImportRows');
+  const confirmBtn = document.getElementById('confirmVocabularyImport');
+
+  if (summaryEl) {
+    summaryEl.textContent = `${summary.created} new, ${summary.merged} merged, ` +
+      `${summary.unchanged} already in your vocabulary, ${summary.invalid} invalid`;
+  }
+  if (confirmBtn) confirmBtn.disabled = summary.created + summary.merged === 0;
+  if (!list) return;
+
+  list.innerHTML = '';
+  const shown = rows.filter(r => r.action !== 'unchanged');
+  shown.slice(0, VOCABULARY_IMPORT_PREVIEW_ROWS).forEach(row => {
+    const item = document.createElement('li');
+    item.className = `vocabulary-import-row vocabulary-import-${row.action}`;
+
+    const line = document.createElement('span');
+    line.className = 'vocabulary-import-line';
+    line.textContent = `Row ${row.line}`;
+    item.appendChild(line);
+
+    const detail = document.createElement('span');
+    detail.textContent = row.action === 'invalid'
+      ? row.error
+      : `${row.action === 'create' ? 'Add' : 'Merge'} "${row.original_token}" → "${row.corrected_token}"`;
+    item.appendChild(detail);
+
+    list.appendChild(item);
+  });
+
+  if (shown.length > VOCABULARY_IMPORT_PREVIEW_ROWS) {
+    const more = document.createElement('li');
+    more.className = 'vocabulary-import-row';
+    more.textContent = `…and ${shown.length - VOCABULARY_IMPORT_PREVIEW_ROWS} more`;
+    list.appendChild(more);
+  }
+}
+
+function closeVocabularyImportModal() {
+  const modal = document.getElementById('vocabularyImportModal');
+  if (modal) modal.style.display = 'none';
+  vocabularyImport = null;
+}
+
+/**
+ * Apply the previewed import
+ */
+async function confirmVocabularyImport() {
+  if (!vocabularyImport) return;
+
+  try {
+    const { summary } = await postVocabularyImport(vocabularyImport, false);
+    showToast(`Imported ${summary.created} new and ${summary.merged} merged correction${summary.created + summary.merged !== 1 ? 's' : ''}`);
+    closeVocabularyImportModal();
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error importing vocabulary:', error);
+    showToast(error.message || 'Failed to import vocabulary');
+  }
+}
+
+/**
+ * Open the glossary and load its terms and suggestions
+ */
+async function openGlossaryModal() {
+  const modal = document.getElementById('glossaryModal');
+  if (modal) modal.style.display = 'flex';
+  await loadGlossary();
+  document.getElementById('glossaryTermInput')?.focus();
+}
+
+function closeGlossaryModal() {
+  const modal = document.getElementById('glossaryModal');
+  if (modal) modal.style.display = 'none';
+}
+
+/**
+ * Load the user's glossary from API
+ */
+async function loadGlossary() {
+  try {
+    const response = await authFetch(`${config.apiUrl}/glossary`);
+    if (!response.ok) throw new Error('Failed to load glossary');
+
+    glossary = await response.json();
+  } catch (error) {
+    console.error('Error loading glossary:', error);
+    showToast('Failed to load glossary');
+    glossary = { terms: [], suggestions: [] };
+  }
+
+  renderGlossary();
+}
+
+/**
+ * Render the glossary terms (flagging any that don't fit in the prompt)
+ * and the suggested terms
+ */
+function renderGlossary() {
+  const list = document.getElementById('glossaryTerms');
+  const usage = document.getElementById('glossaryUsage');
+  const suggestionsSection = document.getElementById('glossarySuggestionsSection');
+  const suggestionsList = document.getElementById('glossarySuggestions');
+  const terms = glossary.terms || [];
+  const suggestions = glossary.suggestions || [];
+
+  if (usage) {
+    usage.textContent = terms.length === 0
+      ? 'No terms yet'
+      : `${terms.length} term${terms.length !== 1 ? 's' : ''}, using about ${glossary.promptTokens} of ${glossary.promptTokenLimit} prompt tokens`;
+  }
+
+  if (list) {
+    list.replaceChildren();
+    terms.forEach(term => {
+      const item = document.createElement('li');
+      item.className = 'glossary-term';
+
+      const name = document.createElement('span');
+      name.className = 'glossary-term-name';
+      name.textContent = term.term;
+      item.appendChild(name);
+
+      if (!term.inPrompt) {
+        const badge = document.createElement('span');
+        badge.className = 'correction-status-badge correction-status-disabled';
+        badge.textContent = 'Not in prompt';
+        badge.title = 'The prompt is full; pin this term to send it before others. Its spelling is still fixed in transcripts.';
+        item.appendChild(badge);
+      }
+
+      const pinBtn = document.createElement('button');
+      pinBtn.className = `glossary-term-action${term.pinned ? ' active' : ''}`;
+      pinBtn.textContent = term.pinned ? 'Unpin' : 'Pin';
+      pinBtn.title = term.pinned ? 'Stop sending this term first' : 'Always send this term first';
+      pinBtn.addEventListener('click', () => toggleGlossaryPin(term.id));
+      item.appendChild(pinBtn);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'glossary-term-action';
+      deleteBtn.textContent = 'Remove';
+      deleteBtn.addEventListener('click', () => deleteGlossaryTerm(term.id));
+      item.appendChild(deleteBtn);
+
+      list.appendChild(item);
+    });
+  }
+
+  if (suggestionsSection && suggestionsList) {
+    suggestionsList.replaceChildren();
+    suggestions.forEach(suggestion => {
+      const chip = document.createElement('button');
+      chip.className = 'glossary-suggestion';
+      chip.textContent = `+ ${suggestion.term}`;
+      chip.title = `Corrected to this ${suggestion.corrections} way${suggestion.corrections !== 1 ? 's' : ''} (score ${suggestion.score})`;
+      chip.addEventListener('click', () => addGlossaryTerm(suggestion.term, 'suggested'));
+      suggestionsList.appendChild(chip);
+    });
+    suggestionsSection.style.display = suggestions.length > 0 ? 'block' : 'none';
+  }
+}
+
+/**
+ * Add a term to the glossary (typed in, or a suggestion)
+ */
+async function addGlossaryTerm(term, source = 'manual') {
+  if (!term) {
+    showToast('Please enter a term');
+    return;
+  }
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/glossary`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ term, source })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || 'Failed to add term');
+
+    if (source === 'manual') {
+      const input = document.getElementById('glossaryTermInput');
+      if (input) input.value = '';
+    }
+    await loadGlossary();
+  } catch (error) {
+    console.error('Error adding glossary term:', error);
+    showToast(error.message || 'Failed to add term');
+  }
+}
+
+async function toggleGlossaryPin(id) {
+  const term = (glossary.terms || []).find(t => t.id === id);
+  if (!term) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/glossary/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pinned: !term.pinned })
+    });
+
+    if (!response.ok) throw new Error('Failed to update term');
+    await loadGlossary();
+  } catch (error) {
+    console.error('Error updating glossary term:', error);
+    showToast('Failed to update term');
+  }
+}
+
+async function deleteGlossaryTerm(id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/glossary/${id}`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok) throw new Error('Failed to remove term');
+    await loadGlossary();
+  } catch (error) {
+    console.error('Error removing glossary term:', error);
+    showToast('Failed to remove term');
+  }
+}
+
+function setupVocabularyListeners() {
+  const viewVocabularyBtn = document.getElementById('viewVocabularyBtn');
+  if (viewVocabularyBtn) {
+    viewVocabularyBtn.addEventListener('click', () => switchRecordingsView('vocabulary'));
+  }
+
+  const addCorrectionBtn = document.getElementById('addCorrectionBtn');
+  if (addCorrectionBtn) addCorrectionBtn.addEventListener('click', () => openCorrectionModal(null));
+
+  const closeCorrectionModalBtn = document.getElementById('closeCorrectionModal');
+  if (closeCorrectionModalBtn) closeCorrectionModalBtn.addEventListener('click', closeCorrectionModal);
+
+  const cancelCorrectionModalBtn = document.getElementById('cancelCorrectionModal');
+  if (cancelCorrectionModalBtn) cancelCorrectionModalBtn.addEventListener('click', closeCorrectionModal);
+
+  const confirmCorrectionModalBtn = document.getElementById('confirmCorrectionModal');
+  if (confirmCorrectionModalBtn) confirmCorrectionModalBtn.addEventListener('click', confirmCorrectionModal);
+
+  // Allow Enter to save from either input
+  ['correctionOriginalInput', 'correctionCorrectedInput'].forEach(inputId => {
+    const input = document.getElementById(inputId);
+    if (input) {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') confirmCorrectionModal();
+      });
+    }
+  });
+
+  const correctionModal = document.getElementById('correctionModal');
+  if (correctionModal) {
+    correctionModal.addEventListener('click', (e) => {
+      if (e.target === correctionModal) closeCorrectionModal();
+    });
+  }
+
+  const exportVocabularyBtn = document.getElementById('exportVocabularyBtn');
+  if (exportVocabularyBtn) exportVocabularyBtn.addEventListener('click', exportVocabulary);
+
+  const importInput = document.getElementById('vocabularyImportInput');
+  const importVocabularyBtn = document.getElementById('importVocabularyBtn');
+  if (importVocabularyBtn && importInput) {
+    importVocabularyBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      previewVocabularyImport(importInput.files[0]);
+      // Clear so choosing the same file again still fires a change
+      importInput.value = '';
+    });
+  }
+
+  const closeVocabularyImportBtn = document.getElementById('closeVocabularyImport');
+  if (closeVocabularyImportBtn) closeVocabularyImportBtn.addEventListener('click', closeVocabularyImportModal);
+
+  const cancelVocabularyImportBtn = document.getElementById('cancelVocabularyImport');
+  if (cancelVocabularyImportBtn) cancelVocabularyImportBtn.addEventListener('click', closeVocabularyImportModal);
+
+  const confirmVocabularyImportBtn = document.getElementById('confirmVocabularyImport');
+  if (confirmVocabularyImportBtn) confirmVocabularyImportBtn.addEventListener('click', confirmVocabularyImport);
+
+  const vocabularyImportModal = document.getElementById('vocabularyImportModal');
+  if (vocabularyImportModal) {
+    vocabularyImportModal.addEventListener('click', (e) => {
+      if (e.target === vocabularyImportModal) closeVocabularyImportModal();
+    });
+  }
+
+  const glossaryBtn = document.getElementById('glossaryBtn');
+  if (glossaryBtn) glossaryBtn.addEventListener('click', openGlossaryModal);
+
+  const closeGlossaryModalBtn = document.getElementById('closeGlossaryModal');
+  if (closeGlossaryModalBtn) closeGlossaryModalBtn.addEventListener('click', closeGlossaryModal);
+
+  const glossaryTermInput = document.getElementById('glossaryTermInput');
+  const addGlossaryTermBtn = document.getElementById('addGlossaryTermBtn');
+  if (addGlossaryTermBtn && glossaryTermInput) {
+    addGlossaryTermBtn.addEventListener('click', () => addGlossaryTerm(glossaryTermInput.value.trim()));
+    glossaryTermInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addGlossaryTerm(glossaryTermInput.value.trim());
+    });
+  }
+
+  const glossaryModal = document.getElementById('glossaryModal');
+  if (glossaryModal) {
+    glossaryModal.addEventListener('click', (e) => {
+      if (e.target === glossaryModal) closeGlossaryModal();
+    });
+  }
+}
+
 // Initialize when DOM is ready
 async function bootstrap() {
   await init();
   setupHistoryEventListeners();
   setupFolderManagementListeners();
+  setupVocabularyListeners();
+  setupSearchListeners();
   await loadHistory();
 }
 
@@ -12,6 +12,8 @@ const refreshBtn = document.getElementById('refreshBtn');
 const themeToggle = document.getElementById('themeToggle');
 const toast = document.getElementById('toast');
 const recordingsSectionTitle = document.getElementById('recordingsSectionTitle');
+const vocabularyEmpty = document.getElementById('vocabularyEmpty');
+const trashEmpty = document.getElementById('trashEmpty');
 
 // Auth UI Elements
 const signInBtn = document.getElementById('signInBtn');
@@ -29,6 +31,20 @@ const audioPlayer = document.getElementById('audioPlayer');
 const modalTranscriptText = document.getElementById('modalTranscriptText');
 const closePlayer = document.getElementById('closePlayer');
 const saveModalTranscriptBtn = document.getElementById('saveModalTranscriptBtn');
+const modalSegmentsSection = document.getElementById('modalSegmentsSection');
+const modalTranscriptSegments = document.getElementById('modalTranscriptSegments');
+const modalAutoCorrectionsSection = document.getElementById('modalAutoCorrectionsSection');
+const modalAutoCorrectionsNote = document.getElementById('modalAutoCorrectionsNote');
+const modalAutoCorrectionsText = document.getElementById('modalAutoCorrectionsText');
+const modalVersionsSection = document.getElementById('modalVersionsSection');
+const modalVersionsList = document.getElementById('modalVersionsList');
+const modalVersionDetail = document.getElementById('modalVersionDetail');
+const modalVersionChanges = document.getElementById('modalVersionChanges');
+const revertVersionBtn = document.getElementById('revertVersionBtn');
+const modalPlayer = new AudioPlayer(audioPlayer);
+const modalExportScope = document.getElementById('modalExportScope');
+const modalExportFormat = document.getElementById('modalExportFormat');
+const modalExportBtn = document.getElementById('modalExportBtn');
 
 // Delete Modal Elements
 const deleteModal = document.getElementById('deleteModal');
@@ -36,12 +52,67 @@ const closeDelete = document.getElementById('closeDelete');
 const cancelDelete = document.getElementById('cancelDelete');
 const confirmDelete = document.getElementById('confirmDelete');
 
+// Search Elements
+const searchBar = document.getElementById('searchBar');
+const searchInput = document.getElementById('searchInput');
+const searchFromDate = document.getElementById('searchFromDate');
+const searchToDate = document.getElementById('searchToDate');
+const searchStatus = document.getElementById('searchStatus');
+const searchLoadMoreBtn = document.getElementById('searchLoadMoreBtn');
+const historySortSelect = document.getElementById('historySortSelect');
+const historyLengthSelect = document.getElementById('historyLengthSelect');
+
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Length filter options, in seconds (min inclusive, max exclusive)
+const HISTORY_LENGTH_FILTERS = {
+  short: { maxDuration: 60 },
+  medium: { minDuration: 60, maxDuration: 300 },
+  long: { minDuration: 300, maxDuration: 900 },
+  'extra-long': { minDuration: 900 }
+};
+
 // State
 let transcripts = [];
 let folders = [];
 let deleteTargetId = null;
 let modalTranscriptId = null;
+let modalAutoCorrections = null;
+let modalVersions = [];
+let modalSelectedVersion = null;
 let currentRecordingsView = 'history';
+let searchQuery = '';
+let searchResults = [];
+let searchTotal = 0;
+let searchDebounceTimer = null;
+
+// Languages offered in the pickers; Whisper can auto-detect many more,
+// which are shown by their code
+const LANGUAGE_NAMES = {
+  en: 'English',
+  fr: 'French',
+  yo: 'Yoruba'
+};
+
+/**
+ * Display name for a language code
+ */
+function getLanguageName(code) {
+  if (!code) return '';
+  return LANGUAGE_NAMES[code] || code.toUpperCase();
+}
+
+/**
+ * Make sure a <select> has an option for the given language code
+ */
+function ensureLanguageOption(select, code) {
+  if (!select || !code || select.querySelector(`option[value="${code}"]`)) return;
+  const option = document.createElement('option');
+  option.value = code;
+  option.textContent = getLanguageName(code);
+  select.appendChild(option);
+}
 
 // Folder management state
 let renameFolderTargetId = null;
@@ -62,6 +133,8 @@ async function init() {
   setupEventListeners();
   setupAuthEventListeners();
   setupFolderManagementListeners();
+  setupVocabularyListeners();
+  setupSearchListeners();
   await loadFolders();
   await loadTranscripts();
   console.log('History page initialized');
@@ -159,8 +232,16 @@ function setupAuthEventListeners() {
  * Set up event listeners
  */
 function setupEventListeners() {
-  // Refresh button
-  refreshBtn.addEventListener('click', loadTranscripts);
+  // Refresh button - refreshes current view
+  refreshBtn.addEventListener('click', () => {
+    if (currentRecordingsView === 'vocabulary') {
+      loadCorrections();
+    } else if (currentRecordingsView === 'trash') {
+      loadTrash();
+    } else {
+      loadTranscripts();
+    }
+  });
 
   // Theme toggle
   if (themeToggle) {
@@ -169,12 +250,15 @@ function setupEventListeners() {
 
   // Player modal
   closePlayer.addEventListener('click', closePlayerModal);
+  modalPlayer.onSegmentChange(highlightModalSegment);
   playerModal.addEventListener('click', (e) => {
     if (e.target === playerModal) closePlayerModal();
   });
   if (saveModalTranscriptBtn) {
     saveModalTranscriptBtn.addEventListener('click', saveModalTranscript);
   }
+  modalExportBtn.addEventListener('click', exportModalTranscript);
+  revertVersionBtn.addEventListener('click', revertModalVersion);
 
   // Delete modal
   closeDelete.addEventListener('click', closeDeleteModal);
@@ -192,9 +276,11 @@ function setupEventListeners() {
       closeRenameFolderModal();
       closeDeleteFolderModal();
       closeEmptyDisposableModal();
+      closeEmptyTrashModal();
       closeMoveFolderModal();
       closeSeriesModal();
       closeBulkDeleteModal();
+      closeCorrectionModal();
     }
   });
 
@@ -207,6 +293,9 @@ function setupEventListeners() {
   if (viewFoldersBtn) viewFoldersBtn.addEventListener('click', () => switchRecordingsView('folders'));
   if (viewDisposableBtn) viewDisposableBtn.addEventListener('click', () => switchRecordingsView('disposable'));
 
+  const viewTrashBtn = document.getElementById('viewTrashBtn');
+  if (viewTrashBtn) viewTrashBtn.addEventListener('click', () => switchRecordingsView('trash'));
+
   // Folder filter change
   const folderFilterSelect = document.getElementById('folderFilterSelect');
   if (folderFilterSelect) {
@@ -217,7 +306,11 @@ function setupEventListeners() {
         const isSpecificFolder = folderFilterSelect.value !== 'all' && folderFilterSelect.value !== 'all-files';
         manageBtns.style.display = isSpecificFolder ? 'flex' : 'none';
       }
-      renderTranscripts();
+      if (searchQuery) {
+        searchTranscripts();
+      } else {
+        renderTranscripts();
+      }
     });
   }
 
@@ -227,6 +320,12 @@ function setupEventListeners() {
     emptyDisposableBtn.addEventListener('click', openEmptyDisposableModal);
   }
 
+  // Empty trash button
+  const emptyTrashBtn = document.getElementById('emptyTrashBtn');
+  if (emptyTrashBtn) {
+    emptyTrashBtn.addEventListener('click', openEmptyTrashModal);
+  }
+
   // Select mode
   const selectModeBtn = document.getElementById('selectModeBtn');
   if (selectModeBtn) selectModeBtn.addEventListener('click', toggleSelectMode);
@@ -246,6 +345,8 @@ function setupEventListeners() {
 // ============================================
 
 function switchRecordingsView(view) {
+  // Restoring from the Trash changes the recordings, so reload them on the way out
+  const leavingTrash = currentRecordingsView === 'trash' && view !== 'trash';
   currentRecordingsView = view;
 
   // Update all toggle button states
@@ -260,10 +361,27 @@ function switchRecordingsView(view) {
   if (folderFilterBar) folderFilterBar.style.display = 'none';
   const disposableActionsBar = document.getElementById('disposableActionsBar');
   if (disposableActionsBar) disposableActionsBar.style.display = 'none';
+  const vocabularyActionsBar = document.getElementById('vocabularyActionsBar');
+  if (vocabularyActionsBar) vocabularyActionsBar.style.display = 'none';
+  const trashActionsBar = document.getElementById('trashActionsBar');
+  if (trashActionsBar) trashActionsBar.style.display = 'none';
+
+  // Multi-select only applies to recordings
+  const listsRecordings = view !== 'vocabulary' && view !== 'trash';
+  const selectModeBtn = document.getElementById('selectModeBtn');
+  if (selectModeBtn) selectModeBtn.style.display = listsRecordings ? '' : 'none';
+  if (!listsRecordings && selectMode) exitSelectMode();
+
+  // Search covers your own recordings (all of them, or one folder)
+  const searchable = view === 'history' || view === 'folders';
+  searchBar.style.display = searchable ? 'flex' : 'none';
+  if (!searchable && searchQuery) clearSearch();
+  if (!searchable && resetHistoryListFilters()) loadTranscripts();
 
   if (view === 'history') {
     if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'Your Recordings';
-    renderTranscripts();
+    if (searchQuery) searchTranscripts();
+    leavingTrash ? loadTranscripts() : renderTranscripts();
   } else if (view === 'folders') {
     if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'Folders';
     if (folderFilterBar) folderFilterBar.style.display = 'block';
@@ -272,11 +390,20 @@ function switchRecordingsView(view) {
     if (folderFilterSelect && !folderFilterSelect.value) folderFilterSelect.value = 'all';
     const manageBtns = document.getElementById('folderManageBtns');
     if (manageBtns) manageBtns.style.display = 'none';
-    renderTranscripts();
+    if (searchQuery) searchTranscripts();
+    leavingTrash ? loadTranscripts() : renderTranscripts();
   } else if (view === 'disposable') {
     if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'Disposable Notes';
     if (disposableActionsBar) disposableActionsBar.style.display = 'flex';
-    renderTranscripts();
+    leavingTrash ? loadTranscripts() : renderTranscripts();
+  } else if (view === 'vocabulary') {
+    if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'My Vocabulary';
+    if (vocabularyActionsBar) vocabularyActionsBar.style.display = 'flex';
+    loadCorrections();
+  } else if (view === 'trash') {
+    if (recordingsSectionTitle) recordingsSectionTitle.textContent = 'Trash';
+    if (trashActionsBar) trashActionsBar.style.display = 'flex';
+    loadTrash();
   }
 }
 
@@ -291,7 +418,7 @@ async function loadTranscripts() {
   showLoading();
 
   try {
-    const response = await authFetch(`${config.apiUrl}/transcripts`);
+    const response = await authFetch(`${config.apiUrl}/transcripts?${getHistoryListParams()}`);
 
     if (!response.ok) {
       throw new Error('Failed to load transcripts');
@@ -305,6 +432,9 @@ async function loadTranscripts() {
     } else {
       renderTranscripts();
     }
+
+    // Keep search results in step with edits, moves and deletes
+    if (searchQuery) searchTranscripts();
   } catch (error) {
     console.error('Error loading transcripts:', error);
     showToast('Failed to load recordings', 'error');
@@ -362,7 +492,8 @@ function buildRecordingCard(transcript) {
 
   // Badges
   const folder = folders.find(f => f.id === transcript.folder_id);
-  if (folder || transcript.series_order || transcript.is_disposable) {
+  const showLanguage = transcript.language && transcript.language !== 'en';
+  if (folder || transcript.series_order || transcript.is_disposable || showLanguage) {
     const badgesDiv = document.createElement('div');
     badgesDiv.className = 'recording-badges';
     if (folder) {
@@ -383,6 +514,12 @@ function buildRecordingCard(transcript) {
       dispBadge.textContent = 'Quick Note';
       badgesDiv.appendChild(dispBadge);
     }
+    if (showLanguage) {
+      const languageBadge = document.createElement('span');
+      languageBadge.className = 'recording-language-badge';
+      languageBadge.textContent = getLanguageName(transcript.language);
+      badgesDiv.appendChild(languageBadge);
+    }
     infoGroup.appendChild(badgesDiv);
   }
 
@@ -391,10 +528,21 @@ function buildRecordingCard(transcript) {
   metaDiv.className = 'recording-meta';
   const dateSpan = document.createElement('span');
   dateSpan.textContent = formatDate(transcript.created_at);
-  const textSpan = document.createElement('span');
-  textSpan.textContent = truncateText(transcript.final_text || transcript.personalized_text || transcript.raw_text, 50);
   metaDiv.appendChild(dateSpan);
-  metaDiv.appendChild(textSpan);
+  if (transcript.duration_seconds != null) {
+    const durationSpan = document.createElement('span');
+    durationSpan.className = 'recording-duration';
+    durationSpan.textContent = AudioPlayer.formatTime(transcript.duration_seconds);
+    durationSpan.title = describeRecordingAudio(transcript);
+    metaDiv.appendChild(durationSpan);
+  }
+  if (transcript.snippet) {
+    metaDiv.appendChild(buildSnippet(transcript.snippet));
+  } else {
+    const textSpan = document.createElement('span');
+    textSpan.textContent = truncateText(transcript.final_text || transcript.personalized_text || transcript.raw_text, 50);
+    metaDiv.appendChild(textSpan);
+  }
   infoGroup.appendChild(metaDiv);
 
   item.appendChild(infoGroup);
@@ -446,13 +594,25 @@ function buildRecordingCard(transcript) {
  * Render transcripts list
  */
 function renderTranscripts() {
+  // Vocabulary view lists corrections, not recordings
+  if (currentRecordingsView === 'vocabulary') {
+    renderCorrections();
+    return;
+  }
+  if (currentRecordingsView === 'trash') {
+    renderTrash();
+    return;
+  }
+
   loadingState.style.display = 'none';
   emptyState.style.display = 'none';
   recordingsList.style.display = 'grid';
 
-  // Filter based on current view
+  // Filter based on current view (search results are already filtered server-side)
   let displayTranscripts = transcripts;
-  if (currentRecordingsView === 'disposable') {
+  if (searchQuery) {
+    displayTranscripts = searchResults;
+  } else if (currentRecordingsView === 'disposable') {
     displayTranscripts = transcripts.filter(t => t.is_disposable);
   } else if (currentRecordingsView === 'folders') {
     const selectedFolder = document.getElementById('folderFilterSelect')?.value;
@@ -471,6 +631,11 @@ function renderTranscripts() {
   }
 
   if (displayTranscripts.length === 0) {
+    if (searchQuery) {
+      // "No matches" is reported in the search status line
+      recordingsList.replaceChildren();
+      return;
+    }
     showEmpty();
     return;
   }
@@ -484,6 +649,161 @@ function renderTranscripts() {
   updateDisposableBadge();
 }
 
+// ============================================
+// Search
+// ============================================
+
+function findTranscript(id) {
+  return transcripts.find(t => t.id === id) || searchResults.find(t => t.id === id);
+}
+
+/**
+ * Build a search snippet element with matches wrapped in <mark>
+ */
+function buildSnippet(parts) {
+  const snippet = document.createElement('span');
+  snippet.className = 'search-snippet';
+  parts.forEach(part => {
+    if (part.highlight) {
+      const mark = document.createElement('mark');
+      mark.textContent = part.text;
+      snippet.appendChild(mark);
+    } else {
+      snippet.appendChild(document.createTextNode(part.text));
+    }
+  });
+  return snippet;
+}
+
+function handleSearchInput() {
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(() => {
+    searchQuery = searchInput.value.trim();
+    if (searchQuery) {
+      searchTranscripts();
+    } else {
+      clearSearch();
+    }
+  }, SEARCH_DEBOUNCE_MS);
+}
+
+async function searchTranscripts(append = false) {
+  if (!searchQuery) return;
+
+  const query = searchQuery;
+  const params = new URLSearchParams({
+    q: query,
+    limit: SEARCH_PAGE_SIZE,
+    offset: append ? searchResults.length : 0
+  });
+
+  // Scope to the selected folder in the folders view
+  const selectedFolder = document.getElementById('folderFilterSelect')?.value;
+  if (currentRecordingsView === 'folders' && selectedFolder && selectedFolder !== 'all' && selectedFolder !== 'all-files') {
+    params.set('folderId', selectedFolder);
+  }
+  if (searchFromDate.value) params.set('from', searchFromDate.value);
+  if (searchToDate.value) params.set('to', searchToDate.value);
+  applyLengthFilter(params);
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/search?${params}`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Search failed');
+    }
+
+    const data = await response.json();
+    // Ignore responses for a query the user has since changed
+    if (query !== searchQuery) return;
+
+    searchResults = append ? searchResults.concat(data.results || []) : (data.results || []);
+    searchTotal = data.total || 0;
+
+    updateSearchStatus();
+    renderTranscripts();
+  } catch (error) {
+    console.error('Error searching transcripts:', error);
+    showToast(error.message || 'Search failed', 'error');
+  }
+}
+
+function updateSearchStatus() {
+  if (!searchQuery) {
+    searchStatus.style.display = 'none';
+    searchLoadMoreBtn.style.display = 'none';
+    return;
+  }
+
+  searchStatus.textContent = searchTotal === 0
+    ? `No transcripts match "${searchQuery}"`
+    : `${searchTotal} ${searchTotal === 1 ? 'result' : 'results'} for "${searchQuery}"`;
+  searchStatus.style.display = 'block';
+  searchLoadMoreBtn.style.display = searchResults.length < searchTotal ? 'block' : 'none';
+}
+
+function clearSearch() {
+  clearTimeout(searchDebounceTimer);
+  searchQuery = '';
+  searchResults = [];
+  searchTotal = 0;
+  searchInput.value = '';
+  updateSearchStatus();
+  renderTranscripts();
+}
+
+function setupSearchListeners() {
+  searchInput.addEventListener('input', handleSearchInput);
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && searchInput.value) {
+      e.stopPropagation();
+      clearSearch();
+    }
+  });
+
+  [searchFromDate, searchToDate].forEach(input => {
+    input.addEventListener('change', () => searchTranscripts());
+  });
+
+  searchLoadMoreBtn.addEventListener('click', () => searchTranscripts(true));
+
+  // Sort and length filter reload the list (which reruns an active search)
+  [historySortSelect, historyLengthSelect].forEach(select => {
+    select.addEventListener('change', () => loadTranscripts());
+  });
+}
+
+/**
+ * Add the selected length filter (minDuration/maxDuration) to request params
+ */
+function applyLengthFilter(params) {
+  const range = HISTORY_LENGTH_FILTERS[historyLengthSelect.value];
+  if (!range) return;
+  Object.entries(range).forEach(([key, value]) => params.set(key, value));
+}
+
+/**
+ * Query params for the history list: sort order and length filter
+ */
+function getHistoryListParams() {
+  const params = new URLSearchParams();
+  if (historySortSelect.value) params.set('sort', historySortSelect.value);
+  applyLengthFilter(params);
+  return params;
+}
+
+/**
+ * Put sort and length filter back to newest first / any length
+ * (views without the search bar always list everything)
+ * Returns true if anything changed, so the caller knows to reload
+ */
+function resetHistoryListFilters() {
+  const changed = historySortSelect.value !== 'newest' || historyLengthSelect.value !== '';
+  historySortSelect.value = 'newest';
+  historyLengthSelect.value = '';
+  return changed;
+}
+
 /**
  * Render folder cards in the main content area (for "All Folders" view)
  */
@@ -553,6 +873,8 @@ function renderFolderCards() {
 function showLoading() {
   loadingState.style.display = 'block';
   emptyState.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'none';
   recordingsList.style.display = 'none';
 }
 
@@ -562,6 +884,8 @@ function showLoading() {
 function showEmpty() {
   loadingState.style.display = 'none';
   emptyState.style.display = 'block';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'none';
   recordingsList.style.display = 'none';
 }
 
@@ -637,7 +961,7 @@ function openEmptyDisposableModal() {
   }
 
   const msg = document.getElementById('emptyDisposableMessage');
-  if (msg) msg.textContent = `This will permanently delete ${count} disposable note${count !== 1 ? 's' : ''}.`;
+  if (msg) msg.textContent = `This will move ${count} disposable note${count !== 1 ? 's' : ''} to the Trash.`;
 
   const confirmInput = document.getElementById('emptyDisposableConfirmInput');
   const confirmBtn = document.getElementById('confirmEmptyDisposable');
@@ -664,7 +988,7 @@ async function confirmEmptyDisposable() {
     if (!response.ok) throw new Error('Failed to delete');
 
     closeEmptyDisposableModal();
-    showToast(`Deleted ${count} disposable note${count !== 1 ? 's' : ''}`);
+    showToast(`Moved ${count} disposable note${count !== 1 ? 's' : ''} to the Trash`);
     loadTranscripts();
   } catch (error) {
     console.error('Error emptying disposable notes:', error);
@@ -673,672 +997,2066 @@ async function confirmEmptyDisposable() {
 }
 
 // ============================================
-// Player Modal
+// Trash
 // ============================================
 
-function openPlayerModal(id) {
-  const transcript = transcripts.find(t => t.id === id);
-  if (!transcript) return;
+// Recordings and folders in the Trash, and how many days they are kept there
+let trash = { transcripts: [], folders: [], retentionDays: 30 };
 
-  modalTranscriptId = id;
-  playerTitle.textContent = transcript.title || 'Untitled Recording';
-  modalTranscriptText.value = transcript.final_text || transcript.personalized_text || transcript.raw_text || '';
+/**
+ * Load the recordings and folders in the Trash from API
+ */
+async function loadTrash() {
+  if (!recordingsList) return;
 
-  if (transcript.audio_url) {
-    const audioUrl = `${config.apiUrl}/audio-proxy?url=${encodeURIComponent(transcript.audio_url)}`;
-    audioPlayer.src = audioUrl;
+  showLoading();
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/trash`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load trash');
+    }
+
+    const data = await response.json();
+    trash = {
+      transcripts: data.transcripts || [],
+      folders: data.folders || [],
+      retentionDays: data.retentionDays || trash.retentionDays
+    };
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    showToast('Failed to load trash', 'error');
+    trash = { ...trash, transcripts: [], folders: [] };
   }
 
-  playerModal.style.display = 'flex';
+  renderTrash();
 }
 
-function closePlayerModal() {
-  playerModal.style.display = 'none';
-  audioPlayer.pause();
-  audioPlayer.src = '';
-  modalTranscriptId = null;
-}
+/**
+ * Render the Trash, folders before recordings
+ */
+function renderTrash() {
+  if (!recordingsList) return;
 
-async function saveModalTranscript() {
-  if (!modalTranscriptId) {
-    showToast('No transcript to save', 'error');
-    return;
-  }
+  updateTrashCount();
 
-  const editedText = modalTranscriptText.value.trim();
-  if (!editedText) {
-    showToast('Cannot save empty transcript', 'error');
+  if (trash.transcripts.length === 0 && trash.folders.length === 0) {
+    showTrashEmpty();
     return;
   }
 
-  try {
-    const response = await authFetch(`${config.apiUrl}/transcripts/${modalTranscriptId}`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ finalText: editedText })
-    });
+  loadingState.style.display = 'none';
+  emptyState.style.display = 'none';
+  recordingsList.style.display = 'grid';
 
-    if (!response.ok) {
-      throw new Error('Failed to save');
-    }
+  recordingsList.replaceChildren();
+  trash.folders.forEach(folder => {
+    recordingsList.appendChild(buildTrashCard('folder', folder));
+  });
+  trash.transcripts.forEach(transcript => {
+    recordingsList.appendChild(buildTrashCard('transcript', transcript));
+  });
+}
 
-    showToast('Saved');
-    await loadTranscripts();
-  } catch (error) {
-    console.error('Save error:', error);
-    showToast('Failed to save', 'error');
-  }
+/**
+ * Describe how long until something in the Trash is deleted for good
+ */
+function describeTrashExpiry(deletedAt) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const days = Math.ceil((new Date(deletedAt).getTime() + trash.retentionDays * dayMs - Date.now()) / dayMs);
+  return days > 1 ? `Deleted for good in ${days} days` : 'Deleted for good within a day';
 }
 
-// ============================================
-// Delete Modal
-// ============================================
+/**
+ * Build a card for a recording ('transcript') or folder ('folder') in the Trash
+ */
+function buildTrashCard(kind, entry) {
+  const item = document.createElement('div');
+  item.className = 'recording-item trash-item';
+  item.dataset.id = entry.id;
 
-function openDeleteModal(id) {
-  deleteTargetId = id;
-  const confirmInput = document.getElementById('deleteConfirmInput');
-  const confirmBtn = document.getElementById('confirmDelete');
-  if (confirmInput) confirmInput.value = '';
-  if (confirmBtn) confirmBtn.disabled = true;
-  if (deleteModal) deleteModal.style.display = 'flex';
+  const infoGroup = document.createElement('div');
+  infoGroup.className = 'recording-info-group';
+
+  const nameDiv = document.createElement('div');
+  nameDiv.className = 'recording-name';
+  nameDiv.textContent = kind === 'folder' ? entry.name : (entry.title || 'Untitled Recording');
+  infoGroup.appendChild(nameDiv);
+
+  if (kind === 'folder' || entry.is_disposable) {
+    const badgesDiv = document.createElement('div');
+    badgesDiv.className = 'recording-badges';
+    const badge = document.createElement('span');
+    badge.className = kind === 'folder' ? 'recording-folder-badge' : 'recording-disposable-badge';
+    badge.textContent = kind === 'folder' ? 'Folder' : 'Quick Note';
+    badgesDiv.appendChild(badge);
+    infoGroup.appendChild(badgesDiv);
+  }
+
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'recording-meta';
+  const deletedSpan = document.createElement('span');
+  deletedSpan.textContent = `Deleted ${formatDate(entry.deleted_at)}`;
+  const expirySpan = document.createElement('span');
+  expirySpan.textContent = describeTrashExpiry(entry.deleted_at);
+  metaDiv.appendChild(deletedSpan);
+  metaDiv.appendChild(expirySpan);
+  if (kind === 'transcript') {
+    const textSpan = document.createElement('span');
+    textSpan.textContent = truncateText(entry.final_text || entry.personalized_text || entry.raw_text, 50);
+    metaDiv.appendChild(textSpan);
+  }
+  infoGroup.appendChild(metaDiv);
+
+  item.appendChild(infoGroup);
+
+  // Action buttons
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'recording-actions';
+
+  const buttons = [
+    { cls: 'restore-btn', label: kind === 'folder' ? 'Restore folder' : 'Restore recording', svg: '<polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>', handler: () => restoreTrashItem(kind, entry.id) },
+    { cls: 'delete-btn', label: 'Delete forever', svg: '<polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>', handler: () => deleteTrashItemForever(kind, entry.id) }
+  ];
+
+  buttons.forEach(b => {
+    const btn = document.createElement('button');
+    btn.className = 'icon-button ' + b.cls;
+    btn.setAttribute('aria-label', b.label);
+    btn.title = b.label;
+    // SVG icons are static markup, not user-controlled content
+    btn.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${b.svg}</svg>`;
+    btn.addEventListener('click', b.handler);
+    actionsDiv.appendChild(btn);
+  });
+
+  item.appendChild(actionsDiv);
+  return item;
 }
 
-function closeDeleteModal() {
-  if (deleteModal) deleteModal.style.display = 'none';
-  deleteTargetId = null;
+/**
+ * Update the count shown in the trash actions bar
+ */
+function updateTrashCount() {
+  const countEl = document.getElementById('trashCount');
+  if (!countEl) return;
+
+  const count = trash.transcripts.length + trash.folders.length;
+  countEl.textContent = `${count} item${count !== 1 ? 's' : ''}, kept for ${trash.retentionDays} days`;
 }
 
-async function handleConfirmDelete() {
-  if (!deleteTargetId) return;
+/**
+ * Show trash empty state
+ */
+function showTrashEmpty() {
+  loadingState.style.display = 'none';
+  emptyState.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'block';
+  recordingsList.style.display = 'none';
+}
 
+/**
+ * Take a recording or folder back out of the Trash
+ */
+async function restoreTrashItem(kind, id) {
   try {
-    const response = await authFetch(`${config.apiUrl}/transcripts/${deleteTargetId}`, {
-      method: 'DELETE'
+    const response = await authFetch(`${config.apiUrl}/trash/${kind}s/${id}/restore`, {
+      method: 'POST'
     });
 
-    if (!response.ok) {
-      throw new Error('Failed to delete');
-    }
+    if (!response.ok) throw new Error('Failed to restore');
 
-    showToast('Recording deleted');
-    closeDeleteModal();
-    await loadTranscripts();
+    showToast(kind === 'folder' ? 'Folder restored' : 'Recording restored');
+    if (kind === 'folder') await loadFolders();
+    await loadTrash();
   } catch (error) {
-    console.error('Error deleting transcript:', error);
-    showToast('Failed to delete recording', 'error');
+    console.error('Error restoring from trash:', error);
+    showToast(kind === 'folder' ? 'Failed to restore folder' : 'Failed to restore recording', 'error');
   }
 }
 
-// ============================================
-// Copy & Share
-// ============================================
+/**
+ * Delete one recording (with its audio) or folder in the Trash for good
+ */
+async function deleteTrashItemForever(kind, id) {
+  const what = kind === 'folder' ? 'folder' : 'recording and its audio';
+  if (!confirm(`Delete this ${what} forever? This cannot be undone.`)) return;
 
-async function copyTranscript(id) {
-  const transcript = transcripts.find(t => t.id === id);
-  const textToCopy = transcript?.final_text || transcript?.personalized_text || transcript?.raw_text;
+  try {
+    const response = await authFetch(`${config.apiUrl}/trash/${kind}s/${id}`, {
+      method: 'DELETE'
+    });
 
-  if (!textToCopy) {
-    showToast('No text to copy', 'error');
-    return;
-  }
+    if (!response.ok) throw new Error('Failed to delete');
 
-  try {
-    await navigator.clipboard.writeText(textToCopy);
-    showToast('Copied to clipboard');
+    showToast('Deleted forever');
+    await loadTrash();
   } catch (error) {
-    // Fallback for older browsers
-    const textarea = document.createElement('textarea');
-    textarea.value = textToCopy;
-    textarea.style.position = 'fixed';
-    textarea.style.opacity = '0';
-    document.body.appendChild(textarea);
-    textarea.select();
-    document.execCommand('copy');
-    document.body.removeChild(textarea);
-    showToast('Copied to clipboard');
+    console.error('Error deleting from trash:', error);
+    showToast(kind === 'folder' ? 'Failed to delete folder' : 'Failed to delete recording', 'error');
   }
 }
 
-function slugify(text) {
-  if (!text) return '';
-  return text
-    .toLowerCase()
-    .trim()
-    .replace(/[^\w\s-]/g, '')
-    .replace(/\s+/g, '-')
-    .replace(/-+/g, '-')
-    .substring(0, 50);
-}
-
-async function shareRecording(id) {
-  const transcript = transcripts.find(t => t.id === id);
-  if (!transcript) {
-    showToast('Recording not found', 'error');
+/**
+ * Empty the Trash
+ */
+function openEmptyTrashModal() {
+  const count = trash.transcripts.length + trash.folders.length;
+  if (count === 0) {
+    showToast('Trash is already empty');
     return;
   }
 
-  const shareUrl = `${config.apiUrl}/share-page/${id}`;
+  const msg = document.getElementById('emptyTrashMessage');
+  if (msg) msg.textContent = `This action cannot be undone. ${count} item${count !== 1 ? 's' : ''} in the Trash, including the audio, will be permanently deleted.`;
+
+  const confirmInput = document.getElementById('emptyTrashConfirmInput');
+  const confirmBtn = document.getElementById('confirmEmptyTrash');
+  if (confirmInput) confirmInput.value = '';
+  if (confirmBtn) confirmBtn.disabled = true;
+
+  const modal = document.getElementById('emptyTrashModal');
+  if (modal) modal.style.display = 'flex';
+}
+
+function closeEmptyTrashModal() {
+  const modal = document.getElementById('emptyTrashModal');
+  if (modal) modal.style.display = 'none';
+}
+
+async function confirmEmptyTrash() {
+  const count = trash.transcripts.length + trash.folders.length;
 
   try {
-    if (navigator.share) {
-      await navigator.share({
-        title: transcript.title || 'Voice Recording',
-        url: shareUrl.toString()
-      });
-      showToast('Shared');
-    } else {
-      await navigator.clipboard.writeText(shareUrl.toString());
-      showToast('Link copied');
-    }
+    const response = await authFetch(`${config.apiUrl}/trash`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok) throw new Error('Failed to empty trash');
+
+    closeEmptyTrashModal();
+    showToast(`Deleted ${count} item${count !== 1 ? 's' : ''} forever`);
+    loadTrash();
   } catch (error) {
-    if (error.name !== 'AbortError') {
-      try {
-        await navigator.clipboard.writeText(shareUrl.toString());
-        showToast('Link copied');
-      } catch (clipboardError) {
-        showToast('Failed to share', 'error');
-      }
-    }
+    console.error('Error emptying trash:', error);
+    showToast('Failed to empty trash', 'error');
   }
 }
 
 // ============================================
-// Move to Folder
+// Player Modal
 // ============================================
 
-function openMoveFolderModal(transcriptId) {
-  moveTargetId = transcriptId;
+function openPlayerModal(id) {
+  const transcript = findTranscript(id);
+  if (!transcript) return;
 
-  const select = document.getElementById('moveFolderSelect');
-  if (select) {
-    select.replaceChildren();
-    const defaultOpt = document.createElement('option');
-    defaultOpt.value = '';
-    defaultOpt.textContent = 'No Folder (Unfiled)';
-    select.appendChild(defaultOpt);
-    folders.forEach(folder => {
-      const option = document.createElement('option');
-      option.value = folder.id;
-      option.textContent = folder.name;
-      select.appendChild(option);
-    });
+  modalTranscriptId = id;
+  playerTitle.textContent = transcript.title || 'Untitled Recording';
+  modalTranscriptText.value = transcript.final_text || transcript.personalized_text || transcript.raw_text || '';
 
-    // Pre-select current folder
-    const transcript = transcripts.find(t => t.id === transcriptId);
-    if (transcript?.folder_id) {
-      select.value = transcript.folder_id;
-    }
+  if (transcript.audio_url) {
+    const audioUrl = `${config.apiUrl}/audio-proxy?url=${encodeURIComponent(transcript.audio_url)}`;
+    audioPlayer.src = audioUrl;
   }
 
-  const modal = document.getElementById('moveFolderModal');
-  if (modal) modal.style.display = 'flex';
+  resetModalExport(transcript);
+  renderModalSegments([]);
+  renderModalAutoCorrections(null);
+  renderModalVersions([]);
+  playerModal.style.display = 'flex';
+
+  loadModalSegments(id);
+  loadModalAutoCorrections(id);
+  loadModalVersions(id);
 }
 
-function closeMoveFolderModal() {
-  const modal = document.getElementById('moveFolderModal');
-  if (modal) modal.style.display = 'none';
-  moveTargetId = null;
+function closePlayerModal() {
+  playerModal.style.display = 'none';
+  audioPlayer.pause();
+  audioPlayer.src = '';
+  modalTranscriptId = null;
+  renderModalSegments([]);
+  renderModalAutoCorrections(null);
+  renderModalVersions([]);
 }
 
-async function confirmMoveFolder() {
-  if (!moveTargetId) return;
+function resetModalExport(transcript) {
+  modalExportScope.value = 'transcript';
+  modalExportScope.querySelector('option[value="series"]').hidden = !transcript.series_id;
+  modalExportScope.querySelector('option[value="folder"]').hidden = !transcript.folder_id;
+}
 
-  const select = document.getElementById('moveFolderSelect');
-  const folderId = select?.value || null;
+async function exportModalTranscript() {
+  const transcript = findTranscript(modalTranscriptId);
+  if (!transcript) return;
+
+  const scope = modalExportScope.value;
+  const format = modalExportFormat.value;
+
+  let endpoint = `${config.apiUrl}/transcripts/${transcript.id}/export`;
+  if (scope === 'series' && transcript.series_id) {
+    endpoint = `${config.apiUrl}/series/${transcript.series_id}/export`;
+  } else if (scope === 'folder' && transcript.folder_id) {
+    endpoint = `${config.apiUrl}/folders/${transcript.folder_id}/export`;
+  }
 
   try {
-    const response = await authFetch(`${config.apiUrl}/transcripts/${moveTargetId}/move`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ folderId })
-    });
+    const response = await authFetch(`${endpoint}?format=${format}`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Export failed');
+    }
 
-    if (!response.ok) throw new Error('Failed to move recording');
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await response.blob());
 
-    showToast(folderId ? 'Recording moved to folder' : 'Recording unfiled');
-    closeMoveFolderModal();
-    await loadTranscripts();
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = match ? match[1] : `transcript.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showToast('Exported');
   } catch (error) {
-    console.error('Error moving recording:', error);
-    showToast('Failed to move recording', 'error');
+    console.error('Error exporting transcript:', error);
+    showToast(error.message || 'Failed to export', 'error');
   }
 }
 
-// ============================================
-// Link to Series
-// ============================================
-
-function openSeriesModal(transcriptId) {
-  seriesTargetId = transcriptId;
-  const currentTranscript = transcripts.find(t => t.id === transcriptId);
-  if (!currentTranscript) return;
+// Segment timestamps are not part of the list query, so fetch them on open
+async function loadModalSegments(id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}`);
+    if (!response.ok) return;
 
-  const list = document.getElementById('seriesPickerList');
-  if (!list) return;
+    const data = await response.json();
+    if (modalTranscriptId !== id) return;
 
-  // Build list of recordings the user can link to (exclude self)
-  const candidates = transcripts.filter(t => t.id !== transcriptId && !t.is_disposable);
+    renderModalSegments(data.transcript?.segments || []);
+  } catch (error) {
+    console.error('Error loading transcript segments:', error);
+  }
+}
 
-  list.replaceChildren();
+function renderModalSegments(segments) {
+  modalTranscriptSegments.innerHTML = '';
+  modalPlayer.setSegments(segments);
 
-  if (candidates.length === 0) {
-    const emptyMsg = document.createElement('p');
-    emptyMsg.className = 'series-picker-empty';
-    emptyMsg.textContent = 'No other recordings to link with.';
-    list.appendChild(emptyMsg);
-  } else {
-    candidates.forEach(t => {
-      const item = document.createElement('div');
-      item.className = 'series-picker-item';
-      if (currentTranscript.series_id && t.series_id === currentTranscript.series_id) {
-        item.classList.add('same-series');
-      }
-      item.dataset.id = t.id;
-      item.dataset.seriesId = t.series_id || '';
+  if (segments.length === 0) {
+    modalSegmentsSection.style.display = 'none';
+    return;
+  }
 
-      const titleEl = document.createElement('div');
-      titleEl.className = 'series-picker-title';
-      let title = t.title || 'Untitled Recording';
-      if (t.series_order) title += ' \u2014 Part ' + t.series_order;
-      titleEl.textContent = title;
+  segments.forEach((segment, index) => {
+    const el = document.createElement('span');
+    el.className = 'transcript-segment';
+    el.dataset.index = index;
+    el.title = AudioPlayer.formatTime(segment.start);
+    el.textContent = segment.text + ' ';
+    el.addEventListener('click', () => seekToModalSegment(index));
+    modalTranscriptSegments.appendChild(el);
+  });
 
-      const metaEl = document.createElement('div');
-      metaEl.className = 'series-picker-meta';
-      const parts = [];
-      parts.push(formatDate(t.created_at));
-      const folder = folders.find(f => f.id === t.folder_id);
-      if (folder) parts.push(folder.name);
-      if (t.series_id) parts.push('Series');
-      metaEl.textContent = parts.join(' \u00b7 ');
+  modalTranscriptSegments.scrollTop = 0;
+  modalSegmentsSection.style.display = 'block';
+}
 
-      item.appendChild(titleEl);
-      item.appendChild(metaEl);
+function seekToModalSegment(index) {
+  if (!audioPlayer.src) return;
 
-      item.addEventListener('click', () => {
-        list.querySelectorAll('.series-picker-item').forEach(i => i.classList.remove('selected'));
-        item.classList.add('selected');
-      });
+  modalPlayer.seekToSegment(index);
+  modalPlayer.play().catch(error => console.error('Error playing segment:', error));
+}
 
-      list.appendChild(item);
-    });
-  }
+function highlightModalSegment(index) {
+  const previous = modalTranscriptSegments.querySelector('.transcript-segment.active');
+  if (previous) previous.classList.remove('active');
 
-  // Update modal title context
-  const titleEl = document.getElementById('seriesModalTitle');
-  if (titleEl) titleEl.textContent = currentTranscript.title || 'Untitled Recording';
+  const current = modalTranscriptSegments.querySelector(`.transcript-segment[data-index="${index}"]`);
+  if (!current) return;
 
-  const modal = document.getElementById('seriesModal');
-  if (modal) modal.style.display = 'flex';
+  current.classList.add('active');
+  modalTranscriptSegments.scrollTo({
+    top: current.offsetTop - modalTranscriptSegments.clientHeight / 3,
+    behavior: 'smooth'
+  });
 }
 
-function closeSeriesModal() {
-  const modal = document.getElementById('seriesModal');
-  if (modal) modal.style.display = 'none';
-  seriesTargetId = null;
+// Which corrections personalization applied, shown as a diff that can be undone
+async function loadModalAutoCorrections(id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/corrections`);
+    if (!response.ok) return;
+
+    const data = await response.json();
+    if (modalTranscriptId !== id) return;
+
+    renderModalAutoCorrections(data);
+  } catch (error) {
+    console.error('Error loading applied corrections:', error);
+  }
 }
 
-async function confirmLinkSeries() {
-  if (!seriesTargetId) return;
+function renderModalAutoCorrections(data) {
+  modalAutoCorrections = data;
+  modalAutoCorrectionsText.replaceChildren();
 
-  const list = document.getElementById('seriesPickerList');
-  const selected = list?.querySelector('.series-picker-item.selected');
-  if (!selected) {
-    showToast('Select a recording to link with');
+  const applied = data?.appliedCorrections || [];
+  if (applied.length === 0) {
+    modalAutoCorrectionsSection.style.display = 'none';
     return;
   }
 
-  const linkedId = selected.dataset.id;
-  const existingSeriesId = selected.dataset.seriesId || null;
+  modalAutoCorrectionsNote.textContent = data.edited
+    ? 'You have edited this transcript since; undoing fixes the auto-corrected version and stops the correction being applied again.'
+    : 'Undo puts back what Whisper wrote and stops the correction being applied again.';
 
-  try {
-    let seriesId = existingSeriesId;
+  const text = data.personalizedText || '';
+  let cursor = 0;
+  applied.forEach((entry, index) => {
+    modalAutoCorrectionsText.appendChild(document.createTextNode(text.slice(cursor, entry.start)));
 
-    if (!seriesId) {
-      // Start a new series with the selected recording as Part 1
-      const res1 = await authFetch(`${config.apiUrl}/transcripts/${linkedId}/series`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({})
-      });
-      if (!res1.ok) throw new Error('Failed to start series');
-      const data1 = await res1.json();
-      seriesId = data1.seriesId;
+    if (entry.original.trim()) {
+      const del = document.createElement('del');
+      del.className = 'auto-correction-original';
+      del.textContent = entry.original;
+      modalAutoCorrectionsText.appendChild(del);
+    }
+    const corrected = text.slice(entry.start, entry.end);
+    if (corrected.trim()) {
+      const ins = document.createElement('ins');
+      ins.className = 'auto-correction';
+      ins.textContent = corrected;
+      modalAutoCorrectionsText.appendChild(ins);
     }
 
-    // Now add our recording to that series
-    const res2 = await authFetch(`${config.apiUrl}/transcripts/${seriesTargetId}/series`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ seriesId })
+    const undoBtn = document.createElement('button');
+    undoBtn.className = 'auto-correction-undo';
+    undoBtn.textContent = 'Undo';
+    // Glossary spellings keep applying until the term is removed from the glossary
+    const undoLabel = entry.kind === 'glossary' ? 'Undo this glossary spelling' : 'Undo and stop learning this';
+    undoBtn.title = undoLabel;
+    undoBtn.setAttribute('aria-label', undoLabel);
+    undoBtn.addEventListener('click', () => undoModalAutoCorrection(index));
+    modalAutoCorrectionsText.appendChild(undoBtn);
+
+    cursor = entry.end;
+  });
+  modalAutoCorrectionsText.appendChild(document.createTextNode(text.slice(cursor)));
+
+  modalAutoCorrectionsSection.style.display = 'block';
+}
+
+async function undoModalAutoCorrection(index) {
+  const id = modalTranscriptId;
+  if (!id || !modalAutoCorrections) return;
+
+  const previousText = modalAutoCorrections.personalizedText;
+  const isGlossary = modalAutoCorrections.appliedCorrections[index]?.kind === 'glossary';
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/corrections/${index}/undo`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) throw new Error('Failed to undo correction');
+
+    const data = await response.json();
+    const transcript = data.transcript;
+    showToast(isGlossary ? 'Glossary spelling undone' : 'Correction undone and won\'t be applied again');
+    if (modalTranscriptId !== id) return;
+
+    // Only replace the text box if it still shows the untouched auto-corrected text
+    if (modalTranscriptText.value === previousText) {
+      modalTranscriptText.value = transcript.final_text || transcript.personalized_text || '';
+    }
+    renderModalAutoCorrections({
+      personalizedText: transcript.personalized_text || '',
+      appliedCorrections: transcript.applied_corrections || [],
+      edited: modalAutoCorrections.edited
     });
-    if (!res2.ok) throw new Error('Failed to link to series');
 
-    showToast('Linked to series');
-    closeSeriesModal();
     await loadTranscripts();
   } catch (error) {
-    console.error('Error linking series:', error);
-    showToast('Failed to link to series', 'error');
+    console.error('Error undoing correction:', error);
+    showToast('Failed to undo correction', 'error');
   }
 }
 
-// ============================================
-// Folder Rename & Delete
-// ============================================
+// Labels for how each version of a transcript came about
+const VERSION_SOURCE_LABELS = {
+  transcription: 'Transcribed',
+  edit: 'Edited',
+  revert: 'Restored'
+};
 
-function openRenameFolderModal() {
-  const folderFilterSelect = document.getElementById('folderFilterSelect');
-  const selectedId = folderFilterSelect?.value;
-  if (!selectedId || selectedId === 'all' || selectedId === 'all-files') return;
+// Fetch the open transcript's saved versions for the edit history timeline
+async function loadModalVersions(id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/versions`);
+    if (!response.ok) return;
 
-  const folder = folders.find(f => f.id === selectedId);
-  if (!folder) return;
+    const data = await response.json();
+    // Ignore the response if the modal has moved on to another recording
+    if (modalTranscriptId !== id) return;
 
-  renameFolderTargetId = selectedId;
-  const input = document.getElementById('renameFolderInput');
-  if (input) input.value = folder.name;
+    renderModalVersions(data.versions || []);
+  } catch (error) {
+    console.error('Error loading transcript versions:', error);
+  }
+}
 
-  const modal = document.getElementById('renameFolderModal');
-  if (modal) modal.style.display = 'flex';
-  if (input) input.focus();
+// Render the edit history timeline, newest (current) version first.
+// Hidden until the transcript has been edited.
+function renderModalVersions(versions) {
+  if (!modalVersionsSection || !modalVersionsList) return;
+
+  modalVersions = versions;
+  modalSelectedVersion = null;
+  modalVersionsList.replaceChildren();
+  modalVersionDetail.style.display = 'none';
+
+  if (versions.length === 0) {
+    modalVersionsSection.style.display = 'none';
+    return;
+  }
+
+  versions.forEach((version, index) => {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'version-item';
+    item.dataset.version = version.version;
+
+    const label = document.createElement('span');
+    label.className = 'version-label';
+    label.textContent = `v${version.version} · ` + (version.source === 'revert'
+      ? `Restored v${version.reverted_to}`
+      : VERSION_SOURCE_LABELS[version.source] || 'Edited');
+    item.appendChild(label);
+
+    const meta = document.createElement('span');
+    meta.className = 'version-meta';
+    const parts = [formatDate(version.created_at)];
+    if (version.added || version.removed) parts.push(`+${version.added} −${version.removed} words`);
+    if (index === 0) parts.push('current');
+    meta.textContent = parts.join(' · ');
+    item.appendChild(meta);
+
+    item.addEventListener('click', () => selectModalVersion(version.version));
+    modalVersionsList.appendChild(item);
+  });
+
+  modalVersionsSection.style.display = 'block';
 }
 
-function closeRenameFolderModal() {
-  const modal = document.getElementById('renameFolderModal');
-  if (modal) modal.style.display = 'none';
-  renameFolderTargetId = null;
+// Fetch one version and show what it changed
+async function selectModalVersion(versionNumber) {
+  const id = modalTranscriptId;
+  if (!id) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/versions/${versionNumber}`);
+    if (!response.ok) throw new Error('Failed to load version');
+
+    const data = await response.json();
+    if (modalTranscriptId !== id) return;
+
+    modalSelectedVersion = data.version;
+    renderModalVersionDetail(data.version);
+  } catch (error) {
+    console.error('Error loading transcript version:', error);
+    showToast('Failed to load version', 'error');
+  }
 }
 
-async function confirmRenameFolder() {
-  if (!renameFolderTargetId) return;
+// Show a version's changes from the one before it (the first version, as
+// transcribed, is shown whole), with a restore button unless it is current
+function renderModalVersionDetail(version) {
+  modalVersionsList.querySelectorAll('.version-item').forEach(item => {
+    item.classList.toggle('active', Number(item.dataset.version) === version.version);
+  });
+  modalVersionChanges.replaceChildren();
 
-  const input = document.getElementById('renameFolderInput');
-  const name = input?.value?.trim();
-  if (!name) {
-    showToast('Please enter a folder name');
+  const changes = version.diff?.changes || [];
+  if (version.version === 1) {
+    modalVersionChanges.textContent = version.text;
+  } else if (changes.length === 0) {
+    modalVersionChanges.textContent = 'No changes to the text.';
+  }
+
+  changes.forEach(change => {
+    const line = document.createElement('div');
+    line.className = 'version-change';
+    if (change.before) line.appendChild(document.createTextNode(`…${change.before} `));
+    if (change.removed) {
+      const del = document.createElement('del');
+      del.className = 'auto-correction-original';
+      del.textContent = change.removed;
+      line.appendChild(del);
+      line.appendChild(document.createTextNode(' '));
+    }
+    if (change.added) {
+      const ins = document.createElement('ins');
+      ins.className = 'auto-correction';
+      ins.textContent = change.added;
+      line.appendChild(ins);
+      line.appendChild(document.createTextNode(' '));
+    }
+    if (change.after) line.appendChild(document.createTextNode(`${change.after}…`));
+    modalVersionChanges.appendChild(line);
+  });
+
+  const isCurrent = modalVersions.length > 0 && modalVersions[0].version === version.version;
+  revertVersionBtn.style.display = isCurrent ? 'none' : 'inline-flex';
+  modalVersionDetail.style.display = 'block';
+}
+
+// Restore the selected version. The current text stays in the history, and
+// corrections learned only from the edits being undone are forgotten.
+async function revertModalVersion() {
+  const id = modalTranscriptId;
+  const version = modalSelectedVersion;
+  if (!id || !version) return;
+  if (!confirm(`Restore version ${version.version}? The current text stays in the edit history.`)) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${id}/versions/${version.version}/revert`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) throw new Error('Failed to restore version');
+
+    const data = await response.json();
+    const forgotten = data.forgottenCorrections || 0;
+    showToast(forgotten > 0
+      ? `Version ${version.version} restored; ${forgotten} correction${forgotten !== 1 ? 's' : ''} learned from the undone edits forgotten`
+      : `Version ${version.version} restored`);
+    if (modalTranscriptId !== id) return;
+
+    modalTranscriptText.value = data.transcript.final_text || '';
+    await loadModalVersions(id);
+    await loadTranscripts();
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    showToast('Failed to restore version', 'error');
+  }
+}
+
+async function saveModalTranscript() {
+  if (!modalTranscriptId) {
+    showToast('No transcript to save', 'error');
+    return;
+  }
+
+  const editedText = modalTranscriptText.value.trim();
+  if (!editedText) {
+    showToast('Cannot save empty transcript', 'error');
     return;
   }
 
   try {
-    const response = await authFetch(`${config.apiUrl}/folders/${renameFolderTargetId}`, {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${modalTranscriptId}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ name })
+      body: JSON.stringify({ finalText: editedText })
     });
 
-    if (!response.ok) throw new Error('Failed to rename folder');
+    if (!response.ok) {
+      throw new Error('Failed to save');
+    }
 
-    showToast('Folder renamed');
-    closeRenameFolderModal();
-    await loadFolders();
-    renderTranscripts();
+    showToast('Saved');
+    loadModalVersions(modalTranscriptId);
+    await loadTranscripts();
   } catch (error) {
-    console.error('Error renaming folder:', error);
-    showToast('Failed to rename folder', 'error');
+    console.error('Save error:', error);
+    showToast('Failed to save', 'error');
   }
 }
 
-function openDeleteFolderModal() {
-  const folderFilterSelect = document.getElementById('folderFilterSelect');
-  const selectedId = folderFilterSelect?.value;
-  if (!selectedId || selectedId === 'all' || selectedId === 'all-files') return;
+// ============================================
+// Delete Modal
+// ============================================
 
-  deleteFolderTargetId = selectedId;
-  const modal = document.getElementById('deleteFolderModal');
-  const confirmInput = document.getElementById('deleteFolderConfirmInput');
-  const confirmBtn = document.getElementById('confirmDeleteFolder');
+function openDeleteModal(id) {
+  deleteTargetId = id;
+  const confirmInput = document.getElementById('deleteConfirmInput');
+  const confirmBtn = document.getElementById('confirmDelete');
   if (confirmInput) confirmInput.value = '';
   if (confirmBtn) confirmBtn.disabled = true;
+  if (deleteModal) deleteModal.style.display = 'flex';
+}
+
+function closeDeleteModal() {
+  if (deleteModal) deleteModal.style.display = 'none';
+  deleteTargetId = null;
+}
+
+async function handleConfirmDelete() {
+  if (!deleteTargetId) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${deleteTargetId}`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to delete');
+    }
+
+    showToast('Recording moved to the Trash');
+    closeDeleteModal();
+    await loadTranscripts();
+  } catch (error) {
+    console.error('Error deleting transcript:', error);
+    showToast('Failed to delete recording', 'error');
+  }
+}
+
+// ============================================
+// Copy & Share
+// ============================================
+
+async function copyTranscript(id) {
+  const transcript = findTranscript(id);
+  const textToCopy = transcript?.final_text || transcript?.personalized_text || transcript?.raw_text;
+
+  if (!textToCopy) {
+    showToast('No text to copy', 'error');
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(textToCopy);
+    showToast('Copied to clipboard');
+  } catch (error) {
+    // Fallback for older browsers
+    const textarea = document.createElement('textarea');
+    textarea.value = textToCopy;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    document.execCommand('copy');
+    document.body.removeChild(textarea);
+    showToast('Copied to clipboard');
+  }
+}
+
+function slugify(text) {
+  if (!text) return '';
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .substring(0, 50);
+}
+
+async function shareRecording(id) {
+  const transcript = findTranscript(id);
+  if (!transcript) {
+    showToast('Recording not found', 'error');
+    return;
+  }
+
+  const shareUrl = `${config.apiUrl}/share-page/${id}`;
+
+  try {
+    if (navigator.share) {
+      await navigator.share({
+        title: transcript.title || 'Voice Recording',
+        url: shareUrl.toString()
+      });
+      showToast('Shared');
+    } else {
+      await navigator.clipboard.writeText(shareUrl.toString());
+      showToast('Link copied');
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      try {
+        await navigator.clipboard.writeText(shareUrl.toString());
+        showToast('Link copied');
+      } catch (clipboardError) {
+        showToast('Failed to share', 'error');
+      }
+    }
+  }
+}
+
+// ============================================
+// Move to Folder
+// ============================================
+
+function openMoveFolderModal(transcriptId) {
+  moveTargetId = transcriptId;
+
+  const select = document.getElementById('moveFolderSelect');
+  if (select) {
+    select.replaceChildren();
+    const defaultOpt = document.createElement('option');
+    defaultOpt.value = '';
+    defaultOpt.textContent = 'No Folder (Unfiled)';
+    select.appendChild(defaultOpt);
+    folders.forEach(folder => {
+      const option = document.createElement('option');
+      option.value = folder.id;
+      option.textContent = folder.name;
+      select.appendChild(option);
+    });
+
+    // Pre-select current folder
+    const transcript = findTranscript(transcriptId);
+    if (transcript?.folder_id) {
+      select.value = transcript.folder_id;
+    }
+  }
+
+  const modal = document.getElementById('moveFolderModal');
+  if (modal) modal.style.display = 'flex';
+}
+
+function closeMoveFolderModal() {
+  const modal = document.getElementById('moveFolderModal');
+  if (modal) modal.style.display = 'none';
+  moveTargetId = null;
+}
+
+async function confirmMoveFolder() {
+  if (!moveTargetId) return;
+
+  const select = document.getElementById('moveFolderSelect');
+  const folderId = select?.value || null;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/transcripts/${moveTargetId}/move`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ folderId })
+    });
+
+    if (!response.ok) throw new Error('Failed to move recording');
+
+    showToast(folderId ? 'Recording moved to folder' : 'Recording unfiled');
+    closeMoveFolderModal();
+    await loadTranscripts();
+  } catch (error) {
+    console.error('Error moving recording:', error);
+    showToast('Failed to move recording', 'error');
+  }
+}
+
+// ============================================
+// Link to Series
+// ============================================
+
+function openSeriesModal(transcriptId) {
+  seriesTargetId = transcriptId;
+  const currentTranscript = findTranscript(transcriptId);
+  if (!currentTranscript) return;
+
+  const list = document.getElementById('seriesPickerList');
+  if (!list) return;
+
+  // Build list of recordings the user can link to (exclude self)
+  const candidates = transcripts.filter(t => t.id !== transcriptId && !t.is_disposable);
+
+  list.replaceChildren();
+
+  if (candidates.length === 0) {
+    const emptyMsg = document.createElement('p');
+    emptyMsg.className = 'series-picker-empty';
+    emptyMsg.textContent = 'No other recordings to link with.';
+    list.appendChild(emptyMsg);
+  } else {
+    candidates.forEach(t => {
+      const item = document.createElement('div');
+      item.className = 'series-picker-item';
+      if (currentTranscript.series_id && t.series_id === currentTranscript.series_id) {
+        item.classList.add('same-series');
+      }
+      item.dataset.id = t.id;
+      item.dataset.seriesId = t.series_id || '';
+
+      const titleEl = document.createElement('div');
+      titleEl.className = 'series-picker-title';
+      let title = t.title || 'Untitled Recording';
+      if (t.series_order) title += ' \u2014 Part ' + t.series_order;
+      titleEl.textContent = title;
+
+      const metaEl = document.createElement('div');
+      metaEl.className = 'series-picker-meta';
+      const parts = [];
+      parts.push(formatDate(t.created_at));
+      const folder = folders.find(f => f.id === t.folder_id);
+      if (folder) parts.push(folder.name);
+      if (t.series_id) parts.push('Series');
+      metaEl.textContent = parts.join(' \u00b7 ');
+
+      item.appendChild(titleEl);
+      item.appendChild(metaEl);
+
+      item.addEventListener('click', () => {
+        list.querySelectorAll('.series-picker-item').forEach(i => i.classList.remove('selected'));
+        item.classList.add('selected');
+      });
+
+      list.appendChild(item);
+    });
+  }
+
+  // Update modal title context
+  const titleEl = document.getElementById('seriesModalTitle');
+  if (titleEl) titleEl.textContent = currentTranscript.title || 'Untitled Recording';
+
+  const modal = document.getElementById('seriesModal');
+  if (modal) modal.style.display = 'flex';
+}
+
+function closeSeriesModal() {
+  const modal = document.getElementById('seriesModal');
+  if (modal) modal.style.display = 'none';
+  seriesTargetId = null;
+}
+
+async function confirmLinkSeries() {
+  if (!seriesTargetId) return;
+
+  const list = document.getElementById('seriesPickerList');
+  const selected = list?.querySelector('.series-picker-item.selected');
+  if (!selected) {
+    showToast('Select a recording to link with');
+    return;
+  }
+
+  const linkedId = selected.dataset.id;
+  const existingSeriesId = selected.dataset.seriesId || null;
+
+  try {
+    let seriesId = existingSeriesId;
+
+    if (!seriesId) {
+      // Start a new series with the selected recording as Part 1
+      const res1 = await authFetch(`${config.apiUrl}/transcripts/${linkedId}/series`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      if (!res1.ok) throw new Error('Failed to start series');
+      const data1 = await res1.json();
+      seriesId = data1.seriesId;
+    }
+
+    // Now add our recording to that series
+    const res2 = await authFetch(`${config.apiUrl}/transcripts/${seriesTargetId}/series`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ seriesId })
+    });
+    if (!res2.ok) throw new Error('Failed to link to series');
+
+    showToast('Linked to series');
+    closeSeriesModal();
+    await loadTranscripts();
+  } catch (error) {
+    console.error('Error linking series:', error);
+    showToast('Failed to link to series', 'error');
+  }
+}
+
+// ============================================
+// Folder Rename & Delete
+// ============================================
+
+function openRenameFolderModal() {
+  const folderFilterSelect = document.getElementById('folderFilterSelect');
+  const selectedId = folderFilterSelect?.value;
+  if (!selectedId || selectedId === 'all' || selectedId === 'all-files') return;
+
+  const folder = folders.find(f => f.id === selectedId);
+  if (!folder) return;
+
+  renameFolderTargetId = selectedId;
+  const input = document.getElementById('renameFolderInput');
+  if (input) input.value = folder.name;
+
+  const modal = document.getElementById('renameFolderModal');
+  if (modal) modal.style.display = 'flex';
+  if (input) input.focus();
+}
+
+function closeRenameFolderModal() {
+  const modal = document.getElementById('renameFolderModal');
+  if (modal) modal.style.display = 'none';
+  renameFolderTargetId = null;
+}
+
+async function confirmRenameFolder() {
+  if (!renameFolderTargetId) return;
+
+  const input = document.getElementById('renameFolderInput');
+  const name = input?.value?.trim();
+  if (!name) {
+    showToast('Please enter a folder name');
+    return;
+  }
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/folders/${renameFolderTargetId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+
+    if (!response.ok) throw new Error('Failed to rename folder');
+
+    showToast('Folder renamed');
+    closeRenameFolderModal();
+    await loadFolders();
+    renderTranscripts();
+  } catch (error) {
+    console.error('Error renaming folder:', error);
+    showToast('Failed to rename folder', 'error');
+  }
+}
+
+function openDeleteFolderModal() {
+  const folderFilterSelect = document.getElementById('folderFilterSelect');
+  const selectedId = folderFilterSelect?.value;
+  if (!selectedId || selectedId === 'all' || selectedId === 'all-files') return;
+
+  deleteFolderTargetId = selectedId;
+  const modal = document.getElementById('deleteFolderModal');
+  const confirmInput = document.getElementById('deleteFolderConfirmInput');
+  const confirmBtn = document.getElementById('confirmDeleteFolder');
+  if (confirmInput) confirmInput.value = '';
+  if (confirmBtn) confirmBtn.disabled = true;
+  if (modal) modal.style.display = 'flex';
+}
+
+function closeDeleteFolderModal() {
+  const modal = document.getElementById('deleteFolderModal');
+  if (modal) modal.style.display = 'none';
+  deleteFolderTargetId = null;
+}
+
+async function confirmDeleteFolder() {
+  if (!deleteFolderTargetId) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/folders/${deleteFolderTargetId}`, {
+      method: 'DELETE'
+    });
+
+    if (!response.ok) throw new Error('Failed to delete folder');
+
+    showToast('Folder moved to the Trash');
+    closeDeleteFolderModal();
+
+    // Switch back to "All Folders"
+    const folderFilterSelect = document.getElementById('folderFilterSelect');
+    if (folderFilterSelect) folderFilterSelect.value = 'all';
+
+    await loadFolders();
+    await loadTranscripts();
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    showToast('Failed to delete folder', 'error');
+  }
+}
+
+// ============================================
+// Multi-Select Mode
+// ============================================
+
+function toggleSelectMode() {
+  selectMode = !selectMode;
+  selectedIds.clear();
+
+  const btn = document.getElementById('selectModeBtn');
+  if (btn) btn.classList.toggle('active', selectMode);
+
+  updateSelectUI();
+  renderTranscripts();
+}
+
+function exitSelectMode() {
+  selectMode = false;
+  selectedIds.clear();
+
+  const btn = document.getElementById('selectModeBtn');
+  if (btn) btn.classList.remove('active');
+
+  updateSelectUI();
+  renderTranscripts();
+}
+
+function updateSelectUI() {
+  const bar = document.getElementById('bulkActionsBar');
+  const countEl = document.getElementById('bulkCount');
+
+  if (bar) bar.style.display = selectMode ? 'flex' : 'none';
+  if (countEl) countEl.textContent = `${selectedIds.size} selected`;
+
+  // Update card selected state without full re-render
+  document.querySelectorAll('.recording-item').forEach(item => {
+    const id = item.dataset.id;
+    const cb = item.querySelector('.select-checkbox input');
+    if (selectedIds.has(id)) {
+      item.classList.add('selected');
+      if (cb) cb.checked = true;
+    } else {
+      item.classList.remove('selected');
+      if (cb) cb.checked = false;
+    }
+  });
+}
+
+function bulkSelectAll() {
+  if (!recordingsList) return;
+
+  recordingsList.querySelectorAll('.recording-item').forEach(item => {
+    selectedIds.add(item.dataset.id);
+  });
+  updateSelectUI();
+}
+
+function openBulkDeleteModal() {
+  if (selectedIds.size === 0) {
+    showToast('No recordings selected');
+    return;
+  }
+
+  const msg = document.getElementById('bulkDeleteMessage');
+  if (msg) msg.textContent = `This will move ${selectedIds.size} recording${selectedIds.size !== 1 ? 's' : ''} to the Trash.`;
+
+  const confirmInput = document.getElementById('bulkDeleteConfirmInput');
+  const confirmBtn = document.getElementById('confirmBulkDelete');
+  if (confirmInput) confirmInput.value = '';
+  if (confirmBtn) confirmBtn.disabled = true;
+
+  const modal = document.getElementById('bulkDeleteModal');
+  if (modal) modal.style.display = 'flex';
+}
+
+function closeBulkDeleteModal() {
+  const modal = document.getElementById('bulkDeleteModal');
+  if (modal) modal.style.display = 'none';
+}
+
+async function confirmBulkDelete() {
+  const ids = [...selectedIds];
+  const count = ids.length;
+
+  try {
+    const results = await Promise.all(ids.map(id =>
+      authFetch(`${config.apiUrl}/transcripts/${id}`, { method: 'DELETE' })
+    ));
+
+    const failed = results.filter(r => !r.ok).length;
+
+    closeBulkDeleteModal();
+    exitSelectMode();
+
+    if (failed === 0) {
+      showToast(`Moved ${count} recording${count !== 1 ? 's' : ''} to the Trash`);
+    } else {
+      showToast(`Moved ${count - failed} of ${count} recordings to the Trash`);
+    }
+
+    await loadTranscripts();
+  } catch (error) {
+    console.error('Error bulk deleting:', error);
+    showToast('Failed to delete some recordings', 'error');
+  }
+}
+
+// ============================================
+// Folder Management Event Listeners
+// ============================================
+
+function setupFolderManagementListeners() {
+  // Rename folder
+  const renameFolderBtn = document.getElementById('renameFolderBtn');
+  if (renameFolderBtn) renameFolderBtn.addEventListener('click', openRenameFolderModal);
+
+  const closeRenameFolderBtn = document.getElementById('closeRenameFolder');
+  if (closeRenameFolderBtn) closeRenameFolderBtn.addEventListener('click', closeRenameFolderModal);
+
+  const cancelRenameFolderBtn = document.getElementById('cancelRenameFolder');
+  if (cancelRenameFolderBtn) cancelRenameFolderBtn.addEventListener('click', closeRenameFolderModal);
+
+  const confirmRenameFolderBtn = document.getElementById('confirmRenameFolder');
+  if (confirmRenameFolderBtn) confirmRenameFolderBtn.addEventListener('click', confirmRenameFolder);
+
+  // Allow Enter to confirm rename
+  const renameFolderInput = document.getElementById('renameFolderInput');
+  if (renameFolderInput) {
+    renameFolderInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') confirmRenameFolder();
+    });
+  }
+
+  // Delete folder
+  const deleteFolderBtn = document.getElementById('deleteFolderBtn');
+  if (deleteFolderBtn) deleteFolderBtn.addEventListener('click', openDeleteFolderModal);
+
+  const closeDeleteFolderBtn = document.getElementById('closeDeleteFolder');
+  if (closeDeleteFolderBtn) closeDeleteFolderBtn.addEventListener('click', closeDeleteFolderModal);
+
+  const cancelDeleteFolderBtn = document.getElementById('cancelDeleteFolder');
+  if (cancelDeleteFolderBtn) cancelDeleteFolderBtn.addEventListener('click', closeDeleteFolderModal);
+
+  const confirmDeleteFolderBtn = document.getElementById('confirmDeleteFolder');
+  if (confirmDeleteFolderBtn) confirmDeleteFolderBtn.addEventListener('click', confirmDeleteFolder);
+
+  // Delete folder confirm input
+  const deleteFolderConfirmInput = document.getElementById('deleteFolderConfirmInput');
+  if (deleteFolderConfirmInput) {
+    deleteFolderConfirmInput.addEventListener('input', () => {
+      const confirmBtn = document.getElementById('confirmDeleteFolder');
+      if (confirmBtn) confirmBtn.disabled = deleteFolderConfirmInput.value !== 'DELETE';
+    });
+  }
+
+  // Move to folder modal
+  const closeMoveFolderBtn = document.getElementById('closeMoveFolder');
+  if (closeMoveFolderBtn) closeMoveFolderBtn.addEventListener('click', closeMoveFolderModal);
+
+  const cancelMoveFolderBtn = document.getElementById('cancelMoveFolder');
+  if (cancelMoveFolderBtn) cancelMoveFolderBtn.addEventListener('click', closeMoveFolderModal);
+
+  const confirmMoveFolderBtn = document.getElementById('confirmMoveFolder');
+  if (confirmMoveFolderBtn) confirmMoveFolderBtn.addEventListener('click', confirmMoveFolder);
+
+  // Series modal
+  const closeSeriesModalBtn = document.getElementById('closeSeriesModal');
+  if (closeSeriesModalBtn) closeSeriesModalBtn.addEventListener('click', closeSeriesModal);
+
+  const cancelSeriesModalBtn = document.getElementById('cancelSeriesModal');
+  if (cancelSeriesModalBtn) cancelSeriesModalBtn.addEventListener('click', closeSeriesModal);
+
+  const confirmSeriesModalBtn = document.getElementById('confirmSeriesModal');
+  if (confirmSeriesModalBtn) confirmSeriesModalBtn.addEventListener('click', confirmLinkSeries);
+
+  // Delete recording confirm input
+  const deleteConfirmInput = document.getElementById('deleteConfirmInput');
+  if (deleteConfirmInput) {
+    deleteConfirmInput.addEventListener('input', () => {
+      const confirmBtn = document.getElementById('confirmDelete');
+      if (confirmBtn) confirmBtn.disabled = deleteConfirmInput.value !== 'DELETE';
+    });
+  }
+
+  // Empty disposable modal
+  const closeEmptyDisposableBtn = document.getElementById('closeEmptyDisposable');
+  if (closeEmptyDisposableBtn) closeEmptyDisposableBtn.addEventListener('click', closeEmptyDisposableModal);
+
+  const cancelEmptyDisposableBtn = document.getElementById('cancelEmptyDisposable');
+  if (cancelEmptyDisposableBtn) cancelEmptyDisposableBtn.addEventListener('click', closeEmptyDisposableModal);
+
+  const confirmEmptyDisposableBtn = document.getElementById('confirmEmptyDisposable');
+  if (confirmEmptyDisposableBtn) confirmEmptyDisposableBtn.addEventListener('click', confirmEmptyDisposable);
+
+  const emptyDisposableConfirmInput = document.getElementById('emptyDisposableConfirmInput');
+  if (emptyDisposableConfirmInput) {
+    emptyDisposableConfirmInput.addEventListener('input', () => {
+      const confirmBtn = document.getElementById('confirmEmptyDisposable');
+      if (confirmBtn) confirmBtn.disabled = emptyDisposableConfirmInput.value !== 'DELETE';
+    });
+  }
+
+  // Empty trash modal
+  const closeEmptyTrashBtn = document.getElementById('closeEmptyTrash');
+  if (closeEmptyTrashBtn) closeEmptyTrashBtn.addEventListener('click', closeEmptyTrashModal);
+
+  const cancelEmptyTrashBtn = document.getElementById('cancelEmptyTrash');
+  if (cancelEmptyTrashBtn) cancelEmptyTrashBtn.addEventListener('click', closeEmptyTrashModal);
+
+  const confirmEmptyTrashBtn = document.getElementById('confirmEmptyTrash');
+  if (confirmEmptyTrashBtn) confirmEmptyTrashBtn.addEventListener('click', confirmEmptyTrash);
+
+  const emptyTrashConfirmInput = document.getElementById('emptyTrashConfirmInput');
+  if (emptyTrashConfirmInput) {
+    emptyTrashConfirmInput.addEventListener('input', () => {
+      const confirmBtn = document.getElementById('confirmEmptyTrash');
+      if (confirmBtn) confirmBtn.disabled = emptyTrashConfirmInput.value !== 'DELETE';
+    });
+  }
+
+  // Bulk delete modal
+  const closeBulkDeleteBtn = document.getElementById('closeBulkDelete');
+  if (closeBulkDeleteBtn) closeBulkDeleteBtn.addEventListener('click', closeBulkDeleteModal);
+
+  const cancelBulkDeleteBtn = document.getElementById('cancelBulkDelete');
+  if (cancelBulkDeleteBtn) cancelBulkDeleteBtn.addEventListener('click', closeBulkDeleteModal);
+
+  const confirmBulkDeleteBtn = document.getElementById('confirmBulkDelete');
+  if (confirmBulkDeleteBtn) confirmBulkDeleteBtn.addEventListener('click', confirmBulkDelete);
+
+  const bulkDeleteConfirmInput = document.getElementById('bulkDeleteConfirmInput');
+  if (bulkDeleteConfirmInput) {
+    bulkDeleteConfirmInput.addEventListener('input', () => {
+      const confirmBtn = document.getElementById('confirmBulkDelete');
+      if (confirmBtn) confirmBtn.disabled = bulkDeleteConfirmInput.value !== 'DELETE';
+    });
+  }
+}
+
+// ============================================
+// Vocabulary (Learned Corrections)
+// SYNC: keep in sync with app.js (desktop)
+// ============================================
+
+let corrections = [];
+let correctionEditTargetId = null;
+let vocabularyImport = null; // { format, content } of the file being imported
+
+// Rows listed in the import preview before it is cut short
+const VOCABULARY_IMPORT_PREVIEW_ROWS = 50;
+let glossary = { terms: [], suggestions: [] };
+
+/**
+ * Load the user's learned corrections from API
+ */
+async function loadCorrections() {
+  showLoading();
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections`);
+
+    if (!response.ok) {
+      throw new Error('Failed to load corrections');
+    }
+
+    const data = await response.json();
+    corrections = data.corrections || [];
+  } catch (error) {
+    console.error('Error loading corrections:', error);
+    showToast('Failed to load vocabulary', 'error');
+    corrections = [];
+  }
+
+  renderCorrections();
+}
+
+/**
+ * Render the corrections list
+ */
+function renderCorrections() {
+  if (!recordingsList) return;
+
+  updateVocabularyCount();
+
+  if (corrections.length === 0) {
+    showVocabularyEmpty();
+    return;
+  }
+
+  loadingState.style.display = 'none';
+  emptyState.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'none';
+  if (trashEmpty) trashEmpty.style.display = 'none';
+  recordingsList.style.display = 'grid';
+
+  recordingsList.replaceChildren();
+  corrections.forEach(correction => {
+    recordingsList.appendChild(buildCorrectionCard(correction));
+  });
+}
+
+/**
+ * Describe whether a correction is currently applied to new transcripts
+ */
+function getCorrectionStatus(correction) {
+  if (correction.disabled) {
+    return { label: 'Disabled', cls: 'correction-status-disabled' };
+  }
+  // applied/conflicted come from the server's scoring (count decayed by age,
+  // weighed against other corrections of the same words)
+  if (correction.conflicted) {
+    return { label: 'Conflicting', cls: 'correction-status-conflict', title: 'Also corrected to something else here; applies once one correction clearly wins' };
+  }
+  if (correction.applied) {
+    return { label: 'Auto-applied', cls: 'correction-status-active' };
+  }
+  return { label: 'Learning', cls: 'correction-status-learning' };
+}
+
+/**
+ * Describe where a learned correction applies, e.g. "Only in: over … in".
+ * Corrections without context (manual ones) apply everywhere.
+ */
+function describeCorrectionContext(correction) {
+  const left = correction.left_context || '';
+  const right = correction.right_context || '';
+  if (!left && !right) return null;
+  return 'Only in: ' + [left, '…', right].filter(Boolean).join(' ');
+}
+
+/**
+ * Describe the folder or series a correction is scoped to, or null for a
+ * global one. Scoped corrections are learned from (and applied to) only the
+ * transcripts in that folder or series.
+ */
+function describeCorrectionScope(correction) {
+  if (correction.series_id) {
+    return { label: 'Series', title: 'Only applied to recordings in this series' };
+  }
+  if (correction.folder_id) {
+    const folder = folders.find(f => f.id === correction.folder_id);
+    return { label: folder ? folder.name : 'Folder', title: 'Only applied to recordings in this folder' };
+  }
+  return null;
+}
+
+/**
+ * Build a single correction card element
+ */
+function buildCorrectionCard(correction) {
+  const status = getCorrectionStatus(correction);
+  // Learned insertions have no original text, learned deletions no corrected text
+  const isInsertOrDelete = !correction.original_token || !correction.corrected_token;
+
+  const item = document.createElement('div');
+  item.className = 'recording-item correction-item' + (correction.disabled ? ' disabled' : '');
+  item.dataset.id = correction.id;
+
+  const infoGroup = document.createElement('div');
+  infoGroup.className = 'recording-info-group';
+
+  // "original → corrected"
+  const pairDiv = document.createElement('div');
+  pairDiv.className = 'recording-name correction-pair';
+  const originalSpan = document.createElement('span');
+  originalSpan.className = 'correction-original';
+  originalSpan.textContent = correction.original_token || '(insert)';
+  if (!correction.original_token) originalSpan.classList.add('correction-empty');
+  const arrowSpan = document.createElement('span');
+  arrowSpan.className = 'correction-arrow';
+  arrowSpan.textContent = '→';
+  const correctedSpan = document.createElement('span');
+  correctedSpan.className = 'correction-corrected';
+  correctedSpan.textContent = correction.corrected_token || '(delete)';
+  if (!correction.corrected_token) correctedSpan.classList.add('correction-empty');
+  pairDiv.appendChild(originalSpan);
+  pairDiv.appendChild(arrowSpan);
+  pairDiv.appendChild(correctedSpan);
+  infoGroup.appendChild(pairDiv);
+
+  const badgesDiv = document.createElement('div');
+  badgesDiv.className = 'recording-badges';
+  const statusBadge = document.createElement('span');
+  statusBadge.className = 'correction-status-badge ' + status.cls;
+  statusBadge.textContent = status.label;
+  if (status.title) statusBadge.title = status.title;
+  badgesDiv.appendChild(statusBadge);
+  const languageBadge = document.createElement('span');
+  languageBadge.className = 'recording-language-badge';
+  languageBadge.textContent = getLanguageName(correction.language || 'en');
+  badgesDiv.appendChild(languageBadge);
+  const scope = describeCorrectionScope(correction);
+  if (scope) {
+    const scopeBadge = document.createElement('span');
+    scopeBadge.className = 'correction-scope-badge';
+    scopeBadge.textContent = scope.label;
+    scopeBadge.title = scope.title;
+    badgesDiv.appendChild(scopeBadge);
+  }
+  infoGroup.appendChild(badgesDiv);
+
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'recording-meta';
+  const countSpan = document.createElement('span');
+  countSpan.textContent = correction.count === 1 ? 'Seen once' : `Seen ${correction.count} times`;
+  const lastSeenSpan = document.createElement('span');
+  lastSeenSpan.textContent = formatDate(correction.last_seen_at);
+  const scoreSpan = document.createElement('span');
+  scoreSpan.textContent = `Score ${correction.score}`;
+  scoreSpan.title = 'Times seen, fading once a correction goes unused for a month';
+  metaDiv.appendChild(countSpan);
+  metaDiv.appendChild(lastSeenSpan);
+  metaDiv.appendChild(scoreSpan);
+  if (correction.phonetic_disabled) {
+    const phoneticSpan = document.createElement('span');
+    phoneticSpan.textContent = 'Exact spelling only';
+    metaDiv.appendChild(phoneticSpan);
+  }
+  const context = describeCorrectionContext(correction);
+  if (context) {
+    const contextSpan = document.createElement('span');
+    contextSpan.className = 'correction-context';
+    contextSpan.textContent = context;
+    metaDiv.appendChild(contextSpan);
+  }
+  infoGroup.appendChild(metaDiv);
+
+  item.appendChild(infoGroup);
+
+  // Action buttons
+  const actionsDiv = document.createElement('div');
+  actionsDiv.className = 'recording-actions';
+
+  const buttons = [
+    correction.disabled
+      ? { cls: 'enable-correction-btn', label: 'Enable correction', svg: '<polyline points="20 6 9 17 4 12"></polyline>', handler: () => toggleCorrection(correction.id) }
+      : { cls: 'disable-correction-btn', label: 'Disable correction', svg: '<circle cx="12" cy="12" r="10"></circle><line x1="4.93" y1="4.93" x2="19.07" y2="19.07"></line>', handler: () => toggleCorrection(correction.id) },
+    // The edit form needs text on both sides, so insertions/deletions can only be toggled or deleted
+    scope ? { cls: 'promote-correction-btn', label: 'Make global', svg: '<circle cx="12" cy="12" r="10"></circle><line x1="2" y1="12" x2="22" y2="12"></line><path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>', handler: () => promoteCorrection(correction.id) } : null,
+    isInsertOrDelete ? null : { cls: 'edit-correction-btn', label: 'Edit correction', svg: '<path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>', handler: () => openCorrectionModal(correction.id) },
+    { cls: 'delete-btn', label: 'Delete correction', svg: '<polyline points="3 6 5 6 21 6"></polyline><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>', handler: () => deleteCorrection(correction.id) }
+  ].filter(Boolean);
+
+  buttons.forEach(b => {
+    const btn = document.createElement('button');
+    btn.className = 'icon-button ' + b.cls;
+    btn.setAttribute('aria-label', b.label);
+    btn.title = b.label;
+    // SVG icons are static markup, not user-controlled content
+    btn.innerHTML = `<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">${b.svg}</svg>`;
+    btn.addEventListener('click', b.handler);
+    actionsDiv.appendChild(btn);
+  });
+
+  item.appendChild(actionsDiv);
+  return item;
+}
+
+/**
+ * Update the count shown in the vocabulary actions bar
+ */
+function updateVocabularyCount() {
+  const countEl = document.getElementById('vocabularyCount');
+  if (!countEl) return;
+
+  const active = corrections.filter(c => c.applied).length;
+  countEl.textContent = `${corrections.length} correction${corrections.length !== 1 ? 's' : ''}, ${active} auto-applied`;
+}
+
+/**
+ * Show vocabulary empty state
+ */
+function showVocabularyEmpty() {
+  loadingState.style.display = 'none';
+  emptyState.style.display = 'none';
+  if (vocabularyEmpty) vocabularyEmpty.style.display = 'block';
+  if (trashEmpty) trashEmpty.style.display = 'none';
+  recordingsList.style.display = 'none';
+}
+
+/**
+ * Enable or disable a correction without deleting it
+ */
+async function toggleCorrection(id) {
+  const correction = corrections.find(c => c.id === id);
+  if (!correction) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ disabled: !correction.disabled })
+    });
+
+    if (!response.ok) throw new Error('Failed to update correction');
+
+    const data = await response.json();
+    showToast(data.correction.disabled ? 'Correction disabled' : 'Correction enabled');
+    // Reload rather than patch: toggling one correction rescores those competing with it
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error toggling correction:', error);
+    showToast('Failed to update correction', 'error');
+  }
+}
+
+/**
+ * Make a scoped correction apply to every recording
+ */
+async function promoteCorrection(id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections/${id}/promote`, { method: 'POST' });
+    if (!response.ok) throw new Error('Failed to promote correction');
+
+    showToast('Correction now applies everywhere');
+    // Reload rather than patch: it may have merged into an existing global correction
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error promoting correction:', error);
+    showToast('Failed to make correction global', 'error');
+  }
+}
+
+/**
+ * Open the add/edit correction modal (no id = add new)
+ */
+function openCorrectionModal(id) {
+  const correction = id ? corrections.find(c => c.id === id) : null;
+  correctionEditTargetId = correction ? correction.id : null;
+
+  const title = document.getElementById('correctionModalTitle');
+  const originalInput = document.getElementById('correctionOriginalInput');
+  const correctedInput = document.getElementById('correctionCorrectedInput');
+  const languageInput = document.getElementById('correctionLanguageSelect');
+  const phoneticInput = document.getElementById('correctionPhoneticCheckbox');
+
+  if (title) title.textContent = correction ? 'Edit Correction' : 'Add Correction';
+  if (originalInput) originalInput.value = correction ? correction.original_token : '';
+  if (correctedInput) correctedInput.value = correction ? correction.corrected_token : '';
+  if (languageInput) {
+    const language = correction ? (correction.language || 'en') : 'en';
+    ensureLanguageOption(languageInput, language);
+    languageInput.value = language;
+  }
+  if (phoneticInput) phoneticInput.checked = correction ? !correction.phonetic_disabled : true;
+
+  const modal = document.getElementById('correctionModal');
   if (modal) modal.style.display = 'flex';
+  if (originalInput) originalInput.focus();
 }
 
-function closeDeleteFolderModal() {
-  const modal = document.getElementById('deleteFolderModal');
+function closeCorrectionModal() {
+  const modal = document.getElementById('correctionModal');
   if (modal) modal.style.display = 'none';
-  deleteFolderTargetId = null;
+  correctionEditTargetId = null;
 }
 
-async function confirmDeleteFolder() {
-  if (!deleteFolderTargetId) return;
+async function confirmCorrectionModal() {
+  const originalToken = document.getElementById('correctionOriginalInput')?.value?.trim();
+  const correctedToken = document.getElementById('correctionCorrectedInput')?.value?.trim();
+  const language = document.getElementById('correctionLanguageSelect')?.value || 'en';
+  const phoneticDisabled = !(document.getElementById('correctionPhoneticCheckbox')?.checked ?? true);
 
-  try {
-    const response = await authFetch(`${config.apiUrl}/folders/${deleteFolderTargetId}`, {
-      method: 'DELETE'
-    });
+  if (!originalToken || !correctedToken) {
+    showToast('Please fill in both fields', 'error');
+    return;
+  }
+  if (originalToken === correctedToken) {
+    showToast('The replacement must be different', 'error');
+    return;
+  }
 
-    if (!response.ok) throw new Error('Failed to delete folder');
+  const isEdit = !!correctionEditTargetId;
+  const url = isEdit
+    ? `${config.apiUrl}/corrections/${correctionEditTargetId}`
+    : `${config.apiUrl}/corrections`;
 
-    showToast('Folder deleted');
-    closeDeleteFolderModal();
+  try {
+    const response = await authFetch(url, {
+      method: isEdit ? 'PUT' : 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ originalToken, correctedToken, language, phoneticDisabled })
+    });
 
-    // Switch back to "All Folders"
-    const folderFilterSelect = document.getElementById('folderFilterSelect');
-    if (folderFilterSelect) folderFilterSelect.value = 'all';
+    if (!response.ok) throw new Error('Failed to save correction');
 
-    await loadFolders();
-    await loadTranscripts();
+    showToast(isEdit ? 'Correction updated' : 'Correction added');
+    closeCorrectionModal();
+    await loadCorrections();
   } catch (error) {
-    console.error('Error deleting folder:', error);
-    showToast('Failed to delete folder', 'error');
+    console.error('Error saving correction:', error);
+    showToast('Failed to save correction', 'error');
   }
 }
 
-// ============================================
-// Multi-Select Mode
-// ============================================
+/**
+ * Delete a correction so it is no longer applied or learned from
+ */
+async function deleteCorrection(id) {
+  const correction = corrections.find(c => c.id === id);
+  if (!correction) return;
 
-function toggleSelectMode() {
-  selectMode = !selectMode;
-  selectedIds.clear();
+  if (!confirm(`Delete the correction "${correction.original_token}" → "${correction.corrected_token}"?`)) return;
 
-  const btn = document.getElementById('selectModeBtn');
-  if (btn) btn.classList.toggle('active', selectMode);
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections/${id}`, {
+      method: 'DELETE'
+    });
 
-  updateSelectUI();
-  renderTranscripts();
+    if (!response.ok) throw new Error('Failed to delete correction');
+
+    showToast('Correction deleted');
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error deleting correction:', error);
+    showToast('Failed to delete correction', 'error');
+  }
 }
 
-function exitSelectMode() {
-  selectMode = false;
-  selectedIds.clear();
+// Download the whole vocabulary in the chosen format (JSON or CSV)
+async function exportVocabulary() {
+  const format = document.getElementById('vocabularyExportFormat')?.value || 'json';
 
-  const btn = document.getElementById('selectModeBtn');
-  if (btn) btn.classList.remove('active');
+  try {
+    const response = await authFetch(`${config.apiUrl}/corrections/export?format=${format}`);
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || 'Export failed');
+    }
 
-  updateSelectUI();
-  renderTranscripts();
-}
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await response.blob());
 
-function updateSelectUI() {
-  const bar = document.getElementById('bulkActionsBar');
-  const countEl = document.getElementById('bulkCount');
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = match ? match[1] : `vocabulary.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 
-  if (bar) bar.style.display = selectMode ? 'flex' : 'none';
-  if (countEl) countEl.textContent = `${selectedIds.size} selected`;
+    showToast('Vocabulary exported');
+  } catch (error) {
+    console.error('Error exporting vocabulary:', error);
+    showToast(error.message || 'Failed to export vocabulary', 'error');
+  }
+}
 
-  // Update card selected state without full re-render
-  document.querySelectorAll('.recording-item').forEach(item => {
-    const id = item.dataset.id;
-    const cb = item.querySelector('.select-checkbox input');
-    if (selectedIds.has(id)) {
-      item.classList.add('selected');
-      if (cb) cb.checked = true;
-    } else {
-      item.classList.remove('selected');
-      if (cb) cb.checked = false;
-    }
+// Send a vocabulary file to the import endpoint
+async function postVocabularyImport({ format, content }, dryRun) {
+  const response = await authFetch(`${config.apiUrl}/corrections/import`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ format, content, dryRun })
   });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || 'Import failed');
+  return data;
 }
 
-function bulkSelectAll() {
-  if (!recordingsList) return;
+// Read the chosen file and preview the import before anything is saved
+async function previewVocabularyImport(file) {
+  if (!file) return;
 
-  recordingsList.querySelectorAll('.recording-item').forEach(item => {
-    selectedIds.add(item.dataset.id);
-  });
-  updateSelectUI();
+  try {
+    const format = /\.csv$/i.test(file.name) ? 'csv' : 'json';
+    vocabularyImport = { format, content: await file.text() };
+
+    const preview = await postVocabularyImport(vocabularyImport, true);
+    renderVocabularyImportPreview(preview);
+
+    const modal = document.getElementById('vocabularyImportModal');
+    if (modal) modal.style.display = 'flex';
+  } catch (error) {
+    console.error('Error previewing vocabulary import:', error);
+    showToast(error.message || 'Failed to read vocabulary file', 'error');
+    vocabularyImport = null;
+  }
 }
 
-function openBulkDeleteModal() {
-  if (selectedIds.size === 0) {
-    showToast('No recordings selected');
-    return;
+// Summarise a dry-run import: counts, then the rows that would change
+// or can't be imported (rows already in the vocabulary are left out)
+function renderVocabularyImportPreview({ rows, summary }) {
+  const summaryEl = document.getElementById('vocabularyImportSummary');
+  const list = document.getElementById('vocabularyImportRows');
+  const confirmBtn = document.getElementById('confirmVocabularyImport');
+
+  if (summaryEl) {
+    summaryEl.textContent = `${summary.created} new, ${summary.merged} merged, ` +
+      `${summary.unchanged} already in your vocabulary, ${summary.invalid} invalid`;
   }
+  if (confirmBtn) confirmBtn.disabled = summary.created + summary.merged === 0;
+  if (!list) return;
 
-  const msg = document.getElementById('bulkDeleteMessage');
-  if (msg) msg.textContent = `This will permanently delete ${selectedIds.size} recording${selectedIds.size !== 1 ? 's' : ''}.`;
+  list.innerHTML = '';
+  const shown = rows.filter(r => r.action !== 'unchanged');
+  shown.slice(0, VOCABULARY_IMPORT_PREVIEW_ROWS).forEach(row => {
+    const item = document.createElement('li');
+    item.className = `vocabulary-import-row vocabulary-import-${row.action}`;
 
-  const confirmInput = document.getElementById('bulkDeleteConfirmInput');
-  const confirmBtn = document.getElementById('confirmBulkDelete');
-  if (confirmInput) confirmInput.value = '';
-  if (confirmBtn) confirmBtn.disabled = true;
+    const line = document.createElement('span');
+    line.className = 'vocabulary-import-line';
+    line.textContent = `Row ${row.line}`;
+    item.appendChild(line);
 
-  const modal = document.getElementById('bulkDeleteModal');
-  if (modal) modal.style.display = 'flex';
+    const detail = document.createElement('span');
+    detail.textContent = row.action === 'invalid'
+      ? row.error
+      : `${row.action === 'create' ? 'Add' : 'Merge'} "${row.original_token}" → "${row.corrected_token}"`;
+    item.appendChild(detail);
+
+    list.appendChild(item);
+  });
+
+  if (shown.length > VOCABULARY_IMPORT_PREVIEW_ROWS) {
+    const more = document.createElement('li');
+    more.className = 'vocabulary-import-row';
+    more.textContent = `…and ${shown.length - VOCABULARY_IMPORT_PREVIEW_ROWS} more`;
+    list.appendChild(more);
+  }
 }
 
-function closeBulkDeleteModal() {
-  const modal = document.getElementById('bulkDeleteModal');
+function closeVocabularyImportModal() {
+  const modal = document.getElementById('vocabularyImportModal');
   if (modal) modal.style.display = 'none';
+  vocabularyImport = null;
 }
 
-async function confirmBulkDelete() {
-  const ids = [...selectedIds];
-  const count = ids.length;
+// Apply the previewed import
+async function confirmVocabularyImport() {
+  if (!vocabularyImport) return;
 
   try {
-    const results = await Promise.all(ids.map(id =>
-      authFetch(`${config.apiUrl}/transcripts/${id}`, { method: 'DELETE' })
-    ));
+    const { summary } = await postVocabularyImport(vocabularyImport, false);
+    showToast(`Imported ${summary.created} new and ${summary.merged} merged correction${summary.created + summary.merged !== 1 ? 's' : ''}`);
+    closeVocabularyImportModal();
+    await loadCorrections();
+  } catch (error) {
+    console.error('Error importing vocabulary:', error);
+    showToast(error.message || 'Failed to import vocabulary', 'error');
+  }
+}
 
-    const failed = results.filter(r => !r.ok).length;
+// Open the glossary and load its terms and suggestions
+async function openGlossaryModal() {
+  const modal = document.getElementById('glossaryModal');
+  if (modal) modal.style.display = 'flex';
+  await loadGlossary();
+  document.getElementById('glossaryTermInput')?.focus();
+}
 
-    closeBulkDeleteModal();
-    exitSelectMode();
+function closeGlossaryModal() {
+  const modal = document.getElementById('glossaryModal');
+  if (modal) modal.style.display = 'none';
+}
 
-    if (failed === 0) {
-      showToast(`Deleted ${count} recording${count !== 1 ? 's' : ''}`);
-    } else {
-      showToast(`Deleted ${count - failed} of ${count} recordings`);
-    }
+// Load the user's glossary from API
+async function loadGlossary() {
+  try {
+    const response = await authFetch(`${config.apiUrl}/glossary`);
+    if (!response.ok) throw new Error('Failed to load glossary');
 
-    await loadTranscripts();
+    glossary = await response.json();
   } catch (error) {
-    console.error('Error bulk deleting:', error);
-    showToast('Failed to delete some recordings', 'error');
+    console.error('Error loading glossary:', error);
+    showToast('Failed to load glossary', 'error');
+    glossary = { terms: [], suggestions: [] };
   }
+
+  renderGlossary();
 }
 
-// ============================================
-// Folder Management Event Listeners
-// ============================================
+// Render the glossary terms (flagging any that don't fit in the prompt)
+// and the suggested terms
+function renderGlossary() {
+  const list = document.getElementById('glossaryTerms');
+  const usage = document.getElementById('glossaryUsage');
+  const suggestionsSection = document.getElementById('glossarySuggestionsSection');
+  const suggestionsList = document.getElementById('glossarySuggestions');
+  const terms = glossary.terms || [];
+  const suggestions = glossary.suggestions || [];
+
+  if (usage) {
+    usage.textContent = terms.length === 0
+      ? 'No terms yet'
+      : `${terms.length} term${terms.length !== 1 ? 's' : ''}, using about ${glossary.promptTokens} of ${glossary.promptTokenLimit} prompt tokens`;
+  }
 
-function setupFolderManagementListeners() {
-  // Rename folder
-  const renameFolderBtn = document.getElementById('renameFolderBtn');
-  if (renameFolderBtn) renameFolderBtn.addEventListener('click', openRenameFolderModal);
+  if (list) {
+    list.replaceChildren();
+    terms.forEach(term => {
+      const item = document.createElement('li');
+      item.className = 'glossary-term';
+
+      const name = document.createElement('span');
+      name.className = 'glossary-term-name';
+      name.textContent = term.term;
+      item.appendChild(name);
+
+      if (!term.inPrompt) {
+        const badge = document.createElement('span');
+        badge.className = 'correction-status-badge correction-status-disabled';
+        badge.textContent = 'Not in prompt';
+        badge.title = 'The prompt is full; pin this term to send it before others. Its spelling is still fixed in transcripts.';
+        item.appendChild(badge);
+      }
 
-  const closeRenameFolderBtn = document.getElementById('closeRenameFolder');
-  if (closeRenameFolderBtn) closeRenameFolderBtn.addEventListener('click', closeRenameFolderModal);
+      const pinBtn = document.createElement('button');
+      pinBtn.className = `glossary-term-action${term.pinned ? ' active' : ''}`;
+      pinBtn.textContent = term.pinned ? 'Unpin' : 'Pin';
+      pinBtn.title = term.pinned ? 'Stop sending this term first' : 'Always send this term first';
+      pinBtn.addEventListener('click', () => toggleGlossaryPin(term.id));
+      item.appendChild(pinBtn);
 
-  const cancelRenameFolderBtn = document.getElementById('cancelRenameFolder');
-  if (cancelRenameFolderBtn) cancelRenameFolderBtn.addEventListener('click', closeRenameFolderModal);
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'glossary-term-action';
+      deleteBtn.textContent = 'Remove';
+      deleteBtn.addEventListener('click', () => deleteGlossaryTerm(term.id));
+      item.appendChild(deleteBtn);
 
-  const confirmRenameFolderBtn = document.getElementById('confirmRenameFolder');
-  if (confirmRenameFolderBtn) confirmRenameFolderBtn.addEventListener('click', confirmRenameFolder);
+      list.appendChild(item);
+    });
+  }
 
-  // Allow Enter to confirm rename
-  const renameFolderInput = document.getElementById('renameFolderInput');
-  if (renameFolderInput) {
-    renameFolderInput.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') confirmRenameFolder();
+  if (suggestionsSection && suggestionsList) {
+    suggestionsList.replaceChildren();
+    suggestions.forEach(suggestion => {
+      const chip = document.createElement('button');
+      chip.className = 'glossary-suggestion';
+      chip.textContent = `+ ${suggestion.term}`;
+      chip.title = `Corrected to this ${suggestion.corrections} way${suggestion.corrections !== 1 ? 's' : ''} (score ${suggestion.score})`;
+      chip.addEventListener('click', () => addGlossaryTerm(suggestion.term, 'suggested'));
+      suggestionsList.appendChild(chip);
     });
+    suggestionsSection.style.display = suggestions.length > 0 ? 'block' : 'none';
   }
+}
 
-  // Delete folder
-  const deleteFolderBtn = document.getElementById('deleteFolderBtn');
-  if (deleteFolderBtn) deleteFolderBtn.addEventListener('click', openDeleteFolderModal);
+// Add a term to the glossary (typed in, or a suggestion)
+async function addGlossaryTerm(term, source = 'manual') {
+  if (!term) {
+    showToast('Please enter a term', 'error');
+    return;
+  }
 
-  const closeDeleteFolderBtn = document.getElementById('closeDeleteFolder');
-  if (closeDeleteFolderBtn) closeDeleteFolderBtn.addEventListener('click', closeDeleteFolderModal);
+  try {
+    const response = await authFetch(`${config.apiUrl}/glossary`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ term, source })
+    });
 
-  const cancelDeleteFolderBtn = document.getElementById('cancelDeleteFolder');
-  if (cancelDeleteFolderBtn) cancelDeleteFolderBtn.addEventListener('click', closeDeleteFolderModal);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || 'Failed to add term');
 
-  const confirmDeleteFolderBtn = document.getElementById('confirmDeleteFolder');
-  if (confirmDeleteFolderBtn) confirmDeleteFolderBtn.addEventListener('click', confirmDeleteFolder);
+    if (source === 'manual') {
+      const input = document.getElementById('glossaryTermInput');
+      if (input) input.value = '';
+    }
+    await loadGlossary();
+  } catch (error) {
+    console.error('Error adding glossary term:', error);
+    showToast(error.message || 'Failed to add term', 'error');
+  }
+}
 
-  // Delete folder confirm input
-  const deleteFolderConfirmInput = document.getElementById('deleteFolderConfirmInput');
-  if (deleteFolderConfirmInput) {
-    deleteFolderConfirmInput.addEventListener('input', () => {
-      const confirmBtn = document.getElementById('confirmDeleteFolder');
-      if (confirmBtn) confirmBtn.disabled = deleteFolderConfirmInput.value !== 'DELETE';
+async function toggleGlossaryPin(id) {
+  const term = (glossary.terms || []).find(t => t.id === id);
+  if (!term) return;
+
+  try {
+    const response = await authFetch(`${config.apiUrl}/glossary/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pinned: !term.pinned })
     });
+
+    if (!response.ok) throw new Error('Failed to update term');
+    await loadGlossary();
+  } catch (error) {
+    console.error('Error updating glossary term:', error);
+    showToast('Failed to update term', 'error');
   }
+}
 
-  // Move to folder modal
-  const closeMoveFolderBtn = document.getElementById('closeMoveFolder');
-  if (closeMoveFolderBtn) closeMoveFolderBtn.addEventListener('click', closeMoveFolderModal);
+async function deleteGlossaryTerm(id) {
+  try {
+    const response = await authFetch(`${config.apiUrl}/glossary/${id}`, {
+      method: 'DELETE'
+    });
 
-  const cancelMoveFolderBtn = document.getElementById('cancelMoveFolder');
-  if (cancelMoveFolderBtn) cancelMoveFolderBtn.addEventListener('click', closeMoveFolderModal);
+    if (!response.ok) throw new Error('Failed to remove term');
+    await loadGlossary();
+  } catch (error) {
+    console.error('Error removing glossary term:', error);
+    showToast('Failed to remove term', 'error');
+  }
+}
 
-  const confirmMoveFolderBtn = document.getElementById('confirmMoveFolder');
-  if (confirmMoveFolderBtn) confirmMoveFolderBtn.addEventListener('click', confirmMoveFolder);
+function setupVocabularyListeners() {
+  const viewVocabularyBtn = document.getElementById('viewVocabularyBtn');
+  if (viewVocabularyBtn) {
+    viewVocabularyBtn.addEventListener('click', () => switchRecordingsView('vocabulary'));
+  }
 
-  // Series modal
-  const closeSeriesModalBtn = document.getElementById('closeSeriesModal');
-  if (closeSeriesModalBtn) closeSeriesModalBtn.addEventListener('click', closeSeriesModal);
+  const addCorrectionBtn = document.getElementById('addCorrectionBtn');
+  if (addCorrectionBtn) addCorrectionBtn.addEventListener('click', () => openCorrectionModal(null));
 
-  const cancelSeriesModalBtn = document.getElementById('cancelSeriesModal');
-  if (cancelSeriesModalBtn) cancelSeriesModalBtn.addEventListener('click', closeSeriesModal);
+  const closeCorrectionModalBtn = document.getElementById('closeCorrectionModal');
+  if (closeCorrectionModalBtn) closeCorrectionModalBtn.addEventListener('click', closeCorrectionModal);
 
-  const confirmSeriesModalBtn = document.getElementById('confirmSeriesModal');
-  if (confirmSeriesModalBtn) confirmSeriesModalBtn.addEventListener('click', confirmLinkSeries);
+  const cancelCorrectionModalBtn = document.getElementById('cancelCorrectionModal');
+  if (cancelCorrectionModalBtn) cancelCorrectionModalBtn.addEventListener('click', closeCorrectionModal);
 
-  // Delete recording confirm input
-  const deleteConfirmInput = document.getElementById('deleteConfirmInput');
-  if (deleteConfirmInput) {
-    deleteConfirmInput.addEventListener('input', () => {
-      const confirmBtn = document.getElementById('confirmDelete');
-      if (confirmBtn) confirmBtn.disabled = deleteConfirmInput.value !== 'DELETE';
+  const confirmCorrectionModalBtn = document.getElementById('confirmCorrectionModal');
+  if (confirmCorrectionModalBtn) confirmCorrectionModalBtn.addEventListener('click', confirmCorrectionModal);
+
+  // Allow Enter to save from either input
+  ['correctionOriginalInput', 'correctionCorrectedInput'].forEach(inputId => {
+    const input = document.getElementById(inputId);
+    if (input) {
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') confirmCorrectionModal();
+      });
+    }
+  });
+
+  const correctionModal = document.getElementById('correctionModal');
+  if (correctionModal) {
+    correctionModal.addEventListener('click', (e) => {
+      if (e.target === correctionModal) closeCorrectionModal();
     });
   }
 
-  // Empty disposable modal
-  const closeEmptyDisposableBtn = document.getElementById('closeEmptyDisposable');
-  if (closeEmptyDisposableBtn) closeEmptyDisposableBtn.addEventListener('click', closeEmptyDisposableModal);
+  const exportVocabularyBtn = document.getElementById('exportVocabularyBtn');
+  if (exportVocabularyBtn) exportVocabularyBtn.addEventListener('click', exportVocabulary);
+
+  const importInput = document.getElementById('vocabularyImportInput');
+  const importVocabularyBtn = document.getElementById('importVocabularyBtn');
+  if (importVocabularyBtn && importInput) {
+    importVocabularyBtn.addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+      previewVocabularyImport(importInput.files[0]);
+      // Clear so choosing the same file again still fires a change
+      importInput.value = '';
+    });
+  }
 
-  const cancelEmptyDisposableBtn = document.getElementById('cancelEmptyDisposable');
-  if (cancelEmptyDisposableBtn) cancelEmptyDisposableBtn.addEventListener('click', closeEmptyDisposableModal);
+  const closeVocabularyImportBtn = document.getElementById('closeVocabularyImport');
+  if (closeVocabularyImportBtn) closeVocabularyImportBtn.addEventListener('click', closeVocabularyImportModal);
 
-  const confirmEmptyDisposableBtn = document.getElementById('confirmEmptyDisposable');
-  if (confirmEmptyDisposableBtn) confirmEmptyDisposableBtn.addEventListener('click', confirmEmptyDisposable);
+  const cancelVocabularyImportBtn = document.getElementById('cancelVocabularyImport');
+  if (cancelVocabularyImportBtn) cancelVocabularyImportBtn.addEventListener('click', closeVocabularyImportModal);
 
-  const emptyDisposableConfirmInput = document.getElementById('emptyDisposableConfirmInput');
-  if (emptyDisposableConfirmInput) {
-    emptyDisposableConfirmInput.addEventListener('input', () => {
-      const confirmBtn = document.getElementById('confirmEmptyDisposable');
-      if (confirmBtn) confirmBtn.disabled = emptyDisposableConfirmInput.value !== 'DELETE';
+  const confirmVocabularyImportBtn = document.getElementById('confirmVocabularyImport');
+  if (confirmVocabularyImportBtn) confirmVocabularyImportBtn.addEventListener('click', confirmVocabularyImport);
+
+  const vocabularyImportModal = document.getElementById('vocabularyImportModal');
+  if (vocabularyImportModal) {
+    vocabularyImportModal.addEventListener('click', (e) => {
+      if (e.target === vocabularyImportModal) closeVocabularyImportModal();
     });
   }
 
-  // Bulk delete modal
-  const closeBulkDeleteBtn = document.getElementById('closeBulkDelete');
-  if (closeBulkDeleteBtn) closeBulkDeleteBtn.addEventListener('click', closeBulkDeleteModal);
+  const glossaryBtn = document.getElementById('glossaryBtn');
+  if (glossaryBtn) glossaryBtn.addEventListener('click', openGlossaryModal);
 
-  const cancelBulkDeleteBtn = document.getElementById('cancelBulkDelete');
-  if (cancelBulkDeleteBtn) cancelBulkDeleteBtn.addEventListener('click', closeBulkDeleteModal);
+  const closeGlossaryModalBtn = document.getElementById('closeGlossaryModal');
+  if (closeGlossaryModalBtn) closeGlossaryModalBtn.addEventListener('click', closeGlossaryModal);
 
-  const confirmBulkDeleteBtn = document.getElementById('confirmBulkDelete');
-  if (confirmBulkDeleteBtn) confirmBulkDeleteBtn.addEventListener('click', confirmBulkDelete);
+  const glossaryTermInput = document.getElementById('glossaryTermInput');
+  const addGlossaryTermBtn = document.getElementById('addGlossaryTermBtn');
+  if (addGlossaryTermBtn && glossaryTermInput) {
+    addGlossaryTermBtn.addEventListener('click', () => addGlossaryTerm(glossaryTermInput.value.trim()));
+    glossaryTermInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addGlossaryTerm(glossaryTermInput.value.trim());
+    });
+  }
 
-  const bulkDeleteConfirmInput = document.getElementById('bulkDeleteConfirmInput');
-  if (bulkDeleteConfirmInput) {
-    bulkDeleteConfirmInput.addEventListener('input', () => {
-      const confirmBtn = document.getElementById('confirmBulkDelete');
-      if (confirmBtn) confirmBtn.disabled = bulkDeleteConfirmInput.value !== 'DELETE';
+  const glossaryModal = document.getElementById('glossaryModal');
+  if (glossaryModal) {
+    glossaryModal.addEventListener('click', (e) => {
+      if (e.target === glossaryModal) closeGlossaryModal();
     });
   }
 }
@@ -1396,6 +3114,28 @@ function formatDate(dateString) {
   });
 }
 
+/**
+ * Format a byte count as KB/MB
+ */
+function formatFileSize(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * One-line summary of a recording's audio, e.g. "OPUS · 48 kHz · Mono · 1.2 MB"
+ */
+function describeRecordingAudio(transcript) {
+  const parts = [];
+  if (transcript.audio_codec) parts.push(transcript.audio_codec.toUpperCase());
+  if (transcript.audio_sample_rate) parts.push(`${transcript.audio_sample_rate / 1000} kHz`);
+  if (transcript.audio_channels) {
+    parts.push(transcript.audio_channels === 1 ? 'Mono' : transcript.audio_channels === 2 ? 'Stereo' : `${transcript.audio_channels} channels`);
+  }
+  if (transcript.audio_size_bytes) parts.push(formatFileSize(transcript.audio_size_bytes));
+  return parts.join(' \u00b7 ');
+}
+
 function truncateText(text, maxLength) {
   if (!text) return 'No transcription';
   if (text.length <= maxLength) return text;
@@ -7,13 +7,17 @@ class AudioPlayer {
   constructor(audioElement, waveformCanvas) {
     this.audio = audioElement;
     this.canvas = waveformCanvas;
-    this.ctx = waveformCanvas.getContext('2d');
+    this.ctx = waveformCanvas ? waveformCanvas.getContext('2d') : null;
     this.audioContext = null;
     this.analyser = null;
     this.dataArray = null;
     this.animationId = null;
     this.isPlaying = false;
     this.currentUrl = null;
+    this.segments = [];
+    this.activeSegmentIndex = -1;
+    this.segmentChangeCallback = null;
+    this.segmentSyncHandler = null;
   }
 
   /**
@@ -180,6 +184,75 @@ class AudioPlayer {
     return (this.getCurrentTime() / duration) * 100;
   }
 
+  /**
+   * Attach timed transcript segments ({ start, end, text }) for playback sync
+   */
+  setSegments(segments) {
+    this.segments = Array.isArray(segments) ? segments : [];
+    this.activeSegmentIndex = -1;
+
+    if (!this.segmentSyncHandler) {
+      this.segmentSyncHandler = () => this.syncActiveSegment();
+      this.on('timeupdate', this.segmentSyncHandler);
+      this.on('seeked', this.segmentSyncHandler);
+    }
+  }
+
+  /**
+   * Register a callback fired with (index, segment) when the playing segment changes
+   */
+  onSegmentChange(callback) {
+    this.segmentChangeCallback = callback;
+  }
+
+  /**
+   * Find the segment playing at a given time (-1 before the first segment).
+   * Gaps between segments keep the previous segment active.
+   */
+  getSegmentIndexAt(time) {
+    let low = 0;
+    let high = this.segments.length - 1;
+    let index = -1;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.segments[mid].start <= time) {
+        index = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return index;
+  }
+
+  /**
+   * Seek to the start of a segment
+   */
+  seekToSegment(index) {
+    const segment = this.segments[index];
+    if (!segment) return;
+
+    this.seekTo(segment.start);
+    this.syncActiveSegment();
+  }
+
+  /**
+   * Notify the segment callback if the playing segment has changed
+   */
+  syncActiveSegment() {
+    if (this.segments.length === 0) return;
+
+    const index = this.getSegmentIndexAt(this.getCurrentTime());
+    if (index === this.activeSegmentIndex) return;
+
+    this.activeSegmentIndex = index;
+    if (this.segmentChangeCallback) {
+      this.segmentChangeCallback(index, this.segments[index] || null);
+    }
+  }
+
   /**
    * Start waveform visualization
    */
@@ -306,6 +379,8 @@ class AudioPlayer {
     this.analyser = null;
     this.dataArray = null;
     this.currentUrl = null;
+    this.segments = [];
+    this.activeSegmentIndex = -1;
   }
 }
 
@@ -16,9 +16,12 @@ class AudioRecorder {
     this.dataArray = null;
     this.animationId = null;
     this.startTime = null;
+    this.pausedAt = null; // When the current pause began (null while recording)
+    this.pausedDuration = 0; // Total ms spent paused, excluded from the elapsed time
     this.timerInterval = null;
     this.maxDurationTimeout = null;
     this.onMaxDurationReached = null; // Callback when max duration hit
+    this.trackSettings = {}; // Sample rate/channel count the microphone actually delivered
   }
 
   /**
@@ -51,6 +54,9 @@ class AudioRecorder {
         audioBitsPerSecond: 128000 // 128kbps for good quality
       };
 
+      const [audioTrack] = this.stream.getAudioTracks();
+      this.trackSettings = audioTrack && audioTrack.getSettings ? audioTrack.getSettings() : {};
+
       this.mediaRecorder = new MediaRecorder(this.stream, options);
       this.audioChunks = [];
 
@@ -64,13 +70,11 @@ class AudioRecorder {
       // Start recording
       this.mediaRecorder.start(1000); // Collect data every second
       this.startTime = Date.now();
+      this.pausedAt = null;
+      this.pausedDuration = 0;
 
       // Set up max duration timeout (15 minutes)
-      this.maxDurationTimeout = setTimeout(() => {
-        if (this.isRecording() && this.onMaxDurationReached) {
-          this.onMaxDurationReached();
-        }
-      }, MAX_RECORDING_DURATION_MS);
+      this.scheduleMaxDuration(MAX_RECORDING_DURATION_MS);
 
       return true;
     } catch (error) {
@@ -91,16 +95,22 @@ class AudioRecorder {
 
       this.mediaRecorder.onstop = () => {
         try {
+          // Stopping while paused counts the time up to the pause
+          const duration = this.getElapsedTime();
           const mimeType = this.mediaRecorder.mimeType;
           const audioBlob = new Blob(this.audioChunks, { type: mimeType });
+          const sampleRate = this.trackSettings.sampleRate || this.audioContext?.sampleRate || null;
+          const channelCount = this.trackSettings.channelCount || null;
 
           // Clean up
           this.cleanup();
 
           resolve({
             blob: audioBlob,
-            duration: Date.now() - this.startTime,
-            mimeType: mimeType
+            duration,
+            mimeType: mimeType,
+            sampleRate,
+            channelCount
           });
         } catch (error) {
           reject(error);
@@ -116,6 +126,65 @@ class AudioRecorder {
     });
   }
 
+  /**
+   * Pause recording. Paused time doesn't count towards the elapsed time or
+   * the 15-minute limit.
+   */
+  pauseRecording() {
+    if (!this.isRecording()) return false;
+
+    this.mediaRecorder.pause();
+    this.pausedAt = Date.now();
+
+    if (this.maxDurationTimeout) {
+      clearTimeout(this.maxDurationTimeout);
+      this.maxDurationTimeout = null;
+    }
+
+    return true;
+  }
+
+  /**
+   * Resume a paused recording
+   */
+  resumeRecording() {
+    if (!this.isPaused()) return false;
+
+    this.mediaRecorder.resume();
+    this.pausedDuration += Date.now() - this.pausedAt;
+    this.pausedAt = null;
+
+    this.scheduleMaxDuration(MAX_RECORDING_DURATION_MS - this.getElapsedTime());
+
+    return true;
+  }
+
+  /**
+   * Call onMaxDurationReached after `remainingMs` more recording time
+   */
+  scheduleMaxDuration(remainingMs) {
+    if (this.maxDurationTimeout) {
+      clearTimeout(this.maxDurationTimeout);
+    }
+
+    this.maxDurationTimeout = setTimeout(() => {
+      this.maxDurationTimeout = null;
+      if (this.isRecording() && this.onMaxDurationReached) {
+        this.onMaxDurationReached();
+      }
+    }, Math.max(0, remainingMs));
+  }
+
+  /**
+   * Recorded time in milliseconds, excluding pauses
+   */
+  getElapsedTime() {
+    if (!this.startTime) return 0;
+
+    const end = this.pausedAt || Date.now();
+    return end - this.startTime - this.pausedDuration;
+  }
+
   /**
    * Get supported MIME type for recording
    */
@@ -170,7 +239,12 @@ class AudioRecorder {
 
       this.animationId = requestAnimationFrame(draw);
 
-      this.analyser.getByteFrequencyData(this.dataArray);
+      // Flat bars while paused
+      if (this.isPaused()) {
+        this.dataArray.fill(0);
+      } else {
+        this.analyser.getByteFrequencyData(this.dataArray);
+      }
 
       // Clear canvas
       ctx.fillStyle = getComputedStyle(document.documentElement)
@@ -216,6 +290,13 @@ class AudioRecorder {
     return this.mediaRecorder && this.mediaRecorder.state === 'recording';
   }
 
+  /**
+   * Check whether recording is paused
+   */
+  isPaused() {
+    return !!this.mediaRecorder && this.mediaRecorder.state === 'paused';
+  }
+
   /**
    * Clean up resources
    */
@@ -292,6 +373,13 @@ class AudioRecorder {
               window.MediaRecorder);
   }
 
+  /**
+   * Check if the browser can pause a recording
+   */
+  static isPauseSupported() {
+    return !!(window.MediaRecorder && typeof MediaRecorder.prototype.pause === 'function');
+  }
+
   /**
    * Get maximum recording duration in milliseconds
    */
@@ -0,0 +1,143 @@
+/**
+ * Benchmark for the correction engine
+ * Applies synthetic dictionaries of increasing size to a synthetic 15-minute
+ * transcript and reports how long compiling and applying them takes.
+ *
+ * Usage: npm run bench:corrections [-- --words 2250 --runs 20]
+ */
+
+const { applyCorrections } = require('../services/personalization');
+
+// ~150 words per minute of speech
+const DEFAULT_TRANSCRIPT_WORDS = 15 * 150;
+const DEFAULT_RUNS = 20;
+const DICTIONARY_SIZES = [100, 1000, 5000, 10000];
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  const value = index === -1 ? NaN : Number(process.argv[index + 1]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so every run uses the same data
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const SYLLABLES = ['ka', 'lo', 'mi', 'ren', 'to', 'sa', 'vi', 'del', 'an', 'qu', 'er', 'bo', 'ni', 'ta', 'shi', 'wu'];
+
+function buildVocabulary(random, size) {
+  const words = new Set();
+  while (words.size < size) {
+    const syllables = 1 + Math.floor(random() * 3);
+    let word = '';
+    for (let i = 0; i < syllables; i++) word += SYLLABLES[Math.floor(random() * SYLLABLES.length)];
+    words.add(word);
+  }
+  return [...words];
+}
+
+function buildTranscript(random, vocabulary, wordCount) {
+  const words = [];
+  let sentenceLength = 0;
+  for (let i = 0; i < wordCount; i++) {
+    let word = vocabulary[Math.floor(random() * vocabulary.length)];
+    if (sentenceLength === 0) word = word.charAt(0).toUpperCase() + word.slice(1);
+    sentenceLength++;
+    if (sentenceLength > 8 && random() < 0.15) {
+      word += '.';
+      sentenceLength = 0;
+    } else if (random() < 0.05) {
+      word += ',';
+    }
+    words.push(word);
+  }
+  return words.join(' ');
+}
+
+/**
+ * A mix of the rows the app learns: contextual and context-free
+ * substitutions, phrases, deletions and insertions
+ */
+function buildDictionary(random, vocabulary, size) {
+  const pick = () => vocabulary[Math.floor(random() * vocabulary.length)];
+  const corrections = [];
+
+  for (let i = 0; i < size; i++) {
+    const kind = random();
+    const row = {
+      id: `cor_${i}`,
+      original_token: pick(),
+      corrected_token: `fixed${i}`,
+      count: 1 + Math.floor(random() * 4),
+      language: 'en',
+      left_context: '',
+      right_context: '',
+      phonetic_disabled: false
+    };
+
+    if (kind < 0.6) {
+      row.left_context = pick();
+      row.right_context = pick();
+    } else if (kind < 0.8) {
+      // context-free, as left
+    } else if (kind < 0.9) {
+      row.original_token = `${pick()} ${pick()}`;
+    } else if (kind < 0.95) {
+      row.corrected_token = '';
+      row.left_context = pick();
+      row.right_context = pick();
+    } else {
+      row.original_token = '';
+      row.left_context = pick();
+      row.right_context = pick();
+    }
+    corrections.push(row);
+  }
+
+  return corrections;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6, result };
+}
+
+function main() {
+  const wordCount = getArg('words', DEFAULT_TRANSCRIPT_WORDS);
+  const runs = getArg('runs', DEFAULT_RUNS);
+  const random = createRandom(42);
+  const vocabulary = buildVocabulary(random, 3000);
+  const transcript = buildTranscript(random, vocabulary, wordCount);
+
+  console.log(`Transcript: ${wordCount} words (${transcript.length} characters), ${runs} runs per size\n`);
+  console.log('corrections | first run (compile + apply) | cached apply (avg)');
+
+  for (const size of DICTIONARY_SIZES) {
+    const corrections = buildDictionary(random, vocabulary, size);
+    const cacheKey = `bench:${size}`;
+
+    const first = time(() => applyCorrections(transcript, corrections, 2, 'en', cacheKey));
+    if (first.result === transcript) throw new Error(`No corrections applied with ${size} rows`);
+    let total = 0;
+    for (let run = 0; run < runs; run++) {
+      total += time(() => applyCorrections(transcript, corrections, 2, 'en', cacheKey)).ms;
+    }
+
+    console.log(
+      `${String(size).padStart(11)} | ${first.ms.toFixed(1).padStart(23)} ms | ` +
+      `${(total / runs).toFixed(1).padStart(15)} ms`
+    );
+  }
+}
+
+main();
@@ -0,0 +1,281 @@
+/**
+ * Offline evaluation of the personalization loop
+ * Replays a transcript history in the order it was recorded, as the app would
+ * have seen it: each raw transcript is personalized with the corrections
+ * learned so far and scored against the final (edited) text, then the edit is
+ * learned from, as saving it does. Reports the word error rate (WER) of the
+ * raw and personalized text against the final text at each step and overall.
+ * Runs entirely in memory, so no database is needed.
+ *
+ * Usage: npm run eval:personalization [-- --fixture history.json --ignore-case --verbose --json --fail-on-regression]
+ *
+ * A fixture is a JSON object with a transcripts array (id, title, language,
+ * created_at, raw_text, final_text, and optionally folder_id and series_id)
+ * and an optional glossary array (id, term).
+ * A lossless JSON export from the app works as is; transcripts that were
+ * never edited have nothing to score against and are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { extractCorrections, applyCorrectionsWithDetails, correctionsForScope, tokenize } = require('../services/personalization');
+const { DEFAULT_LANGUAGE } = require('../services/languages');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'personalization-history.json');
+
+// Score needed to apply a correction, as used when transcribing
+const MIN_COUNT = 2;
+
+function getOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 || !process.argv[index + 1] ? fallback : process.argv[index + 1];
+}
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+/**
+ * Load a fixture's reviewed transcripts, oldest first
+ */
+function loadFixture(file) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const transcripts = Array.isArray(fixture) ? fixture : fixture.transcripts;
+  if (!Array.isArray(transcripts)) {
+    throw new Error(`${file} has no transcripts array`);
+  }
+
+  const reviewed = transcripts
+    .filter(t => t.raw_text && t.final_text)
+    .sort((a, b) => String(a.created_at || '').localeCompare(String(b.created_at || '')));
+
+  return {
+    transcripts: reviewed,
+    skipped: transcripts.length - reviewed.length,
+    glossary: Array.isArray(fixture.glossary) ? fixture.glossary : []
+  };
+}
+
+/**
+ * The folder or series a transcript's corrections are learned in, as
+ * correctionScopeOf in the database service picks it
+ */
+function scopeOf(transcript) {
+  if (transcript.series_id) return { folderId: null, seriesId: transcript.series_id };
+  return { folderId: transcript.folder_id || null, seriesId: null };
+}
+
+/**
+ * In-memory stand-in for the corrections table: learning a correction
+ * counts it against the same pair in the same context and scope, as saveCorrection does
+ */
+function createCorrectionStore() {
+  const rows = new Map();
+
+  return {
+    rows: () => [...rows.values()],
+
+    learn(correction, language, { folderId, seriesId }, seenAt) {
+      const key = [correction.original, correction.corrected, language,
+        correction.leftContext || '', correction.rightContext || '', folderId || '', seriesId || ''].join('\u0000');
+      const existing = rows.get(key);
+      if (existing) {
+        existing.count++;
+        existing.last_seen_at = seenAt;
+        return existing;
+      }
+
+      const row = {
+        id: `cor_eval_${rows.size + 1}`,
+        original_token: correction.original,
+        corrected_token: correction.corrected,
+        language,
+        left_context: correction.leftContext || '',
+        right_context: correction.rightContext || '',
+        folder_id: folderId,
+        series_id: seriesId,
+        count: 1,
+        first_seen_at: seenAt,
+        last_seen_at: seenAt,
+        disabled: false,
+        phonetic_disabled: false
+      };
+      rows.set(key, row);
+      return row;
+    }
+  };
+}
+
+/**
+ * Corrections as they would have been scored when a transcript was recorded.
+ * Scores decay against the current time, so every timestamp is moved forward
+ * by the time since the recording instead.
+ */
+function asOf(corrections, recordedAt) {
+  const offset = Date.now() - Date.parse(recordedAt);
+  if (!Number.isFinite(offset)) return corrections;
+
+  return corrections.map(c => ({
+    ...c,
+    last_seen_at: new Date(Date.parse(c.last_seen_at) + offset).toISOString()
+  }));
+}
+
+/**
+ * Words compared for WER: edge punctuation stripped, case kept unless ignored
+ * (personalization learns casing, so by default "api" vs "API" is an error)
+ */
+function werWords(text, ignoreCase) {
+  return tokenize(text)
+    .map(word => word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .map(word => (ignoreCase ? word.toLowerCase() : word))
+    .filter(Boolean);
+}
+
+/**
+ * Word-level edit distance between a hypothesis and the reference
+ *
+ * @returns {{words: number, errors: number, substitutions: number, deletions: number, insertions: number}}
+ */
+function wordErrors(hypothesis, reference) {
+  const rows = reference.length + 1;
+  const cols = hypothesis.length + 1;
+  // Each cell holds [cost, substitutions, deletions, insertions] of the best path
+  let previous = Array.from({ length: cols }, (_, j) => [j, 0, 0, j]);
+
+  for (let i = 1; i < rows; i++) {
+    const current = [[i, 0, i, 0]];
+    for (let j = 1; j < cols; j++) {
+      const same = reference[i - 1] === hypothesis[j - 1];
+      const diagonal = previous[j - 1];
+      const up = previous[j];
+      const left = current[j - 1];
+
+      let best = [diagonal[0] + (same ? 0 : 1), diagonal[1] + (same ? 0 : 1), diagonal[2], diagonal[3]];
+      if (up[0] + 1 < best[0]) best = [up[0] + 1, up[1], up[2] + 1, up[3]];
+      if (left[0] + 1 < best[0]) best = [left[0] + 1, left[1], left[2], left[3] + 1];
+      current.push(best);
+    }
+    previous = current;
+  }
+
+  const [errors, substitutions, deletions, insertions] = previous[cols - 1];
+  return { words: reference.length, errors, substitutions, deletions, insertions };
+}
+
+function rate(errors, words) {
+  return words === 0 ? 0 : errors / words;
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Replay the history through the learning loop
+ */
+function evaluate({ transcripts, glossary }, { ignoreCase }) {
+  const store = createCorrectionStore();
+  const steps = [];
+
+  transcripts.forEach((transcript, index) => {
+    const language = transcript.language || DEFAULT_LANGUAGE;
+    const recordedAt = transcript.created_at || new Date().toISOString();
+
+    const scope = scopeOf(transcript);
+    const corrections = asOf(correctionsForScope(store.rows().filter(c => c.language === language), scope), recordedAt);
+    const personalized = applyCorrectionsWithDetails(transcript.raw_text, corrections, MIN_COUNT, language, null, glossary);
+
+    const reference = werWords(transcript.final_text, ignoreCase);
+    const raw = wordErrors(werWords(transcript.raw_text, ignoreCase), reference);
+    const after = wordErrors(werWords(personalized.text, ignoreCase), reference);
+
+    // Saving the edited transcript learns from raw -> final
+    const learned = extractCorrections(transcript.raw_text, transcript.final_text);
+    for (const correction of learned) {
+      store.learn(correction, language, scope, transcript.updated_at || recordedAt);
+    }
+
+    steps.push({
+      step: index + 1,
+      id: transcript.id,
+      title: transcript.title || 'Untitled Recording',
+      language,
+      recordedAt,
+      words: reference.length,
+      raw: { ...raw, wer: rate(raw.errors, raw.words) },
+      personalized: { ...after, wer: rate(after.errors, after.words) },
+      applied: personalized.applied.map(a => ({ original: a.original, corrected: a.corrected, kind: a.kind })),
+      learned: learned.map(c => ({ original: c.original, corrected: c.corrected })),
+      dictionarySize: store.rows().length
+    });
+  });
+
+  const totals = steps.reduce((sum, s) => ({
+    words: sum.words + s.words,
+    rawErrors: sum.rawErrors + s.raw.errors,
+    personalizedErrors: sum.personalizedErrors + s.personalized.errors
+  }), { words: 0, rawErrors: 0, personalizedErrors: 0 });
+
+  const rawWer = rate(totals.rawErrors, totals.words);
+  const personalizedWer = rate(totals.personalizedErrors, totals.words);
+
+  return {
+    steps,
+    summary: {
+      transcripts: steps.length,
+      words: totals.words,
+      rawWer,
+      personalizedWer,
+      relativeReduction: rawWer === 0 ? 0 : (rawWer - personalizedWer) / rawWer,
+      improved: steps.filter(s => s.personalized.errors < s.raw.errors).length,
+      unchanged: steps.filter(s => s.personalized.errors === s.raw.errors).length,
+      regressed: steps.filter(s => s.personalized.errors > s.raw.errors).length
+    }
+  };
+}
+
+function printReport(fixturePath, fixture, { steps, summary }, { ignoreCase, verbose }) {
+  console.log(`Personalization evaluation: ${steps.length} transcripts from ${path.relative(process.cwd(), fixturePath)}` +
+    (fixture.skipped > 0 ? ` (${fixture.skipped} never edited, skipped)` : ''));
+  console.log(`WER against the final text, edge punctuation ignored, case ${ignoreCase ? 'ignored' : 'kept'}\n`);
+  console.log('   # | recorded   | lang | words | raw WER | personalized WER | edits | dictionary');
+
+  for (const s of steps) {
+    const marker = s.personalized.errors > s.raw.errors ? '  <- regression' : '';
+    console.log(
+      `${String(s.step).padStart(4)} | ${s.recordedAt.slice(0, 10)} | ${s.language.padEnd(4)} | ${String(s.words).padStart(5)} | ` +
+      `${percent(s.raw.wer).padStart(7)} | ${percent(s.personalized.wer).padStart(16)} | ${String(s.applied.length).padStart(5)} | ` +
+      `${String(s.dictionarySize).padStart(10)}${marker}`
+    );
+
+    if (verbose) {
+      for (const a of s.applied) console.log(`       applied (${a.kind}): "${a.original}" -> "${a.corrected}"`);
+      for (const c of s.learned) console.log(`       learned: "${c.original}" -> "${c.corrected}"`);
+    }
+  }
+
+  console.log(`\nOverall WER: raw ${percent(summary.rawWer)}, personalized ${percent(summary.personalizedWer)} ` +
+    `(${percent(summary.relativeReduction)} relative reduction over ${summary.words} words)`);
+  console.log(`Transcripts improved: ${summary.improved}, unchanged: ${summary.unchanged}, regressed: ${summary.regressed}`);
+}
+
+function main() {
+  const fixturePath = path.resolve(getOption('fixture', DEFAULT_FIXTURE));
+  const options = { ignoreCase: hasFlag('ignore-case'), verbose: hasFlag('verbose') };
+
+  const fixture = loadFixture(fixturePath);
+  const result = evaluate(fixture, options);
+
+  if (hasFlag('json')) {
+    console.log(JSON.stringify({ fixture: fixturePath, ignoreCase: options.ignoreCase, ...result }, null, 2));
+  } else {
+    printReport(fixturePath, fixture, result, options);
+  }
+
+  if (hasFlag('fail-on-regression') && result.summary.regressed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,162 @@
+/**
+ * Audio storage reconciliation
+ * Compares the recordings in the S3 bucket (uploads/ and shared/) with the
+ * audio URLs of every user's transcripts, including those in the Trash, and
+ * of the messages in BA chat sessions, and reports:
+ * - orphaned audio: objects nothing points at, such as audio left behind by
+ *   transcripts deleted before the Trash purged it. Objects newer than
+ *   --min-age-hours are left out, as a new upload has no transcript until it
+ *   has been transcribed
+ * - missing audio: transcripts whose audio URL points at an object in the
+ *   bucket that isn't there. Transcripts older than the bucket's lifecycle
+ *   rule (--audio-retention-days, audio_retention_days in Terraform) are
+ *   expected to have lost their audio and are only counted
+ * Audio stored outside the bucket, or outside uploads/ and shared/, isn't checked.
+ *
+ * Usage: npm run reconcile:audio [-- --min-age-hours 24 --audio-retention-days 90 --delete-orphans --fail-on-mismatch]
+ *
+ * Nothing is changed unless --delete-orphans is given, which deletes the
+ * orphaned audio. Transcripts with missing audio are only reported.
+ * Needs the same Supabase and AWS settings as the server (app/.env).
+ */
+
+require('dotenv').config();
+
+const database = require('../services/database');
+const storage = require('../services/storage');
+
+// Uploads younger than this may still be waiting to be transcribed
+const DEFAULT_MIN_AGE_HOURS = 24;
+
+// Days after which the bucket's lifecycle rule deletes audio (0 = never),
+// as audio_retention_days in infrastructure/variables.tf
+const DEFAULT_AUDIO_RETENTION_DAYS = 90;
+
+function getOption(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 || !process.argv[index + 1] ? fallback : process.argv[index + 1];
+}
+
+function hasFlag(name) {
+  return process.argv.includes(`--${name}`);
+}
+
+/**
+ * Match the bucket's objects against the transcripts' and BA chat messages' audio URLs
+ *
+ * @param {Array<{key: string, size: number, lastModified: Date}>} objects - From storage.listAudioObjects
+ * @param {Array<{id: string, user_id: string, audio_url: string, deleted_at: string|null, created_at: string}>} transcripts - From database.listTranscriptAudio
+ * @param {string[]} otherAudioUrls - Audio kept for anything else, from database.listBaSessionAudio
+ * @param {Object} options - { minAgeHours, audioRetentionDays, now }
+ * @returns {{orphanedAudio: Array<Object>, missingAudio: Array<Object>, expiredAudio: number, unchecked: number}}
+ */
+function reconcile(objects, transcripts, otherAudioUrls, { minAgeHours, audioRetentionDays, now = Date.now() }) {
+  const referencedKeys = new Set(otherAudioUrls.map(storage.audioKey).filter(Boolean));
+  const existingKeys = new Set(objects.map(o => o.key));
+  const expiryCutoff = audioRetentionDays > 0 ? now - audioRetentionDays * 24 * 60 * 60 * 1000 : null;
+  const missingAudio = [];
+  let expiredAudio = 0;
+  let unchecked = 0;
+
+  for (const transcript of transcripts) {
+    const key = storage.audioKey(transcript.audio_url);
+    if (!key || !storage.AUDIO_PREFIXES.some(prefix => key.startsWith(prefix))) {
+      unchecked++;
+      continue;
+    }
+
+    referencedKeys.add(key);
+    if (existingKeys.has(key)) continue;
+
+    if (expiryCutoff !== null && new Date(transcript.created_at).getTime() < expiryCutoff) {
+      expiredAudio++;
+    } else {
+      missingAudio.push({
+        id: transcript.id,
+        userId: transcript.user_id,
+        audioUrl: transcript.audio_url,
+        inTrash: Boolean(transcript.deleted_at)
+      });
+    }
+  }
+
+  const cutoff = now - minAgeHours * 60 * 60 * 1000;
+  const orphanedAudio = objects.filter(o =>
+    !referencedKeys.has(o.key) && new Date(o.lastModified).getTime() < cutoff
+  );
+
+  return { orphanedAudio, missingAudio, expiredAudio, unchecked };
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function printReport({ objects, transcripts, otherAudioUrls, minAgeHours, audioRetentionDays }, { orphanedAudio, missingAudio, expiredAudio, unchecked }) {
+  console.log(`Audio reconciliation for s3://${storage.BUCKET_NAME}: ${objects.length} objects under ` +
+    `${storage.AUDIO_PREFIXES.join(', ')}, ${transcripts.length} transcripts with audio` +
+    (unchecked > 0 ? ` (${unchecked} stored elsewhere, not checked)` : '') +
+    `, ${otherAudioUrls.length} BA chat messages with audio`);
+
+  const orphanedBytes = orphanedAudio.reduce((sum, o) => sum + (o.size || 0), 0);
+  console.log(`\nOrphaned audio, older than ${minAgeHours}h: ${orphanedAudio.length} (${formatBytes(orphanedBytes)})`);
+  for (const o of orphanedAudio) {
+    console.log(`  ${o.key}  ${formatBytes(o.size || 0)}  ${new Date(o.lastModified).toISOString().slice(0, 10)}`);
+  }
+
+  console.log(`\nTranscripts with missing audio: ${missingAudio.length}`);
+  for (const t of missingAudio) {
+    console.log(`  ${t.id}  user ${t.userId}  ${t.audioUrl}${t.inTrash ? '  (in the Trash)' : ''}`);
+  }
+
+  if (expiredAudio > 0) {
+    console.log(`\nTranscripts older than ${audioRetentionDays} days whose audio the lifecycle rule has expired: ${expiredAudio}`);
+  }
+}
+
+async function main() {
+  const minAgeHours = Number(getOption('min-age-hours', DEFAULT_MIN_AGE_HOURS));
+  if (!Number.isFinite(minAgeHours) || minAgeHours < 0) {
+    throw new Error('--min-age-hours must be a number of hours, 0 or more');
+  }
+  const audioRetentionDays = Number(getOption('audio-retention-days', process.env.AUDIO_RETENTION_DAYS || DEFAULT_AUDIO_RETENTION_DAYS));
+  if (!Number.isFinite(audioRetentionDays) || audioRetentionDays < 0) {
+    throw new Error('--audio-retention-days must be a number of days, 0 or more');
+  }
+
+  database.initSupabase();
+  const s3Client = storage.createS3Client();
+  if (!s3Client) throw new Error('S3 not configured');
+
+  // Transcripts first: a recording saved in between then has its audio listed
+  // (too new to count as orphaned) rather than being reported as missing
+  const transcripts = await database.listTranscriptAudio();
+  const otherAudioUrls = await database.listBaSessionAudio();
+  const objects = await storage.listAudioObjects(s3Client);
+  const result = reconcile(objects, transcripts, otherAudioUrls, { minAgeHours, audioRetentionDays });
+
+  let deleted = 0;
+  if (hasFlag('delete-orphans')) {
+    deleted = await storage.deleteAudioObjects(
+      s3Client,
+      result.orphanedAudio.map(o => `s3://${storage.BUCKET_NAME}/${o.key}`)
+    );
+  }
+
+  printReport({ objects, transcripts, otherAudioUrls, minAgeHours, audioRetentionDays }, result);
+  if (hasFlag('delete-orphans')) {
+    console.log(`\nDeleted ${deleted} of ${result.orphanedAudio.length} orphaned audio objects`);
+  } else if (result.orphanedAudio.length > 0) {
+    console.log('\nRun with --delete-orphans to delete the orphaned audio');
+  }
+
+  if (hasFlag('fail-on-mismatch') && (result.orphanedAudio.length > deleted || result.missingAudio.length > 0)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Audio reconciliation failed:', error.message);
+  process.exitCode = 1;
+});
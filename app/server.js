@@ -6,17 +6,27 @@
 const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const { parse } = require('csv-parse/sync');
-const { S3Client, PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
+const { PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const rateLimit = require('express-rate-limit');
 const OpenAI = require('openai');
-const database = require('./services/database');
 
-// Load environment variables
+// Load environment variables (before the services, which read them when loaded)
 require('dotenv').config();
 
+const database = require('./services/database');
+const languages = require('./services/languages');
+const { extractTimestamps } = require('./services/timestamps');
+const exporter = require('./services/export');
+const dictionary = require('./services/dictionary');
+const glossary = require('./services/glossary');
+const { parseListParams, parseSearchParams } = require('./services/search');
+const chunking = require('./services/chunking');
+const audioMetadata = require('./services/metadata');
+const storage = require('./services/storage');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -32,8 +42,10 @@ app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Range', 'X-Anonymous-ID'],
-  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length']
+  exposedHeaders: ['Content-Range', 'Accept-Ranges', 'Content-Length', 'Content-Disposition']
 }));
+// Imported vocabularies can be larger than the default 100kb body
+app.use('/api/corrections/import', express.json({ limit: '5mb' }));
 app.use(express.json());
 app.use(limiter);
 
@@ -48,9 +60,7 @@ app.use(express.static('public', {
 }));
 
 // AWS Configuration
-let s3Client;
-const BUCKET_NAME = process.env.AUDIO_BUCKET || process.env.S3_BUCKET_NAME || 'voice-recording-app';
-const REGION = process.env.AWS_REGION || 'eu-west-2';
+const { BUCKET_NAME, REGION } = storage;
 
 // OpenAI Configuration
 const DEFAULT_TITLE_MODEL = process.env.OPENAI_TITLE_MODEL || 'gpt-4o-mini';
@@ -65,52 +75,8 @@ if (process.env.OPENAI_API_KEY) {
 // Initialize Supabase
 database.initSupabase();
 
-/**
- * Load AWS credentials from environment or CSV file
- */
-function loadAWSCredentials() {
-  try {
-    if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
-      s3Client = new S3Client({
-        region: REGION,
-        credentials: {
-          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-        }
-      });
-      console.log('✓ AWS credentials loaded from environment');
-      return true;
-    }
-
-    // Try CSV file fallback
-    const csvPath = path.join(__dirname, 'voice-recording-api-user_accessKeys.csv');
-    if (fs.existsSync(csvPath)) {
-      const csvContent = fs.readFileSync(csvPath, 'utf-8').replace(/^\uFEFF/, '');
-      const records = parse(csvContent, { columns: true, skip_empty_lines: true, trim: true });
-
-      if (records.length > 0) {
-        const creds = records[0];
-        s3Client = new S3Client({
-          region: REGION,
-          credentials: {
-            accessKeyId: creds['Access key ID'],
-            secretAccessKey: creds['Secret access key']
-          }
-        });
-        console.log('✓ AWS credentials loaded from CSV');
-        return true;
-      }
-    }
-
-    console.error('AWS credentials not found');
-    return false;
-  } catch (error) {
-    console.error('Error loading AWS credentials:', error.message);
-    return false;
-  }
-}
-
-loadAWSCredentials();
+// Initialize S3
+const s3Client = storage.createS3Client();
 
 /**
  * Utility functions
@@ -138,6 +104,20 @@ function cleanGeneratedTitle(title) {
     .join(' ');
 }
 
+// How often the server deletes recordings and folders past the Trash retention period
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Delete everything that has been in the Trash past the retention period, with its audio
+ */
+async function purgeExpiredTrash() {
+  const { transcripts, folders, audioUrls } = await database.purgeTrash();
+  await storage.deleteAudioObjects(s3Client, audioUrls);
+  if (transcripts > 0 || folders > 0) {
+    console.log(`Purged ${transcripts} recording(s) and ${folders} folder(s) from the Trash`);
+  }
+}
+
 // Temporary user ID for backwards compatibility during auth transition
 const TEMP_USER_ID = '00000000-0000-0000-0000-000000000001';
 
@@ -282,333 +262,1202 @@ app.post('/api/move-to-shared', async (req, res) => {
       Key: sourceKey
     }));
 
-    const shareableUrl = `https://${BUCKET_NAME}.s3.amazonaws.com/${destinationKey}`;
+    const shareableUrl = `https://${BUCKET_NAME}.s3.amazonaws.com/${destinationKey}`;
+
+    res.json({
+      success: true,
+      shareableUrl,
+      filename: sanitizedFilename
+    });
+  } catch (error) {
+    console.error('Error moving file:', error);
+    res.status(500).json({ error: 'Failed to move file' });
+  }
+});
+
+// ============================================
+// Transcription Jobs
+// ============================================
+
+// Jobs run in this process, a few at a time, in the order they were queued
+const TRANSCRIPTION_WORKER_CONCURRENCY = 2;
+// Which server's queue a job is in; the same across restarts of this server
+const TRANSCRIPTION_WORKER_ID = process.env.TRANSCRIPTION_WORKER_ID || `${os.hostname()}:${PORT}`;
+const transcriptionQueue = [];
+let activeTranscriptionJobs = 0;
+
+/**
+ * Public shape of a transcription job
+ */
+function formatTranscriptionJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    result: job.result || null,
+    error: job.error || null,
+    transcriptId: job.transcript_id || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at
+  };
+}
+
+/**
+ * Add a job to the in-process queue and start it if a worker slot is free
+ */
+function enqueueTranscriptionJob(job) {
+  transcriptionQueue.push(job);
+  processTranscriptionQueue();
+}
+
+function processTranscriptionQueue() {
+  while (activeTranscriptionJobs < TRANSCRIPTION_WORKER_CONCURRENCY && transcriptionQueue.length > 0) {
+    const job = transcriptionQueue.shift();
+    activeTranscriptionJobs++;
+    runTranscriptionJob(job).finally(() => {
+      activeTranscriptionJobs--;
+      processTranscriptionQueue();
+    });
+  }
+}
+
+/**
+ * Download the audio, transcribe it, generate a title and save the transcript,
+ * recording progress on the job as it goes. Never throws: failures are stored on the job.
+ */
+async function runTranscriptionJob(job) {
+  const userId = job.user_id;
+  const { fileUrl, folderId, seriesId, isDisposable } = job.request;
+
+  try {
+    await database.updateTranscriptionJob(job.id, { status: 'transcribing' });
+
+    // Download audio file
+    const response = await fetch(fileUrl);
+    if (!response.ok) {
+      throw new Error('Failed to download audio file');
+    }
+
+    const buffer = await response.arrayBuffer();
+    const audioFile = Buffer.from(buffer);
+    const clientMetadata = audioMetadata.parseClientMetadata(job.request.audioMetadata);
+    const verifiedMetadata = await audioMetadata.readAudioMetadata(audioFile, clientMetadata.mimeType);
+
+    // Create temp file for Whisper
+    const urlObject = new URL(fileUrl);
+    const originalFilename = path.basename(urlObject.pathname);
+    const tempFilePath = path.join('/tmp', originalFilename);
+    fs.writeFileSync(tempFilePath, audioFile);
+
+    // Per-recording choice wins, then the user's default, then English
+    let userDefaultLanguage = null;
+    try {
+      const settings = await database.getUserSettings(userId);
+      userDefaultLanguage = settings.default_language;
+    } catch (settingsError) {
+      console.error('Error fetching user settings:', settingsError);
+    }
+    const requestedLanguage = languages.resolveRequestedLanguage(job.request.language, userDefaultLanguage);
+
+    // The user's glossary nudges Whisper towards their spellings of names and terms
+    let glossaryPrompt = '';
+    try {
+      glossaryPrompt = await database.getGlossaryPrompt(userId);
+    } catch (glossaryError) {
+      console.error('Error fetching glossary:', glossaryError);
+    }
+
+    const transcribeFile = (filePath) => {
+      const whisperOptions = {
+        file: fs.createReadStream(filePath),
+        model: 'whisper-1',
+        // verbose_json reports the detected language and segment/word timings
+        response_format: 'verbose_json',
+        timestamp_granularities: ['segment', 'word']
+      };
+      if (requestedLanguage !== languages.AUTO_DETECT) {
+        whisperOptions.language = requestedLanguage;
+      }
+      if (glossaryPrompt) {
+        whisperOptions.prompt = glossaryPrompt;
+      }
+      return openaiClient.audio.transcriptions.create(whisperOptions);
+    };
+
+    let transcription;
+    try {
+      // Recordings over the Whisper upload limit are transcribed in overlapping chunks
+      transcription = chunking.needsChunking(audioFile.length)
+        ? await chunking.transcribeInChunks(tempFilePath, transcribeFile)
+        : await transcribeFile(tempFilePath);
+    } finally {
+      if (fs.existsSync(tempFilePath)) {
+        fs.unlinkSync(tempFilePath);
+      }
+    }
+
+    // Generate AI title if enabled
+    let generatedTitle = null;
+    if (AI_TITLE_ENABLED && transcription?.text) {
+      await database.updateTranscriptionJob(job.id, { status: 'titling' });
+      try {
+        const prompt = `Summarize the following transcript in 1 to 4 words. Return only the concise title.\n\nTranscript:\n${transcription.text}`;
+        const titleResponse = await openaiClient.responses.create({
+          model: DEFAULT_TITLE_MODEL,
+          input: prompt,
+          max_output_tokens: 20,
+          temperature: 0.2
+        });
+        const rawTitle = titleResponse.output_text || titleResponse.outputText || null;
+        generatedTitle = cleanGeneratedTitle(rawTitle);
+      } catch (titleError) {
+        console.error('Title generation error:', titleError);
+      }
+    }
+
+    const language = requestedLanguage === languages.AUTO_DETECT
+      ? languages.normalizeDetectedLanguage(transcription?.language)
+      : requestedLanguage;
+    const { segments, words } = extractTimestamps(transcription);
+    const recordingMetadata = audioMetadata.resolveAudioMetadata(verifiedMetadata, clientMetadata, transcription?.duration);
+
+    // Apply personalization (learned corrections for this language) to the raw transcription
+    const rawText = transcription?.text || '';
+    let personalizedText = rawText;
+    let appliedCorrections = [];
+    try {
+      const personalized = await database.personalizeText(userId, rawText, 2, language, { folderId, seriesId });
+      personalizedText = personalized.text;
+      appliedCorrections = personalized.appliedCorrections;
+    } catch (persError) {
+      console.error('Personalization error:', persError);
+      // Continue with raw text if personalization fails
+    }
+
+    // Save to Supabase database
+    let savedTranscript = null;
+    try {
+      // Resolve series order if continuing a series
+      let resolvedSeriesOrder = null;
+      if (seriesId) {
+        resolvedSeriesOrder = await database.getNextSeriesOrder(userId, seriesId);
+      }
+
+      savedTranscript = await database.saveTranscript({
+        userId: userId,
+        rawText: rawText,
+        personalizedText: personalizedText,
+        appliedCorrections,
+        audioUrl: fileUrl,
+        ...recordingMetadata,
+        title: generatedTitle,
+        folderId: folderId || null,
+        seriesId: seriesId || null,
+        seriesOrder: resolvedSeriesOrder,
+        isDisposable: isDisposable || false,
+        language,
+        segments,
+        words
+      });
+      console.log('✓ Transcript saved to database:', savedTranscript.id);
+    } catch (dbError) {
+      console.error('Database save error:', dbError);
+      // Continue even if DB save fails - the job still returns the text
+    }
+
+    await database.updateTranscriptionJob(job.id, {
+      status: 'done',
+      transcript_id: savedTranscript?.id || null,
+      result: {
+        success: true,
+        transcription: personalizedText,
+        rawTranscription: rawText,
+        language,
+        title: generatedTitle,
+        transcriptId: savedTranscript?.id || null,
+        shareableUrl: fileUrl
+      }
+    });
+  } catch (error) {
+    console.error(`Transcription job ${job.id} failed:`, error);
+    try {
+      await database.updateTranscriptionJob(job.id, {
+        status: 'failed',
+        error: error.message || 'Failed to transcribe audio'
+      });
+    } catch (updateError) {
+      console.error('Error recording job failure:', updateError);
+    }
+  }
+}
+
+/**
+ * Queue a transcription job
+ * Responds 202 with { jobId, status } straight away; poll /api/transcription-jobs/:id for progress
+ */
+app.post('/api/transcribe', async (req, res) => {
+  try {
+    const { fileUrl, folderId, seriesId, isDisposable, language } = req.body;
+    const userId = getUserIdFromHeaders(req);
+
+    if (!fileUrl) {
+      return res.status(400).json({ error: 'File URL is required' });
+    }
+
+    if (language && !languages.isValidLanguage(language)) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+
+    // Check anonymous user limit
+    if (!isAuthenticatedUser(req)) {
+      try {
+        const transcripts = await database.getTranscripts(userId, 100, 0);
+        if (transcripts && transcripts.length >= ANONYMOUS_RECORDING_LIMIT) {
+          return res.status(403).json({
+            error: 'limit_reached',
+            message: 'Trial limit reached. Sign in for unlimited access.'
+          });
+        }
+      } catch (limitError) {
+        console.error('Error checking limit:', limitError);
+        // Continue if limit check fails (fail open)
+      }
+    }
+
+    if (!openaiClient) {
+      return res.status(500).json({ error: 'OpenAI API key not configured' });
+    }
+
+    const job = await database.createTranscriptionJob(userId, {
+      fileUrl,
+      language: language || null,
+      folderId: folderId || null,
+      seriesId: seriesId || null,
+      isDisposable: isDisposable || false,
+      audioMetadata: audioMetadata.parseClientMetadata(req.body.audioMetadata)
+    }, TRANSCRIPTION_WORKER_ID);
+
+    res.status(202).json({ jobId: job.id, status: job.status });
+
+    enqueueTranscriptionJob(job);
+  } catch (error) {
+    console.error('Transcription error:', error);
+    res.status(500).json({ error: error.message || 'Failed to queue transcription' });
+  }
+});
+
+/**
+ * Get the status of a transcription job
+ * status: queued | transcribing | titling | done | failed
+ * `result` holds the transcription once done, `error` the reason once failed
+ */
+app.get('/api/transcription-jobs/:id', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const job = await database.getTranscriptionJob(userId, req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Transcription job not found' });
+    }
+    res.json({ job: formatTranscriptionJob(job) });
+  } catch (error) {
+    console.error('Error fetching transcription job:', error);
+    res.status(500).json({ error: 'Failed to fetch transcription job' });
+  }
+});
+
+/**
+ * Get transcript history
+ * Query: limit, offset, sort (newest, oldest, longest, shortest),
+ * minDuration/maxDuration (seconds; min inclusive, max exclusive)
+ */
+app.get('/api/transcripts', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const { params, error } = parseListParams(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const transcripts = await database.getTranscripts(userId, params.limit, params.offset, params);
+    res.json({ transcripts });
+  } catch (error) {
+    console.error('Error fetching transcripts:', error);
+    res.status(500).json({ error: 'Failed to fetch transcripts' });
+  }
+});
+
+/**
+ * Full-text search across the user's transcripts
+ * Query: q (required), folderId, seriesId, from, to (ISO dates), minDuration, maxDuration (seconds),
+ * limit (max 50), offset
+ * Each result has `snippet`: [{ text, highlight }] excerpt parts around the matches
+ * (registered before /api/transcripts/:id so "search" is not taken as an ID)
+ */
+app.get('/api/transcripts/search', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const { params, error } = parseSearchParams(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { results, total } = await database.searchTranscripts(userId, params);
+    res.json({ results, total, limit: params.limit, offset: params.offset });
+  } catch (error) {
+    console.error('Error searching transcripts:', error);
+    res.status(500).json({ error: 'Failed to search transcripts' });
+  }
+});
+
+/**
+ * Get single transcript (includes segment and word timestamps)
+ */
+app.get('/api/transcripts/:id', async (req, res) => {
+  try {
+    const transcript = await database.getTranscript(req.params.id);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    res.json({ transcript });
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    res.status(500).json({ error: 'Failed to fetch transcript' });
+  }
+});
+
+/**
+ * Update transcript (save edits)
+ */
+app.put('/api/transcripts/:id', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const { finalText } = req.body;
+    const transcript = await database.updateTranscript(userId, req.params.id, { finalText });
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    res.json({ transcript });
+  } catch (error) {
+    console.error('Error updating transcript:', error);
+    res.status(500).json({ error: 'Failed to update transcript' });
+  }
+});
+
+/**
+ * Get the corrections personalization applied to a transcript
+ * (offsets point into personalizedText)
+ */
+app.get('/api/transcripts/:id/corrections', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const result = await database.getAppliedCorrections(userId, req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching applied corrections:', error);
+    res.status(500).json({ error: 'Failed to fetch applied corrections' });
+  }
+});
+
+/**
+ * Undo an applied correction on a transcript and stop applying it
+ */
+app.post('/api/transcripts/:id/corrections/:index/undo', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({ error: 'Invalid correction index' });
+    }
+
+    const transcript = await database.undoAppliedCorrection(userId, req.params.id, index);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Applied correction not found' });
+    }
+    res.json({ transcript });
+  } catch (error) {
+    console.error('Error undoing applied correction:', error);
+    res.status(500).json({ error: 'Failed to undo correction' });
+  }
+});
+
+/**
+ * List a transcript's saved versions, newest first (without their text)
+ */
+app.get('/api/transcripts/:id/versions', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const versions = await database.listTranscriptVersions(userId, req.params.id);
+    if (!versions) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    res.json({ versions });
+  } catch (error) {
+    console.error('Error fetching transcript versions:', error);
+    res.status(500).json({ error: 'Failed to fetch transcript versions' });
+  }
+});
+
+/**
+ * Get one version of a transcript, with its text and what changed from the version before
+ */
+app.get('/api/transcripts/:id/versions/:version', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const versionNumber = Number(req.params.version);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ error: 'Invalid version' });
+    }
+
+    const version = await database.getTranscriptVersion(userId, req.params.id, versionNumber);
+    if (!version) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json({ version });
+  } catch (error) {
+    console.error('Error fetching transcript version:', error);
+    res.status(500).json({ error: 'Failed to fetch transcript version' });
+  }
+});
+
+/**
+ * Revert a transcript to an earlier version (saved as a new version), taking
+ * back corrections learned only from the edits undone
+ */
+app.post('/api/transcripts/:id/versions/:version/revert', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const versionNumber = Number(req.params.version);
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ error: 'Invalid version' });
+    }
+
+    const result = await database.revertTranscript(userId, req.params.id, versionNumber);
+    if (!result) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error reverting transcript:', error);
+    res.status(500).json({ error: 'Failed to revert transcript' });
+  }
+});
+
+/**
+ * Move all disposable notes to the Trash
+ * NOTE: Must be defined before /api/transcripts/:id to avoid route conflict
+ */
+app.delete('/api/transcripts/disposable', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    await database.deleteDisposableTranscripts(userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting disposable notes:', error);
+    res.status(500).json({ error: 'Failed to delete disposable notes' });
+  }
+});
+
+/**
+ * Delete transcript (moves it to the Trash)
+ */
+app.delete('/api/transcripts/:id', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    await database.deleteTranscript(userId, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting transcript:', error);
+    res.status(500).json({ error: 'Failed to delete transcript' });
+  }
+});
+
+// ============================================
+// Folder Routes
+// ============================================
+
+/**
+ * Get all folders for user
+ */
+app.get('/api/folders', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const folders = await database.getFolders(userId);
+    res.json({ folders });
+  } catch (error) {
+    console.error('Error fetching folders:', error);
+    res.status(500).json({ error: 'Failed to fetch folders' });
+  }
+});
+
+/**
+ * Create a new folder
+ */
+app.post('/api/folders', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Folder name is required' });
+    }
+
+    const folder = await database.createFolder(userId, name);
+    res.json({ folder });
+  } catch (error) {
+    console.error('Error creating folder:', error);
+    res.status(500).json({ error: 'Failed to create folder' });
+  }
+});
+
+/**
+ * Rename a folder
+ */
+app.put('/api/folders/:id', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Folder name is required' });
+    }
+
+    const folder = await database.updateFolder(userId, req.params.id, name);
+    res.json({ folder });
+  } catch (error) {
+    console.error('Error updating folder:', error);
+    res.status(500).json({ error: 'Failed to update folder' });
+  }
+});
+
+/**
+ * Delete a folder (moves it to the Trash; its recordings show as unfiled)
+ */
+app.delete('/api/folders/:id', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    await database.deleteFolder(userId, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting folder:', error);
+    res.status(500).json({ error: 'Failed to delete folder' });
+  }
+});
+
+// ============================================
+// Trash Routes
+// ============================================
+
+/**
+ * Get recordings and folders in the Trash, and how many days they are kept
+ */
+app.get('/api/trash', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const trash = await database.getTrash(userId);
+    res.json(trash);
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Failed to fetch trash' });
+  }
+});
+
+/**
+ * Empty the Trash (deletes everything in it for good, with its audio)
+ */
+app.delete('/api/trash', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const { transcripts, folders, audioUrls } = await database.purgeTrash({ userId, olderThanDays: 0 });
+    await storage.deleteAudioObjects(s3Client, audioUrls);
+    res.json({ success: true, transcripts, folders });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({ error: 'Failed to empty trash' });
+  }
+});
+
+/**
+ * Restore a recording from the Trash
+ */
+app.post('/api/trash/transcripts/:id/restore', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const transcript = await database.restoreFromTrash(userId, 'transcripts', req.params.id);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Recording not found in trash' });
+    }
+    res.json({ transcript });
+  } catch (error) {
+    console.error('Error restoring transcript:', error);
+    res.status(500).json({ error: 'Failed to restore recording' });
+  }
+});
+
+/**
+ * Delete a recording in the Trash for good, with its audio
+ */
+app.delete('/api/trash/transcripts/:id', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const result = await database.deleteTrashedTranscript(userId, req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'Recording not found in trash' });
+    }
+    await storage.deleteAudioObjects(s3Client, result.audioUrls);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting trashed transcript:', error);
+    res.status(500).json({ error: 'Failed to delete recording' });
+  }
+});
+
+/**
+ * Restore a folder from the Trash (its recordings are filed in it again)
+ */
+app.post('/api/trash/folders/:id/restore', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const folder = await database.restoreFromTrash(userId, 'folders', req.params.id);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found in trash' });
+    }
+    res.json({ folder });
+  } catch (error) {
+    console.error('Error restoring folder:', error);
+    res.status(500).json({ error: 'Failed to restore folder' });
+  }
+});
+
+/**
+ * Delete a folder in the Trash for good (its recordings become unfiled)
+ */
+app.delete('/api/trash/folders/:id', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const deleted = await database.deleteTrashedFolder(userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Folder not found in trash' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting trashed folder:', error);
+    res.status(500).json({ error: 'Failed to delete folder' });
+  }
+});
+
+/**
+ * Move a transcript to a folder
+ */
+app.put('/api/transcripts/:id/move', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const { folderId } = req.body;
+    const transcript = await database.moveTranscriptToFolder(userId, req.params.id, folderId || null);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    res.json({ transcript });
+  } catch (error) {
+    console.error('Error moving transcript:', error);
+    res.status(500).json({ error: 'Failed to move transcript' });
+  }
+});
+
+/**
+ * Link a transcript to a series
+ */
+app.post('/api/transcripts/:id/series', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const { seriesId } = req.body;
+
+    // Generate a new series ID if not provided (starting a new series)
+    const sid = seriesId || database.generateId();
+
+    // Get next order number
+    const seriesOrder = await database.getNextSeriesOrder(userId, sid);
+
+    const transcript = await database.setTranscriptSeries(userId, req.params.id, sid, seriesOrder);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+    res.json({ transcript, seriesId: sid });
+  } catch (error) {
+    console.error('Error setting series:', error);
+    res.status(500).json({ error: 'Failed to set series' });
+  }
+});
+
+// ============================================
+// Export Routes
+// ============================================
+
+/**
+ * Validate the requested export format, responding 400 if unsupported
+ */
+function getExportFormat(req, res) {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (!exporter.isExportFormat(format)) {
+    res.status(400).json({
+      error: `Unsupported export format. Use one of: ${Object.keys(exporter.EXPORT_FORMATS).join(', ')}`
+    });
+    return null;
+  }
+  return format;
+}
+
+/**
+ * Render transcripts in the requested format and send as a download
+ */
+async function sendExport(res, transcripts, format, options) {
+  const { body, contentType, filename } = await exporter.renderExport(transcripts, format, options);
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+/**
+ * Export a single transcript (?format=srt|vtt|md|docx|json)
+ */
+app.get('/api/transcripts/:id/export', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const format = getExportFormat(req, res);
+    if (!format) return;
+
+    const transcript = await database.getTranscript(req.params.id);
+    if (!transcript || transcript.user_id !== userId) {
+      return res.status(404).json({ error: 'Transcript not found' });
+    }
+
+    await sendExport(res, [transcript], format, {
+      title: transcript.title || 'Untitled Recording',
+      scope: 'transcript'
+    });
+  } catch (error) {
+    console.error('Error exporting transcript:', error);
+    res.status(500).json({ error: 'Failed to export transcript' });
+  }
+});
+
+/**
+ * Export every part of a series as one document
+ */
+app.get('/api/series/:id/export', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const format = getExportFormat(req, res);
+    if (!format) return;
+
+    const transcripts = await database.getSeriesTranscripts(userId, req.params.id);
+    if (transcripts.length === 0) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
 
-    res.json({
-      success: true,
-      shareableUrl,
-      filename: sanitizedFilename
+    await sendExport(res, transcripts, format, {
+      title: transcripts[0].title || 'Untitled Series',
+      scope: 'series'
     });
   } catch (error) {
-    console.error('Error moving file:', error);
-    res.status(500).json({ error: 'Failed to move file' });
+    console.error('Error exporting series:', error);
+    res.status(500).json({ error: 'Failed to export series' });
   }
 });
 
 /**
- * Transcribe audio and save to database
+ * Export every recording in a folder as one document
  */
-app.post('/api/transcribe', async (req, res) => {
+app.get('/api/folders/:id/export', async (req, res) => {
   try {
-    const { fileUrl, folderId, seriesId, isDisposable } = req.body;
     const userId = getUserIdFromHeaders(req);
+    const format = getExportFormat(req, res);
+    if (!format) return;
 
-    if (!fileUrl) {
-      return res.status(400).json({ error: 'File URL is required' });
-    }
-
-    // Check anonymous user limit
-    if (!isAuthenticatedUser(req)) {
-      try {
-        const transcripts = await database.getTranscripts(userId, 100, 0);
-        if (transcripts && transcripts.length >= ANONYMOUS_RECORDING_LIMIT) {
-          return res.status(403).json({
-            error: 'limit_reached',
-            message: 'Trial limit reached. Sign in for unlimited access.'
-          });
-        }
-      } catch (limitError) {
-        console.error('Error checking limit:', limitError);
-        // Continue if limit check fails (fail open)
-      }
+    const folder = await database.getFolder(userId, req.params.id);
+    if (!folder) {
+      return res.status(404).json({ error: 'Folder not found' });
     }
 
-    if (!openaiClient) {
-      return res.status(500).json({ error: 'OpenAI API key not configured' });
+    const transcripts = await database.getFolderTranscripts(userId, folder.id);
+    if (transcripts.length === 0) {
+      return res.status(400).json({ error: 'Folder is empty' });
     }
 
-    // Download audio file
-    const response = await fetch(fileUrl);
-    if (!response.ok) {
-      throw new Error('Failed to download audio file');
-    }
+    await sendExport(res, transcripts, format, { title: folder.name, scope: 'folder' });
+  } catch (error) {
+    console.error('Error exporting folder:', error);
+    res.status(500).json({ error: 'Failed to export folder' });
+  }
+});
 
-    const buffer = await response.arrayBuffer();
-    const audioFile = Buffer.from(buffer);
+// ============================================
+// Correction (Vocabulary) Routes
+// ============================================
 
-    // Create temp file for Whisper
-    const urlObject = new URL(fileUrl);
-    const originalFilename = path.basename(urlObject.pathname);
-    const tempFilePath = path.join('/tmp', originalFilename);
-    fs.writeFileSync(tempFilePath, audioFile);
+/**
+ * Get all learned corrections for user (including disabled ones)
+ */
+app.get('/api/corrections', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const corrections = await database.listCorrections(userId);
+    res.json({ corrections });
+  } catch (error) {
+    console.error('Error fetching corrections:', error);
+    res.status(500).json({ error: 'Failed to fetch corrections' });
+  }
+});
 
-    let transcription;
-    try {
-      transcription = await openaiClient.audio.transcriptions.create({
-        file: fs.createReadStream(tempFilePath),
-        model: 'whisper-1',
-        language: 'en'
-      });
-    } finally {
-      if (fs.existsSync(tempFilePath)) {
-        fs.unlinkSync(tempFilePath);
-      }
+/**
+ * Add a correction manually
+ */
+app.post('/api/corrections', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    if (req.body.originalToken !== undefined && typeof req.body.originalToken !== 'string') {
+      return res.status(400).json({ error: 'Original text must be a string' });
     }
+    if (req.body.correctedToken !== undefined && typeof req.body.correctedToken !== 'string') {
+      return res.status(400).json({ error: 'Corrected text must be a string' });
+    }
+    const originalToken = (req.body.originalToken || '').trim();
+    const correctedToken = (req.body.correctedToken || '').trim();
 
-    // Generate AI title if enabled
-    let generatedTitle = null;
-    if (AI_TITLE_ENABLED && transcription?.text) {
-      try {
-        const prompt = `Summarize the following transcript in 1 to 4 words. Return only the concise title.\n\nTranscript:\n${transcription.text}`;
-        const titleResponse = await openaiClient.responses.create({
-          model: DEFAULT_TITLE_MODEL,
-          input: prompt,
-          max_output_tokens: 20,
-          temperature: 0.2
-        });
-        const rawTitle = titleResponse.output_text || titleResponse.outputText || null;
-        generatedTitle = cleanGeneratedTitle(rawTitle);
-      } catch (titleError) {
-        console.error('Title generation error:', titleError);
-      }
+    if (!originalToken || !correctedToken) {
+      return res.status(400).json({ error: 'Both the original and corrected text are required' });
+    }
+    if (originalToken === correctedToken) {
+      return res.status(400).json({ error: 'Corrected text must differ from the original' });
     }
 
-    // Apply personalization (learned corrections) to the raw transcription
-    const rawText = transcription?.text || '';
-    let personalizedText = rawText;
-    try {
-      personalizedText = await database.personalizeText(userId, rawText);
-    } catch (persError) {
-      console.error('Personalization error:', persError);
-      // Continue with raw text if personalization fails
+    const language = req.body.language || languages.DEFAULT_LANGUAGE;
+    if (typeof language !== 'string' || language === languages.AUTO_DETECT || !languages.isValidLanguage(language)) {
+      return res.status(400).json({ error: 'Unsupported language' });
     }
 
-    // Save to Supabase database
-    let savedTranscript = null;
-    try {
-      // Resolve series order if continuing a series
-      let resolvedSeriesOrder = null;
-      if (seriesId) {
-        resolvedSeriesOrder = await database.getNextSeriesOrder(userId, seriesId);
-      }
+    const correction = await database.createCorrection(userId, {
+      originalToken,
+      correctedToken,
+      language,
+      phoneticDisabled: !!req.body.phoneticDisabled
+    });
+    res.json({ correction });
+  } catch (error) {
+    console.error('Error creating correction:', error);
+    res.status(500).json({ error: 'Failed to create correction' });
+  }
+});
 
-      savedTranscript = await database.saveTranscript({
-        userId: userId,
-        rawText: rawText,
-        personalizedText: personalizedText,
-        audioUrl: fileUrl,
-        durationSeconds: null,
-        title: generatedTitle,
-        folderId: folderId || null,
-        seriesId: seriesId || null,
-        seriesOrder: resolvedSeriesOrder,
-        isDisposable: isDisposable || false
+/**
+ * Export the user's vocabulary (?format=json|csv)
+ */
+app.get('/api/corrections/export', async (req, res) => {
+  try {
+    const userId = getUserIdFromHeaders(req);
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!dictionary.isDictionaryFormat(format)) {
+      return res.status(400).json({
+        error: `Unsupported export format. Use one of: ${Object.keys(dictionary.DICTIONARY_FORMATS).join(', ')}`
       });
-      console.log('✓ Transcript saved to database:', savedTranscript.id);
-    } catch (dbError) {
-      console.error('Database save error:', dbError);
-      // Continue even if DB save fails - don't block the response
     }
 
-    res.json({
-      success: true,
-      transcription: personalizedText,
-      rawTranscription: rawText,
-      language: 'en',
-      title: generatedTitle,
-      transcriptId: savedTranscript?.id || null,
-      shareableUrl: fileUrl
-    });
-
+    const corrections = await database.listCorrections(userId);
+    const { body, contentType, filename } = dictionary.renderDictionary(corrections, format);
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
   } catch (error) {
-    console.error('Transcription error:', error);
-    res.status(500).json({ error: error.message || 'Failed to transcribe audio' });
+    console.error('Error exporting corrections:', error);
+    res.status(500).json({ error: 'Failed to export corrections' });
   }
 });
 
 /**
- * Get transcript history
+ * Import a vocabulary file ({ format, content, dryRun }), merging it into the
+ * user's corrections. With dryRun the result previews what would change.
  */
-app.get('/api/transcripts', async (req, res) => {
+app.post('/api/corrections/import', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
+    const format = String(req.body.format || 'json').toLowerCase();
+    if (!dictionary.isDictionaryFormat(format)) {
+      return res.status(400).json({
+        error: `Unsupported import format. Use one of: ${Object.keys(dictionary.DICTIONARY_FORMATS).join(', ')}`
+      });
+    }
 
-    const transcripts = await database.getTranscripts(userId, limit, offset);
-    res.json({ transcripts });
+    const { entries, error } = dictionary.parseDictionary(req.body.content, format);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const dryRun = !!req.body.dryRun;
+    const result = await database.importCorrections(userId, entries, { dryRun });
+    res.json({ dryRun, ...result });
   } catch (error) {
-    console.error('Error fetching transcripts:', error);
-    res.status(500).json({ error: 'Failed to fetch transcripts' });
+    console.error('Error importing corrections:', error);
+    res.status(500).json({ error: 'Failed to import corrections' });
   }
 });
 
 /**
- * Get single transcript
+ * Edit a correction or enable/disable it
  */
-app.get('/api/transcripts/:id', async (req, res) => {
+app.put('/api/corrections/:id', async (req, res) => {
   try {
-    const transcript = await database.getTranscript(req.params.id);
-    if (!transcript) {
-      return res.status(404).json({ error: 'Transcript not found' });
+    const userId = getUserIdFromHeaders(req);
+    const { originalToken, correctedToken, disabled, phoneticDisabled, language } = req.body;
+    const updates = {};
+
+    if (originalToken !== undefined) {
+      if (typeof originalToken !== 'string') {
+        return res.status(400).json({ error: 'Original text must be a string' });
+      }
+      if (!originalToken.trim()) {
+        return res.status(400).json({ error: 'Original text cannot be empty' });
+      }
+      updates.originalToken = originalToken.trim();
     }
-    res.json({ transcript });
+    if (correctedToken !== undefined) {
+      if (typeof correctedToken !== 'string') {
+        return res.status(400).json({ error: 'Corrected text must be a string' });
+      }
+      if (!correctedToken.trim()) {
+        return res.status(400).json({ error: 'Corrected text cannot be empty' });
+      }
+      updates.correctedToken = correctedToken.trim();
+    }
+    if (disabled !== undefined) {
+      updates.disabled = !!disabled;
+    }
+    if (phoneticDisabled !== undefined) {
+      updates.phoneticDisabled = !!phoneticDisabled;
+    }
+    if (language !== undefined) {
+      if (typeof language !== 'string' || language === languages.AUTO_DETECT || !languages.isValidLanguage(language)) {
+        return res.status(400).json({ error: 'Unsupported language' });
+      }
+      updates.language = language;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const correction = await database.updateCorrection(userId, req.params.id, updates);
+    if (!correction) {
+      return res.status(404).json({ error: 'Correction not found' });
+    }
+    res.json({ correction });
   } catch (error) {
-    console.error('Error fetching transcript:', error);
-    res.status(500).json({ error: 'Failed to fetch transcript' });
+    console.error('Error updating correction:', error);
+    res.status(500).json({ error: 'Failed to update correction' });
   }
 });
 
 /**
- * Update transcript (save edits)
+ * Delete a correction so it is no longer applied
  */
-app.put('/api/transcripts/:id', async (req, res) => {
+app.delete('/api/corrections/:id', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    const { finalText } = req.body;
-    const transcript = await database.updateTranscript(userId, req.params.id, { finalText });
-    res.json({ transcript });
+    await database.deleteCorrection(userId, req.params.id);
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error updating transcript:', error);
-    res.status(500).json({ error: 'Failed to update transcript' });
+    console.error('Error deleting correction:', error);
+    res.status(500).json({ error: 'Failed to delete correction' });
   }
 });
 
 /**
- * Bulk delete all disposable notes
- * NOTE: Must be defined before /api/transcripts/:id to avoid route conflict
+ * List where a correction was learned: the transcripts and sentences it was made in
  */
-app.delete('/api/transcripts/disposable', async (req, res) => {
+app.get('/api/corrections/:id/occurrences', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    await database.deleteDisposableTranscripts(userId);
-    res.json({ success: true });
+    const occurrences = await database.listCorrectionOccurrences(userId, req.params.id);
+    if (!occurrences) {
+      return res.status(404).json({ error: 'Correction not found' });
+    }
+    res.json({ occurrences });
   } catch (error) {
-    console.error('Error deleting disposable notes:', error);
-    res.status(500).json({ error: 'Failed to delete disposable notes' });
+    console.error('Error fetching correction occurrences:', error);
+    res.status(500).json({ error: 'Failed to fetch correction occurrences' });
   }
 });
 
 /**
- * Delete transcript
+ * Make a folder- or series-scoped correction global, merging it into the
+ * global one with the same words and context if there is one
  */
-app.delete('/api/transcripts/:id', async (req, res) => {
+app.post('/api/corrections/:id/promote', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    await database.deleteTranscript(userId, req.params.id);
-    res.json({ success: true });
+    const correction = await database.promoteCorrection(userId, req.params.id);
+    if (!correction) {
+      return res.status(404).json({ error: 'Correction not found' });
+    }
+    res.json({ correction });
   } catch (error) {
-    console.error('Error deleting transcript:', error);
-    res.status(500).json({ error: 'Failed to delete transcript' });
+    console.error('Error promoting correction:', error);
+    res.status(500).json({ error: 'Failed to make correction global' });
   }
 });
 
 // ============================================
-// Folder Routes
+// Glossary Routes
 // ============================================
 
 /**
- * Get all folders for user
+ * Check a glossary term from a request body against the user's glossary
+ * @returns {{term: string|null, status?: number, error?: string}}
  */
-app.get('/api/folders', async (req, res) => {
+function checkGlossaryTerm(rawTerm, terms, exceptId = null) {
+  const term = glossary.normalizeGlossaryTerm(rawTerm);
+  const invalid = glossary.validateGlossaryTerm(term);
+  if (invalid) return { term: null, status: 400, error: invalid };
+
+  const key = glossary.glossaryKey(term);
+  if (terms.some(t => t.id !== exceptId && glossary.glossaryKey(t.term) === key)) {
+    return { term: null, status: 409, error: 'That term is already in the glossary' };
+  }
+  return { term };
+}
+
+/**
+ * Get the user's glossary, whether each term fits the transcription prompt,
+ * and suggested terms
+ */
+app.get('/api/glossary', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    const folders = await database.getFolders(userId);
-    res.json({ folders });
+    res.json(await database.listGlossary(userId));
   } catch (error) {
-    console.error('Error fetching folders:', error);
-    res.status(500).json({ error: 'Failed to fetch folders' });
+    console.error('Error fetching glossary:', error);
+    res.status(500).json({ error: 'Failed to fetch glossary' });
   }
 });
 
 /**
- * Create a new folder
+ * Add a glossary term (typed in, or accepted from a suggestion)
  */
-app.post('/api/folders', async (req, res) => {
+app.post('/api/glossary', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    const { name } = req.body;
+    const terms = await database.getGlossaryTerms(userId);
+    if (terms.length >= glossary.GLOSSARY_MAX_TERMS) {
+      return res.status(400).json({ error: `The glossary can have at most ${glossary.GLOSSARY_MAX_TERMS} terms` });
+    }
 
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Folder name is required' });
+    const { term, status, error } = checkGlossaryTerm(req.body.term, terms);
+    if (!term) {
+      return res.status(status).json({ error });
     }
 
-    const folder = await database.createFolder(userId, name);
-    res.json({ folder });
+    const created = await database.createGlossaryTerm(userId, {
+      term,
+      source: req.body.source === 'suggested' ? 'suggested' : 'manual',
+      pinned: !!req.body.pinned
+    });
+    res.json({ term: created });
   } catch (error) {
-    console.error('Error creating folder:', error);
-    res.status(500).json({ error: 'Failed to create folder' });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'That term is already in the glossary' });
+    }
+    console.error('Error creating glossary term:', error);
+    res.status(500).json({ error: 'Failed to create glossary term' });
   }
 });
 
 /**
- * Rename a folder
+ * Rename a glossary term or pin/unpin it
  */
-app.put('/api/folders/:id', async (req, res) => {
+app.put('/api/glossary/:id', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    const { name } = req.body;
+    const updates = {};
 
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Folder name is required' });
+    if (req.body.term !== undefined) {
+      const terms = await database.getGlossaryTerms(userId);
+      const { term, status, error } = checkGlossaryTerm(req.body.term, terms, req.params.id);
+      if (!term) {
+        return res.status(status).json({ error });
+      }
+      updates.term = term;
+    }
+    if (req.body.pinned !== undefined) {
+      updates.pinned = !!req.body.pinned;
     }
 
-    const folder = await database.updateFolder(userId, req.params.id, name);
-    res.json({ folder });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const term = await database.updateGlossaryTerm(userId, req.params.id, updates);
+    if (!term) {
+      return res.status(404).json({ error: 'Glossary term not found' });
+    }
+    res.json({ term });
   } catch (error) {
-    console.error('Error updating folder:', error);
-    res.status(500).json({ error: 'Failed to update folder' });
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'That term is already in the glossary' });
+    }
+    console.error('Error updating glossary term:', error);
+    res.status(500).json({ error: 'Failed to update glossary term' });
   }
 });
 
 /**
- * Delete a folder (recordings become unfiled)
+ * Remove a glossary term
  */
-app.delete('/api/folders/:id', async (req, res) => {
+app.delete('/api/glossary/:id', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    await database.deleteFolder(userId, req.params.id);
+    await database.deleteGlossaryTerm(userId, req.params.id);
     res.json({ success: true });
   } catch (error) {
-    console.error('Error deleting folder:', error);
-    res.status(500).json({ error: 'Failed to delete folder' });
+    console.error('Error deleting glossary term:', error);
+    res.status(500).json({ error: 'Failed to delete glossary term' });
   }
 });
 
+// ============================================
+// User Settings Routes
+// ============================================
+
 /**
- * Move a transcript to a folder
+ * Get user settings (default transcription language)
  */
-app.put('/api/transcripts/:id/move', async (req, res) => {
+app.get('/api/settings', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    const { folderId } = req.body;
-    const transcript = await database.moveTranscriptToFolder(userId, req.params.id, folderId || null);
-    res.json({ transcript });
+    const settings = await database.getUserSettings(userId);
+    res.json({ settings });
   } catch (error) {
-    console.error('Error moving transcript:', error);
-    res.status(500).json({ error: 'Failed to move transcript' });
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ error: 'Failed to fetch settings' });
   }
 });
 
 /**
- * Link a transcript to a series
+ * Update user settings
  */
-app.post('/api/transcripts/:id/series', async (req, res) => {
+app.put('/api/settings', async (req, res) => {
   try {
     const userId = getUserIdFromHeaders(req);
-    const { seriesId } = req.body;
-
-    // Generate a new series ID if not provided (starting a new series)
-    const sid = seriesId || database.generateId();
+    const { defaultLanguage } = req.body;
 
-    // Get next order number
-    const seriesOrder = await database.getNextSeriesOrder(userId, sid);
+    if (!defaultLanguage || !languages.isValidLanguage(defaultLanguage)) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
 
-    const transcript = await database.setTranscriptSeries(userId, req.params.id, sid, seriesOrder);
-    res.json({ transcript, seriesId: sid });
+    const settings = await database.updateUserSettings(userId, { defaultLanguage });
+    res.json({ settings });
   } catch (error) {
-    console.error('Error setting series:', error);
-    res.status(500).json({ error: 'Failed to set series' });
+    console.error('Error updating settings:', error);
+    res.status(500).json({ error: 'Failed to update settings' });
   }
 });
 
@@ -974,6 +1823,11 @@ app.post('/api/ba/transcribe', async (req, res) => {
       return res.status(400).json({ error: 'File URL is required' });
     }
 
+    if (req.body.language && !languages.isValidLanguage(req.body.language)) {
+      return res.status(400).json({ error: 'Unsupported language' });
+    }
+    const requestedLanguage = languages.resolveRequestedLanguage(req.body.language);
+
     if (!openaiClient) {
       return res.status(500).json({ error: 'OpenAI not configured' });
     }
@@ -994,16 +1848,24 @@ app.post('/api/ba/transcribe', async (req, res) => {
     fs.writeFileSync(tempPath, audioBuffer);
 
     // Transcribe with Whisper
-    const transcription = await openaiClient.audio.transcriptions.create({
+    const whisperOptions = {
       file: fs.createReadStream(tempPath),
       model: 'whisper-1',
-      language: 'en'
-    });
+      response_format: 'verbose_json'
+    };
+    if (requestedLanguage !== languages.AUTO_DETECT) {
+      whisperOptions.language = requestedLanguage;
+    }
+    const transcription = await openaiClient.audio.transcriptions.create(whisperOptions);
 
     // Clean up temp file
     fs.unlinkSync(tempPath);
 
-    res.json({ transcription: transcription.text });
+    const language = requestedLanguage === languages.AUTO_DETECT
+      ? languages.normalizeDetectedLanguage(transcription.language)
+      : requestedLanguage;
+
+    res.json({ transcription: transcription.text, language });
 
   } catch (error) {
     console.error('BA Transcription error:', error);
@@ -2057,6 +2919,7 @@ app.get('/api/saved-shares', async (req, res) => {
         )
       `)
       .eq('saved_by_user_id', userId)
+      .is('transcripts.deleted_at', null)
       .order('saved_at', { ascending: false });
 
     if (error) {
@@ -2064,7 +2927,7 @@ app.get('/api/saved-shares', async (req, res) => {
       return res.status(500).json({ error: 'Failed to fetch saved shares' });
     }
 
-    // Filter out deleted recordings and flatten
+    // Filter out deleted or trashed recordings (transcripts is null) and flatten
     const validShares = (data || []).filter(share => share.transcripts);
     const shares = validShares.map(share => ({
       id: share.id,
@@ -2095,17 +2958,18 @@ app.get('/api/saved-shares/by-person', async (req, res) => {
 
     const { data, error } = await database.supabase
       .from('saved_shares')
-      .select('owner_user_id, owner_name, saved_at')
-      .eq('saved_by_user_id', userId);
+      .select('owner_user_id, owner_name, saved_at, transcripts:recording_id (id)')
+      .eq('saved_by_user_id', userId)
+      .is('transcripts.deleted_at', null);
 
     if (error) {
       console.error('Error fetching saved shares by person:', error);
       return res.status(500).json({ error: 'Failed to fetch saved shares' });
     }
 
-    // Group by owner
+    // Group by owner, leaving out recordings that were deleted or are in the Trash
     const peopleMap = new Map();
-    for (const share of (data || [])) {
+    for (const share of (data || []).filter(share => share.transcripts)) {
       const key = share.owner_user_id || 'unknown';
       if (!peopleMap.has(key)) {
         peopleMap.set(key, {
@@ -2164,6 +3028,7 @@ app.get('/api/saved-shares/person/:ownerUserId', async (req, res) => {
         )
       `)
       .eq('saved_by_user_id', userId)
+      .is('transcripts.deleted_at', null)
       .eq('owner_user_id', ownerUserId)
       .order('saved_at', { ascending: false });
 
@@ -2172,7 +3037,7 @@ app.get('/api/saved-shares/person/:ownerUserId', async (req, res) => {
       return res.status(500).json({ error: 'Failed to fetch shares' });
     }
 
-    // Filter out deleted recordings and flatten
+    // Filter out deleted or trashed recordings (transcripts is null) and flatten
     const validShares = (data || []).filter(share => share.transcripts);
     const shares = validShares.map(share => ({
       id: share.id,
@@ -2206,9 +3071,10 @@ app.get('/api/saved-shares/check/:recordingId', async (req, res) => {
 
     const { data, error } = await database.supabase
       .from('saved_shares')
-      .select('id')
+      .select('id, transcripts:recording_id (id)')
       .eq('recording_id', recordingId)
       .eq('saved_by_user_id', userId)
+      .is('transcripts.deleted_at', null)
       .single();
 
     if (error && error.code !== 'PGRST116') {
@@ -2217,8 +3083,8 @@ app.get('/api/saved-shares/check/:recordingId', async (req, res) => {
     }
 
     res.json({
-      saved: !!data,
-      shareId: data?.id || null
+      saved: !!data?.transcripts,
+      shareId: data?.transcripts ? data.id : null
     });
   } catch (error) {
     console.error('Error checking saved share:', error);
@@ -2353,6 +3219,19 @@ if (!process.env.AWS_LAMBDA_FUNCTION_NAME) {
     console.log(`Region: ${REGION}`);
     console.log(`Ready to accept requests`);
     console.log(`--------------------------------------------\n`);
+
+    // Jobs queued here before a restart were lost with the in-process queue
+    database.failInterruptedTranscriptionJobs(TRANSCRIPTION_WORKER_ID)
+      .then(count => {
+        if (count > 0) console.log(`Marked ${count} interrupted transcription job(s) as failed`);
+      })
+      .catch(error => console.error('Error failing interrupted transcription jobs:', error.message));
+
+    // Delete what has been in the Trash past the retention period, now and every hour
+    const purge = () => purgeExpiredTrash()
+      .catch(error => console.error('Error purging trash:', error.message));
+    purge();
+    setInterval(purge, TRASH_PURGE_INTERVAL_MS).unref();
   });
 }
 
@@ -0,0 +1,247 @@
+/**
+ * Chunking Service
+ * Splits recordings that are too large for a single Whisper upload into
+ * overlapping chunks, and stitches the per-chunk transcriptions back into one
+ * verbose_json-shaped result (text, language, duration, segments, words)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Whisper rejects uploads over 25 MB; leave headroom for the multipart envelope
+const WHISPER_MAX_UPLOAD_BYTES = 24 * 1024 * 1024;
+
+// Chunks are re-encoded as 16 kHz mono MP3 at 48 kbps (~3.5 MB per 10 minutes).
+// Consecutive chunks share CHUNK_OVERLAP_SECONDS of audio so a word cut off at
+// the end of one chunk is heard in full at the start of the next.
+const CHUNK_SECONDS = 600;
+const CHUNK_OVERLAP_SECONDS = 10;
+
+// Chunks sent to Whisper at once
+const CHUNK_CONCURRENCY = 3;
+
+// De-duplication looks for the longest run of matching tokens within this many
+// tokens either side of a boundary, and ignores runs shorter than MIN_OVERLAP_MATCH
+const OVERLAP_WINDOW_TOKENS = 60;
+const MIN_OVERLAP_MATCH = 2;
+
+/**
+ * Check whether a file is too large to send to Whisper in one request
+ */
+function needsChunking(sizeBytes) {
+  return sizeBytes > WHISPER_MAX_UPLOAD_BYTES;
+}
+
+/**
+ * ffmpeg binary: FFMPEG_PATH if set, otherwise the one bundled by ffmpeg-static
+ */
+function getFfmpegPath() {
+  return process.env.FFMPEG_PATH || require('ffmpeg-static');
+}
+
+/**
+ * Run ffmpeg and resolve with its log output (ffmpeg logs to stderr)
+ */
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(getFfmpegPath(), ['-hide_banner', '-y', ...args], { maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const lastLine = (stderr || '').trim().split('\n').pop();
+        reject(new Error(`ffmpeg failed: ${lastLine || error.message}`));
+        return;
+      }
+      resolve(stderr);
+    });
+  });
+}
+
+/**
+ * Read the length of the encoded audio from ffmpeg's final progress line.
+ * Browser recordings (WebM from MediaRecorder) often carry no duration in
+ * their headers, so this is measured while re-encoding rather than probed.
+ */
+function parseEncodedDuration(ffmpegOutput) {
+  const matches = [...ffmpegOutput.matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+  const last = matches[matches.length - 1];
+  if (!last) return null;
+
+  return Number(last[1]) * 3600 + Number(last[2]) * 60 + Number(last[3]);
+}
+
+/**
+ * Split an audio file into overlapping MP3 chunks
+ *
+ * @param {string} inputPath - Local audio file (any format ffmpeg reads)
+ * @param {string} workDir - Directory for the intermediate files
+ * @returns {Promise<Array<{path: string, offset: number}>>} Chunks in order, with their start time in seconds
+ */
+async function splitAudio(inputPath, workDir) {
+  const normalizedPath = path.join(workDir, 'normalized.mp3');
+  const output = await runFfmpeg(['-i', inputPath, '-vn', '-ac', '1', '-ar', '16000', '-b:a', '48k', normalizedPath]);
+  const duration = parseEncodedDuration(output);
+  if (!duration) {
+    throw new Error('Could not determine audio duration');
+  }
+
+  const chunks = [];
+  const step = CHUNK_SECONDS - CHUNK_OVERLAP_SECONDS;
+  for (let offset = 0; offset < duration; offset += step) {
+    const chunkPath = path.join(workDir, `chunk-${chunks.length}.mp3`);
+    await runFfmpeg(['-ss', String(offset), '-t', String(CHUNK_SECONDS), '-i', normalizedPath, '-c', 'copy', chunkPath]);
+    chunks.push({ path: chunkPath, offset });
+
+    if (offset + CHUNK_SECONDS >= duration) break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Comparison key for a token: lowercase letters and digits only, so
+ * "Hello," in one chunk matches "hello" in the next
+ */
+function tokenKey(token) {
+  return (token || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Find where the end of one chunk lines up with the start of the next: the
+ * longest run of matching tokens between the tail of `previousKeys` and the
+ * head of `nextKeys`.
+ *
+ * @returns {{previousEnd: number, nextStart: number}|null} Keep previous[0, previousEnd)
+ *          and next[nextStart, ...), or null when no reliable match was found
+ */
+function findOverlap(previousKeys, nextKeys) {
+  const previousFrom = Math.max(0, previousKeys.length - OVERLAP_WINDOW_TOKENS);
+  const nextTo = Math.min(nextKeys.length, OVERLAP_WINDOW_TOKENS);
+  let best = null;
+  let bestLength = 0;
+  let runs = new Array(nextTo + 1).fill(0);
+
+  for (let i = previousFrom; i < previousKeys.length; i++) {
+    const current = new Array(nextTo + 1).fill(0);
+    for (let j = 0; j < nextTo; j++) {
+      if (previousKeys[i] && previousKeys[i] === nextKeys[j]) {
+        current[j + 1] = runs[j] + 1;
+        if (current[j + 1] > bestLength) {
+          bestLength = current[j + 1];
+          best = { previousEnd: i + 1, nextStart: j + 1 };
+        }
+      }
+    }
+    runs = current;
+  }
+
+  return bestLength >= MIN_OVERLAP_MATCH ? best : null;
+}
+
+/**
+ * Stitch per-chunk Whisper results into one transcription.
+ * Text and words are de-duplicated by aligning the tokens both chunks heard in
+ * the shared audio; when nothing lines up, words are cut halfway through the
+ * overlap and the text is joined as is. Segments are split around the same
+ * point; a sentence that straddles a boundary may appear in both neighbouring
+ * segments, but none is dropped. All times are shifted onto the full recording.
+ *
+ * @param {Array<{offset: number, transcription: Object}>} chunks - verbose_json results in order
+ * @returns {{text: string, language: string|null, duration: number, segments: Array, words: Array}}
+ */
+function mergeChunkTranscriptions(chunks) {
+  let tokens = [];
+  let words = [];
+  let segments = [];
+  let duration = 0;
+  const languageCounts = {};
+
+  chunks.forEach(({ offset, transcription }, index) => {
+    const chunkTokens = (transcription?.text || '').trim().split(/\s+/).filter(Boolean);
+    const chunkWords = (Array.isArray(transcription?.words) ? transcription.words : [])
+      .map(word => ({ ...word, start: word.start + offset, end: word.end + offset }));
+    const chunkSegments = (Array.isArray(transcription?.segments) ? transcription.segments : [])
+      .map(segment => ({ ...segment, start: segment.start + offset, end: segment.end + offset }));
+
+    if (transcription?.language) {
+      languageCounts[transcription.language] = (languageCounts[transcription.language] || 0) + chunkTokens.length;
+    }
+    duration = Math.max(duration, offset + (Number(transcription?.duration) || 0));
+
+    if (index === 0) {
+      tokens = chunkTokens;
+      words = chunkWords;
+      segments = chunkSegments;
+      return;
+    }
+
+    const textOverlap = findOverlap(tokens.map(tokenKey), chunkTokens.map(tokenKey));
+    tokens = textOverlap
+      ? tokens.slice(0, textOverlap.previousEnd).concat(chunkTokens.slice(textOverlap.nextStart))
+      : tokens.concat(chunkTokens);
+
+    let cut = offset + CHUNK_OVERLAP_SECONDS / 2;
+    const wordOverlap = findOverlap(words.map(word => tokenKey(word.word)), chunkWords.map(word => tokenKey(word.word)));
+    if (wordOverlap) {
+      cut = words[wordOverlap.previousEnd - 1].end;
+      words = words.slice(0, wordOverlap.previousEnd).concat(chunkWords.slice(wordOverlap.nextStart));
+    } else {
+      words = words.filter(word => word.start < cut).concat(chunkWords.filter(word => word.start >= cut));
+    }
+
+    // Keep every segment of the new chunk that runs past the cut, and trim the
+    // previous chunk's segments to end where the first of those starts (none
+    // is trimmed if the new chunk only repeats what is already there)
+    const keptSegments = chunkSegments.filter(segment => segment.end > cut);
+    const segmentCut = keptSegments.length > 0 ? keptSegments[0].start : Infinity;
+    segments = segments
+      .filter(segment => segment.start < segmentCut)
+      .map(segment => ({ ...segment, end: Math.min(segment.end, segmentCut) }))
+      .concat(keptSegments);
+  });
+
+  const language = Object.keys(languageCounts)
+    .sort((a, b) => languageCounts[b] - languageCounts[a])[0] || null;
+
+  return { text: tokens.join(' '), language, duration, segments, words };
+}
+
+/**
+ * Transcribe a recording that is too large for one Whisper request
+ *
+ * @param {string} filePath - Local audio file
+ * @param {function(string): Promise<Object>} transcribeFile - Sends one file to Whisper and resolves with verbose_json
+ * @returns {Promise<Object>} verbose_json-shaped transcription of the whole recording
+ */
+async function transcribeInChunks(filePath, transcribeFile) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-chunks-'));
+
+  try {
+    const chunks = await splitAudio(filePath, workDir);
+    const results = new Array(chunks.length);
+    let nextChunk = 0;
+
+    const worker = async () => {
+      while (nextChunk < chunks.length) {
+        const index = nextChunk++;
+        results[index] = {
+          offset: chunks[index].offset,
+          transcription: await transcribeFile(chunks[index].path)
+        };
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CHUNK_CONCURRENCY, chunks.length) }, worker));
+
+    console.log(`Transcribed ${chunks.length} chunk(s) of ${path.basename(filePath)}`);
+    return mergeChunkTranscriptions(results);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  WHISPER_MAX_UPLOAD_BYTES,
+  needsChunking,
+  transcribeInChunks,
+  mergeChunkTranscriptions
+};
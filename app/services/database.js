@@ -5,10 +5,27 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const { v4: uuidv4 } = require('uuid');
-const { extractCorrections, applyCorrections } = require('./personalization');
+const { extractCorrections, applyCorrectionsWithDetails, scoreCorrections, correctionsForScope } = require('./personalization');
+const { DEFAULT_LANGUAGE } = require('./languages');
+const { parseHeadline } = require('./search');
+const { planDictionaryImport } = require('./dictionary');
+const { buildGlossaryPrompt, suggestGlossaryTerms, WHISPER_PROMPT_MAX_TOKENS } = require('./glossary');
+const { diffVersions } = require('./versions');
 
 let supabase = null;
 
+// Columns returned when listing transcripts. Segment/word timestamps are
+// left out to keep the history payload small; fetch a single transcript for those.
+const TRANSCRIPT_LIST_COLUMNS = [
+  'id', 'user_id', 'raw_text', 'personalized_text', 'final_text', 'audio_url',
+  'duration_seconds', 'title', 'created_at', 'updated_at', 'folder_id',
+  'series_id', 'series_order', 'is_disposable', 'language', 'audio_codec',
+  'audio_sample_rate', 'audio_channels', 'audio_size_bytes'
+].join(', ');
+
+// Days a deleted recording or folder stays in the Trash before it is deleted for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
 /**
  * Initialize Supabase client
  */
@@ -38,7 +55,7 @@ function generateId() {
 /**
  * Save a new transcript to the database
  */
-async function saveTranscript({ userId, rawText, personalizedText, audioUrl, durationSeconds, title, folderId, seriesId, seriesOrder, isDisposable }) {
+async function saveTranscript({ userId, rawText, personalizedText, appliedCorrections, audioUrl, durationSeconds, audioCodec, audioSampleRate, audioChannels, audioSizeBytes, title, folderId, seriesId, seriesOrder, isDisposable, language, segments, words }) {
   const client = initSupabase();
   if (!client) {
     throw new Error('Database not initialized');
@@ -63,6 +80,14 @@ async function saveTranscript({ userId, rawText, personalizedText, audioUrl, dur
   if (seriesId) insertData.series_id = seriesId;
   if (seriesOrder != null) insertData.series_order = seriesOrder;
   if (isDisposable) insertData.is_disposable = true;
+  if (language) insertData.language = language;
+  if (segments) insertData.segments = segments;
+  if (words) insertData.words = words;
+  if (appliedCorrections && appliedCorrections.length > 0) insertData.applied_corrections = appliedCorrections;
+  if (audioCodec) insertData.audio_codec = audioCodec;
+  if (audioSampleRate) insertData.audio_sample_rate = audioSampleRate;
+  if (audioChannels) insertData.audio_channels = audioChannels;
+  if (audioSizeBytes) insertData.audio_size_bytes = audioSizeBytes;
 
   const { data, error } = await client
     .from('transcripts')
@@ -80,7 +105,7 @@ async function saveTranscript({ userId, rawText, personalizedText, audioUrl, dur
 }
 
 /**
- * Get a transcript by ID
+ * Get a transcript by ID; null if it doesn't exist or is in the Trash
  */
 async function getTranscript(id) {
   const client = initSupabase();
@@ -92,7 +117,8 @@ async function getTranscript(id) {
     .from('transcripts')
     .select('*')
     .eq('id', id)
-    .single();
+    .is('deleted_at', null)
+    .maybeSingle();
 
   if (error) {
     console.error('Error fetching transcript:', error);
@@ -103,21 +129,32 @@ async function getTranscript(id) {
 }
 
 /**
- * Get all transcripts for a user
- * Sorted by created_at descending (newest first)
+ * Get all transcripts for a user (not those in the Trash)
+ * Sorted by created_at descending (newest first) unless `order` is given
+ *
+ * @param {Object} [filters] - { order: [[column, ascending], ...], minDuration, maxDuration }
+ *   (see search.parseListParams). Duration filters leave out recordings with no known length.
  */
-async function getTranscripts(userId, limit = 50, offset = 0) {
+async function getTranscripts(userId, limit = 50, offset = 0, { order, minDuration, maxDuration } = {}) {
   const client = initSupabase();
   if (!client) {
     throw new Error('Database not initialized');
   }
 
-  const { data, error } = await client
+  let query = client
     .from('transcripts')
-    .select('*')
+    .select(TRANSCRIPT_LIST_COLUMNS)
     .eq('user_id', userId)
-    .order('created_at', { ascending: false })
-    .range(offset, offset + limit - 1);
+    .is('deleted_at', null);
+
+  if (minDuration != null) query = query.gte('duration_seconds', minDuration);
+  if (maxDuration != null) query = query.lt('duration_seconds', maxDuration);
+
+  for (const [column, ascending] of order || [['created_at', false]]) {
+    query = query.order(column, { ascending, nullsFirst: false });
+  }
+
+  const { data, error } = await query.range(offset, offset + limit - 1);
 
   if (error) {
     console.error('Error fetching transcripts:', error);
@@ -127,9 +164,61 @@ async function getTranscripts(userId, limit = 50, offset = 0) {
   return data || [];
 }
 
+/**
+ * Full-text search over a user's transcripts (title, raw, personalized and final text)
+ * Uses the search_transcripts() function from migrations/004_transcript_search.sql
+ * (duration filters added in 006_audio_metadata.sql). Each row carries the total
+ * number of matches; a page past the last match has no rows, so the total is
+ * then read from the first match instead.
+ *
+ * @param {string} userId
+ * @param {Object} params - Output of search.parseSearchParams
+ * @returns {Promise<{results: Array<Object>, total: number}>} Transcripts (best match first)
+ *   with `rank` and `snippet` ([{ text, highlight }]) added
+ */
+async function searchTranscripts(userId, { q, folderId, seriesId, from, to, minDuration, maxDuration, limit, offset }) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const search = (pageLimit, pageOffset) => client.rpc('search_transcripts', {
+    p_user_id: userId,
+    p_query: q,
+    p_folder_id: folderId,
+    p_series_id: seriesId,
+    p_from: from,
+    p_to: to,
+    p_limit: pageLimit,
+    p_offset: pageOffset,
+    p_min_duration: minDuration,
+    p_max_duration: maxDuration
+  });
+
+  const { data, error } = await search(limit, offset);
+  if (error) throw error;
+
+  const rows = data || [];
+  let total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+  if (rows.length === 0 && offset > 0) {
+    const { data: first, error: countError } = await search(1, 0);
+    if (countError) throw countError;
+    total = first && first.length > 0 ? Number(first[0].total_count) : 0;
+  }
+
+  return {
+    results: rows.map(row => ({
+      ...row.transcript,
+      rank: row.rank,
+      snippet: parseHeadline(row.headline)
+    })),
+    total
+  };
+}
+
 /**
  * Update a transcript (for editing)
- * Also extracts corrections by comparing raw_text with finalText
+ * The text being replaced is kept as a version (see saveTranscriptVersion).
+ * Also extracts corrections by comparing raw_text with finalText.
+ * Returns null if the transcript doesn't exist or is in the Trash.
  */
 async function updateTranscript(userId, id, { finalText }) {
   const client = initSupabase();
@@ -137,29 +226,46 @@ async function updateTranscript(userId, id, { finalText }) {
     throw new Error('Database not initialized');
   }
 
-  // First, fetch the current transcript to get raw_text
+  // First, fetch the current transcript to get raw_text (and the language and scope to file corrections under)
   const { data: existing, error: fetchError } = await client
     .from('transcripts')
-    .select('raw_text')
+    .select('raw_text, personalized_text, final_text, language, folder_id, series_id, created_at, updated_at')
     .eq('id', id)
     .eq('user_id', userId)
-    .single();
+    .is('deleted_at', null)
+    .maybeSingle();
 
   if (fetchError) {
     console.error('Error fetching transcript for correction extraction:', fetchError);
     throw fetchError;
   }
+  // Recordings in the Trash can't be edited
+  if (!existing) return null;
+
+  const current = currentVersionOf(existing);
+  const version = finalText != null && finalText !== current.text
+    ? await saveTranscriptVersion(userId, id, finalText, { source: 'edit', current })
+    : null;
 
   // Extract corrections from the diff
   if (existing?.raw_text && finalText) {
     const corrections = extractCorrections(existing.raw_text, finalText);
+    // Corrections made in a series or folder are learned for it alone
+    const scope = correctionScopeOf(existing);
 
     // Save each correction
     for (const correction of corrections) {
       try {
         await saveCorrection(userId, {
           originalToken: correction.original,
-          correctedToken: correction.corrected
+          correctedToken: correction.corrected,
+          leftContext: correction.leftContext,
+          rightContext: correction.rightContext,
+          language: existing.language || DEFAULT_LANGUAGE,
+          ...scope,
+          transcriptId: id,
+          versionId: version?.id || null,
+          sentence: correction.sentence
         });
         console.log('✓ Correction saved:', correction.original, '->', correction.corrected);
       } catch (corrError) {
@@ -182,6 +288,7 @@ async function updateTranscript(userId, id, { finalText }) {
     })
     .eq('id', id)
     .eq('user_id', userId)
+    .is('deleted_at', null)
     .select()
     .single();
 
@@ -193,8 +300,338 @@ async function updateTranscript(userId, id, { finalText }) {
   return data;
 }
 
+// Saves of a transcript's next version to try before giving up on clashing version numbers
+const VERSION_SAVE_ATTEMPTS = 5;
+
+/**
+ * The text a transcript shows now, as the version it would be saved as if it
+ * has none yet: as transcribed, or as last edited before versions were kept
+ */
+function currentVersionOf(transcript) {
+  if (transcript.final_text != null) {
+    return { text: transcript.final_text, source: 'edit', createdAt: transcript.updated_at || transcript.created_at };
+  }
+  return { text: transcript.personalized_text || transcript.raw_text || '', source: 'transcription', createdAt: transcript.created_at };
+}
+
+/**
+ * Save the next version of a transcript's text, with its diff against the
+ * version before (see diffVersions). The first time, the text it replaces
+ * (current, see currentVersionOf) is saved as version 1.
+ * Two saves at once can pick the same version number; the one that loses
+ * (a unique violation on transcript_id and version) reads the latest version
+ * again and saves after it.
+ */
+async function saveTranscriptVersion(userId, transcriptId, text, options) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await insertNextTranscriptVersion(client, userId, transcriptId, text, options);
+    } catch (error) {
+      if (error.code !== '23505' || attempt >= VERSION_SAVE_ATTEMPTS) throw error;
+    }
+  }
+}
+
+async function insertNextTranscriptVersion(client, userId, transcriptId, text, { source = 'edit', revertedTo = null, current }) {
+  const { data: latest, error: latestError } = await client
+    .from('transcript_versions')
+    .select('version, text')
+    .eq('transcript_id', transcriptId)
+    .eq('user_id', userId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) throw latestError;
+
+  let previous = latest;
+  if (!previous) {
+    previous = { version: 1, text: current.text };
+    const { error } = await client
+      .from('transcript_versions')
+      .insert({
+        user_id: userId,
+        transcript_id: transcriptId,
+        version: 1,
+        text: current.text,
+        diff: diffVersions('', ''),
+        source: current.source,
+        author_id: current.source === 'edit' ? userId : null,
+        created_at: current.createdAt || new Date().toISOString()
+      });
+
+    if (error) throw error;
+  }
+
+  const { data, error } = await client
+    .from('transcript_versions')
+    .insert({
+      user_id: userId,
+      transcript_id: transcriptId,
+      version: previous.version + 1,
+      text,
+      diff: diffVersions(previous.text, text),
+      source,
+      reverted_to: revertedTo,
+      author_id: userId,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * List a transcript's versions, newest first, without their text or
+ * changes (only how many words each added and removed).
+ * Returns null if the transcript doesn't exist.
+ */
+async function listTranscriptVersions(userId, id) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data: transcript, error: transcriptError } = await client
+    .from('transcripts')
+    .select('id')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (transcriptError) throw transcriptError;
+  if (!transcript) return null;
+
+  const { data, error } = await client
+    .from('transcript_versions')
+    .select('id, version, source, reverted_to, author_id, created_at, diff')
+    .eq('transcript_id', id)
+    .eq('user_id', userId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(({ diff, ...v }) => ({ ...v, added: diff?.added || 0, removed: diff?.removed || 0 }));
+}
+
+/**
+ * Get one version of a transcript, with its text and changes; null if it doesn't exist
+ */
+async function getTranscriptVersion(userId, id, version) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('transcript_versions')
+    .select('*')
+    .eq('transcript_id', id)
+    .eq('user_id', userId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Restore a transcript's text to an earlier version. The revert is saved as a
+ * new version, so it can itself be reverted. Corrections taught by the edits
+ * saved since that version are taken back, unless the restored text makes the
+ * same correction; reverting doesn't teach anything itself.
+ * Returns null if the transcript or version doesn't exist.
+ *
+ * @returns {Promise<{transcript: Object, version: Object, forgottenCorrections: number}|null>}
+ */
+async function revertTranscript(userId, id, versionNumber) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data: existing, error: fetchError } = await client
+    .from('transcripts')
+    .select('raw_text, personalized_text, final_text, created_at, updated_at')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!existing) return null;
+
+  const target = await getTranscriptVersion(userId, id, versionNumber);
+  if (!target) return null;
+
+  const { data: later, error: laterError } = await client
+    .from('transcript_versions')
+    .select('id')
+    .eq('transcript_id', id)
+    .eq('user_id', userId)
+    .gt('version', target.version);
+
+  if (laterError) throw laterError;
+
+  let forgottenCorrections = 0;
+  if (later && later.length > 0) {
+    const { data: occurrences, error: occurrencesError } = await client
+      .from('correction_occurrences')
+      .select('id, correction_id')
+      .eq('user_id', userId)
+      .in('version_id', later.map(v => v.id));
+
+    if (occurrencesError) throw occurrencesError;
+
+    if (occurrences && occurrences.length > 0) {
+      const { data: corrections, error: correctionsError } = await client
+        .from('corrections')
+        .select('id, original_token, corrected_token, left_context, right_context')
+        .eq('user_id', userId)
+        .in('id', [...new Set(occurrences.map(o => o.correction_id))]);
+
+      if (correctionsError) throw correctionsError;
+
+      const pairKey = (original, corrected, left, right) => [original, corrected, left || '', right || ''].join('\u0000');
+      const kept = new Set(extractCorrections(existing.raw_text, target.text)
+        .map(c => pairKey(c.original, c.corrected, c.leftContext, c.rightContext)));
+      const byId = new Map((corrections || []).map(c => [c.id, c]));
+      const taught = occurrences.filter(o => {
+        const c = byId.get(o.correction_id);
+        return c && !kept.has(pairKey(c.original_token, c.corrected_token, c.left_context, c.right_context));
+      });
+
+      if (taught.length > 0) {
+        await takeBackOccurrences(userId, taught);
+
+        const { error: deleteError } = await client
+          .from('correction_occurrences')
+          .delete()
+          .eq('user_id', userId)
+          .in('id', taught.map(o => o.id));
+
+        if (deleteError) throw deleteError;
+        forgottenCorrections = new Set(taught.map(o => o.correction_id)).size;
+      }
+    }
+  }
+
+  const version = await saveTranscriptVersion(userId, id, target.text, {
+    source: 'revert',
+    revertedTo: target.version,
+    current: currentVersionOf(existing)
+  });
+
+  const { data: transcript, error } = await client
+    .from('transcripts')
+    .update({
+      final_text: target.text,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return { transcript, version, forgottenCorrections };
+}
+
+/**
+ * Get the corrections personalization applied to a transcript, with the text
+ * their offsets point into. Returns null if the transcript doesn't exist.
+ */
+async function getAppliedCorrections(userId, id) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('transcripts')
+    .select('personalized_text, final_text, applied_corrections')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  return {
+    personalizedText: data.personalized_text || '',
+    appliedCorrections: data.applied_corrections || [],
+    // Once the user has saved their own edits, the transcript shown is final_text, not this one
+    edited: data.final_text != null && data.final_text !== data.personalized_text
+  };
+}
+
+/**
+ * Undo one applied correction on a transcript and stop it being applied again.
+ * Its original words go back into personalized_text (and into final_text
+ * while that is still an unedited copy), and the correction rows behind it are
+ * disabled - or, for a sound-alike match, taken out of phonetic grouping.
+ * Returns null if the transcript or entry doesn't exist.
+ */
+async function undoAppliedCorrection(userId, id, index) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data: existing, error: fetchError } = await client
+    .from('transcripts')
+    .select('personalized_text, final_text, applied_corrections')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  const applied = existing?.applied_corrections || [];
+  const entry = applied[index];
+  if (!entry) return null;
+
+  const text = existing.personalized_text || '';
+  const updates = {
+    applied_corrections: applied.filter((_, i) => i !== index),
+    updated_at: new Date().toISOString()
+  };
+
+  // Only rewrite the text where it still reads as personalization left it
+  if (text.slice(entry.start, entry.end) === entry.corrected) {
+    const undone = text.slice(0, entry.start) + entry.original + text.slice(entry.end);
+    const shift = entry.original.length - entry.corrected.length;
+    updates.personalized_text = undone;
+    updates.applied_corrections = applied
+      .map((a, i) => i > index ? { ...a, start: a.start + shift, end: a.end + shift } : a)
+      .filter((_, i) => i !== index);
+    if (existing.final_text === text) updates.final_text = undone;
+  }
+
+  const { data, error } = await client
+    .from('transcripts')
+    .update(updates)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const correctionIds = (entry.correctionIds || []).filter(Boolean);
+  if (correctionIds.length > 0) {
+    const { error: correctionError } = await client
+      .from('corrections')
+      .update(entry.kind === 'sound-alike' ? { phonetic_disabled: true } : { disabled: true })
+      .in('id', correctionIds)
+      .eq('user_id', userId);
+
+    if (correctionError) throw correctionError;
+  }
+
+  return data;
+}
+
 /**
- * Delete a transcript
+ * Delete a transcript by moving it to the Trash. Its occurrences are taken
+ * back off the corrections it taught (see suspendTranscriptCorrections), and
+ * its audio stays in the bucket until it is deleted for good (see purgeTranscripts).
  */
 async function deleteTranscript(userId, id) {
   const client = initSupabase();
@@ -202,24 +639,30 @@ async function deleteTranscript(userId, id) {
     throw new Error('Database not initialized');
   }
 
-  const { error } = await client
+  const { data, error } = await client
     .from('transcripts')
-    .delete()
+    .update({ deleted_at: new Date().toISOString() })
     .eq('id', id)
-    .eq('user_id', userId);
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select('id');
 
   if (error) {
     console.error('Error deleting transcript:', error);
     throw error;
   }
 
+  await suspendTranscriptCorrections(userId, (data || []).map(t => t.id));
   return true;
 }
 
 /**
- * Get all corrections for a user
+ * Get all enabled corrections for a user in a given language
+ * Still-learning ones are included: applyCorrections needs them to tell how
+ * many different contexts a correction has been seen in. Those learned only
+ * from recordings in the Trash (count 0) are not.
  */
-async function getCorrections(userId, minCount = 2) {
+async function getCorrections(userId, language = DEFAULT_LANGUAGE) {
   const client = initSupabase();
   if (!client) {
     throw new Error('Database not initialized');
@@ -230,7 +673,8 @@ async function getCorrections(userId, minCount = 2) {
     .select('*')
     .eq('user_id', userId)
     .eq('disabled', false)
-    .gte('count', minCount)
+    .eq('language', language)
+    .gt('count', 0)
     .order('count', { ascending: false });
 
   if (error) {
@@ -241,22 +685,46 @@ async function getCorrections(userId, minCount = 2) {
   return data || [];
 }
 
+/**
+ * The scope corrections learned from a transcript are saved in: its series if
+ * it has one, else its folder, else none (global)
+ */
+function correctionScopeOf(transcript) {
+  if (transcript?.series_id) return { folderId: null, seriesId: transcript.series_id };
+  if (transcript?.folder_id) return { folderId: transcript.folder_id, seriesId: null };
+  return { folderId: null, seriesId: null };
+}
+
+/**
+ * Narrow a corrections query to one scope (null for global)
+ */
+function whereScope(query, folderId, seriesId) {
+  query = folderId ? query.eq('folder_id', folderId) : query.is('folder_id', null);
+  return seriesId ? query.eq('series_id', seriesId) : query.is('series_id', null);
+}
+
 /**
  * Save or update a correction
+ * The same pair learned beside different words is counted separately, one row per context,
+ * and so is one learned in a folder or series (see correctionScopeOf).
+ * Given the transcript it was learned from, the occurrence is recorded too.
  */
-async function saveCorrection(userId, { originalToken, correctedToken }) {
+async function saveCorrection(userId, { originalToken, correctedToken, leftContext = '', rightContext = '', language = DEFAULT_LANGUAGE, folderId = null, seriesId = null, transcriptId = null, versionId = null, sentence = '' }) {
   const client = initSupabase();
   if (!client) {
     throw new Error('Database not initialized');
   }
 
   // Check if correction already exists
-  const { data: existing } = await client
+  const { data: existing } = await whereScope(client
     .from('corrections')
     .select('*')
     .eq('user_id', userId)
     .eq('original_token', originalToken)
     .eq('corrected_token', correctedToken)
+    .eq('language', language)
+    .eq('left_context', leftContext)
+    .eq('right_context', rightContext), folderId, seriesId)
     .single();
 
   if (existing) {
@@ -272,6 +740,7 @@ async function saveCorrection(userId, { originalToken, correctedToken }) {
       .single();
 
     if (error) throw error;
+    await recordCorrectionOccurrence(userId, data.id, transcriptId, sentence, versionId);
     return data;
   } else {
     // Create new correction
@@ -286,104 +755,817 @@ async function saveCorrection(userId, { originalToken, correctedToken }) {
         count: 1,
         first_seen_at: new Date().toISOString(),
         last_seen_at: new Date().toISOString(),
-        disabled: false
+        disabled: false,
+        language,
+        left_context: leftContext,
+        right_context: rightContext,
+        folder_id: folderId,
+        series_id: seriesId
       })
       .select()
       .single();
 
     if (error) throw error;
+    await recordCorrectionOccurrence(userId, data.id, transcriptId, sentence, versionId);
     return data;
   }
 }
 
 /**
- * Apply personalization to text using learned corrections
- * Fetches corrections from DB and applies those with count >= minCount
+ * Record where a correction was learned: the transcript (and the version of
+ * it that was saved), and the edited sentence it was made in. Nothing is
+ * recorded without a transcript.
  */
-async function personalizeText(userId, text, minCount = 2) {
-  if (!text) return text;
+async function recordCorrectionOccurrence(userId, correctionId, transcriptId, sentence = '', versionId = null) {
+  if (!transcriptId) return;
 
-  try {
-    const corrections = await getCorrections(userId, minCount);
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
 
-    if (corrections.length === 0) {
-      return text;
-    }
+  const { error } = await client
+    .from('correction_occurrences')
+    .insert({
+      user_id: userId,
+      correction_id: correctionId,
+      transcript_id: transcriptId,
+      version_id: versionId,
+      sentence: sentence || '',
+      created_at: new Date().toISOString()
+    });
 
-    const personalized = applyCorrections(text, corrections, minCount);
-    console.log(`✓ Applied ${corrections.length} correction(s) to transcription`);
-    return personalized;
-  } catch (error) {
-    console.error('Error applying personalization:', error);
-    // Return original text if personalization fails
-    return text;
+  if (error) throw error;
+}
+
+/**
+ * Take the occurrences of transcripts moved to the Trash back off the
+ * corrections they taught, so those stop being applied. The occurrences stay,
+ * and a correction left with no count is kept at 0, so that restoring the
+ * transcripts gives the counts back (see restoreTranscriptCorrections).
+ */
+async function suspendTranscriptCorrections(userId, transcriptIds) {
+  const occurrences = await getTranscriptOccurrences(userId, transcriptIds);
+  if (occurrences.length > 0) await takeBackOccurrences(userId, occurrences, { keepEmpty: true });
+}
+
+/**
+ * Give restored transcripts' occurrences back to the corrections they taught
+ */
+async function restoreTranscriptCorrections(userId, transcriptIds) {
+  const occurrences = await getTranscriptOccurrences(userId, transcriptIds);
+  if (occurrences.length === 0) return;
+
+  const client = initSupabase();
+  for (const { correction, seen } of await occurrenceCounts(userId, occurrences)) {
+    const { error } = await client
+      .from('corrections')
+      .update({ count: correction.count + seen })
+      .eq('id', correction.id)
+      .eq('user_id', userId);
+    if (error) throw error;
   }
 }
 
-// ============================================
-// Folder Operations
-// ============================================
+/**
+ * Forget the occurrences of transcripts deleted for good. Their counts were
+ * taken back when they were moved to the Trash; a correction left with no
+ * count and no occurrences (say from recordings still in the Trash) is deleted.
+ */
+async function forgetTranscriptCorrections(userId, transcriptIds) {
+  const occurrences = await getTranscriptOccurrences(userId, transcriptIds);
+  if (occurrences.length === 0) return;
 
-async function getFolders(userId) {
   const client = initSupabase();
-  if (!client) throw new Error('Database not initialized');
+  const { error: deleteError } = await client
+    .from('correction_occurrences')
+    .delete()
+    .eq('user_id', userId)
+    .in('transcript_id', transcriptIds);
 
-  const { data, error } = await client
-    .from('folders')
-    .select('*')
+  if (deleteError) throw deleteError;
+
+  const correctionIds = [...new Set(occurrences.map(o => o.correction_id))];
+  const { data: remaining, error: remainingError } = await client
+    .from('correction_occurrences')
+    .select('correction_id')
     .eq('user_id', userId)
-    .order('created_at', { ascending: true });
+    .in('correction_id', correctionIds);
 
-  if (error) throw error;
-  return data || [];
+  if (remainingError) throw remainingError;
+
+  const stillTaught = new Set((remaining || []).map(o => o.correction_id));
+  const forgotten = correctionIds.filter(id => !stillTaught.has(id));
+  if (forgotten.length === 0) return;
+
+  const { error: emptyError } = await client
+    .from('corrections')
+    .delete()
+    .eq('user_id', userId)
+    .in('id', forgotten)
+    .lte('count', 0);
+
+  if (emptyError) throw emptyError;
 }
 
-async function createFolder(userId, name) {
+async function getTranscriptOccurrences(userId, transcriptIds) {
+  if (transcriptIds.length === 0) return [];
+
   const client = initSupabase();
   if (!client) throw new Error('Database not initialized');
 
-  const id = generateId();
   const { data, error } = await client
-    .from('folders')
-    .insert({
-      id,
-      user_id: userId,
-      name: name.trim(),
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    })
-    .select()
-    .single();
+    .from('correction_occurrences')
+    .select('correction_id')
+    .eq('user_id', userId)
+    .in('transcript_id', transcriptIds);
 
   if (error) throw error;
-  return data;
+  return data || [];
 }
 
-async function updateFolder(userId, folderId, name) {
+/**
+ * The corrections occurrences taught, each with how many of the occurrences it has
+ */
+async function occurrenceCounts(userId, occurrences) {
   const client = initSupabase();
   if (!client) throw new Error('Database not initialized');
 
-  const { data, error } = await client
-    .from('folders')
-    .update({ name: name.trim(), updated_at: new Date().toISOString() })
-    .eq('id', folderId)
+  const seenByCorrection = new Map();
+  for (const o of occurrences) {
+    seenByCorrection.set(o.correction_id, (seenByCorrection.get(o.correction_id) || 0) + 1);
+  }
+
+  const { data: corrections, error } = await client
+    .from('corrections')
+    .select('id, count')
     .eq('user_id', userId)
-    .select()
-    .single();
+    .in('id', [...seenByCorrection.keys()]);
 
   if (error) throw error;
-  return data;
+  return (corrections || []).map(correction => ({ correction, seen: seenByCorrection.get(correction.id) }));
 }
 
-async function deleteFolder(userId, folderId) {
+/**
+ * Take occurrences back off the counts of the corrections they taught
+ * (the caller deletes the occurrences). A correction left with no count is
+ * deleted, or with keepEmpty kept at 0.
+ */
+async function takeBackOccurrences(userId, occurrences, { keepEmpty = false } = {}) {
   const client = initSupabase();
-  if (!client) throw new Error('Database not initialized');
+
+  for (const { correction, seen } of await occurrenceCounts(userId, occurrences)) {
+    const count = Math.max(correction.count - seen, 0);
+    const query = count > 0 || keepEmpty
+      ? client.from('corrections').update({ count }).eq('id', correction.id)
+      : client.from('corrections').delete().eq('id', correction.id);
+    const { error: updateError } = await query.eq('user_id', userId);
+    if (updateError) throw updateError;
+  }
+}
+
+/**
+ * Get where a correction was learned, newest first, with each transcript's title.
+ * Returns null if the correction doesn't exist.
+ */
+async function listCorrectionOccurrences(userId, correctionId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data: correction, error: correctionError } = await client
+    .from('corrections')
+    .select('id')
+    .eq('id', correctionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (correctionError) throw correctionError;
+  if (!correction) return null;
+
+  const { data: occurrences, error } = await client
+    .from('correction_occurrences')
+    .select('id, transcript_id, sentence, created_at')
+    .eq('correction_id', correctionId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  if (!occurrences || occurrences.length === 0) return [];
+
+  const { data: transcripts, error: transcriptsError } = await client
+    .from('transcripts')
+    .select('id, title')
+    .eq('user_id', userId)
+    .in('id', [...new Set(occurrences.map(o => o.transcript_id))]);
+
+  if (transcriptsError) throw transcriptsError;
+
+  const titles = new Map((transcripts || []).map(t => [t.id, t.title]));
+  return occurrences.map(o => ({ ...o, transcript_title: titles.get(o.transcript_id) || null }));
+}
+
+/**
+ * Apply personalization to text using learned corrections
+ * Fetches corrections for the transcript's language and applies those scoring >= minCount:
+ * global ones, plus those scoped to the transcript's folder or series, which take precedence
+ * (the compiled matcher is cached per user, language and scope until the corrections change)
+ *
+ * @param {{folderId?: string|null, seriesId?: string|null}} scope - Where the transcript lives
+ * @returns {Promise<{text: string, appliedCorrections: Array<Object>}>} The personalized text and
+ *          the edits made to it (see applyCorrectionsWithDetails)
+ */
+async function personalizeText(userId, text, minCount = 2, language = DEFAULT_LANGUAGE, { folderId = null, seriesId = null } = {}) {
+  if (!text) return { text, appliedCorrections: [] };
+
+  try {
+    const [allCorrections, glossary] = await Promise.all([getCorrections(userId, language), getGlossaryTerms(userId)]);
+    const corrections = correctionsForScope(allCorrections, { folderId, seriesId });
+
+    if (corrections.length === 0 && glossary.length === 0) {
+      return { text, appliedCorrections: [] };
+    }
+
+    const cacheKey = `${userId}:${language}:${folderId || ''}:${seriesId || ''}`;
+    const personalized = applyCorrectionsWithDetails(text, corrections, minCount, language, cacheKey, glossary);
+    console.log(`✓ Applied ${personalized.applied.length} of ${corrections.length} correction(s) to transcription`);
+    return { text: personalized.text, appliedCorrections: personalized.applied };
+  } catch (error) {
+    console.error('Error applying personalization:', error);
+    // Return original text if personalization fails
+    return { text, appliedCorrections: [] };
+  }
+}
+
+// ============================================
+// Correction (Vocabulary) Operations
+// ============================================
+
+// Manually added corrections start at the auto-apply threshold so they
+// take effect on the next transcription instead of waiting to be learned
+const MANUAL_CORRECTION_COUNT = 2;
+
+/**
+ * Get every correction for a user, including disabled and still-learning ones,
+ * each with its score, confidence and whether it is auto-applied (see scoreCorrections).
+ * Those learned only from recordings in the Trash (count 0) are left out.
+ */
+async function listCorrections(userId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId)
+    .gt('count', 0)
+    .order('count', { ascending: false })
+    .order('last_seen_at', { ascending: false });
+
+  if (error) throw error;
+  return scoreCorrections(data || []);
+}
+
+/**
+ * Add a correction by hand. Manual corrections have no context or scope, so
+ * they apply everywhere. If the context-free global pair already exists it is
+ * re-enabled and bumped to the auto-apply threshold.
+ */
+async function createCorrection(userId, { originalToken, correctedToken, language = DEFAULT_LANGUAGE, phoneticDisabled = false }) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const now = new Date().toISOString();
+
+  const { data: existing } = await whereScope(client
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('original_token', originalToken)
+    .eq('corrected_token', correctedToken)
+    .eq('language', language)
+    .eq('left_context', '')
+    .eq('right_context', ''), null, null)
+    .single();
+
+  if (existing) {
+    const { data, error } = await client
+      .from('corrections')
+      .update({
+        count: Math.max(existing.count, MANUAL_CORRECTION_COUNT),
+        disabled: false,
+        phonetic_disabled: phoneticDisabled,
+        last_seen_at: now
+      })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  const { data, error } = await client
+    .from('corrections')
+    .insert({
+      id: generateId(),
+      user_id: userId,
+      original_token: originalToken,
+      corrected_token: correctedToken,
+      count: MANUAL_CORRECTION_COUNT,
+      first_seen_at: now,
+      last_seen_at: now,
+      disabled: false,
+      phonetic_disabled: phoneticDisabled,
+      language
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Edit a correction's tokens and/or toggle whether it is applied
+ * (or grouped with similar-sounding spellings).
+ * Returns null if the user has no correction with that id.
+ */
+async function updateCorrection(userId, correctionId, { originalToken, correctedToken, disabled, phoneticDisabled, language }) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const updates = {};
+  if (originalToken !== undefined) updates.original_token = originalToken;
+  if (correctedToken !== undefined) updates.corrected_token = correctedToken;
+  if (disabled !== undefined) updates.disabled = disabled;
+  if (phoneticDisabled !== undefined) updates.phonetic_disabled = phoneticDisabled;
+  if (language !== undefined) updates.language = language;
+
+  const { data, error } = await client
+    .from('corrections')
+    .update(updates)
+    .eq('id', correctionId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deleteCorrection(userId, correctionId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { error } = await client
+    .from('corrections')
+    .delete()
+    .eq('id', correctionId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return true;
+}
+
+/**
+ * Make a folder- or series-scoped correction global. If the same global
+ * correction (same words, language and context) already exists, the scoped one
+ * is merged into it: counts are added and its occurrences move over.
+ * Returns the global correction, or null if the user has no such correction.
+ */
+async function promoteCorrection(userId, correctionId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data: correction, error: fetchError } = await client
+    .from('corrections')
+    .select('*')
+    .eq('id', correctionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!correction) return null;
+  if (!correction.folder_id && !correction.series_id) return correction;
+
+  const { data: twin, error: twinError } = await whereScope(client
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('original_token', correction.original_token)
+    .eq('corrected_token', correction.corrected_token)
+    .eq('language', correction.language)
+    .eq('left_context', correction.left_context || '')
+    .eq('right_context', correction.right_context || ''), null, null)
+    .maybeSingle();
+
+  if (twinError) throw twinError;
+
+  if (!twin) {
+    const { data, error } = await client
+      .from('corrections')
+      .update({ folder_id: null, series_id: null })
+      .eq('id', correctionId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  const { data: merged, error: mergeError } = await client
+    .from('corrections')
+    .update({
+      count: twin.count + correction.count,
+      last_seen_at: String(correction.last_seen_at || '') > String(twin.last_seen_at || '')
+        ? correction.last_seen_at
+        : twin.last_seen_at
+    })
+    .eq('id', twin.id)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (mergeError) throw mergeError;
+
+  const { error: moveError } = await client
+    .from('correction_occurrences')
+    .update({ correction_id: twin.id })
+    .eq('correction_id', correctionId)
+    .eq('user_id', userId);
+
+  if (moveError) throw moveError;
+
+  await deleteCorrection(userId, correctionId);
+  return merged;
+}
+
+/**
+ * Merge an imported dictionary (entries from parseDictionary) into a user's
+ * corrections. Returns the plan (see planDictionaryImport); with dryRun
+ * nothing is written, so the plan is a preview.
+ */
+async function importCorrections(userId, entries, { dryRun = false } = {}) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data: existing, error: fetchError } = await client
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (fetchError) throw fetchError;
+
+  // Scoped rows must name one of the user's own folders or series
+  const [{ data: folders, error: foldersError }, { data: series, error: seriesError }] = await Promise.all([
+    client.from('folders').select('id').eq('user_id', userId),
+    client.from('transcripts').select('series_id').eq('user_id', userId).not('series_id', 'is', null)
+  ]);
+
+  if (foldersError) throw foldersError;
+  if (seriesError) throw seriesError;
+
+  const plan = planDictionaryImport(entries, existing || [], MANUAL_CORRECTION_COUNT, {
+    folderIds: (folders || []).map(f => f.id),
+    seriesIds: (series || []).map(t => t.series_id)
+  });
+  if (dryRun) return { rows: plan.rows, summary: plan.summary };
+
+  const now = new Date().toISOString();
+
+  if (plan.creates.length > 0) {
+    const { error } = await client
+      .from('corrections')
+      .insert(plan.creates.map(c => ({
+        id: generateId(),
+        user_id: userId,
+        ...c,
+        first_seen_at: now,
+        last_seen_at: now
+      })));
+
+    if (error) throw error;
+  }
+
+  for (const { id, count } of plan.updates) {
+    const { error } = await client
+      .from('corrections')
+      .update({ count, last_seen_at: now })
+      .eq('id', id)
+      .eq('user_id', userId);
+
+    if (error) throw error;
+  }
+
+  return { rows: plan.rows, summary: plan.summary };
+}
+
+// ============================================
+// Glossary Operations
+// ============================================
+
+/**
+ * Get a user's glossary terms, oldest first
+ */
+async function getGlossaryTerms(userId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('glossary_terms')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Get a user's glossary for managing it: each term flagged with whether it
+ * fits in the transcription prompt, the prompt's estimated size, and terms
+ * suggested from their strongest corrections
+ */
+async function listGlossary(userId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const terms = await getGlossaryTerms(userId);
+
+  const { data: corrections, error } = await client
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const { includedIds, tokens } = buildGlossaryPrompt(terms);
+  const included = new Set(includedIds);
+  return {
+    terms: terms.map(t => ({ ...t, inPrompt: included.has(t.id) })),
+    suggestions: suggestGlossaryTerms(corrections || [], terms),
+    promptTokens: tokens,
+    promptTokenLimit: WHISPER_PROMPT_MAX_TOKENS
+  };
+}
+
+/**
+ * The Whisper prompt for a user's glossary ('' if they have none)
+ */
+async function getGlossaryPrompt(userId) {
+  const terms = await getGlossaryTerms(userId);
+  return buildGlossaryPrompt(terms).prompt;
+}
+
+async function createGlossaryTerm(userId, { term, source = 'manual', pinned = false }) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('glossary_terms')
+    .insert({
+      user_id: userId,
+      term,
+      source,
+      pinned,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Rename a glossary term or pin/unpin it; null if the user has no such term
+ */
+async function updateGlossaryTerm(userId, termId, { term, pinned }) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const updates = {};
+  if (term !== undefined) updates.term = term;
+  if (pinned !== undefined) updates.pinned = pinned;
+
+  const { data, error } = await client
+    .from('glossary_terms')
+    .update(updates)
+    .eq('id', termId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+async function deleteGlossaryTerm(userId, termId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { error } = await client
+    .from('glossary_terms')
+    .delete()
+    .eq('id', termId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  return true;
+}
+
+// ============================================
+// User Settings
+// ============================================
+
+/**
+ * Get a user's settings, falling back to defaults if they have never saved any
+ */
+async function getUserSettings(userId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('user_settings')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || { user_id: userId, default_language: DEFAULT_LANGUAGE };
+}
+
+async function updateUserSettings(userId, { defaultLanguage }) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('user_settings')
+    .upsert({
+      user_id: userId,
+      default_language: defaultLanguage,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// ============================================
+// Transcription Jobs
+// ============================================
+
+/**
+ * Queue a transcription job for the worker that will run it (see failInterruptedTranscriptionJobs)
+ */
+async function createTranscriptionJob(userId, request, workerId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('transcription_jobs')
+    .insert({
+      id: generateId(),
+      user_id: userId,
+      status: 'queued',
+      request,
+      worker_id: workerId,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function getTranscriptionJob(userId, jobId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('transcription_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a job's status and any of result, error or transcript_id
+ */
+async function updateTranscriptionJob(jobId, updates) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
 
   const { error } = await client
+    .from('transcription_jobs')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (error) throw error;
+  return true;
+}
+
+/**
+ * Mark a worker's jobs that never finished as failed. Used on startup by the
+ * in-process worker, whose queue does not survive a restart. Jobs other
+ * servers or the Lambda are running are left alone.
+ */
+async function failInterruptedTranscriptionJobs(workerId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('transcription_jobs')
+    .update({
+      status: 'failed',
+      error: 'Interrupted by a server restart. Please try again.',
+      updated_at: new Date().toISOString()
+    })
+    .eq('worker_id', workerId)
+    .in('status', ['queued', 'transcribing', 'titling'])
+    .select('id');
+
+  if (error) throw error;
+  return (data || []).length;
+}
+
+// ============================================
+// Folder Operations
+// ============================================
+
+async function getFolders(userId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
     .from('folders')
-    .delete()
+    .select('*')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+async function createFolder(userId, name) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const id = generateId();
+  const { data, error } = await client
+    .from('folders')
+    .insert({
+      id,
+      user_id: userId,
+      name: name.trim(),
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+async function updateFolder(userId, folderId, name) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('folders')
+    .update({ name: name.trim(), updated_at: new Date().toISOString() })
     .eq('id', folderId)
-    .eq('user_id', userId);
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete a folder by moving it to the Trash. Its recordings show as unfiled
+ * until it is restored, and become unfiled for good when it is purged.
+ */
+async function deleteFolder(userId, folderId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { error } = await client
+    .from('folders')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('id', folderId)
+    .eq('user_id', userId)
+    .is('deleted_at', null);
 
   if (error) throw error;
   return true;
@@ -398,8 +1580,9 @@ async function moveTranscriptToFolder(userId, transcriptId, folderId) {
     .update({ folder_id: folderId, updated_at: new Date().toISOString() })
     .eq('id', transcriptId)
     .eq('user_id', userId)
+    .is('deleted_at', null)
     .select()
-    .single();
+    .maybeSingle();
 
   if (error) throw error;
   return data;
@@ -418,8 +1601,9 @@ async function setTranscriptSeries(userId, transcriptId, seriesId, seriesOrder)
     })
     .eq('id', transcriptId)
     .eq('user_id', userId)
+    .is('deleted_at', null)
     .select()
-    .single();
+    .maybeSingle();
 
   if (error) throw error;
   return data;
@@ -441,18 +1625,332 @@ async function getNextSeriesOrder(userId, seriesId) {
   return (data && data.length > 0 ? data[0].series_order : 0) + 1;
 }
 
+async function getFolder(userId, folderId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('folders')
+    .select('*')
+    .eq('id', folderId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get full transcripts (including timestamps) in a series, in part order
+ */
+async function getSeriesTranscripts(userId, seriesId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('transcripts')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('series_id', seriesId)
+    .is('deleted_at', null)
+    .order('series_order', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Get full transcripts (including timestamps) in a folder, oldest first
+ */
+async function getFolderTranscripts(userId, folderId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('transcripts')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('folder_id', folderId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Move all of a user's disposable notes to the Trash, taking their occurrences
+ * back off the corrections they taught as deleteTranscript does
+ */
 async function deleteDisposableTranscripts(userId) {
   const client = initSupabase();
   if (!client) throw new Error('Database not initialized');
 
+  const { data, error } = await client
+    .from('transcripts')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('is_disposable', true)
+    .is('deleted_at', null)
+    .select('id');
+
+  if (error) throw error;
+
+  await suspendTranscriptCorrections(userId, (data || []).map(t => t.id));
+  return true;
+}
+
+// ============================================
+// Trash Operations
+// ============================================
+
+/**
+ * Get a user's recordings and folders in the Trash, most recently deleted first
+ */
+async function getTrash(userId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const [transcriptsResult, foldersResult] = await Promise.all([
+    client
+      .from('transcripts')
+      .select(`${TRANSCRIPT_LIST_COLUMNS}, deleted_at`)
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false }),
+    client
+      .from('folders')
+      .select('*')
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+  ]);
+
+  if (transcriptsResult.error) throw transcriptsResult.error;
+  if (foldersResult.error) throw foldersResult.error;
+
+  return {
+    transcripts: transcriptsResult.data || [],
+    folders: foldersResult.data || [],
+    retentionDays: TRASH_RETENTION_DAYS
+  };
+}
+
+/**
+ * Take a recording or folder back out of the Trash. A recording's occurrences
+ * are given back to the corrections it taught.
+ * Returns null if it isn't in the Trash.
+ *
+ * @param {string} table - 'transcripts' or 'folders'
+ */
+async function restoreFromTrash(userId, table, id) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from(table)
+    .update({ deleted_at: null, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (data && table === 'transcripts') await restoreTranscriptCorrections(userId, [data.id]);
+  return data;
+}
+
+/**
+ * Delete trashed transcripts for good and forget their occurrences, deleting
+ * the corrections only they taught (see forgetTranscriptCorrections).
+ *
+ * @param {Array<{id: string, user_id: string, audio_url: string}>} transcripts
+ * @returns {Promise<string[]>} Audio URLs no other transcript uses, for the
+ *   caller to delete from storage
+ */
+async function purgeTranscripts(transcripts) {
+  if (transcripts.length === 0) return [];
+
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
   const { error } = await client
     .from('transcripts')
     .delete()
+    .in('id', transcripts.map(t => t.id))
+    .not('deleted_at', 'is', null);
+
+  if (error) throw error;
+
+  const idsByUser = new Map();
+  for (const t of transcripts) {
+    idsByUser.set(t.user_id, [...(idsByUser.get(t.user_id) || []), t.id]);
+  }
+  for (const [userId, ids] of idsByUser) {
+    try {
+      await forgetTranscriptCorrections(userId, ids);
+    } catch (forgetError) {
+      // The transcripts are gone either way; their corrections just keep their occurrences
+      console.error('Error forgetting transcript corrections:', forgetError);
+    }
+  }
+
+  const audioUrls = [...new Set(transcripts.map(t => t.audio_url).filter(Boolean))];
+  if (audioUrls.length === 0) return [];
+
+  const { data: stillUsed, error: usedError } = await client
+    .from('transcripts')
+    .select('audio_url')
+    .in('audio_url', audioUrls);
+
+  if (usedError) throw usedError;
+  const used = new Set((stillUsed || []).map(t => t.audio_url));
+  return audioUrls.filter(url => !used.has(url));
+}
+
+/**
+ * Delete one trashed recording for good.
+ * Returns null if it isn't in the Trash, otherwise { audioUrls } to delete from storage.
+ */
+async function deleteTrashedTranscript(userId, id) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('transcripts')
+    .select('id, user_id, audio_url')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  return { audioUrls: await purgeTranscripts([data]) };
+}
+
+/**
+ * Delete one trashed folder for good. Its recordings become unfiled and the
+ * corrections scoped to it are deleted. Returns null if it isn't in the Trash.
+ */
+async function deleteTrashedFolder(userId, folderId) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const { data, error } = await client
+    .from('folders')
+    .delete()
+    .eq('id', folderId)
     .eq('user_id', userId)
-    .eq('is_disposable', true);
+    .not('deleted_at', 'is', null)
+    .select('id');
 
   if (error) throw error;
-  return true;
+  return data && data.length > 0 ? true : null;
+}
+
+/**
+ * Delete what has been in the Trash longer than the retention period, for
+ * every user or just one. olderThanDays 0 empties the Trash.
+ *
+ * @param {Object} [options] - { userId, olderThanDays }
+ * @returns {Promise<{transcripts: number, folders: number, audioUrls: string[]}>}
+ *   How many recordings and folders were deleted, and the audio URLs to delete from storage
+ */
+async function purgeTrash({ userId = null, olderThanDays = TRASH_RETENTION_DAYS } = {}) {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+  const trashed = (table, columns) => {
+    let query = client.from(table).select(columns).not('deleted_at', 'is', null);
+    if (olderThanDays > 0) query = query.lt('deleted_at', cutoff);
+    if (userId) query = query.eq('user_id', userId);
+    return query;
+  };
+
+  const { data: transcripts, error: transcriptsError } = await trashed('transcripts', 'id, user_id, audio_url');
+  if (transcriptsError) throw transcriptsError;
+
+  const audioUrls = await purgeTranscripts(transcripts || []);
+
+  const { data: folders, error: foldersError } = await trashed('folders', 'id');
+  if (foldersError) throw foldersError;
+
+  if (folders && folders.length > 0) {
+    const { error: deleteError } = await client
+      .from('folders')
+      .delete()
+      .in('id', folders.map(f => f.id));
+
+    if (deleteError) throw deleteError;
+  }
+
+  return { transcripts: (transcripts || []).length, folders: (folders || []).length, audioUrls };
+}
+
+/**
+ * Every user's transcripts that have audio, in the Trash or not, for checking
+ * against what the bucket holds (see scripts/reconcile-audio.js).
+ * Read a page at a time, as Supabase returns at most 1000 rows per request.
+ *
+ * @returns {Promise<Array<{id: string, user_id: string, audio_url: string, deleted_at: string|null, created_at: string}>>}
+ */
+async function listTranscriptAudio() {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const pageSize = 1000;
+  const transcripts = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await client
+      .from('transcripts')
+      .select('id, user_id, audio_url, deleted_at, created_at')
+      .not('audio_url', 'is', null)
+      .order('id', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+    transcripts.push(...(data || []));
+    if (!data || data.length < pageSize) return transcripts;
+  }
+}
+
+/**
+ * Audio URLs of the recordings in BA chat sessions, which are uploaded to
+ * shared/ like transcripts' audio but only referenced from the messages in
+ * ba_sessions.conversation_history. Read a page at a time.
+ *
+ * @returns {Promise<string[]>}
+ */
+async function listBaSessionAudio() {
+  const client = initSupabase();
+  if (!client) throw new Error('Database not initialized');
+
+  const pageSize = 1000;
+  const audioUrls = [];
+
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await client
+      .from('ba_sessions')
+      .select('id, conversation_history')
+      .order('id', { ascending: true })
+      .range(offset, offset + pageSize - 1);
+
+    if (error) throw error;
+    for (const session of data || []) {
+      for (const message of Array.isArray(session.conversation_history) ? session.conversation_history : []) {
+        if (message && typeof message.audio_url === 'string' && message.audio_url) {
+          audioUrls.push(message.audio_url);
+        }
+      }
+    }
+    if (!data || data.length < pageSize) return audioUrls;
+  }
 }
 
 module.exports = {
@@ -462,11 +1960,36 @@ module.exports = {
   saveTranscript,
   getTranscript,
   getTranscripts,
+  searchTranscripts,
   updateTranscript,
+  listTranscriptVersions,
+  getTranscriptVersion,
+  revertTranscript,
+  getAppliedCorrections,
+  undoAppliedCorrection,
   deleteTranscript,
   getCorrections,
   saveCorrection,
+  listCorrectionOccurrences,
   personalizeText,
+  listCorrections,
+  createCorrection,
+  updateCorrection,
+  deleteCorrection,
+  promoteCorrection,
+  importCorrections,
+  getGlossaryTerms,
+  listGlossary,
+  getGlossaryPrompt,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+  getUserSettings,
+  updateUserSettings,
+  createTranscriptionJob,
+  getTranscriptionJob,
+  updateTranscriptionJob,
+  failInterruptedTranscriptionJobs,
   getFolders,
   createFolder,
   updateFolder,
@@ -474,5 +1997,15 @@ module.exports = {
   moveTranscriptToFolder,
   setTranscriptSeries,
   getNextSeriesOrder,
-  deleteDisposableTranscripts
+  getFolder,
+  getSeriesTranscripts,
+  getFolderTranscripts,
+  deleteDisposableTranscripts,
+  getTrash,
+  restoreFromTrash,
+  deleteTrashedTranscript,
+  deleteTrashedFolder,
+  purgeTrash,
+  listTranscriptAudio,
+  listBaSessionAudio
 };
@@ -0,0 +1,336 @@
+/**
+ * Dictionary Service
+ * Exports a user's correction dictionary as JSON or CSV, and parses,
+ * validates and plans the merge of an imported one
+ */
+
+const { parse } = require('csv-parse/sync');
+const { areSimilarPhrases } = require('./personalization');
+const { DEFAULT_LANGUAGE, AUTO_DETECT, isValidLanguage } = require('./languages');
+
+const DICTIONARY_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Columns of an exported dictionary, in CSV order (also the JSON keys)
+const DICTIONARY_COLUMNS = [
+  'original_token', 'corrected_token', 'language', 'left_context', 'right_context',
+  'count', 'disabled', 'phonetic_disabled', 'folder_id', 'series_id'
+];
+
+// Limits on an imported dictionary
+const IMPORT_MAX_ROWS = 10000;
+const IMPORT_MAX_TOKEN_LENGTH = 200;
+
+// Spreadsheet apps run cells starting with these as formulas, so exported
+// cells that do are prefixed with an apostrophe (stripped again on import)
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Check whether a dictionary format is supported
+ */
+function isDictionaryFormat(format) {
+  return Object.prototype.hasOwnProperty.call(DICTIONARY_FORMATS, format);
+}
+
+/**
+ * The exported fields of a correction row
+ */
+function toDictionaryEntry(correction) {
+  return {
+    original_token: correction.original_token || '',
+    corrected_token: correction.corrected_token || '',
+    language: correction.language || DEFAULT_LANGUAGE,
+    left_context: correction.left_context || '',
+    right_context: correction.right_context || '',
+    count: correction.count || 1,
+    disabled: !!correction.disabled,
+    phonetic_disabled: !!correction.phonetic_disabled,
+    folder_id: correction.folder_id || '',
+    series_id: correction.series_id || ''
+  };
+}
+
+/**
+ * Quote a CSV cell if it needs it
+ */
+function toCsvCell(value) {
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a dictionary export
+ *
+ * @param {Array<Object>} corrections - Correction rows
+ * @param {string} format - json or csv
+ * @returns {{body: string, contentType: string, filename: string}}
+ */
+function renderDictionary(corrections, format) {
+  const { contentType, extension } = DICTIONARY_FORMATS[format];
+  const entries = corrections.map(toDictionaryEntry);
+
+  let body;
+  if (format === 'csv') {
+    const lines = [DICTIONARY_COLUMNS.join(',')];
+    for (const entry of entries) {
+      lines.push(DICTIONARY_COLUMNS.map(column => toCsvCell(entry[column])).join(','));
+    }
+    body = lines.join('\r\n') + '\r\n';
+  } else {
+    body = JSON.stringify({
+      format: 'my-whisper-vocabulary',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      corrections: entries
+    }, null, 2);
+  }
+
+  return { body, contentType, filename: `vocabulary.${extension}` };
+}
+
+/**
+ * Undo the formula-guard apostrophe added on export
+ */
+function fromCsvCell(value) {
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Parse an uploaded dictionary into raw entries, one per row
+ *
+ * @param {string} content - File contents
+ * @param {string} format - json or csv
+ * @returns {{entries: Array<{line: number, fields: Object}>, error: string|null}}
+ */
+function parseDictionary(content, format) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { entries: [], error: 'The file is empty' };
+  }
+
+  let entries;
+  if (format === 'csv') {
+    // Quoted cells may hold commas, doubled quotes and line breaks (RFC 4180)
+    let header = [];
+    let records;
+    try {
+      records = parse(content, {
+        bom: true,
+        columns: row => (header = row.map(column => column.toLowerCase())),
+        skip_empty_lines: true,
+        trim: true,
+        relax_column_count: true,
+        info: true
+      });
+    } catch (error) {
+      return { entries: [], error: `The file is not valid CSV (${error.message})` };
+    }
+    if (header.length === 0) return { entries: [], error: 'The file is empty' };
+
+    if (!header.includes('original_token') || !header.includes('corrected_token')) {
+      return { entries: [], error: 'The CSV header must include original_token and corrected_token' };
+    }
+
+    entries = records.map(({ record, info }) => {
+      const fields = {};
+      for (const [column, value] of Object.entries(record)) fields[column] = fromCsvCell(value);
+      // The line the record ends on, as csv-parse counts them
+      return { line: info.lines, fields };
+    });
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      return { entries: [], error: 'The file is not valid JSON' };
+    }
+
+    // A file exported from here, or a bare array of corrections
+    const list = Array.isArray(parsed) ? parsed : parsed?.corrections;
+    if (!Array.isArray(list)) {
+      return { entries: [], error: 'Expected a list of corrections' };
+    }
+    entries = list.map((fields, index) => ({ line: index + 1, fields }));
+  }
+
+  if (entries.length > IMPORT_MAX_ROWS) {
+    return { entries: [], error: `A dictionary can have at most ${IMPORT_MAX_ROWS} corrections` };
+  }
+  return { entries, error: null };
+}
+
+/**
+ * Read a yes/no cell ("true", "false", "1", "0", "yes", "no" or blank)
+ */
+function parseFlag(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no', ''].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Validate one imported row
+ *
+ * @param {Object} fields - The row's fields, keyed by column
+ * @param {number} defaultCount - Count for rows that don't give one
+ * @param {{folderIds: Set<string>, seriesIds: Set<string>}} scopes - The user's folders and series,
+ *        which scoped rows must belong to
+ * @returns {{correction: Object|null, error: string|null}}
+ */
+function validateDictionaryEntry(fields, defaultCount, scopes) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { correction: null, error: 'Not a correction' };
+  }
+
+  const text = key => (fields[key] === undefined || fields[key] === null ? '' : String(fields[key]).trim());
+  const originalToken = text('original_token');
+  const correctedToken = text('corrected_token');
+  const leftContext = text('left_context').toLowerCase();
+  const rightContext = text('right_context').toLowerCase();
+
+  if (!originalToken && !correctedToken) {
+    return { correction: null, error: 'original_token or corrected_token is required' };
+  }
+  if (originalToken === correctedToken) {
+    return { correction: null, error: 'Corrected text must differ from the original' };
+  }
+  if ((!originalToken || !correctedToken) && !leftContext && !rightContext) {
+    return { correction: null, error: 'Insertions and deletions need a left_context or right_context' };
+  }
+  if ([originalToken, correctedToken, leftContext, rightContext].some(t => t.length > IMPORT_MAX_TOKEN_LENGTH)) {
+    return { correction: null, error: `Text is limited to ${IMPORT_MAX_TOKEN_LENGTH} characters` };
+  }
+
+  const language = text('language') || DEFAULT_LANGUAGE;
+  if (language === AUTO_DETECT || !isValidLanguage(language)) {
+    return { correction: null, error: `Unsupported language "${language}"` };
+  }
+
+  let count = defaultCount;
+  if (text('count')) {
+    count = Number(text('count'));
+    if (!Number.isInteger(count) || count < 1) {
+      return { correction: null, error: 'count must be a whole number of at least 1' };
+    }
+  }
+
+  const disabled = parseFlag(fields.disabled);
+  const phoneticDisabled = parseFlag(fields.phonetic_disabled);
+  if (disabled === null || phoneticDisabled === null) {
+    return { correction: null, error: 'disabled and phonetic_disabled must be true or false' };
+  }
+
+  const folderId = text('folder_id');
+  const seriesId = text('series_id');
+  if (folderId && seriesId) {
+    return { correction: null, error: 'A correction can be scoped to a folder or a series, not both' };
+  }
+  if (folderId && !scopes.folderIds.has(folderId)) {
+    return { correction: null, error: `Unknown folder "${folderId}"` };
+  }
+  if (seriesId && !scopes.seriesIds.has(seriesId)) {
+    return { correction: null, error: `Unknown series "${seriesId}"` };
+  }
+
+  return {
+    correction: {
+      original_token: originalToken,
+      corrected_token: correctedToken,
+      language,
+      left_context: leftContext,
+      right_context: rightContext,
+      count,
+      disabled,
+      phonetic_disabled: phoneticDisabled,
+      folder_id: folderId || null,
+      series_id: seriesId || null
+    },
+    error: null
+  };
+}
+
+/**
+ * Whether two corrections are the same entry: same language, context and
+ * scope, similar originals (see areSimilarPhrases) and the same corrected text
+ */
+function isSameEntry(a, b) {
+  return a.language === b.language &&
+    a.left_context === b.left_context &&
+    a.right_context === b.right_context &&
+    (a.folder_id || '') === (b.folder_id || '') &&
+    (a.series_id || '') === (b.series_id || '') &&
+    a.corrected_token === b.corrected_token &&
+    areSimilarPhrases(a.original_token, b.original_token);
+}
+
+/**
+ * Work out what importing a dictionary would do, without changing anything.
+ * Each valid row either creates a correction or merges into an existing one
+ * (or an earlier row of the same file); a merge keeps the higher count, so
+ * importing the same file twice changes nothing the second time.
+ *
+ * @param {Array<{line: number, fields: Object}>} entries - From parseDictionary
+ * @param {Array<Object>} existing - The user's current correction rows
+ * @param {number} defaultCount - Count for rows that don't give one
+ * @param {{folderIds?: Iterable<string>, seriesIds?: Iterable<string>}} scopes - The user's folder
+ *        and series ids; rows scoped to any other are invalid
+ * @returns {{rows: Array<Object>, creates: Array<Object>, updates: Array<{id: string, count: number}>,
+ *            summary: {created: number, merged: number, unchanged: number, invalid: number}}}
+ */
+function planDictionaryImport(entries, existing, defaultCount, { folderIds = [], seriesIds = [] } = {}) {
+  const scopes = { folderIds: new Set(folderIds), seriesIds: new Set(seriesIds) };
+  const rows = [];
+  const creates = [];
+  const updates = new Map();
+  const summary = { created: 0, merged: 0, unchanged: 0, invalid: 0 };
+  const known = existing.map(c => ({ ...toDictionaryEntry(c), id: c.id }));
+
+  for (const { line, fields } of entries) {
+    const { correction, error } = validateDictionaryEntry(fields, defaultCount, scopes);
+    if (error) {
+      rows.push({ line, action: 'invalid', error });
+      summary.invalid++;
+      continue;
+    }
+
+    const row = {
+      line,
+      original_token: correction.original_token,
+      corrected_token: correction.corrected_token,
+      language: correction.language
+    };
+
+    const match = known.find(k => isSameEntry(k, correction));
+    if (!match) {
+      const created = { ...correction };
+      creates.push(created);
+      known.push(created);
+      rows.push({ ...row, action: 'create' });
+      summary.created++;
+    } else if (correction.count > match.count) {
+      match.count = correction.count;
+      if (match.id) updates.set(match.id, { id: match.id, count: match.count });
+      rows.push({ ...row, action: 'merge' });
+      summary.merged++;
+    } else {
+      rows.push({ ...row, action: 'unchanged' });
+      summary.unchanged++;
+    }
+  }
+
+  return { rows, creates, updates: [...updates.values()], summary };
+}
+
+module.exports = {
+  DICTIONARY_FORMATS,
+  IMPORT_MAX_ROWS,
+  isDictionaryFormat,
+  renderDictionary,
+  parseDictionary,
+  planDictionaryImport
+};
@@ -0,0 +1,286 @@
+/**
+ * Export Service
+ * Renders one or more transcripts (a single recording, a series or a folder)
+ * as subtitles (SRT/WebVTT), Markdown, DOCX or lossless JSON
+ */
+
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+const { tokenize, normalize } = require('./personalization');
+const { diffWords } = require('./versions');
+
+const EXPORT_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Speaking rate used to estimate cue length for transcripts saved before
+// timestamps were stored (~150 words per minute)
+const WORDS_PER_SECOND = 2.5;
+
+/**
+ * Check whether a format is supported
+ */
+function isExportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+}
+
+/**
+ * Best available text for a transcript (user edits win over auto-corrections)
+ */
+function getTranscriptText(transcript) {
+  return transcript.final_text || transcript.personalized_text || transcript.raw_text || '';
+}
+
+/**
+ * Format seconds as HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
+ */
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+    `${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
+
+// Share of the shown text's words that must line up with the words Whisper
+// heard for its cues to keep the segment timings
+const MIN_ALIGNED_SHARE = 0.5;
+
+/**
+ * Split a transcript's shown text (with the user's edits) across its segments,
+ * so subtitles carry the edits with Whisper's timings. Words are aligned with
+ * the segment words ignoring case and punctuation; a word the user added or
+ * rewrote goes into the segment of the word before it. Returns null if too
+ * little of the text lines up for the timings to fit it.
+ */
+function alignTextToSegments(text, segments) {
+  const heard = [];
+  segments.forEach((segment, index) => {
+    for (const word of tokenize(segment.text)) heard.push({ word, segment: index });
+  });
+  const shown = tokenize(text);
+  if (heard.length === 0 || shown.length === 0) return null;
+
+  const ops = diffWords(heard.map(h => normalize(h.word)), shown.map(normalize));
+  const wordsBySegment = segments.map(() => []);
+  let i = 0;
+  let j = 0;
+  let aligned = 0;
+  let segment = heard[0].segment;
+
+  for (const { op, words } of ops) {
+    for (let k = 0; k < words.length; k++) {
+      if (op === 'removed') {
+        segment = heard[i++].segment;
+      } else if (op === 'equal') {
+        segment = heard[i++].segment;
+        wordsBySegment[segment].push(shown[j++]);
+        aligned++;
+      } else {
+        wordsBySegment[segment].push(shown[j++]);
+      }
+    }
+  }
+
+  if (aligned < shown.length * MIN_ALIGNED_SHARE) return null;
+  return segments
+    .map((s, index) => ({ start: s.start, end: s.end, text: wordsBySegment[index].join(' ') }))
+    .filter(cue => cue.text);
+}
+
+/**
+ * Cues for text the segment timings don't fit: one per sentence, spread over
+ * the recording in proportion to their words
+ */
+function cuesFromText(text, length) {
+  const sentences = text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+  const totalWords = sentences.reduce((sum, sentence) => sum + tokenize(sentence).length, 0);
+  let start = 0;
+
+  return sentences.map(sentence => {
+    const end = start + length * tokenize(sentence).length / totalWords;
+    const cue = { start, end, text: sentence };
+    start = end;
+    return cue;
+  });
+}
+
+/**
+ * Build subtitle cues for a list of transcripts played back to back.
+ * Each transcript's cues are offset by the length of the ones before it, so a
+ * series exports as one continuous subtitle track. Cues show the same text as
+ * the other formats (user edits win over auto-corrections), timed by Whisper's
+ * segments where it lines up with them; transcripts without segments become a
+ * single cue.
+ */
+function buildCues(transcripts) {
+  const cues = [];
+  let offset = 0;
+
+  for (const transcript of transcripts) {
+    const segments = Array.isArray(transcript.segments) ? transcript.segments : [];
+    let length = Number(transcript.duration_seconds) || 0;
+
+    if (segments.length > 0) {
+      length = Math.max(length, segments[segments.length - 1].end);
+      const text = getTranscriptText(transcript).trim();
+      const timed = alignTextToSegments(text, segments) || cuesFromText(text, length);
+      for (const cue of timed) {
+        cues.push({ start: offset + cue.start, end: offset + cue.end, text: cue.text });
+      }
+    } else {
+      const text = getTranscriptText(transcript).trim();
+      if (!text) continue;
+      if (!length) {
+        length = Math.max(1, text.split(/\s+/).length / WORDS_PER_SECOND);
+      }
+      cues.push({ start: offset, end: offset + length, text });
+    }
+
+    offset += length;
+  }
+
+  return cues;
+}
+
+/**
+ * Render transcripts as SubRip subtitles
+ */
+function toSrt(transcripts) {
+  return buildCues(transcripts)
+    .map((cue, index) =>
+      `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+}
+
+/**
+ * Render transcripts as WebVTT subtitles
+ */
+function toVtt(transcripts) {
+  const cues = buildCues(transcripts)
+    .map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}\n`);
+
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Render transcripts as Markdown with title/date front-matter.
+ * A single transcript becomes one document; a collection gets one section per recording.
+ */
+function toMarkdown(transcripts, { title }) {
+  const first = transcripts[0] || {};
+  const frontMatter = [
+    '---',
+    `title: ${JSON.stringify(title)}`,
+    `date: ${first.created_at || new Date().toISOString()}`
+  ];
+
+  if (transcripts.length === 1) {
+    frontMatter.push(`language: ${first.language || 'en'}`);
+  } else {
+    frontMatter.push(`recordings: ${transcripts.length}`);
+  }
+  frontMatter.push('---', '');
+
+  const body = [`# ${title}`, ''];
+
+  if (transcripts.length === 1) {
+    body.push(getTranscriptText(first), '');
+  } else {
+    transcripts.forEach(transcript => {
+      body.push(`## ${transcript.title || 'Untitled Recording'}`, '');
+      body.push(`*${transcript.created_at}*`, '');
+      body.push(getTranscriptText(transcript), '');
+    });
+  }
+
+  return frontMatter.concat(body).join('\n');
+}
+
+/**
+ * Render transcripts as a Word document
+ */
+async function toDocx(transcripts, { title }) {
+  const children = [new Paragraph({ text: title, heading: HeadingLevel.TITLE })];
+
+  transcripts.forEach(transcript => {
+    if (transcripts.length > 1) {
+      children.push(new Paragraph({
+        text: transcript.title || 'Untitled Recording',
+        heading: HeadingLevel.HEADING_1
+      }));
+    }
+    children.push(new Paragraph({
+      children: [new TextRun({ text: new Date(transcript.created_at).toUTCString(), italics: true })]
+    }));
+
+    getTranscriptText(transcript)
+      .split(/\n+/)
+      .filter(line => line.trim())
+      .forEach(line => children.push(new Paragraph({ text: line })));
+  });
+
+  const doc = new Document({ title, sections: [{ children }] });
+  return Packer.toBuffer(doc);
+}
+
+/**
+ * Render transcripts as lossless JSON (every stored column, including
+ * raw, personalized and final text and the Whisper timestamps)
+ */
+function toJson(transcripts, { title, scope }) {
+  return JSON.stringify({
+    format: 'my-whisper-export',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    scope,
+    title,
+    transcripts
+  }, null, 2);
+}
+
+/**
+ * Render an export
+ *
+ * @param {Array<Object>} transcripts - Full transcript rows, in playback order
+ * @param {string} format - One of srt, vtt, md, docx, json
+ * @param {{title: string, scope: string}} options - Document title and scope (transcript, series or folder)
+ * @returns {Promise<{body: string|Buffer, contentType: string, filename: string}>}
+ */
+async function renderExport(transcripts, format, { title, scope }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  let body;
+
+  switch (format) {
+    case 'srt':
+      body = toSrt(transcripts);
+      break;
+    case 'vtt':
+      body = toVtt(transcripts);
+      break;
+    case 'md':
+      body = toMarkdown(transcripts, { title });
+      break;
+    case 'docx':
+      body = await toDocx(transcripts, { title });
+      break;
+    case 'json':
+      body = toJson(transcripts, { title, scope });
+      break;
+  }
+
+  const basename = title.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '') || 'transcript';
+  return { body, contentType, filename: `${basename}.${extension}` };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  renderExport
+};
@@ -0,0 +1,148 @@
+/**
+ * Glossary Service
+ * A user's glossary of product names, acronyms and people's names: ranked and
+ * cut to fit Whisper's prompt, and suggested from their learned corrections
+ */
+
+const { scoreCorrections } = require('./personalization');
+
+// Whisper only reads the last 224 tokens of a prompt
+const WHISPER_PROMPT_MAX_TOKENS = 224;
+const GLOSSARY_PROMPT_PREFIX = 'Glossary: ';
+
+const GLOSSARY_MAX_TERMS = 500;
+const GLOSSARY_MAX_TERM_LENGTH = 100;
+
+// Corrections are suggested as terms once their (decayed) score reaches this,
+// summed across the contexts they were learned in
+const SUGGESTION_MIN_SCORE = 3;
+const SUGGESTION_MAX_WORDS = 4;
+const SUGGESTION_LIMIT = 10;
+
+/**
+ * Clean up a term as typed: trimmed, inner whitespace collapsed, and
+ * punctuation that would break the prompt's comma list removed
+ */
+function normalizeGlossaryTerm(term) {
+  return String(term || '').replace(/[,;\n\r\t]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check a (normalized) term can go in the glossary
+ * @returns {string|null} Why it can't, or null if it can
+ */
+function validateGlossaryTerm(term) {
+  if (!term) return 'Term cannot be empty';
+  if (term.length > GLOSSARY_MAX_TERM_LENGTH) return `Terms are limited to ${GLOSSARY_MAX_TERM_LENGTH} characters`;
+  if (!/[\p{L}\p{N}]/u.test(term)) return 'Term must contain a letter or number';
+  return null;
+}
+
+/**
+ * Key two spellings of the same term share ("openai" for "OpenAI" and "openAI")
+ */
+function glossaryKey(term) {
+  return normalizeGlossaryTerm(term).toLowerCase();
+}
+
+/**
+ * Rough token count for Whisper's tokenizer. Errs high (English averages
+ * about four characters a token; names and other languages split finer),
+ * so a prompt estimated to fit does.
+ */
+function estimatePromptTokens(text) {
+  return Math.ceil(text.length / 3);
+}
+
+/**
+ * Order terms by how much they should get into the prompt: pinned first,
+ * then ones added by hand, then accepted suggestions, newest first within each
+ */
+function rankGlossaryTerms(terms) {
+  const sourceRank = term => (term.source === 'suggested' ? 1 : 0);
+  return [...terms].sort((a, b) =>
+    (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) ||
+    sourceRank(a) - sourceRank(b) ||
+    String(b.created_at || '').localeCompare(String(a.created_at || ''))
+  );
+}
+
+/**
+ * Build the Whisper prompt for a glossary: as many terms as fit the
+ * prompt limit, in rank order (see rankGlossaryTerms). Terms that don't
+ * fit are skipped, so a shorter one further down can still go in.
+ *
+ * @param {Array<{id: string, term: string, pinned?: boolean, source?: string}>} terms - Glossary terms
+ * @param {number} maxTokens - Prompt budget (default: Whisper's limit)
+ * @returns {{prompt: string, includedIds: Array<string>, tokens: number}} The prompt ('' for an
+ *          empty glossary), the terms in it and its estimated size
+ */
+function buildGlossaryPrompt(terms, maxTokens = WHISPER_PROMPT_MAX_TOKENS) {
+  const included = [];
+  let prompt = '';
+
+  for (const term of rankGlossaryTerms(terms)) {
+    const candidate = included.length === 0
+      ? `${GLOSSARY_PROMPT_PREFIX}${term.term}.`
+      : `${prompt.slice(0, -1)}, ${term.term}.`;
+    if (estimatePromptTokens(candidate) > maxTokens) continue;
+    prompt = candidate;
+    included.push(term.id);
+  }
+
+  return { prompt, includedIds: included, tokens: prompt ? estimatePromptTokens(prompt) : 0 };
+}
+
+/**
+ * Whether a correction's target looks like a glossary term: a short phrase
+ * with a capital letter or digit in it (names, acronyms, products), not
+ * ordinary words. Corrections store sentence-initial words uncapitalised, so a
+ * capital here was chosen.
+ */
+function isGlossaryCandidate(text) {
+  const words = text.split(/\s+/).filter(Boolean);
+  return words.length > 0 && words.length <= SUGGESTION_MAX_WORDS && /[\p{Lu}\p{N}]/u.test(text);
+}
+
+/**
+ * Suggest glossary terms from the targets of a user's strongest corrections
+ * that aren't already in the glossary
+ *
+ * @param {Array<Object>} corrections - Correction rows
+ * @param {Array<{term: string}>} terms - Current glossary terms
+ * @returns {Array<{term: string, score: number, corrections: number}>} Best first
+ */
+function suggestGlossaryTerms(corrections, terms) {
+  const existing = new Set(terms.map(t => glossaryKey(t.term)));
+  const candidates = new Map();
+
+  for (const c of scoreCorrections(corrections)) {
+    if (c.disabled || c.conflicted) continue;
+
+    const term = normalizeGlossaryTerm(c.corrected_token);
+    if (!term || validateGlossaryTerm(term) || !isGlossaryCandidate(term)) continue;
+
+    const key = glossaryKey(term);
+    if (existing.has(key)) continue;
+    if (!candidates.has(key)) candidates.set(key, { term, score: 0, corrections: 0 });
+    const candidate = candidates.get(key);
+    candidate.score += c.score;
+    candidate.corrections++;
+  }
+
+  return [...candidates.values()]
+    .filter(s => s.score >= SUGGESTION_MIN_SCORE)
+    .map(s => ({ ...s, score: Math.round(s.score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+    .slice(0, SUGGESTION_LIMIT);
+}
+
+module.exports = {
+  WHISPER_PROMPT_MAX_TOKENS,
+  GLOSSARY_MAX_TERMS,
+  normalizeGlossaryTerm,
+  validateGlossaryTerm,
+  glossaryKey,
+  buildGlossaryPrompt,
+  suggestGlossaryTerms
+};
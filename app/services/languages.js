@@ -0,0 +1,76 @@
+/**
+ * Language Service
+ * Resolves which language to ask Whisper for, and normalizes the language
+ * Whisper reports back into the ISO-639-1 code we store on transcripts and corrections
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+const AUTO_DETECT = 'auto';
+
+// Languages supported by Whisper, keyed by the name verbose_json reports
+const WHISPER_LANGUAGES = {
+  english: 'en', chinese: 'zh', german: 'de', spanish: 'es', russian: 'ru',
+  korean: 'ko', french: 'fr', japanese: 'ja', portuguese: 'pt', turkish: 'tr',
+  polish: 'pl', catalan: 'ca', dutch: 'nl', arabic: 'ar', swedish: 'sv',
+  italian: 'it', indonesian: 'id', hindi: 'hi', finnish: 'fi', vietnamese: 'vi',
+  hebrew: 'he', ukrainian: 'uk', greek: 'el', malay: 'ms', czech: 'cs',
+  romanian: 'ro', danish: 'da', hungarian: 'hu', tamil: 'ta', norwegian: 'no',
+  thai: 'th', urdu: 'ur', croatian: 'hr', bulgarian: 'bg', lithuanian: 'lt',
+  latin: 'la', maori: 'mi', malayalam: 'ml', welsh: 'cy', slovak: 'sk',
+  telugu: 'te', persian: 'fa', latvian: 'lv', bengali: 'bn', serbian: 'sr',
+  azerbaijani: 'az', slovenian: 'sl', kannada: 'kn', estonian: 'et', macedonian: 'mk',
+  breton: 'br', basque: 'eu', icelandic: 'is', armenian: 'hy', nepali: 'ne',
+  mongolian: 'mn', bosnian: 'bs', kazakh: 'kk', albanian: 'sq', swahili: 'sw',
+  galician: 'gl', marathi: 'mr', punjabi: 'pa', sinhala: 'si', khmer: 'km',
+  shona: 'sn', yoruba: 'yo', somali: 'so', afrikaans: 'af', occitan: 'oc',
+  georgian: 'ka', belarusian: 'be', tajik: 'tg', sindhi: 'sd', gujarati: 'gu',
+  amharic: 'am', yiddish: 'yi', lao: 'lo', uzbek: 'uz', faroese: 'fo',
+  'haitian creole': 'ht', pashto: 'ps', turkmen: 'tk', nynorsk: 'nn', maltese: 'mt',
+  sanskrit: 'sa', luxembourgish: 'lb', myanmar: 'my', tibetan: 'bo', tagalog: 'tl',
+  malagasy: 'mg', assamese: 'as', tatar: 'tt', hawaiian: 'haw', lingala: 'ln',
+  hausa: 'ha', bashkir: 'ba', javanese: 'jw', sundanese: 'su', cantonese: 'yue'
+};
+
+const SUPPORTED_CODES = new Set(Object.values(WHISPER_LANGUAGES));
+
+/**
+ * Check a language code is one Whisper accepts (or 'auto')
+ */
+function isValidLanguage(language) {
+  return language === AUTO_DETECT || SUPPORTED_CODES.has(language);
+}
+
+/**
+ * Pick the language for a transcription request
+ * Priority: 1. Explicit per-recording choice 2. User's default 3. English
+ *
+ * @returns {string} ISO-639-1 code, or 'auto' to let Whisper detect it
+ */
+function resolveRequestedLanguage(requested, userDefault) {
+  const candidates = [requested, userDefault];
+  for (const candidate of candidates) {
+    const code = typeof candidate === 'string' ? candidate.trim().toLowerCase() : '';
+    if (code && isValidLanguage(code)) return code;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Convert the language Whisper reports ("french", or sometimes "fr") to a code
+ * Falls back when Whisper doesn't report one (e.g. plain json responses)
+ */
+function normalizeDetectedLanguage(whisperLanguage, fallback = DEFAULT_LANGUAGE) {
+  if (!whisperLanguage) return fallback;
+
+  const value = String(whisperLanguage).trim().toLowerCase();
+  if (SUPPORTED_CODES.has(value)) return value;
+  return WHISPER_LANGUAGES[value] || fallback;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  AUTO_DETECT,
+  isValidLanguage,
+  resolveRequestedLanguage,
+  normalizeDetectedLanguage
+};
@@ -0,0 +1,134 @@
+/**
+ * Audio Metadata Service
+ * Reads duration, codec, sample rate and channel count from an uploaded
+ * recording's container header, and reconciles them with what the browser
+ * reported when it made the recording
+ */
+
+const mm = require('music-metadata');
+
+// Anything outside these bounds is treated as a bad reading rather than stored
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+const MIN_SAMPLE_RATE = 1000;
+const MAX_SAMPLE_RATE = 384000;
+const MAX_CHANNELS = 32;
+
+// Client and server durations further apart than this are logged
+const DURATION_MISMATCH_SECONDS = 5;
+
+/**
+ * Return `value` as a number within [min, max], or null
+ */
+function toBoundedNumber(value, min, max) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return null;
+  return number >= min && number <= max ? number : null;
+}
+
+/**
+ * Lowercase codec name, e.g. "Opus" -> "opus", "MPEG-4/AAC" -> "aac"
+ */
+function normalizeCodec(codec) {
+  if (!codec || typeof codec !== 'string') return null;
+  const name = codec.trim().toLowerCase();
+  return (name.split('/').pop() || '').slice(0, 40) || null;
+}
+
+/**
+ * Codec named in a MIME type's codecs parameter, e.g. "audio/webm;codecs=opus" -> "opus"
+ */
+function codecFromMimeType(mimeType) {
+  const match = typeof mimeType === 'string' ? mimeType.match(/codecs="?([^";,]+)/i) : null;
+  return match ? normalizeCodec(match[1]) : null;
+}
+
+/**
+ * Sanitize the metadata the browser sends with a transcription request
+ *
+ * @param {Object} input - { durationSeconds, mimeType, sampleRate, channelCount, sizeBytes }
+ * @returns {{durationSeconds: number|null, codec: string|null, sampleRate: number|null,
+ *            channels: number|null, sizeBytes: number|null, mimeType: string|null}}
+ */
+function parseClientMetadata(input) {
+  const metadata = input && typeof input === 'object' ? input : {};
+  const sampleRate = toBoundedNumber(metadata.sampleRate, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE);
+  const channels = toBoundedNumber(metadata.channelCount, 1, MAX_CHANNELS);
+  const sizeBytes = toBoundedNumber(metadata.sizeBytes, 1, Number.MAX_SAFE_INTEGER);
+
+  return {
+    durationSeconds: toBoundedNumber(metadata.durationSeconds, 0, MAX_DURATION_SECONDS),
+    codec: codecFromMimeType(metadata.mimeType),
+    sampleRate: sampleRate && Math.round(sampleRate),
+    channels: channels && Math.round(channels),
+    sizeBytes: sizeBytes && Math.round(sizeBytes),
+    mimeType: typeof metadata.mimeType === 'string' ? metadata.mimeType.slice(0, 100) : null
+  };
+}
+
+/**
+ * Parse an audio file's container header
+ * Never throws: unreadable files just report their size.
+ *
+ * @param {Buffer} buffer - The uploaded file
+ * @param {string|null} mimeType - Hint for the parser (e.g. audio/webm)
+ * @returns {Promise<{durationSeconds, codec, sampleRate, channels, sizeBytes}>}
+ */
+async function readAudioMetadata(buffer, mimeType) {
+  const metadata = {
+    durationSeconds: null,
+    codec: null,
+    sampleRate: null,
+    channels: null,
+    sizeBytes: buffer.length
+  };
+
+  try {
+    const { format } = await mm.parseBuffer(buffer, mimeType ? { mimeType } : undefined, {
+      duration: true,
+      skipCovers: true
+    });
+    metadata.durationSeconds = toBoundedNumber(format.duration, 0, MAX_DURATION_SECONDS);
+    metadata.codec = normalizeCodec(format.codec);
+    metadata.sampleRate = toBoundedNumber(format.sampleRate, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE);
+    metadata.channels = toBoundedNumber(format.numberOfChannels, 1, MAX_CHANNELS);
+  } catch (error) {
+    console.error('Error reading audio metadata:', error.message);
+  }
+
+  return metadata;
+}
+
+/**
+ * Pick the values to store on the transcript. The file header wins, then
+ * Whisper's measured duration, then whatever the browser reported.
+ * Durations are stored as whole seconds.
+ *
+ * @param {Object} verified - Output of readAudioMetadata
+ * @param {Object} client - Output of parseClientMetadata
+ * @param {number|null} whisperDuration - `duration` from the verbose_json transcription
+ * @returns {{durationSeconds, audioCodec, audioSampleRate, audioChannels, audioSizeBytes}}
+ */
+function resolveAudioMetadata(verified, client, whisperDuration) {
+  const duration = verified.durationSeconds
+    ?? toBoundedNumber(whisperDuration, 0, MAX_DURATION_SECONDS)
+    ?? client.durationSeconds;
+
+  if (duration !== null && client.durationSeconds !== null &&
+      Math.abs(duration - client.durationSeconds) > DURATION_MISMATCH_SECONDS) {
+    console.warn(`Client-reported duration ${client.durationSeconds}s differs from measured ${duration}s`);
+  }
+
+  return {
+    durationSeconds: duration === null ? null : Math.round(duration),
+    audioCodec: verified.codec || client.codec,
+    audioSampleRate: verified.sampleRate || client.sampleRate,
+    audioChannels: verified.channels || client.channels,
+    audioSizeBytes: verified.sizeBytes || client.sizeBytes
+  };
+}
+
+module.exports = {
+  parseClientMetadata,
+  readAudioMetadata,
+  resolveAudioMetadata
+};
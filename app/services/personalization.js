@@ -3,6 +3,42 @@
  * Extracts corrections from user edits and applies them to future transcriptions
  */
 
+const crypto = require('crypto');
+
+// Words either side of an edit that are stored with it as its context
+const CONTEXT_WORDS = 1;
+
+// The sentence recorded with each edit (see sentenceAt) is cut to this many
+// words either side of it when Whisper left out the full stops
+const SENTENCE_CONTEXT_WORDS = 15;
+
+// A correction learned in at least this many different contexts is applied
+// everywhere, as if it had been learned without context
+const CONTEXT_FREE_MIN_CONTEXTS = 3;
+
+// Phonetic grouping: once PHONETIC_MIN_VARIANTS different spellings that sound
+// alike have been corrected to the same word, any other spelling with the same
+// phonetic key is corrected too, provided it is spelled at least
+// PHONETIC_MIN_SIMILARITY like one already seen (1 = identical). Words shorter
+// than PHONETIC_MIN_LETTERS are never grouped.
+const PHONETIC_MIN_VARIANTS = 2;
+const PHONETIC_MIN_SIMILARITY = 0.7;
+const PHONETIC_MIN_LETTERS = 4;
+
+// Confidence decay: a correction's count holds in full for DECAY_GRACE_DAYS
+// after it was last seen, then halves every DECAY_HALF_LIFE_DAYS, so fixes for
+// mistakes Whisper no longer makes fade out instead of applying forever
+const DECAY_GRACE_DAYS = 30;
+const DECAY_HALF_LIFE_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where the same words (in the same context) have been corrected to different
+// targets, a target is only applied once it holds this share of their combined score
+const CONFLICT_MIN_SHARE = 0.75;
+
+// Contextual rows scoring below this no longer count towards promotion to context-free
+const PROMOTION_MIN_SCORE = 1;
+
 /**
  * Tokenize text into words while preserving punctuation info
  */
@@ -66,31 +102,155 @@ function stripPunctuation(word) {
   return word.replace(/^[.,!?;:'"]+|[.,!?;:'"]+$/g, '');
 }
 
+/**
+ * Punctuation at the start / end of a word or phrase, e.g. "," for "email,"
+ */
+function leadingPunctuation(text) {
+  const match = text.match(/^[.,!?;:'"]+/);
+  return match ? match[0] : '';
+}
+
+function trailingPunctuation(text) {
+  const match = text.match(/[.,!?;:'"]+$/);
+  return match ? match[0] : '';
+}
+
+/**
+ * The corrected side of an edit, keeping only the punctuation the user
+ * changed: "e mail" -> "email," keeps its comma, "quik," -> "quick," does not
+ * (the comma already follows the word wherever it is matched)
+ */
+function keepChangedPunctuation(originalText, correctedText) {
+  let corrected = correctedText;
+  const trailing = trailingPunctuation(corrected);
+  if (trailing === trailingPunctuation(originalText)) {
+    corrected = corrected.slice(0, corrected.length - trailing.length);
+  }
+  const leading = leadingPunctuation(corrected);
+  if (leading === leadingPunctuation(originalText)) {
+    corrected = corrected.slice(leading.length);
+  }
+  return corrected;
+}
+
+// A word that ends a sentence, allowing for a closing quote or bracket
+const SENTENCE_END = /[.!?]["')\]]*$/;
+
+/**
+ * Check whether words[index] starts a sentence
+ */
+function startsSentence(words, index) {
+  return index === 0 || SENTENCE_END.test(words[index - 1]);
+}
+
+function upperFirst(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+/**
+ * "Quick" but not "quick", "QUICK" or "McQueen"
+ */
+function isCapitalized(word) {
+  const first = word.charAt(0);
+  return first !== first.toLowerCase() && word.slice(1) === word.slice(1).toLowerCase();
+}
+
+/**
+ * Drop a capital the corrected text only has because it starts a sentence,
+ * so "quik fox" -> "Quick fox" at the start of a sentence is learned as
+ * "quik" -> "quick". Applying it capitalises it again wherever a sentence starts.
+ */
+function uncapitalizeSentenceStart(original, corrected, atSentenceStart) {
+  if (!atSentenceStart || !isCapitalized(corrected)) return corrected;
+  return original && original.charAt(0) !== original.charAt(0).toLowerCase() ? corrected : lowerFirst(corrected);
+}
+
+/**
+ * The sentence of `words` that contains words[index]
+ */
+function sentenceAt(words, index) {
+  if (words.length === 0) return '';
+
+  const at = Math.min(Math.max(index, 0), words.length - 1);
+  let start = at;
+  while (start > 0 && at - start < SENTENCE_CONTEXT_WORDS && !startsSentence(words, start)) start--;
+  let end = at;
+  while (end < words.length - 1 && end - at < SENTENCE_CONTEXT_WORDS && !SENTENCE_END.test(words[end])) end++;
+  return words.slice(start, end + 1).join(' ');
+}
+
+/**
+ * Normalized words immediately before `index`, e.g. "over the"
+ */
+function leftContextAt(words, index) {
+  return words.slice(0, Math.max(0, index)).map(normalize).filter(Boolean)
+    .slice(-CONTEXT_WORDS).join(' ');
+}
+
+/**
+ * Normalized words from `index` onwards, e.g. "is a"
+ */
+function rightContextAt(words, index) {
+  return words.slice(index).map(normalize).filter(Boolean)
+    .slice(0, CONTEXT_WORDS).join(' ');
+}
+
+/**
+ * Learn a change to a word the alignment treated as unchanged: normalize()
+ * ignores case and punctuation, so "api" -> "API" or "dont" -> "don't" lines
+ * up as a match. A first letter capitalised or lowercased only because a
+ * sentence now starts or ends there is not learned.
+ *
+ * @returns {{original: string, corrected: string, leftContext: string, rightContext: string}|null}
+ */
+function extractMatchedWordCorrection(rawWords, finalWords, i, j) {
+  const original = stripPunctuation(rawWords[i]);
+  const corrected = stripPunctuation(finalWords[j]);
+  if (!original || original === corrected) return null;
+
+  const firstLetterOnly = original.slice(1) === corrected.slice(1);
+  if (firstLetterOnly && (startsSentence(rawWords, i) || startsSentence(finalWords, j))) return null;
+
+  return {
+    original,
+    corrected,
+    leftContext: leftContextAt(rawWords, i),
+    rightContext: rightContextAt(rawWords, i + 1)
+  };
+}
+
 /**
  * Decompose a phrase correction into word-level corrections
  * Only works when original and corrected have equal word counts
  *
  * @param {string[]} originalWords - Words from original phrase
  * @param {string[]} correctedWords - Words from corrected phrase
- * @returns {Array<{original: string, corrected: string}>} Word-level corrections
+ * @param {string[]} rawWords - Every word of the raw text, for context
+ * @param {number} rawStart - Index of originalWords[0] in rawWords
+ * @returns {Array<{original: string, corrected: string, leftContext: string, rightContext: string}>} Word-level corrections
  */
-function decomposePhraseToWords(originalWords, correctedWords) {
+function decomposePhraseToWords(originalWords, correctedWords, rawWords, rawStart) {
   const wordCorrections = [];
 
   for (let i = 0; i < originalWords.length; i++) {
     const original = originalWords[i];
     const corrected = correctedWords[i];
 
-    // Compare without punctuation
+    // Match on the bare word; keep punctuation on the corrected side only if the user changed it
     const originalClean = stripPunctuation(original);
-    const correctedClean = stripPunctuation(corrected);
+    const correctedClean = uncapitalizeSentenceStart(originalClean,
+      keepChangedPunctuation(original, corrected), startsSentence(rawWords, rawStart + i));
 
-    // Only add if actually different (case-insensitive comparison)
-    if (originalClean.toLowerCase() !== correctedClean.toLowerCase()) {
-      // Store without trailing punctuation for cleaner matching
+    if (originalClean !== correctedClean) {
       wordCorrections.push({
         original: originalClean,
-        corrected: correctedClean
+        corrected: correctedClean,
+        leftContext: leftContextAt(rawWords, rawStart + i),
+        rightContext: rightContextAt(rawWords, rawStart + i + 1)
       });
     }
   }
@@ -100,11 +260,16 @@ function decomposePhraseToWords(originalWords, correctedWords) {
 
 /**
  * Extract corrections by comparing raw text with edited text
- * Uses LCS for alignment, then decomposes equal-length phrases into word-level corrections
+ * Uses LCS for alignment, then decomposes equal-length phrases into word-level corrections.
+ * Each correction carries the raw words either side of it (normalized) as its context,
+ * and the edited sentence it was made in, for its provenance.
+ * Originals are stored without edge punctuation; corrected text keeps
+ * punctuation and casing the user deliberately changed.
  *
  * @param {string} rawText - Original transcription from Whisper
  * @param {string} finalText - User-edited text
- * @returns {Array<{original: string, corrected: string}>} List of corrections
+ * @returns {Array<{original: string, corrected: string, leftContext: string, rightContext: string,
+ *                  sentence: string}>} List of corrections
  */
 function extractCorrections(rawText, finalText) {
   if (!rawText || !finalText) return [];
@@ -132,6 +297,12 @@ function extractCorrections(rawText, finalText) {
     const curr = extendedMatches[k];
     const next = extendedMatches[k + 1];
 
+    // Matched words can still have had their casing or inner punctuation fixed
+    if (k > 0) {
+      const matchedCorrection = extractMatchedWordCorrection(rawWords, finalWords, curr.i, curr.j);
+      if (matchedCorrection) corrections.push({ ...matchedCorrection, sentence: sentenceAt(finalWords, curr.j) });
+    }
+
     // Words between current match and next match are differences
     const rawStart = curr.i + 1;
     const rawEnd = next.i;
@@ -141,17 +312,35 @@ function extractCorrections(rawText, finalText) {
     // Extract the differing word arrays
     const originalWordArray = rawWords.slice(rawStart, rawEnd);
     const correctedWordArray = finalWords.slice(finalStart, finalEnd);
+    const sentence = sentenceAt(finalWords, finalStart);
 
-    // Skip if either side is empty (pure insertion or deletion)
+    // Nothing changed between these two matches
+    if (originalWordArray.length === 0 && correctedWordArray.length === 0) {
+      continue;
+    }
+
+    // Pure insertion or deletion: anchored on the matched words either side,
+    // with an empty original (insertion) or corrected (deletion) token
     if (originalWordArray.length === 0 || correctedWordArray.length === 0) {
+      const anchored = {
+        original: stripPunctuation(originalWordArray.join(' ')),
+        corrected: uncapitalizeSentenceStart('', correctedWordArray.join(' '), startsSentence(rawWords, rawStart)),
+        leftContext: leftContextAt(rawWords, rawStart),
+        rightContext: rightContextAt(rawWords, rawEnd),
+        sentence
+      };
+      const hasWords = stripPunctuation(anchored.original || anchored.corrected);
+      if (hasWords && (anchored.leftContext || anchored.rightContext)) {
+        corrections.push(anchored);
+      }
       continue;
     }
 
     // Check if word counts are equal - if so, decompose into word pairs
     if (originalWordArray.length === correctedWordArray.length) {
       // Decompose into word-level corrections
-      const wordCorrections = decomposePhraseToWords(originalWordArray, correctedWordArray);
-      corrections.push(...wordCorrections);
+      const wordCorrections = decomposePhraseToWords(originalWordArray, correctedWordArray, rawWords, rawStart);
+      corrections.push(...wordCorrections.map(c => ({ ...c, sentence })));
     } else {
       // Unequal word counts - keep as phrase correction
       const originalPhrase = originalWordArray.join(' ');
@@ -162,8 +351,12 @@ function extractCorrections(rawText, finalText) {
 
       if (normalizedOriginal !== normalizedCorrected) {
         corrections.push({
-          original: originalPhrase,
-          corrected: correctedPhrase
+          original: stripPunctuation(originalPhrase),
+          corrected: uncapitalizeSentenceStart(originalPhrase,
+            keepChangedPunctuation(originalPhrase, correctedPhrase), startsSentence(rawWords, rawStart)),
+          leftContext: leftContextAt(rawWords, rawStart),
+          rightContext: rightContextAt(rawWords, rawEnd),
+          sentence
         });
       }
     }
@@ -173,37 +366,813 @@ function extractCorrections(rawText, finalText) {
 }
 
 /**
- * Apply learned corrections to a new transcription
- * Only applies corrections that have been seen multiple times (count >= minCount)
+ * Check whether a correction was learned without context (manual additions
+ * and corrections learned before context was recorded)
+ */
+function isContextFree(correction) {
+  return !correction.left_context && !correction.right_context;
+}
+
+/**
+ * A correction's count, decayed by how long it has gone unseen
+ */
+function decayedScore(correction, now) {
+  const count = correction.count || 0;
+  const lastSeen = Date.parse(correction.last_seen_at);
+  if (Number.isNaN(lastSeen)) return count;
+
+  const idleDays = (now - lastSeen) / DAY_MS - DECAY_GRACE_DAYS;
+  if (idleDays <= 0) return count;
+  return count * Math.pow(0.5, idleDays / DECAY_HALF_LIFE_DAYS);
+}
+
+/**
+ * The folder or series a correction is scoped to ('' for a global one).
+ * A correction has at most one of the two.
+ */
+function scopeKey(correction) {
+  if (correction.series_id) return `series:${correction.series_id}`;
+  if (correction.folder_id) return `folder:${correction.folder_id}`;
+  return '';
+}
+
+/**
+ * Precedence of a correction's scope: series over folder over global
+ */
+function scopeRank(correction) {
+  if (correction.series_id) return 2;
+  if (correction.folder_id) return 1;
+  return 0;
+}
+
+/**
+ * The corrections that apply to a transcript: global ones, plus those scoped
+ * to its folder or series
  *
- * @param {string} text - New transcription text
- * @param {Array<{original_token: string, corrected_token: string, count: number}>} corrections - Learned corrections
- * @param {number} minCount - Minimum count required to apply a correction (default: 2)
- * @returns {string} Text with corrections applied
+ * @param {Array<Object>} corrections - Correction rows
+ * @param {{folderId?: string|null, seriesId?: string|null}} scope - Where the transcript lives
+ */
+function correctionsForScope(corrections, { folderId = null, seriesId = null } = {}) {
+  return corrections.filter(c =>
+    (!c.folder_id && !c.series_id) ||
+    (folderId && c.folder_id === folderId) ||
+    (seriesId && c.series_id === seriesId)
+  );
+}
+
+/**
+ * Key shared by corrections of the same words in the same context and scope,
+ * which compete when their targets differ
+ */
+function competitionKey(correction) {
+  return `${correction.language || ''}\u0000${correction.original_token.toLowerCase()}\u0000` +
+    `${correction.left_context || ''}\u0000${correction.right_context || ''}\u0000${scopeKey(correction)}`;
+}
+
+/**
+ * Key shared by the rows of one pair learned in different contexts (in one scope)
+ */
+function pairKey(correction) {
+  return `${correction.language || ''}\u0000${correction.original_token.toLowerCase()}\u0000${correction.corrected_token}` +
+    `\u0000${scopeKey(correction)}`;
+}
+
+/**
+ * Total score per competition key, and per target within it
+ */
+function tallyTargets(corrections) {
+  const tallies = new Map();
+  for (const c of corrections) {
+    const key = competitionKey(c);
+    if (!tallies.has(key)) tallies.set(key, { total: 0, byTarget: new Map() });
+    const tally = tallies.get(key);
+    tally.total += c.score;
+    tally.byTarget.set(c.corrected_token, (tally.byTarget.get(c.corrected_token) || 0) + c.score);
+  }
+  return tallies;
+}
+
+/**
+ * A correction's share of the score of everything competing with it.
+ * Disabled rows are left out of the tallies, so their own score is added back.
+ */
+function shareOf(tallies, correction) {
+  const tally = tallies.get(competitionKey(correction)) || { total: 0, byTarget: new Map() };
+  const own = correction.disabled ? correction.score : 0;
+  const total = tally.total + own;
+  if (total <= 0) return 1;
+  return ((tally.byTarget.get(correction.corrected_token) || 0) + own) / total;
+}
+
+/**
+ * Score corrections for auto-applying. Each row is returned with:
+ * - score: its count decayed by time since it was last seen (see decayedScore)
+ * - confidence: its share (0-1) of the combined score of every enabled
+ *   correction of the same words in the same context
+ * - conflicted: true while an enabled row's competitors hold its confidence
+ *   below CONFLICT_MIN_SHARE
+ * - promoted: true when its pair is applied everywhere, having been learned in
+ *   CONTEXT_FREE_MIN_CONTEXTS different contexts
+ * - applied: true when it is auto-applied (enabled, not conflicted and
+ *   score >= minCount, or promoted)
+ * Promoted pairs compete with the context-free rows for the same words.
+ *
+ * @param {Array<Object>} corrections - Correction rows
+ * @param {number} minCount - Minimum score required to apply a correction (default: 2)
+ * @param {number} now - Time to decay scores to (ms since epoch)
+ * @returns {Array<Object>} Copies of the rows with the fields above added
+ */
+function scoreCorrections(corrections, minCount = 2, now = Date.now()) {
+  const scored = corrections.map(c => ({ ...c, score: decayedScore(c, now) }));
+  const enabled = scored.filter(c => !c.disabled);
+
+  const contextual = tallyTargets(enabled.filter(c => !isContextFree(c)));
+  for (const c of scored) {
+    if (!isContextFree(c)) c.confidence = shareOf(contextual, c);
+  }
+
+  // Pairs learned beside enough different words become candidates for context-free
+  const candidates = new Map();
+  for (const c of enabled) {
+    if (isContextFree(c) || !c.original_token) continue;
+    if (c.confidence < CONFLICT_MIN_SHARE || c.score < PROMOTION_MIN_SCORE) continue;
+    const key = pairKey(c);
+    if (!candidates.has(key)) candidates.set(key, { ...c, left_context: '', right_context: '', score: 0, contexts: 0 });
+    const candidate = candidates.get(key);
+    candidate.score += c.score;
+    candidate.contexts++;
+  }
+  const promotions = [...candidates.values()].filter(p => p.contexts >= CONTEXT_FREE_MIN_CONTEXTS);
+
+  const contextFree = tallyTargets([...enabled.filter(isContextFree), ...promotions]);
+  for (const c of scored) {
+    if (isContextFree(c)) c.confidence = shareOf(contextFree, c);
+  }
+  const promoted = new Set(promotions.filter(p => shareOf(contextFree, p) >= CONFLICT_MIN_SHARE).map(pairKey));
+
+  return scored.map(c => {
+    const conflicted = !c.disabled && c.confidence < CONFLICT_MIN_SHARE;
+    const isPromoted = !c.disabled && !conflicted && !isContextFree(c) && !!c.original_token && promoted.has(pairKey(c));
+    return {
+      ...c,
+      score: Math.round(c.score * 100) / 100,
+      confidence: Math.round(c.confidence * 100) / 100,
+      conflicted,
+      promoted: isPromoted,
+      applied: !c.disabled && ((!conflicted && c.score >= minCount) || isPromoted)
+    };
+  });
+}
+
+/**
+ * Choose which scored corrections to apply, and where.
+ * Context-free corrections apply everywhere and contextual ones only next to
+ * the words they were learned beside, except that a promoted pair gets one
+ * extra context-free rule scored with the sum of its contexts.
+ */
+function selectApplicableCorrections(scored, minCount) {
+  const selected = scored.filter(c => !c.disabled && !c.conflicted && c.score >= minCount);
+
+  const promotions = new Map();
+  for (const c of scored) {
+    if (!c.promoted) continue;
+    const key = pairKey(c);
+    if (!promotions.has(key)) promotions.set(key, { ...c, left_context: '', right_context: '', score: 0, ids: [] });
+    const promotion = promotions.get(key);
+    promotion.score += c.score;
+    promotion.ids.push(c.id);
+  }
+
+  return selected.concat([...promotions.values()]);
+}
+
+/**
+ * Rules that give glossary terms their spelling wherever Whisper gets it
+ * wrong: the term in any casing ("kubernetes" -> "Kubernetes") and a
+ * run-together term split at its capitals ("open ai" -> "OpenAI"). They rank
+ * below every learned correction for the same words.
+ *
+ * @param {Array<{id: string, term: string}>} glossary - The user's glossary terms
+ */
+function glossaryRules(glossary) {
+  const rules = [];
+  for (const { id, term } of glossary) {
+    const variants = new Set([term.toLowerCase(), term.split(/(?<=\p{Ll})(?=\p{Lu})/u).join(' ').toLowerCase()]);
+    for (const original of variants) {
+      // An all-lowercase term spelled as written has nothing to fix
+      if (original === term) continue;
+      rules.push({ id, glossary: true, original_token: original, corrected_token: term, left_context: '', right_context: '', score: 0 });
+    }
+  }
+  return rules;
+}
+
+/**
+ * At least two letters, all of them capitals
+ */
+function isAllCaps(word) {
+  const letters = (word || '').replace(/[^\p{L}]/gu, '');
+  return letters.length > 1 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+}
+
+/**
+ * Case a correction's replacement to fit where it lands.
+ * Casing the user chose ("API", "iPhone", "Abiola" learned from "abiola") is
+ * kept as is. Otherwise the first letter follows the matched text, so a
+ * capitalised sentence start stays capitalised and all-lowercase text stays
+ * lowercase, and the whole replacement is capitalised in all-caps text.
+ *
+ * @param {string} corrected - The correction's corrected_token
+ * @param {string} matched - The text being replaced
+ * @param {string} originalToken - The correction's original_token
+ * @param {{previousWord: string, nextWord: string}} position - The words either side of the match
+ */
+function matchCase(corrected, matched, originalToken, { previousWord, nextWord }) {
+  const positional = corrected === corrected.toLowerCase() ||
+    (isCapitalized(corrected) && isCapitalized(originalToken));
+
+  if (positional && isAllCaps(matched) && (isAllCaps(previousWord) || isAllCaps(nextWord))) {
+    return corrected.toUpperCase();
+  }
+  if (!positional) return corrected;
+
+  const capitalize = matched.charAt(0) !== matched.charAt(0).toLowerCase();
+  return capitalize ? upperFirst(corrected) : lowerFirst(corrected);
+}
+
+/**
+ * Lowercase ASCII letters only, accents removed: "A biola" -> "abiola"
+ */
+function lettersOf(text) {
+  return (text || '').toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+}
+
+// Consonant sound classes (Soundex groups); vowels, h, w and y have no code
+const PHONETIC_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+/**
+ * Soundex-style key for how a word or phrase sounds, computed over the whole
+ * spelling rather than truncated, with a leading vowel kept as "0" so names
+ * that start with one don't collide with names that don't:
+ * "Abiola", "Abeola" and "a biola" all give "014"
  */
-function applyCorrections(text, corrections, minCount = 2) {
-  if (!text || !corrections || corrections.length === 0) return text;
+function phoneticKey(text) {
+  const letters = lettersOf(text)
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/dg/g, 'j')
+    .replace(/^kn/, 'n')
+    .replace(/^wr/, 'r');
 
-  let result = text;
+  let key = /^[aeiouy]/.test(letters) ? '0' : '';
+  let previous = '';
+  for (const letter of letters) {
+    const code = PHONETIC_CODES[letter] || '';
+    if (code && code !== previous) key += code;
+    // As in Soundex, h and w don't separate two consonants with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') previous = code;
+  }
+  return key;
+}
+
+/**
+ * Spelling similarity from 0 to 1 (1 - Levenshtein distance / longer length)
+ */
+function spellingSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        previousRow[j] + 1,
+        row[j - 1] + 1,
+        previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previousRow = row;
+  }
+  return 1 - previousRow[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Group learned corrections whose originals sound alike and that were
+ * corrected to the same single word. Only names and other capitalised terms
+ * are grouped ("Abiola", "API"), not everyday words like "there", and only
+ * groups with PHONETIC_MIN_VARIANTS different spellings and score >= minCount
+ * between them are kept. Corrections with phonetic_disabled set, or that a
+ * competing target is contesting, are left out.
+ *
+ * @param {Array<Object>} corrections - Rows from scoreCorrections
+ *
+ * @returns {Map<string, Array<{target: string, originals: Set<string>, knownSpellings: Set<string>, ids: Array}>>} Groups by phonetic key
+ */
+function buildPhoneticGroups(corrections, minCount) {
+  const groupsByPair = new Map();
+
+  for (const c of corrections) {
+    if (!c.original_token || !c.corrected_token || c.phonetic_disabled || c.conflicted) continue;
+    if (/\s/.test(c.corrected_token.trim()) || c.corrected_token === c.corrected_token.toLowerCase()) continue;
+
+    const original = c.original_token.toLowerCase();
+    const target = lettersOf(c.corrected_token);
+    if (target.length < PHONETIC_MIN_LETTERS || original === c.corrected_token.toLowerCase()) continue;
+
+    const key = phoneticKey(c.original_token);
+    const pairKey = `${key}\u0000${c.corrected_token.toLowerCase()}`;
+    if (!groupsByPair.has(pairKey)) {
+      groupsByPair.set(pairKey, {
+        key,
+        target: c.corrected_token,
+        originals: new Set(),
+        knownSpellings: new Set([target]),
+        count: 0,
+        ids: []
+      });
+    }
+    const group = groupsByPair.get(pairKey);
+    group.ids.push(c.id);
+    group.originals.add(original);
+    group.knownSpellings.add(lettersOf(original));
+    group.count += c.score;
+  }
+
+  const groupsByKey = new Map();
+  for (const group of groupsByPair.values()) {
+    if (group.originals.size < PHONETIC_MIN_VARIANTS || group.count < minCount) continue;
+    if (!groupsByKey.has(group.key)) groupsByKey.set(group.key, []);
+    groupsByKey.get(group.key).push(group);
+  }
+  return groupsByKey;
+}
+
+/**
+ * The phonetic group an unseen spelling belongs to, if any: same phonetic key,
+ * and spelled at least PHONETIC_MIN_SIMILARITY like the target or a known variant.
+ * Spellings already learned are left to their own corrections (and contexts).
+ */
+function findPhoneticGroup(text, groupsByKey) {
+  const letters = lettersOf(text);
+  if (letters.length < PHONETIC_MIN_LETTERS) return null;
+
+  let best = null;
+  let bestSimilarity = PHONETIC_MIN_SIMILARITY;
+  for (const group of groupsByKey.get(phoneticKey(text)) || []) {
+    const lower = text.toLowerCase();
+    if (lower === group.target.toLowerCase() || group.originals.has(lower)) return null;
+    for (const spelling of group.knownSpellings) {
+      const similarity = spellingSimilarity(letters, spelling);
+      if (similarity >= bestSimilarity) {
+        best = group;
+        bestSimilarity = similarity;
+      }
+    }
+  }
+  return best;
+}
+
+// Matching engine: corrections are compiled into an Aho-Corasick automaton over word keys
+// (lowercase, edge punctuation stripped), so a transcript is scanned once
+// however many corrections a user has. All matches are found against the
+// original text, then the leftmost-longest non-overlapping ones are applied
+// in a single rewrite, so one correction's output is never fed into another.
+
+// Compiled matchers kept per cache key (user + language), least recently used evicted first
+const MATCHER_CACHE_SIZE = 100;
+const matcherCache = new Map();
+
+/**
+ * Matching key for a word: lowercase, without edge punctuation
+ */
+function wordKey(word) {
+  return stripPunctuation(word).toLowerCase();
+}
+
+/**
+ * Split text into words with their character offsets. coreStart/coreEnd
+ * bound the word without its leading/trailing punctuation.
+ */
+function tokenizeWithOffsets(text) {
+  return [...text.matchAll(/\S+/g)].map(match => {
+    const word = match[0];
+    const leading = leadingPunctuation(word);
+    const trailing = leading.length === word.length ? '' : trailingPunctuation(word);
+    return {
+      word,
+      start: match.index,
+      end: match.index + word.length,
+      coreStart: match.index + leading.length,
+      coreEnd: match.index + word.length - trailing.length,
+      leading,
+      trailing
+    };
+  });
+}
+
+/**
+ * leftContextAt/rightContextAt for every position at once:
+ * left[i] is the context before words[i], right[i] the context from words[i] on
+ */
+function contextWindows(words) {
+  const normalized = words.map(normalize);
+  const left = [];
+  const right = [];
+  let window = [];
+
+  for (let i = 0; i <= words.length; i++) {
+    left.push(window.join(' '));
+    if (i < words.length && normalized[i]) window = window.concat(normalized[i]).slice(-CONTEXT_WORDS);
+  }
+  window = [];
+  for (let i = words.length; i >= 0; i--) {
+    right[i] = window.join(' ');
+    if (i > 0 && normalized[i - 1]) window = [normalized[i - 1]].concat(window).slice(0, CONTEXT_WORDS);
+  }
+
+  return { left, right };
+}
+
+/**
+ * Order in which rules sharing the same words are tried: the narrowest scope
+ * first (see scopeRank), then contextual before context-free, then the highest scoring
+ */
+function compareRulePriority(a, b) {
+  return scopeRank(b) - scopeRank(a) || isContextFree(a) - isContextFree(b) || b.score - a.score;
+}
+
+/**
+ * Compile corrections (and glossary terms) into a matcher
+ *
+ * @param {Array<Object>} corrections - Correction rows for one language
+ * @param {number} minCount - Minimum score required to apply a correction
+ * @param {Array<{id: string, term: string}>} glossary - Glossary terms (see glossaryRules)
+ * @returns {{nodes: Array, insertions: Map, phoneticGroups: Map}} Compiled matcher for runMatcher
+ */
+function compileCorrections(corrections, minCount, glossary = []) {
+  const scored = scoreCorrections(corrections, minCount);
+  const rules = selectApplicableCorrections(scored, minCount)
+    .concat(glossaryRules(glossary))
+    .sort(compareRulePriority);
+
+  // Trie over word keys; node 0 is the root
+  const nodes = [{ next: new Map(), fail: 0, rules: null, length: 0, output: -1 }];
+  const insertions = new Map();
+
+  for (const rule of rules) {
+    if (!rule.original_token) {
+      // Insertions are looked up by the words either side of a gap
+      const anchorKey = `${rule.left_context || ''}\u0000${rule.right_context || ''}`;
+      if (!insertions.has(anchorKey)) insertions.set(anchorKey, rule);
+      continue;
+    }
+
+    const keys = tokenize(rule.original_token).map(wordKey).filter(Boolean);
+    if (keys.length === 0) continue;
+
+    let node = 0;
+    for (const key of keys) {
+      if (!nodes[node].next.has(key)) {
+        nodes.push({ next: new Map(), fail: 0, rules: null, length: 0, output: -1 });
+        nodes[node].next.set(key, nodes.length - 1);
+      }
+      node = nodes[node].next.get(key);
+    }
+    if (!nodes[node].rules) {
+      nodes[node].rules = [];
+      nodes[node].length = keys.length;
+    }
+    nodes[node].rules.push(rule);
+  }
+
+  // Breadth-first: failure links to the longest proper suffix in the trie, and
+  // output links to the nearest suffix node that ends a pattern
+  const queue = [...nodes[0].next.values()];
+  for (let q = 0; q < queue.length; q++) {
+    const nodeIndex = queue[q];
+    for (const [key, child] of nodes[nodeIndex].next) {
+      let fail = nodes[nodeIndex].fail;
+      while (fail !== 0 && !nodes[fail].next.has(key)) fail = nodes[fail].fail;
+      const target = nodes[fail].next.get(key);
+      nodes[child].fail = target !== undefined && target !== child ? target : 0;
+      const failNode = nodes[nodes[child].fail];
+      nodes[child].output = failNode.rules ? nodes[child].fail : failNode.output;
+      queue.push(child);
+    }
+  }
+
+  return { nodes, insertions, phoneticGroups: buildPhoneticGroups(scored, minCount) };
+}
+
+/**
+ * Check whether words [start, end) can be matched as one phrase: no
+ * punctuation between them (so "e mail" matches, "e. Mail" doesn't)
+ */
+function isContinuousSpan(tokens, start, end) {
+  for (let i = start; i < end - 1; i++) {
+    if (tokens[i].trailing || tokens[i + 1].leading) return false;
+  }
+  return true;
+}
+
+/**
+ * Scan the words once and pick, for each start position, the longest match
+ * whose rule's context fits. Returns the leftmost-longest non-overlapping set.
+ *
+ * @returns {Map<number, {end: number, rule: Object}>} Matches by start word index
+ */
+function findMatches(matcher, tokens, contexts) {
+  const { nodes } = matcher;
+  const longestByStart = new Map();
+  let state = 0;
+
+  tokens.forEach((token, i) => {
+    const key = wordKey(token.word);
+    while (state !== 0 && !nodes[state].next.has(key)) state = nodes[state].fail;
+    state = nodes[state].next.get(key) ?? 0;
+
+    for (let node = nodes[state].rules ? state : nodes[state].output; node > 0; node = nodes[node].output) {
+      const start = i - nodes[node].length + 1;
+      const end = i + 1;
+      if ((longestByStart.get(start)?.end || 0) >= end || !isContinuousSpan(tokens, start, end)) continue;
+
+      const rule = nodes[node].rules.find(r =>
+        (!r.left_context || r.left_context === contexts.left[start]) &&
+        (!r.right_context || r.right_context === contexts.right[end])
+      );
+      if (rule) longestByStart.set(start, { end, rule });
+    }
+  });
+
+  const selected = new Map();
+  for (let i = 0; i < tokens.length; i++) {
+    const match = longestByStart.get(i);
+    if (!match) continue;
+    selected.set(i, match);
+    i = match.end - 1;
+  }
+  return selected;
+}
+
+/**
+ * IDs of the correction rows a rule was built from (several for a promoted
+ * pair, none for a glossary term)
+ */
+function correctionIdsOf(rule) {
+  if (rule.glossary) return [];
+  return rule.ids || [rule.id];
+}
+
+/**
+ * Apply a compiled matcher to text in one left-to-right pass.
+ * Substitutions keep the punctuation around the matched words (dropping the
+ * replacement's own trailing punctuation if it would double it up); deletions
+ * take a trailing comma and the space before them, and capitalise the next word
+ * if they started a sentence; insertions go into gaps between their anchors.
+ * Words no rule matched are checked against the phonetic groups.
+ *
+ * @returns {{text: string, applied: Array<Object>}} The corrected text and the
+ *          edits made to it (see applyCorrectionsWithDetails)
+ */
+function runMatcher(text, matcher) {
+  const tokens = tokenizeWithOffsets(text);
+  if (tokens.length === 0) return { text, applied: [] };
+
+  const words = tokens.map(t => t.word);
+  const contexts = contextWindows(words);
+  const matches = findMatches(matcher, tokens, contexts);
+  const edits = [];
+  let capitalizeNext = false;
+  // Correction a pending capital belongs to, so undoing that deletion undoes the capital too
+  let capitalizeFor = null;
+
+  const sentenceStartAt = i => startsSentence(words, i);
+  const capitalizeIfNeeded = value => {
+    if (!capitalizeNext || !value) return value;
+    capitalizeNext = false;
+    return upperFirst(value);
+  };
+
+  for (let i = 0; i <= tokens.length; i++) {
+    const match = matches.get(i);
+    const isDeletion = match && !match.rule.corrected_token;
+
+    // Insertion into the gap before word i (or after the last word)
+    const insertion = !(isDeletion && i > 0) &&
+      matcher.insertions.get(`${contexts.left[i]}\u0000${contexts.right[i]}`);
+    if (insertion) {
+      const inserted = capitalizeIfNeeded(sentenceStartAt(i)
+        ? upperFirst(insertion.corrected_token)
+        : insertion.corrected_token);
+      const correctionIds = correctionIdsOf(insertion);
+      if (i < tokens.length) edits.push({ start: tokens[i].start, end: tokens[i].start, text: `${inserted} `, correctionIds, kind: 'insert' });
+      else edits.push({ start: tokens[i - 1].end, end: tokens[i - 1].end, text: ` ${inserted}`, correctionIds, kind: 'insert' });
+    }
+    if (i === tokens.length) break;
+
+    if (isDeletion) {
+      const last = tokens[match.end - 1];
+      // Sentence-ending punctuation stays with the previous word ("think um." -> "think."),
+      // unless it already ends in punctuation of its own ("Hello, um. World" -> "Hello, World")
+      const keptPunctuation = i > 0 && tokens[i - 1].trailing ? '' : last.trailing.replace(/[,;:]/g, '');
+      const correctionIds = correctionIdsOf(match.rule);
+      if (i > 0) {
+        edits.push({ start: tokens[i - 1].end, end: last.end, text: keptPunctuation, correctionIds, kind: 'delete' });
+      } else {
+        edits.push({ start: 0, end: match.end < tokens.length ? tokens[match.end].start : last.end, text: '', correctionIds, kind: 'delete' });
+      }
+      // A capital the deleted word had at the start of a sentence moves to the next word
+      const capitalized = text.charAt(tokens[i].coreStart) !== text.charAt(tokens[i].coreStart).toLowerCase();
+      if (sentenceStartAt(i) && capitalized) {
+        capitalizeNext = true;
+        capitalizeFor = correctionIds;
+      }
+      i = match.end - 1;
+      continue;
+    }
+
+    if (match) {
+      const first = tokens[i];
+      const last = tokens[match.end - 1];
+      const position = {
+        previousWord: words[i - 1],
+        nextWord: words[match.end]
+      };
+      const matched = text.slice(first.coreStart, last.coreEnd);
+      let replacement = matchCase(match.rule.corrected_token, matched, match.rule.original_token, position);
+      if (/^[.,!?;:]/.test(last.trailing)) replacement = replacement.replace(/[.,!?;:]+$/, '');
+      replacement = capitalizeIfNeeded(replacement);
+
+      // Text already spelled the way a rule wants it (a glossary term, a casing fix) isn't an edit
+      if (replacement !== matched) {
+        edits.push({
+          start: first.coreStart,
+          end: last.coreEnd,
+          text: replacement,
+          correctionIds: correctionIdsOf(match.rule),
+          kind: match.rule.glossary ? 'glossary' : 'replace'
+        });
+      }
+      i = match.end - 1;
+      continue;
+    }
+
+    // Sound-alike spelling of a grouped name: two words first ("a biola"), then one
+    let replaced = false;
+    if (matcher.phoneticGroups.size > 0) {
+      const widths = i + 1 < tokens.length && !matches.has(i + 1) && isContinuousSpan(tokens, i, i + 2) ? [2, 1] : [1];
+      for (const width of widths) {
+        const first = tokens[i];
+        const last = tokens[i + width - 1];
+        const group = findPhoneticGroup(text.slice(first.coreStart, last.coreEnd), matcher.phoneticGroups);
+        if (!group) continue;
 
-  // Sort by original phrase length (longest first) to avoid partial replacements
-  const sortedCorrections = [...corrections]
-    .filter(c => c.count >= minCount)
-    .sort((a, b) => b.original_token.length - a.original_token.length);
+        // Grouped targets are always capitalised terms, so their casing is kept as is
+        edits.push({ start: first.coreStart, end: last.coreEnd, text: group.target, correctionIds: group.ids, kind: 'sound-alike' });
+        capitalizeNext = false;
+        i += width - 1;
+        replaced = true;
+        break;
+      }
+    }
 
-  for (const correction of sortedCorrections) {
-    const original = correction.original_token;
-    const corrected = correction.corrected_token;
+    if (!replaced && capitalizeNext) {
+      const token = tokens[i];
+      edits.push({
+        start: token.coreStart,
+        end: token.coreStart + 1,
+        text: capitalizeIfNeeded(text.charAt(token.coreStart)),
+        correctionIds: capitalizeFor,
+        extendsPrevious: true
+      });
+    }
+  }
 
-    // Case-insensitive replacement while preserving surrounding context
-    // Use word boundaries to avoid partial word matches
-    const escapedOriginal = original.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(`\\b${escapedOriginal}\\b`, 'gi');
+  let result = '';
+  let cursor = 0;
+  const applied = [];
+  for (const edit of edits) {
+    const unchanged = text.slice(cursor, edit.start);
+    const start = result.length + unchanged.length;
+    result += unchanged + edit.text;
+    cursor = edit.end;
 
-    result = result.replace(regex, corrected);
+    const previous = applied[applied.length - 1];
+    if (edit.extendsPrevious && previous && previous.correctionIds === edit.correctionIds) {
+      // The capital left by a deletion becomes part of that deletion's edit
+      previous.original += unchanged + text.slice(edit.start, edit.end);
+      previous.corrected += unchanged + edit.text;
+      previous.end = result.length;
+    } else if (!edit.extendsPrevious) {
+      applied.push({
+        start,
+        end: result.length,
+        original: text.slice(edit.start, edit.end),
+        corrected: edit.text,
+        correctionIds: edit.correctionIds,
+        kind: edit.kind
+      });
+    }
   }
+  return { text: result + text.slice(cursor), applied };
+}
+
+/**
+ * Fingerprint of the rows a matcher is compiled from, so a cached matcher is
+ * rebuilt whenever a correction is learned, edited, toggled or deleted (or the
+ * glossary changes), and at least daily as scores decay
+ */
+function correctionsSignature(corrections, minCount, glossary = []) {
+  const hash = crypto.createHash('sha1').update(`${minCount}\u0000${Math.floor(Date.now() / DAY_MS)}`);
+  for (const c of corrections) {
+    hash.update(`\u0001${c.id}\u0000${c.original_token}\u0000${c.corrected_token}\u0000${c.count}\u0000` +
+      `${c.left_context || ''}\u0000${c.right_context || ''}\u0000${c.phonetic_disabled ? 1 : 0}\u0000${c.last_seen_at || ''}\u0000` +
+      scopeKey(c));
+  }
+  for (const g of glossary) {
+    hash.update(`\u0002${g.id}\u0000${g.term}`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Compiled matcher for these corrections, reused from the cache when the
+ * rows haven't changed since it was built
+ */
+function getCompiledCorrections(corrections, minCount, cacheKey, glossary = []) {
+  if (!cacheKey) return compileCorrections(corrections, minCount, glossary);
+
+  const signature = correctionsSignature(corrections, minCount, glossary);
+  const cached = matcherCache.get(cacheKey);
+  if (cached && cached.signature === signature) {
+    // Refresh its place in the least-recently-used order
+    matcherCache.delete(cacheKey);
+    matcherCache.set(cacheKey, cached);
+    return cached.matcher;
+  }
+
+  const matcher = compileCorrections(corrections, minCount, glossary);
+  matcherCache.delete(cacheKey);
+  matcherCache.set(cacheKey, { signature, matcher });
+  if (matcherCache.size > MATCHER_CACHE_SIZE) {
+    matcherCache.delete(matcherCache.keys().next().value);
+  }
+  return matcher;
+}
+
+/**
+ * Apply learned corrections to a new transcription
+ * Only applies corrections that have been seen often enough and recently
+ * enough (score >= minCount, see scoreCorrections) and that no competing
+ * target is contesting, and, when a language is given, only corrections
+ * learned in that language.
+ * Corrections with a left/right context are only applied where the
+ * neighbouring words match it. Where several corrections match overlapping
+ * words, the longest wins; among matches of the same words, one scoped to the
+ * transcript's series beats one scoped to its folder, which beats a global one
+ * (pass only the corrections that apply, see correctionsForScope).
+ * Replacements take the casing and punctuation of the
+ * text they land in (see matchCase / runMatcher). Finally, unseen spellings
+ * that sound like a corrected word's known misspellings are corrected too
+ * (see buildPhoneticGroups). Glossary terms, when given, fix the casing and
+ * spacing of those words where no learned correction does (see glossaryRules).
+ *
+ * @param {string} text - New transcription text
+ * @param {Array<{id?: string, original_token: string, corrected_token: string, count: number, language?: string,
+ *                left_context?: string, right_context?: string, phonetic_disabled?: boolean,
+ *                last_seen_at?: string}>} corrections - Learned corrections
+ * @param {number} minCount - Minimum score required to apply a correction (default: 2)
+ * @param {string|null} language - Language of the text (ISO-639-1); null applies all corrections
+ * @param {string|null} cacheKey - Key to cache the compiled corrections under (e.g. user and language)
+ * @param {Array<{id: string, term: string}>} glossary - The user's glossary terms
+ * @returns {string} Text with corrections applied
+ */
+function applyCorrections(text, corrections, minCount = 2, language = null, cacheKey = null, glossary = []) {
+  return applyCorrectionsWithDetails(text, corrections, minCount, language, cacheKey, glossary).text;
+}
+
+/**
+ * Apply learned corrections as applyCorrections does, also reporting each edit
+ * made so it can be shown and undone later. Offsets are into the returned text;
+ * a deletion's start and end are equal (or span the punctuation it kept).
+ *
+ * @returns {{text: string, applied: Array<{start: number, end: number, original: string, corrected: string,
+ *            correctionIds: Array<string>, kind: 'replace'|'insert'|'delete'|'sound-alike'|'glossary'}>}}
+ *          (a glossary edit has no correction IDs)
+ */
+function applyCorrectionsWithDetails(text, corrections, minCount = 2, language = null, cacheKey = null, glossary = []) {
+  if (!text || ((!corrections || corrections.length === 0) && glossary.length === 0)) return { text, applied: [] };
 
-  return result;
+  const languageCorrections = (corrections || []).filter(c => !language || !c.language || c.language === language);
+  return runMatcher(text, getCompiledCorrections(languageCorrections, minCount, cacheKey, glossary));
 }
 
 /**
@@ -217,6 +1186,9 @@ function areSimilarPhrases(phrase1, phrase2) {
 module.exports = {
   extractCorrections,
   applyCorrections,
+  applyCorrectionsWithDetails,
+  scoreCorrections,
+  correctionsForScope,
   tokenize,
   normalize,
   areSimilarPhrases
@@ -0,0 +1,189 @@
+/**
+ * Search Service
+ * Validates search and history list query parameters and turns Postgres
+ * ts_headline output into highlight-safe snippet parts
+ */
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// Match delimiters emitted by search_transcripts() (see migrations/004_transcript_search.sql)
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+// History list orderings: [column, ascending]. Length sorts fall back to
+// newest first for recordings with the same (or no) duration.
+const TRANSCRIPT_SORTS = {
+  newest: [['created_at', false]],
+  oldest: [['created_at', true]],
+  longest: [['duration_seconds', false], ['created_at', false]],
+  shortest: [['duration_seconds', true], ['created_at', false]]
+};
+const DEFAULT_SORT = 'newest';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a date filter. A bare date for `to` means "up to the end of that day".
+ */
+function parseDateParam(value, endOfDay) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  if (endOfDay && DATE_ONLY_REGEX.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Parse the offset of a page of results: a whole number, 0 or more (0 if not given).
+ * Returns null if it is invalid.
+ */
+function parseOffset(value) {
+  if (value === undefined || value === '') return 0;
+  const offset = Number(value);
+  return Number.isInteger(offset) && offset >= 0 ? offset : null;
+}
+
+/**
+ * Parse the minDuration/maxDuration filters (seconds; min inclusive, max exclusive)
+ *
+ * @returns {{range: {minDuration: number|null, maxDuration: number|null}}|{error: string}}
+ */
+function parseDurationRange(query) {
+  const range = { minDuration: null, maxDuration: null };
+
+  for (const key of ['minDuration', 'maxDuration']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `Invalid ${key}` };
+    }
+    range[key] = value;
+  }
+
+  if (range.minDuration !== null && range.maxDuration !== null && range.minDuration >= range.maxDuration) {
+    return { error: 'minDuration must be less than maxDuration' };
+  }
+
+  return { range };
+}
+
+/**
+ * Validate and normalize history list parameters
+ *
+ * @param {Object} query - Request query (limit, offset, sort, minDuration, maxDuration)
+ * @returns {{params: Object}|{error: string}}
+ */
+function parseListParams(query) {
+  const sort = query.sort || DEFAULT_SORT;
+  if (!Object.prototype.hasOwnProperty.call(TRANSCRIPT_SORTS, sort)) {
+    return { error: 'Invalid sort' };
+  }
+
+  const { range, error } = parseDurationRange(query);
+  if (error) {
+    return { error };
+  }
+
+  const offset = parseOffset(query.offset);
+  if (offset === null) {
+    return { error: 'Invalid offset' };
+  }
+
+  return {
+    params: {
+      limit: parseInt(query.limit) || 50,
+      offset,
+      order: TRANSCRIPT_SORTS[sort],
+      ...range
+    }
+  };
+}
+
+/**
+ * Validate and normalize search query parameters
+ *
+ * @param {Object} query - Request query (q, folderId, seriesId, from, to, minDuration, maxDuration, limit, offset)
+ * @returns {{params: Object}|{error: string}}
+ */
+function parseSearchParams(query) {
+  const q = String(query.q || '').trim();
+  if (!q) {
+    return { error: 'Search query (q) is required' };
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { error: `Search query must be ${MAX_QUERY_LENGTH} characters or fewer` };
+  }
+
+  for (const key of ['folderId', 'seriesId']) {
+    if (query[key] && !UUID_REGEX.test(query[key])) {
+      return { error: `Invalid ${key}` };
+    }
+  }
+
+  const from = query.from ? parseDateParam(query.from, false) : null;
+  if (query.from && !from) {
+    return { error: 'Invalid from date' };
+  }
+  const to = query.to ? parseDateParam(query.to, true) : null;
+  if (query.to && !to) {
+    return { error: 'Invalid to date' };
+  }
+
+  const { range, error: rangeError } = parseDurationRange(query);
+  if (rangeError) {
+    return { error: rangeError };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const offset = parseOffset(query.offset);
+  if (offset === null) {
+    return { error: 'Invalid offset' };
+  }
+
+  return {
+    params: {
+      q,
+      folderId: query.folderId || null,
+      seriesId: query.seriesId || null,
+      from,
+      to,
+      ...range,
+      limit,
+      offset
+    }
+  };
+}
+
+/**
+ * Split a ts_headline result into [{ text, highlight }] parts so clients can
+ * render matches without treating transcript text as HTML
+ */
+function parseHeadline(headline) {
+  const parts = [];
+  let highlight = false;
+  let text = '';
+
+  for (const char of headline || '') {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_STOP) {
+      if (text) parts.push({ text, highlight });
+      text = '';
+      highlight = char === HIGHLIGHT_START;
+    } else {
+      text += char;
+    }
+  }
+  if (text) parts.push({ text, highlight });
+
+  return parts;
+}
+
+module.exports = {
+  parseListParams,
+  parseSearchParams,
+  parseHeadline
+};
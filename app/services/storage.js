@@ -0,0 +1,177 @@
+/**
+ * Audio Storage Service
+ * S3 client setup and the bucket operations shared by the server and the
+ * maintenance scripts: parsing stored audio URLs, deleting recordings' audio
+ * and listing what the bucket holds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const { S3Client, DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+
+const BUCKET_NAME = process.env.AUDIO_BUCKET || process.env.S3_BUCKET_NAME || 'voice-recording-app';
+const REGION = process.env.AWS_REGION || 'eu-west-2';
+
+// Where recordings live: uploads/ before transcription, shared/ after
+const AUDIO_PREFIXES = ['uploads/', 'shared/'];
+
+/**
+ * Create an S3 client from credentials in the environment or, failing that,
+ * the access keys CSV next to server.js. Returns null if neither is found.
+ */
+function createS3Client() {
+  try {
+    if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
+      const client = new S3Client({
+        region: REGION,
+        credentials: {
+          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+        }
+      });
+      console.log('✓ AWS credentials loaded from environment');
+      return client;
+    }
+
+    // Try CSV file fallback
+    const csvPath = path.join(__dirname, '..', 'voice-recording-api-user_accessKeys.csv');
+    if (fs.existsSync(csvPath)) {
+      const csvContent = fs.readFileSync(csvPath, 'utf-8').replace(/^\uFEFF/, '');
+      const records = parse(csvContent, { columns: true, skip_empty_lines: true, trim: true });
+
+      if (records.length > 0) {
+        const creds = records[0];
+        const client = new S3Client({
+          region: REGION,
+          credentials: {
+            accessKeyId: creds['Access key ID'],
+            secretAccessKey: creds['Secret access key']
+          }
+        });
+        console.log('✓ AWS credentials loaded from CSV');
+        return client;
+      }
+    }
+
+    console.error('AWS credentials not found');
+    return null;
+  } catch (error) {
+    console.error('Error loading AWS credentials:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Parse S3 URL and extract bucket and key
+ * Supports formats:
+ * - https://bucket.s3.region.amazonaws.com/key
+ * - https://bucket.s3.amazonaws.com/key
+ * - s3://bucket/key
+ */
+function parseS3Url(url) {
+  try {
+    // Handle s3:// protocol
+    if (url.startsWith('s3://')) {
+      const parts = url.replace('s3://', '').split('/');
+      const bucket = parts.shift();
+      const key = parts.join('/');
+      return { bucket, key };
+    }
+
+    // Handle https:// S3 URLs
+    const urlObj = new URL(url);
+    const hostname = urlObj.hostname;
+
+    // Format: bucket.s3.region.amazonaws.com or bucket.s3.amazonaws.com
+    if (hostname.includes('.s3.') && hostname.endsWith('.amazonaws.com')) {
+      const bucket = hostname.split('.s3.')[0];
+      const key = urlObj.pathname.substring(1); // Remove leading /
+      return { bucket, key };
+    }
+
+    return null;
+  } catch (error) {
+    console.error('Error parsing S3 URL:', error);
+    return null;
+  }
+}
+
+/**
+ * The key of an audio URL's object in our bucket, or null if the audio is
+ * stored anywhere else
+ */
+function audioKey(url) {
+  const s3Info = parseS3Url(url);
+  return s3Info && s3Info.bucket === BUCKET_NAME && s3Info.key ? s3Info.key : null;
+}
+
+/**
+ * Delete recordings' audio from the bucket once their transcripts are gone.
+ * Audio stored anywhere else is left alone, and failures are only logged.
+ *
+ * @param {S3Client} s3Client
+ * @param {string[]} audioUrls
+ * @returns {Promise<number>} How many objects were deleted
+ */
+async function deleteAudioObjects(s3Client, audioUrls) {
+  let deleted = 0;
+  if (!s3Client) {
+    if (audioUrls.length > 0) console.error('S3 not configured; audio left in the bucket:', audioUrls.join(', '));
+    return deleted;
+  }
+
+  for (const url of audioUrls) {
+    const key = audioKey(url);
+    if (!key) continue;
+
+    try {
+      await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+      deleted++;
+    } catch (error) {
+      console.error(`Error deleting audio ${key}:`, error.message);
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * List the recordings in the bucket, a page of 1000 keys at a time
+ *
+ * @param {S3Client} s3Client
+ * @param {string[]} [prefixes] - Defaults to AUDIO_PREFIXES
+ * @returns {Promise<Array<{key: string, size: number, lastModified: Date}>>}
+ */
+async function listAudioObjects(s3Client, prefixes = AUDIO_PREFIXES) {
+  const objects = [];
+
+  for (const prefix of prefixes) {
+    let continuationToken;
+    do {
+      const page = await s3Client.send(new ListObjectsV2Command({
+        Bucket: BUCKET_NAME,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of page.Contents || []) {
+        objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+      }
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  return objects;
+}
+
+module.exports = {
+  BUCKET_NAME,
+  REGION,
+  AUDIO_PREFIXES,
+  createS3Client,
+  parseS3Url,
+  audioKey,
+  deleteAudioObjects,
+  listAudioObjects
+};
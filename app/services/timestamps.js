@@ -0,0 +1,46 @@
+/**
+ * Timestamp Service
+ * Normalizes the segment and word timings Whisper returns in verbose_json
+ * into the compact shape stored on transcripts
+ */
+
+/**
+ * Round seconds to centiseconds to keep stored JSON small
+ */
+function roundTime(seconds) {
+  return Math.round((Number(seconds) || 0) * 100) / 100;
+}
+
+/**
+ * Extract segments and words from a verbose_json transcription
+ *
+ * @param {Object} transcription - Whisper response (verbose_json)
+ * @returns {{segments: Array<{id: number, start: number, end: number, text: string}>|null,
+ *            words: Array<{word: string, start: number, end: number}>|null}}
+ */
+function extractTimestamps(transcription) {
+  const rawSegments = Array.isArray(transcription?.segments) ? transcription.segments : [];
+  const rawWords = Array.isArray(transcription?.words) ? transcription.words : [];
+
+  const segments = rawSegments.map((segment, index) => ({
+    id: index,
+    start: roundTime(segment.start),
+    end: roundTime(segment.end),
+    text: (segment.text || '').trim()
+  }));
+
+  const words = rawWords.map(word => ({
+    word: (word.word || '').trim(),
+    start: roundTime(word.start),
+    end: roundTime(word.end)
+  }));
+
+  return {
+    segments: segments.length > 0 ? segments : null,
+    words: words.length > 0 ? words : null
+  };
+}
+
+module.exports = {
+  extractTimestamps
+};
@@ -0,0 +1,125 @@
+/**
+ * Versions Service
+ * Word-level diffs between saved versions of a transcript, stored with each
+ * version so the timeline can show what an edit changed
+ */
+
+const { tokenize } = require('./personalization');
+
+// Unchanged words kept either side of a change, to show where it was made
+const DIFF_CONTEXT_WORDS = 5;
+
+// Word comparisons allowed for one diff. Past this (a long transcript largely
+// rewritten), the changed middle is reported as a single replacement.
+const DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Edit script between two word arrays, as runs of 'equal', 'removed' and
+ * 'added' words. Words match exactly: a casing or punctuation fix is a change.
+ */
+function diffWords(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+  const a = before.slice(prefix, before.length - suffix);
+  const b = after.slice(prefix, after.length - suffix);
+  const ops = [];
+  const push = (op, word) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.words.push(word);
+    else ops.push({ op, words: [word] });
+  };
+
+  before.slice(0, prefix).forEach(w => push('equal', w));
+
+  if (a.length * b.length > DIFF_MAX_CELLS) {
+    a.forEach(w => push('removed', w));
+    b.forEach(w => push('added', w));
+  } else {
+    // LCS lengths of every pair of suffixes, one flat row per word of a
+    const cols = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * cols);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = a[i] === b[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        push('equal', a[i++]);
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1])) {
+        push('removed', a[i++]);
+      } else {
+        push('added', b[j++]);
+      }
+    }
+  }
+
+  before.slice(before.length - suffix).forEach(w => push('equal', w));
+  return ops;
+}
+
+/**
+ * Diff a transcript version against the one before it
+ *
+ * @param {string} previousText - The previous version's text
+ * @param {string} text - The new version's text
+ * @returns {{changes: Array<{at: number, before: string, removed: string, added: string, after: string}>,
+ *            added: number, removed: number}} Each change with its word offset in the previous text and
+ *          a few unchanged words either side, plus the total words added and removed
+ */
+function diffVersions(previousText, text) {
+  const ops = diffWords(tokenize(previousText), tokenize(text));
+  const changes = [];
+  let added = 0;
+  let removed = 0;
+  let at = 0;
+
+  for (let k = 0; k < ops.length; k++) {
+    const op = ops[k];
+    if (op.op === 'equal') {
+      at += op.words.length;
+      continue;
+    }
+
+    // A removal followed by an addition is one replacement
+    const change = { at, before: '', removed: '', added: '', after: '' };
+    const previous = ops[k - 1];
+    if (previous) change.before = previous.words.slice(-DIFF_CONTEXT_WORDS).join(' ');
+
+    if (op.op === 'removed') {
+      change.removed = op.words.join(' ');
+      removed += op.words.length;
+      at += op.words.length;
+      if (ops[k + 1]?.op === 'added') {
+        k++;
+        change.added = ops[k].words.join(' ');
+        added += ops[k].words.length;
+      }
+    } else {
+      change.added = op.words.join(' ');
+      added += op.words.length;
+    }
+
+    const next = ops[k + 1];
+    if (next) change.after = next.words.slice(0, DIFF_CONTEXT_WORDS).join(' ');
+    changes.push(change);
+  }
+
+  return { changes, added, removed };
+}
+
+module.exports = {
+  diffWords,
+  diffVersions
+};
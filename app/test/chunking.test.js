@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeChunkTranscriptions } = require('../services/chunking');
+
+const word = (text, start, end) => ({ word: text, start, end });
+
+// The first 10 minutes of a recording; the next chunk starts 10 seconds before its end
+const first = {
+  text: 'We met at noon. Then the quick brown fox',
+  language: 'en',
+  duration: 600,
+  words: [
+    word('We', 0, 0.5), word('met', 0.5, 1), word('at', 1, 1.2), word('noon.', 1.2, 2),
+    word('Then', 590, 591), word('the', 592, 592.5), word('quick', 593, 594), word('brown', 595, 596), word('fox', 597, 599)
+  ],
+  segments: [
+    { id: 0, start: 0, end: 2, text: 'We met at noon.' },
+    { id: 1, start: 590, end: 600, text: 'Then the quick brown fox' }
+  ]
+};
+
+function merge(next) {
+  return mergeChunkTranscriptions([{ offset: 0, transcription: first }, { offset: 590, transcription: next }]);
+}
+
+test('words both chunks heard in the overlap are kept once, with times on the full recording', () => {
+  const merged = merge({
+    text: 'quick brown fox jumped over the dog.',
+    language: 'en',
+    duration: 20,
+    words: [
+      word('quick', 3, 4), word('brown', 5, 6), word('fox', 7, 9),
+      word('jumped', 10, 11), word('over', 11, 12), word('the', 12, 12.5), word('dog.', 13, 14)
+    ],
+    segments: [
+      { id: 0, start: 2.5, end: 9, text: 'quick brown fox' },
+      { id: 1, start: 10, end: 14, text: 'jumped over the dog.' }
+    ]
+  });
+
+  assert.equal(merged.text, 'We met at noon. Then the quick brown fox jumped over the dog.');
+  assert.equal(merged.language, 'en');
+  assert.equal(merged.duration, 610);
+  assert.deepEqual(merged.words.map(w => [w.word, w.start]), [
+    ['We', 0], ['met', 0.5], ['at', 1], ['noon.', 1.2],
+    ['Then', 590], ['the', 592], ['quick', 593], ['brown', 595], ['fox', 597],
+    ['jumped', 600], ['over', 601], ['the', 602], ['dog.', 603]
+  ]);
+  assert.deepEqual(merged.segments.map(s => [s.text, s.start, s.end]), [
+    ['We met at noon.', 0, 2],
+    ['Then the quick brown fox', 590, 600],
+    ['jumped over the dog.', 600, 604]
+  ]);
+});
+
+test('chunks with no overlap found are joined, with words cut halfway through the overlap', () => {
+  const merged = merge({
+    text: 'Something else entirely.',
+    language: 'en',
+    duration: 20,
+    words: [word('Something', 2, 3), word('else', 7, 8), word('entirely.', 8, 9)],
+    segments: [{ id: 0, start: 2, end: 9, text: 'Something else entirely.' }]
+  });
+
+  assert.equal(merged.text, 'We met at noon. Then the quick brown fox Something else entirely.');
+  assert.deepEqual(merged.words.slice(4).map(w => [w.word, w.start]), [
+    ['Then', 590], ['the', 592], ['quick', 593], ['else', 597], ['entirely.', 598]
+  ]);
+  assert.deepEqual(merged.segments.map(s => [s.text, s.start, s.end]), [
+    ['We met at noon.', 0, 2],
+    ['Then the quick brown fox', 590, 592],
+    ['Something else entirely.', 592, 599]
+  ]);
+});
+
+test('a last chunk that only repeats the overlap adds nothing and trims nothing', () => {
+  const merged = merge({
+    text: 'quick brown fox',
+    language: 'en',
+    duration: 9,
+    words: [word('quick', 3, 4), word('brown', 5, 6), word('fox', 7, 9)],
+    segments: [{ id: 0, start: 2.5, end: 9, text: 'quick brown fox' }]
+  });
+
+  assert.equal(merged.text, first.text);
+  assert.equal(merged.duration, 600);
+  assert.deepEqual(merged.words, first.words);
+  assert.deepEqual(merged.segments, first.segments);
+});
+
+test('a single chunk is returned as transcribed', () => {
+  const merged = mergeChunkTranscriptions([{ offset: 0, transcription: first }]);
+
+  assert.equal(merged.text, first.text);
+  assert.deepEqual(merged.words, first.words);
+  assert.deepEqual(merged.segments, first.segments);
+});
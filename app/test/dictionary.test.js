@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dictionary = require('../services/dictionary');
+
+test('an exported CSV dictionary parses back to the same entries', () => {
+  const corrections = [
+    { original_token: 'quik', corrected_token: 'quick', language: 'en', count: 3 },
+    { original_token: 'smith, j', corrected_token: 'J. "Jay" Smith', language: 'en', count: 2, left_context: ' dr' },
+    { original_token: '=sum', corrected_token: 'some', language: 'en', count: 1 }
+  ];
+  const { body } = dictionary.renderDictionary(corrections, 'csv');
+  const { entries, error } = dictionary.parseDictionary(body, 'csv');
+
+  assert.equal(error, null);
+  assert.deepEqual(entries.map(e => [e.line, e.fields.original_token, e.fields.corrected_token, e.fields.left_context]), [
+    [2, 'quik', 'quick', ''],
+    [3, 'smith, j', 'J. "Jay" Smith', ' dr'],
+    [4, '=sum', 'some', '']
+  ]);
+});
+
+test('a hand-written CSV dictionary may have a BOM, blank lines, short rows and quoted line breaks', () => {
+  const csv = '﻿Original_Token , Corrected_Token,count\n\nquik,quick\n"new\nline",newline,2\n';
+  const { entries, error } = dictionary.parseDictionary(csv, 'csv');
+
+  assert.equal(error, null);
+  assert.deepEqual(entries, [
+    { line: 3, fields: { original_token: 'quik', corrected_token: 'quick' } },
+    { line: 5, fields: { original_token: 'new\nline', corrected_token: 'newline', count: '2' } }
+  ]);
+});
+
+test('a CSV dictionary needs the token columns and well-formed quoting', () => {
+  assert.equal(dictionary.parseDictionary('original_token\nquik\n', 'csv').error,
+    'The CSV header must include original_token and corrected_token');
+  assert.equal(dictionary.parseDictionary('original_token,corrected_token\n', 'csv').entries.length, 0);
+  assert.match(dictionary.parseDictionary('original_token,corrected_token\n"quik,quick\n', 'csv').error, /^The file is not valid CSV/);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const exporter = require('../services/export');
+
+function render(transcript, format) {
+  return exporter.renderExport([transcript], format, { title: 'Test', scope: 'transcript' }).then(result => result.body);
+}
+
+const segments = [
+  { id: 0, start: 0, end: 2.5, text: 'The quik brown fox.' },
+  { id: 1, start: 2.5, end: 5, text: 'It jumps over the lazy dog.' }
+];
+
+test('subtitles of an unedited transcript follow the segments', async () => {
+  const srt = await render({ raw_text: 'The quik brown fox. It jumps over the lazy dog.', segments, duration_seconds: 5 }, 'srt');
+
+  assert.equal(srt,
+    '1\n00:00:00,000 --> 00:00:02,500\nThe quik brown fox.\n\n' +
+    '2\n00:00:02,500 --> 00:00:05,000\nIt jumps over the lazy dog.\n');
+});
+
+test('subtitles of an edited transcript show the edits with the segment timings', async () => {
+  const vtt = await render({
+    raw_text: 'The quik brown fox. It jumps over the lazy dog.',
+    final_text: 'The quick brown fox. It leaps over the very lazy dog!',
+    segments,
+    duration_seconds: 5
+  }, 'vtt');
+
+  assert.equal(vtt,
+    'WEBVTT\n\n' +
+    '00:00:00.000 --> 00:00:02.500\nThe quick brown fox.\n\n' +
+    '00:00:02.500 --> 00:00:05.000\nIt leaps over the very lazy dog!\n');
+});
+
+test('a rewritten transcript falls back to sentence cues over the recording', async () => {
+  const srt = await render({
+    raw_text: 'The quik brown fox. It jumps over the lazy dog.',
+    final_text: 'Meeting notes follow. Budget was approved today, with two changes.',
+    segments,
+    duration_seconds: 5
+  }, 'srt');
+
+  assert.equal(srt,
+    '1\n00:00:00,000 --> 00:00:01,500\nMeeting notes follow.\n\n' +
+    '2\n00:00:01,500 --> 00:00:05,000\nBudget was approved today, with two changes.\n');
+});
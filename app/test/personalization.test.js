@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyCorrections } = require('../services/personalization');
+
+function correction(original, corrected) {
+  return { original_token: original, corrected_token: corrected, count: 5, last_seen_at: new Date().toISOString() };
+}
+
+test('deleting a filler keeps its sentence-ending punctuation', () => {
+  assert.equal(applyCorrections('I think um. Then we left.', [correction('um', '')]), 'I think. Then we left.');
+});
+
+test('deleting a filler after punctuated text does not double the punctuation', () => {
+  assert.equal(applyCorrections('Hello, um. World', [correction('um', '')]), 'Hello, World');
+});
+
+test('a replacement at the start of a sentence keeps the capital it replaces', () => {
+  assert.equal(applyCorrections('We left. Quik as we could.', [correction('quik', 'quick')]), 'We left. Quick as we could.');
+});
+
+test('a replacement in all-lowercase text stays lowercase at the start of a sentence', () => {
+  assert.equal(applyCorrections('we left. quik as we could.', [correction('quik', 'quick')]), 'we left. quick as we could.');
+  assert.equal(applyCorrections('um we left.', [correction('um', '')]), 'we left.');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const supabaseJs = require('@supabase/supabase-js');
+const { parseListParams, parseSearchParams } = require('../services/search');
+
+// search_transcripts() over three matches, each row carrying the number of matches
+const matches = ['t1', 't2', 't3'].map(id => ({ transcript: { id }, headline: id, rank: 1, total_count: '3' }));
+test.mock.method(supabaseJs, 'createClient', () => ({
+  rpc: async (name, { p_limit, p_offset }) => ({ data: matches.slice(p_offset, p_offset + p_limit), error: null })
+}));
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_ANON_KEY = 'test';
+const database = require('../services/database');
+
+test('a page of search results is counted against all the matches', async () => {
+  const { params } = parseSearchParams({ q: 'fox', limit: '2', offset: '2' });
+  const { results, total } = await database.searchTranscripts('u1', params);
+
+  assert.deepEqual(results.map(r => r.id), ['t3']);
+  assert.equal(total, 3);
+});
+
+test('a page of search results past the last match still counts the matches', async () => {
+  const { params } = parseSearchParams({ q: 'fox', offset: '20' });
+  const { results, total } = await database.searchTranscripts('u1', params);
+
+  assert.deepEqual(results, []);
+  assert.equal(total, 3);
+});
+
+test('the offset of a page must be a whole number, 0 or more', () => {
+  assert.equal(parseSearchParams({ q: 'fox' }).params.offset, 0);
+  assert.equal(parseSearchParams({ q: 'fox', offset: '40' }).params.offset, 40);
+  assert.equal(parseSearchParams({ q: 'fox', offset: '-1' }).error, 'Invalid offset');
+  assert.equal(parseSearchParams({ q: 'fox', offset: '1.5' }).error, 'Invalid offset');
+  assert.equal(parseListParams({ offset: '-20' }).error, 'Invalid offset');
+  assert.equal(parseListParams({}).params.offset, 0);
+});
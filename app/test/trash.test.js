@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const supabaseJs = require('@supabase/supabase-js');
+
+// Just enough of the Supabase query builder for the Trash operations, over in-memory tables
+function fakeSupabase(tables) {
+  return {
+    from(table) {
+      const filters = [];
+      let op = 'select';
+      let payload;
+      let mode = 'many';
+      const run = () => {
+        const rows = tables[table] || [];
+        const matched = rows.filter(row => filters.every(filter => filter(row)));
+        if (op === 'update') matched.forEach(row => Object.assign(row, payload));
+        if (op === 'delete') tables[table] = rows.filter(row => !matched.includes(row));
+        const data = matched.map(row => ({ ...row }));
+        if (mode === 'single' && data.length !== 1) return { data: null, error: { code: 'PGRST116' } };
+        return { data: mode === 'many' ? data : data[0] || null, error: null };
+      };
+      const query = {
+        select() { return query; },
+        update(values) { op = 'update'; payload = values; return query; },
+        delete() { op = 'delete'; return query; },
+        eq(column, value) { filters.push(row => row[column] === value); return query; },
+        in(column, values) { filters.push(row => values.includes(row[column])); return query; },
+        is(column, value) { filters.push(row => (row[column] ?? null) === value); return query; },
+        not(column, operator, value) { filters.push(row => (row[column] ?? null) !== value); return query; },
+        lt(column, value) { filters.push(row => row[column] < value); return query; },
+        gt(column, value) { filters.push(row => row[column] > value); return query; },
+        lte(column, value) { filters.push(row => row[column] <= value); return query; },
+        order() { return query; },
+        maybeSingle() { mode = 'maybe'; return query; },
+        single() { mode = 'single'; return query; },
+        then(resolve, reject) { return Promise.resolve(run()).then(resolve, reject); }
+      };
+      return query;
+    }
+  };
+}
+
+const tables = {};
+test.mock.method(supabaseJs, 'createClient', () => fakeSupabase(tables));
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_ANON_KEY = 'test';
+const database = require('../services/database');
+
+test.beforeEach(() => {
+  Object.assign(tables, {
+    transcripts: [
+      { id: 't1', user_id: 'u1', audio_url: null, deleted_at: null },
+      { id: 't2', user_id: 'u1', audio_url: null, deleted_at: null }
+    ],
+    folders: [],
+    corrections: [
+      { id: 'quick', user_id: 'u1', original_token: 'quik', corrected_token: 'quick', count: 3, language: 'en', disabled: false },
+      { id: 'email', user_id: 'u1', original_token: 'e mail', corrected_token: 'email', count: 1, language: 'en', disabled: false }
+    ],
+    correction_occurrences: [
+      { correction_id: 'quick', user_id: 'u1', transcript_id: 't1' },
+      { correction_id: 'quick', user_id: 'u1', transcript_id: 't1' },
+      { correction_id: 'quick', user_id: 'u1', transcript_id: 't2' },
+      { correction_id: 'email', user_id: 'u1', transcript_id: 't1' }
+    ]
+  });
+});
+
+const counts = () => tables.corrections.map(c => [c.id, c.count]);
+
+test('moving a transcript to the Trash takes its occurrences back off its corrections', async () => {
+  await database.deleteTranscript('u1', 't1');
+
+  assert.deepEqual(counts(), [['quick', 1], ['email', 0]]);
+  assert.equal(tables.correction_occurrences.length, 4);
+});
+
+test('corrections learned only from transcripts in the Trash are not applied or listed', async () => {
+  await database.deleteTranscript('u1', 't1');
+
+  assert.deepEqual((await database.getCorrections('u1')).map(c => c.id), ['quick']);
+  assert.deepEqual((await database.listCorrections('u1')).map(c => c.id), ['quick']);
+});
+
+test('restoring a transcript from the Trash gives its occurrences back', async () => {
+  await database.deleteTranscript('u1', 't1');
+  await database.restoreFromTrash('u1', 'transcripts', 't1');
+
+  assert.deepEqual(counts(), [['quick', 3], ['email', 1]]);
+});
+
+test('purging a transcript from the Trash forgets its occurrences and the corrections only it taught', async () => {
+  await database.deleteTranscript('u1', 't1');
+  await database.purgeTrash({ userId: 'u1', olderThanDays: 0 });
+
+  assert.deepEqual(tables.transcripts.map(t => t.id), ['t2']);
+  assert.deepEqual(counts(), [['quick', 1]]);
+  assert.deepEqual(tables.correction_occurrences.map(o => o.transcript_id), ['t2']);
+});
+
+test('a correction also taught by a transcript still in the Trash survives a purge', async () => {
+  await database.deleteTranscript('u1', 't1');
+  await database.deleteTranscript('u1', 't2');
+  await database.deleteTrashedTranscript('u1', 't1');
+  assert.deepEqual(counts(), [['quick', 0]]);
+
+  await database.restoreFromTrash('u1', 'transcripts', 't2');
+  assert.deepEqual(counts(), [['quick', 1]]);
+});
+
+test('moving disposable notes to the Trash takes their occurrences back off their corrections', async () => {
+  tables.transcripts[0].is_disposable = true;
+  await database.deleteDisposableTranscripts('u1');
+
+  assert.deepEqual(counts(), [['quick', 1], ['email', 0]]);
+});
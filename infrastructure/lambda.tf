@@ -26,11 +26,12 @@ resource "aws_lambda_function" "api" {
 
   environment {
     variables = {
-      NODE_ENV          = var.environment
-      AUDIO_BUCKET      = aws_s3_bucket.audio.bucket
-      OPENAI_API_KEY    = var.openai_api_key
-      SUPABASE_URL      = var.supabase_url
-      SUPABASE_ANON_KEY = var.supabase_anon_key
+      NODE_ENV             = var.environment
+      AUDIO_BUCKET         = aws_s3_bucket.audio.bucket
+      OPENAI_API_KEY       = var.openai_api_key
+      SUPABASE_URL         = var.supabase_url
+      SUPABASE_ANON_KEY    = var.supabase_anon_key
+      TRASH_RETENTION_DAYS = var.trash_retention_days
     }
   }
 
@@ -47,3 +48,24 @@ resource "aws_lambda_permission" "api_gateway" {
   principal     = "apigateway.amazonaws.com"
   source_arn    = "${aws_apigatewayv2_api.main.execution_arn}/*/*"
 }
+
+# Daily purge of what has been in the Trash past trash_retention_days
+resource "aws_cloudwatch_event_rule" "purge_trash" {
+  name                = "${var.project_name}-purge-trash"
+  description         = "Delete expired Trash recordings, folders and audio"
+  schedule_expression = "rate(1 day)"
+}
+
+resource "aws_cloudwatch_event_target" "purge_trash" {
+  rule  = aws_cloudwatch_event_rule.purge_trash.name
+  arn   = aws_lambda_function.api.arn
+  input = jsonencode({ purgeExpiredTrash = true })
+}
+
+resource "aws_lambda_permission" "purge_trash" {
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.api.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.purge_trash.arn
+}
@@ -37,17 +37,23 @@ variable "audio_retention_days" {
   default     = 90
 }
 
+variable "trash_retention_days" {
+  description = "Days deleted recordings and folders stay in the Trash before they and their audio are deleted for good"
+  type        = number
+  default     = 30
+}
+
 # Lambda configuration
 variable "lambda_memory" {
-  description = "Lambda memory in MB"
+  description = "Lambda memory in MB (also sets CPU share, which bounds ffmpeg chunking speed)"
   type        = number
-  default     = 512
+  default     = 1024
 }
 
 variable "lambda_timeout" {
-  description = "Lambda timeout in seconds"
+  description = "Lambda timeout in seconds (also bounds background transcription jobs)"
   type        = number
-  default     = 90
+  default     = 900
 }
 
 # Application secrets (passed as Lambda env vars)
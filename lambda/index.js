@@ -5,11 +5,17 @@
 
 const { S3Client, PutObjectCommand, CopyObjectCommand, DeleteObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { LambdaClient, InvokeCommand } = require('@aws-sdk/client-lambda');
 const { createClient } = require('@supabase/supabase-js');
 const OpenAI = require('openai');
+const { Document, Packer, Paragraph, TextRun, HeadingLevel } = require('docx');
+const mm = require('music-metadata');
+const { parse } = require('csv-parse/sync');
 const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { execFile } = require('child_process');
 
 // Environment variables (set via Terraform)
 const BUCKET_NAME = process.env.AUDIO_BUCKET;
@@ -18,8 +24,12 @@ const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 
+// Days a deleted recording or folder stays in the Trash before it is deleted for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
 // Clients (initialized once, reused across invocations)
 let s3Client;
+let lambdaClient;
 let openaiClient;
 let supabase;
 
@@ -27,6 +37,9 @@ function initClients() {
   if (!s3Client) {
     s3Client = new S3Client({ region: REGION });
   }
+  if (!lambdaClient) {
+    lambdaClient = new LambdaClient({ region: REGION });
+  }
   if (!openaiClient && OPENAI_API_KEY) {
     openaiClient = new OpenAI({ apiKey: OPENAI_API_KEY });
   }
@@ -36,6 +49,26 @@ function initClients() {
 }
 
 // Response helpers
+/**
+ * File download response. Binary bodies (DOCX) are base64-encoded for API Gateway.
+ */
+function fileResponse(body, contentType, filename) {
+  const isBinary = Buffer.isBuffer(body);
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type,Authorization,X-Anonymous-ID',
+      'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+      'Access-Control-Expose-Headers': 'Content-Disposition'
+    },
+    body: isBinary ? body.toString('base64') : body,
+    isBase64Encoded: isBinary
+  };
+}
+
 function jsonResponse(statusCode, body) {
   return {
     statusCode,
@@ -218,714 +251,4894 @@ function isAuthenticatedUser(headers) {
 }
 
 // ================================
-// PERSONALIZATION FUNCTIONS
+// LANGUAGE FUNCTIONS
+// (mirrors app/services/languages.js)
 // ================================
 
+const DEFAULT_LANGUAGE = 'en';
+const AUTO_DETECT = 'auto';
+
+// Languages supported by Whisper, keyed by the name verbose_json reports
+const WHISPER_LANGUAGES = {
+  english: 'en', chinese: 'zh', german: 'de', spanish: 'es', russian: 'ru',
+  korean: 'ko', french: 'fr', japanese: 'ja', portuguese: 'pt', turkish: 'tr',
+  polish: 'pl', catalan: 'ca', dutch: 'nl', arabic: 'ar', swedish: 'sv',
+  italian: 'it', indonesian: 'id', hindi: 'hi', finnish: 'fi', vietnamese: 'vi',
+  hebrew: 'he', ukrainian: 'uk', greek: 'el', malay: 'ms', czech: 'cs',
+  romanian: 'ro', danish: 'da', hungarian: 'hu', tamil: 'ta', norwegian: 'no',
+  thai: 'th', urdu: 'ur', croatian: 'hr', bulgarian: 'bg', lithuanian: 'lt',
+  latin: 'la', maori: 'mi', malayalam: 'ml', welsh: 'cy', slovak: 'sk',
+  telugu: 'te', persian: 'fa', latvian: 'lv', bengali: 'bn', serbian: 'sr',
+  azerbaijani: 'az', slovenian: 'sl', kannada: 'kn', estonian: 'et', macedonian: 'mk',
+  breton: 'br', basque: 'eu', icelandic: 'is', armenian: 'hy', nepali: 'ne',
+  mongolian: 'mn', bosnian: 'bs', kazakh: 'kk', albanian: 'sq', swahili: 'sw',
+  galician: 'gl', marathi: 'mr', punjabi: 'pa', sinhala: 'si', khmer: 'km',
+  shona: 'sn', yoruba: 'yo', somali: 'so', afrikaans: 'af', occitan: 'oc',
+  georgian: 'ka', belarusian: 'be', tajik: 'tg', sindhi: 'sd', gujarati: 'gu',
+  amharic: 'am', yiddish: 'yi', lao: 'lo', uzbek: 'uz', faroese: 'fo',
+  'haitian creole': 'ht', pashto: 'ps', turkmen: 'tk', nynorsk: 'nn', maltese: 'mt',
+  sanskrit: 'sa', luxembourgish: 'lb', myanmar: 'my', tibetan: 'bo', tagalog: 'tl',
+  malagasy: 'mg', assamese: 'as', tatar: 'tt', hawaiian: 'haw', lingala: 'ln',
+  hausa: 'ha', bashkir: 'ba', javanese: 'jw', sundanese: 'su', cantonese: 'yue'
+};
+
+const SUPPORTED_CODES = new Set(Object.values(WHISPER_LANGUAGES));
+
 /**
- * Tokenize text into words
+ * Check a language code is one Whisper accepts (or 'auto')
  */
-function tokenize(text) {
-  if (!text) return [];
-  return text.trim().split(/\s+/).filter(w => w.length > 0);
+function isValidLanguage(language) {
+  return language === AUTO_DETECT || SUPPORTED_CODES.has(language);
 }
 
 /**
- * Normalize text for comparison
+ * Pick the language for a transcription request
+ * Priority: 1. Explicit per-recording choice 2. User's default 3. English
+ *
+ * @returns {string} ISO-639-1 code, or 'auto' to let Whisper detect it
  */
-function normalize(word) {
-  return word.toLowerCase().replace(/[.,!?;:'"]/g, '');
+function resolveRequestedLanguage(requested, userDefault) {
+  const candidates = [requested, userDefault];
+  for (const candidate of candidates) {
+    const code = typeof candidate === 'string' ? candidate.trim().toLowerCase() : '';
+    if (code && isValidLanguage(code)) return code;
+  }
+  return DEFAULT_LANGUAGE;
 }
 
 /**
- * Find longest common subsequence between two word arrays
+ * Convert the language Whisper reports ("french", or sometimes "fr") to a code
+ * Falls back when Whisper doesn't report one (e.g. plain json responses)
  */
-function findLCS(words1, words2) {
-  const m = words1.length;
-  const n = words2.length;
-
-  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
-
-  for (let i = 1; i <= m; i++) {
-    for (let j = 1; j <= n; j++) {
-      if (normalize(words1[i - 1]) === normalize(words2[j - 1])) {
-        dp[i][j] = dp[i - 1][j - 1] + 1;
-      } else {
-        dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
-      }
-    }
-  }
+function normalizeDetectedLanguage(whisperLanguage, fallback = DEFAULT_LANGUAGE) {
+  if (!whisperLanguage) return fallback;
 
-  const matches = [];
-  let i = m, j = n;
+  const value = String(whisperLanguage).trim().toLowerCase();
+  if (SUPPORTED_CODES.has(value)) return value;
+  return WHISPER_LANGUAGES[value] || fallback;
+}
 
-  while (i > 0 && j > 0) {
-    if (normalize(words1[i - 1]) === normalize(words2[j - 1])) {
-      matches.unshift({ i: i - 1, j: j - 1 });
-      i--;
-      j--;
-    } else if (dp[i - 1][j] > dp[i][j - 1]) {
-      i--;
-    } else {
-      j--;
-    }
-  }
+// ================================
+// TIMESTAMP FUNCTIONS
+// (mirrors app/services/timestamps.js)
+// ================================
 
-  return matches;
+/**
+ * Round seconds to centiseconds to keep stored JSON small
+ */
+function roundTime(seconds) {
+  return Math.round((Number(seconds) || 0) * 100) / 100;
 }
 
 /**
- * Strip punctuation from word for matching
+ * Extract segments and words from a verbose_json transcription
+ *
+ * @param {Object} transcription - Whisper response (verbose_json)
+ * @returns {{segments: Array<{id: number, start: number, end: number, text: string}>|null,
+ *            words: Array<{word: string, start: number, end: number}>|null}}
  */
-function stripPunctuation(word) {
-  return word.replace(/^[.,!?;:'"]+|[.,!?;:'"]+$/g, '');
+function extractTimestamps(transcription) {
+  const rawSegments = Array.isArray(transcription?.segments) ? transcription.segments : [];
+  const rawWords = Array.isArray(transcription?.words) ? transcription.words : [];
+
+  const segments = rawSegments.map((segment, index) => ({
+    id: index,
+    start: roundTime(segment.start),
+    end: roundTime(segment.end),
+    text: (segment.text || '').trim()
+  }));
+
+  const words = rawWords.map(word => ({
+    word: (word.word || '').trim(),
+    start: roundTime(word.start),
+    end: roundTime(word.end)
+  }));
+
+  return {
+    segments: segments.length > 0 ? segments : null,
+    words: words.length > 0 ? words : null
+  };
 }
 
+// ================================
+// SEARCH FUNCTIONS
+// (mirrors app/services/search.js)
+// ================================
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// Match delimiters emitted by search_transcripts() (see migrations/004_transcript_search.sql)
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+// History list orderings: [column, ascending]. Length sorts fall back to
+// newest first for recordings with the same (or no) duration.
+const TRANSCRIPT_SORTS = {
+  newest: [['created_at', false]],
+  oldest: [['created_at', true]],
+  longest: [['duration_seconds', false], ['created_at', false]],
+  shortest: [['duration_seconds', true], ['created_at', false]]
+};
+const DEFAULT_SORT = 'newest';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
 /**
- * Decompose a phrase correction into word-level corrections
- * Only works when original and corrected have equal word counts
+ * Parse a date filter. A bare date for `to` means "up to the end of that day".
  */
-function decomposePhraseToWords(originalWords, correctedWords) {
-  const wordCorrections = [];
+function parseDateParam(value, endOfDay) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
 
-  for (let i = 0; i < originalWords.length; i++) {
-    const original = originalWords[i];
-    const corrected = correctedWords[i];
+  if (endOfDay && DATE_ONLY_REGEX.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString();
+}
 
-    // Compare without punctuation
-    const originalClean = stripPunctuation(original);
-    const correctedClean = stripPunctuation(corrected);
+/**
+ * Parse the offset of a page of results: a whole number, 0 or more (0 if not given).
+ * Returns null if it is invalid.
+ */
+function parseOffset(value) {
+  if (value === undefined || value === '') return 0;
+  const offset = Number(value);
+  return Number.isInteger(offset) && offset >= 0 ? offset : null;
+}
 
-    // Only add if actually different (case-insensitive comparison)
-    if (originalClean.toLowerCase() !== correctedClean.toLowerCase()) {
-      wordCorrections.push({
-        original: originalClean,
-        corrected: correctedClean
-      });
+/**
+ * Parse the minDuration/maxDuration filters (seconds; min inclusive, max exclusive)
+ *
+ * @returns {{range: {minDuration: number|null, maxDuration: number|null}}|{error: string}}
+ */
+function parseDurationRange(query) {
+  const range = { minDuration: null, maxDuration: null };
+
+  for (const key of ['minDuration', 'maxDuration']) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `Invalid ${key}` };
     }
+    range[key] = value;
   }
 
-  return wordCorrections;
+  if (range.minDuration !== null && range.maxDuration !== null && range.minDuration >= range.maxDuration) {
+    return { error: 'minDuration must be less than maxDuration' };
+  }
+
+  return { range };
 }
 
 /**
- * Extract corrections by comparing raw text with edited text
- * Uses LCS for alignment, then decomposes equal-length phrases into word-level corrections
+ * Validate and normalize history list parameters
+ *
+ * @param {Object} query - Request query (limit, offset, sort, minDuration, maxDuration)
+ * @returns {{params: Object}|{error: string}}
  */
-function extractCorrections(rawText, finalText) {
-  if (!rawText || !finalText) return [];
-  if (rawText.trim() === finalText.trim()) return [];
-
-  const rawWords = tokenize(rawText);
-  const finalWords = tokenize(finalText);
-  const matches = findLCS(rawWords, finalWords);
-  const corrections = [];
+function parseListParams(query) {
+  const sort = query.sort || DEFAULT_SORT;
+  if (!Object.prototype.hasOwnProperty.call(TRANSCRIPT_SORTS, sort)) {
+    return { error: 'Invalid sort' };
+  }
 
-  const extendedMatches = [
-    { i: -1, j: -1 },
-    ...matches,
-    { i: rawWords.length, j: finalWords.length }
-  ];
+  const { range, error } = parseDurationRange(query);
+  if (error) {
+    return { error };
+  }
 
-  for (let k = 0; k < extendedMatches.length - 1; k++) {
-    const curr = extendedMatches[k];
-    const next = extendedMatches[k + 1];
+  const offset = parseOffset(query.offset);
+  if (offset === null) {
+    return { error: 'Invalid offset' };
+  }
 
-    // Words between current match and next match are differences
-    const rawStart = curr.i + 1;
-    const rawEnd = next.i;
-    const finalStart = curr.j + 1;
-    const finalEnd = next.j;
+  return {
+    params: {
+      limit: parseInt(query.limit) || 50,
+      offset,
+      order: TRANSCRIPT_SORTS[sort],
+      ...range
+    }
+  };
+}
 
-    // Extract the differing word arrays
-    const originalWordArray = rawWords.slice(rawStart, rawEnd);
-    const correctedWordArray = finalWords.slice(finalStart, finalEnd);
+/**
+ * Validate and normalize search query parameters
+ *
+ * @param {Object} query - Request query (q, folderId, seriesId, from, to, minDuration, maxDuration, limit, offset)
+ * @returns {{params: Object}|{error: string}}
+ */
+function parseSearchParams(query) {
+  const q = String(query.q || '').trim();
+  if (!q) {
+    return { error: 'Search query (q) is required' };
+  }
+  if (q.length > MAX_QUERY_LENGTH) {
+    return { error: `Search query must be ${MAX_QUERY_LENGTH} characters or fewer` };
+  }
 
-    // Skip if either side is empty (pure insertion or deletion)
-    if (originalWordArray.length === 0 || correctedWordArray.length === 0) {
-      continue;
+  for (const key of ['folderId', 'seriesId']) {
+    if (query[key] && !UUID_REGEX.test(query[key])) {
+      return { error: `Invalid ${key}` };
     }
+  }
 
-    // Check if word counts are equal - if so, decompose into word pairs
-    if (originalWordArray.length === correctedWordArray.length) {
-      // Decompose into word-level corrections
-      const wordCorrections = decomposePhraseToWords(originalWordArray, correctedWordArray);
-      corrections.push(...wordCorrections);
-    } else {
-      // Unequal word counts - keep as phrase correction
-      const originalPhrase = originalWordArray.join(' ');
-      const correctedPhrase = correctedWordArray.join(' ');
+  const from = query.from ? parseDateParam(query.from, false) : null;
+  if (query.from && !from) {
+    return { error: 'Invalid from date' };
+  }
+  const to = query.to ? parseDateParam(query.to, true) : null;
+  if (query.to && !to) {
+    return { error: 'Invalid to date' };
+  }
 
-      const normalizedOriginal = normalize(originalPhrase);
-      const normalizedCorrected = normalize(correctedPhrase);
+  const { range, error: rangeError } = parseDurationRange(query);
+  if (rangeError) {
+    return { error: rangeError };
+  }
 
-      if (normalizedOriginal !== normalizedCorrected) {
-        corrections.push({
-          original: originalPhrase,
-          corrected: correctedPhrase
-        });
-      }
-    }
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const offset = parseOffset(query.offset);
+  if (offset === null) {
+    return { error: 'Invalid offset' };
   }
 
-  return corrections;
+  return {
+    params: {
+      q,
+      folderId: query.folderId || null,
+      seriesId: query.seriesId || null,
+      from,
+      to,
+      ...range,
+      limit,
+      offset
+    }
+  };
 }
 
 /**
- * Apply learned corrections to text
+ * Split a ts_headline result into [{ text, highlight }] parts so clients can
+ * render matches without treating transcript text as HTML
  */
-function applyCorrections(text, corrections, minCount = 2) {
-  if (!text || !corrections || corrections.length === 0) return text;
+function parseHeadline(headline) {
+  const parts = [];
+  let highlight = false;
+  let text = '';
+
+  for (const char of headline || '') {
+    if (char === HIGHLIGHT_START || char === HIGHLIGHT_STOP) {
+      if (text) parts.push({ text, highlight });
+      text = '';
+      highlight = char === HIGHLIGHT_START;
+    } else {
+      text += char;
+    }
+  }
+  if (text) parts.push({ text, highlight });
 
-  let result = text;
+  return parts;
+}
 
-  const sortedCorrections = [...corrections]
-    .filter(c => c.count >= minCount)
-    .sort((a, b) => b.original_token.length - a.original_token.length);
+// ================================
+// EXPORT FUNCTIONS
+// (mirrors app/services/export.js)
+// ================================
 
-  for (const correction of sortedCorrections) {
-    const original = correction.original_token;
-    const corrected = correction.corrected_token;
+const EXPORT_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
 
-    const escapedOriginal = original.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(`\\b${escapedOriginal}\\b`, 'gi');
+// Speaking rate used to estimate cue length for transcripts saved before
+// timestamps were stored (~150 words per minute)
+const WORDS_PER_SECOND = 2.5;
 
-    result = result.replace(regex, corrected);
-  }
+/**
+ * Check whether a format is supported
+ */
+function isExportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+}
 
-  return result;
+/**
+ * Best available text for a transcript (user edits win over auto-corrections)
+ */
+function getTranscriptText(transcript) {
+  return transcript.final_text || transcript.personalized_text || transcript.raw_text || '';
 }
 
 /**
- * Get corrections from database
+ * Format seconds as HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT)
  */
-async function getCorrections(userId, minCount = 2) {
-  const { data, error } = await supabase
-    .from('corrections')
-    .select('*')
-    .eq('user_id', userId)
-    .eq('disabled', false)
-    .gte('count', minCount)
-    .order('count', { ascending: false });
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+    `${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+}
 
-  if (error) {
-    console.error('Error fetching corrections:', error);
-    return [];
+// Share of the shown text's words that must line up with the words Whisper
+// heard for its cues to keep the segment timings
+const MIN_ALIGNED_SHARE = 0.5;
+
+/**
+ * Split a transcript's shown text (with the user's edits) across its segments,
+ * so subtitles carry the edits with Whisper's timings. Words are aligned with
+ * the segment words ignoring case and punctuation; a word the user added or
+ * rewrote goes into the segment of the word before it. Returns null if too
+ * little of the text lines up for the timings to fit it.
+ */
+function alignTextToSegments(text, segments) {
+  const heard = [];
+  segments.forEach((segment, index) => {
+    for (const word of tokenize(segment.text)) heard.push({ word, segment: index });
+  });
+  const shown = tokenize(text);
+  if (heard.length === 0 || shown.length === 0) return null;
+
+  const ops = diffWords(heard.map(h => normalize(h.word)), shown.map(normalize));
+  const wordsBySegment = segments.map(() => []);
+  let i = 0;
+  let j = 0;
+  let aligned = 0;
+  let segment = heard[0].segment;
+
+  for (const { op, words } of ops) {
+    for (let k = 0; k < words.length; k++) {
+      if (op === 'removed') {
+        segment = heard[i++].segment;
+      } else if (op === 'equal') {
+        segment = heard[i++].segment;
+        wordsBySegment[segment].push(shown[j++]);
+        aligned++;
+      } else {
+        wordsBySegment[segment].push(shown[j++]);
+      }
+    }
   }
 
-  return data || [];
+  if (aligned < shown.length * MIN_ALIGNED_SHARE) return null;
+  return segments
+    .map((s, index) => ({ start: s.start, end: s.end, text: wordsBySegment[index].join(' ') }))
+    .filter(cue => cue.text);
 }
 
 /**
- * Save or update a correction
+ * Cues for text the segment timings don't fit: one per sentence, spread over
+ * the recording in proportion to their words
  */
-async function saveCorrection(userId, originalToken, correctedToken) {
-  // Check if correction already exists
-  const { data: existing } = await supabase
-    .from('corrections')
-    .select('*')
-    .eq('user_id', userId)
-    .eq('original_token', originalToken)
-    .eq('corrected_token', correctedToken)
-    .single();
-
-  if (existing) {
-    // Increment count
-    const { data, error } = await supabase
-      .from('corrections')
-      .update({
-        count: existing.count + 1,
-        last_seen_at: new Date().toISOString()
-      })
-      .eq('id', existing.id)
-      .select()
-      .single();
+function cuesFromText(text, length) {
+  const sentences = text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(Boolean);
+  const totalWords = sentences.reduce((sum, sentence) => sum + tokenize(sentence).length, 0);
+  let start = 0;
+
+  return sentences.map(sentence => {
+    const end = start + length * tokenize(sentence).length / totalWords;
+    const cue = { start, end, text: sentence };
+    start = end;
+    return cue;
+  });
+}
 
-    if (error) throw error;
-    return data;
-  } else {
-    // Create new correction
-    const id = `cor_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
-    const { data, error } = await supabase
-      .from('corrections')
-      .insert({
-        id,
-        user_id: userId,
-        original_token: originalToken,
-        corrected_token: correctedToken,
-        count: 1,
-        first_seen_at: new Date().toISOString(),
-        last_seen_at: new Date().toISOString(),
-        disabled: false
-      })
-      .select()
-      .single();
+/**
+ * Build subtitle cues for a list of transcripts played back to back.
+ * Each transcript's cues are offset by the length of the ones before it, so a
+ * series exports as one continuous subtitle track. Cues show the same text as
+ * the other formats (user edits win over auto-corrections), timed by Whisper's
+ * segments where it lines up with them; transcripts without segments become a
+ * single cue.
+ */
+function buildCues(transcripts) {
+  const cues = [];
+  let offset = 0;
+
+  for (const transcript of transcripts) {
+    const segments = Array.isArray(transcript.segments) ? transcript.segments : [];
+    let length = Number(transcript.duration_seconds) || 0;
+
+    if (segments.length > 0) {
+      length = Math.max(length, segments[segments.length - 1].end);
+      const text = getTranscriptText(transcript).trim();
+      const timed = alignTextToSegments(text, segments) || cuesFromText(text, length);
+      for (const cue of timed) {
+        cues.push({ start: offset + cue.start, end: offset + cue.end, text: cue.text });
+      }
+    } else {
+      const text = getTranscriptText(transcript).trim();
+      if (!text) continue;
+      if (!length) {
+        length = Math.max(1, text.split(/\s+/).length / WORDS_PER_SECOND);
+      }
+      cues.push({ start: offset, end: offset + length, text });
+    }
 
-    if (error) throw error;
-    return data;
+    offset += length;
   }
+
+  return cues;
 }
 
-// Route handlers
-async function handleHealth() {
-  return jsonResponse(200, {
-    status: 'ok',
-    bucket: BUCKET_NAME,
-    region: REGION,
-    features: {
-      transcription: !!openaiClient,
-      database: !!supabase
-    }
-  });
+/**
+ * Render transcripts as SubRip subtitles
+ */
+function toSrt(transcripts) {
+  return buildCues(transcripts)
+    .map((cue, index) =>
+      `${index + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
 }
 
-async function handleGetUploadUrl(body) {
-  const { filename, contentType } = body;
+/**
+ * Render transcripts as WebVTT subtitles
+ */
+function toVtt(transcripts) {
+  const cues = buildCues(transcripts)
+    .map(cue => `${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${cue.text}\n`);
 
-  if (!filename) {
-    return errorResponse(400, 'Filename is required');
-  }
+  return ['WEBVTT\n', ...cues].join('\n');
+}
+
+/**
+ * Render transcripts as Markdown with title/date front-matter.
+ * A single transcript becomes one document; a collection gets one section per recording.
+ */
+function toMarkdown(transcripts, { title }) {
+  const first = transcripts[0] || {};
+  const frontMatter = [
+    '---',
+    `title: ${JSON.stringify(title)}`,
+    `date: ${first.created_at || new Date().toISOString()}`
+  ];
+
+  if (transcripts.length === 1) {
+    frontMatter.push(`language: ${first.language || 'en'}`);
+  } else {
+    frontMatter.push(`recordings: ${transcripts.length}`);
+  }
+  frontMatter.push('---', '');
+
+  const body = [`# ${title}`, ''];
+
+  if (transcripts.length === 1) {
+    body.push(getTranscriptText(first), '');
+  } else {
+    transcripts.forEach(transcript => {
+      body.push(`## ${transcript.title || 'Untitled Recording'}`, '');
+      body.push(`*${transcript.created_at}*`, '');
+      body.push(getTranscriptText(transcript), '');
+    });
+  }
+
+  return frontMatter.concat(body).join('\n');
+}
+
+/**
+ * Render transcripts as a Word document
+ */
+async function toDocx(transcripts, { title }) {
+  const children = [new Paragraph({ text: title, heading: HeadingLevel.TITLE })];
+
+  transcripts.forEach(transcript => {
+    if (transcripts.length > 1) {
+      children.push(new Paragraph({
+        text: transcript.title || 'Untitled Recording',
+        heading: HeadingLevel.HEADING_1
+      }));
+    }
+    children.push(new Paragraph({
+      children: [new TextRun({ text: new Date(transcript.created_at).toUTCString(), italics: true })]
+    }));
+
+    getTranscriptText(transcript)
+      .split(/\n+/)
+      .filter(line => line.trim())
+      .forEach(line => children.push(new Paragraph({ text: line })));
+  });
+
+  const doc = new Document({ title, sections: [{ children }] });
+  return Packer.toBuffer(doc);
+}
+
+/**
+ * Render transcripts as lossless JSON (every stored column, including
+ * raw, personalized and final text and the Whisper timestamps)
+ */
+function toJson(transcripts, { title, scope }) {
+  return JSON.stringify({
+    format: 'my-whisper-export',
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    scope,
+    title,
+    transcripts
+  }, null, 2);
+}
+
+/**
+ * Render an export
+ *
+ * @param {Array<Object>} transcripts - Full transcript rows, in playback order
+ * @param {string} format - One of srt, vtt, md, docx, json
+ * @param {{title: string, scope: string}} options - Document title and scope (transcript, series or folder)
+ * @returns {Promise<{body: string|Buffer, contentType: string, filename: string}>}
+ */
+async function renderExport(transcripts, format, { title, scope }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  let body;
+
+  switch (format) {
+    case 'srt':
+      body = toSrt(transcripts);
+      break;
+    case 'vtt':
+      body = toVtt(transcripts);
+      break;
+    case 'md':
+      body = toMarkdown(transcripts, { title });
+      break;
+    case 'docx':
+      body = await toDocx(transcripts, { title });
+      break;
+    case 'json':
+      body = toJson(transcripts, { title, scope });
+      break;
+  }
+
+  const basename = title.replace(/[^a-z0-9]+/gi, '_').replace(/^_+|_+$/g, '') || 'transcript';
+  return { body, contentType, filename: `${basename}.${extension}` };
+}
+
+// ================================
+// CHUNKING FUNCTIONS
+// (mirrors app/services/chunking.js)
+// ================================
+
+// Whisper rejects uploads over 25 MB; leave headroom for the multipart envelope
+const WHISPER_MAX_UPLOAD_BYTES = 24 * 1024 * 1024;
+
+// Chunks are re-encoded as 16 kHz mono MP3 at 48 kbps (~3.5 MB per 10 minutes).
+// Consecutive chunks share CHUNK_OVERLAP_SECONDS of audio so a word cut off at
+// the end of one chunk is heard in full at the start of the next.
+const CHUNK_SECONDS = 600;
+const CHUNK_OVERLAP_SECONDS = 10;
+
+// Chunks sent to Whisper at once
+const CHUNK_CONCURRENCY = 3;
+
+// De-duplication looks for the longest run of matching tokens within this many
+// tokens either side of a boundary, and ignores runs shorter than MIN_OVERLAP_MATCH
+const OVERLAP_WINDOW_TOKENS = 60;
+const MIN_OVERLAP_MATCH = 2;
+
+/**
+ * Check whether a file is too large to send to Whisper in one request
+ */
+function needsChunking(sizeBytes) {
+  return sizeBytes > WHISPER_MAX_UPLOAD_BYTES;
+}
+
+/**
+ * ffmpeg binary: FFMPEG_PATH if set, otherwise the one bundled by ffmpeg-static
+ */
+function getFfmpegPath() {
+  return process.env.FFMPEG_PATH || require('ffmpeg-static');
+}
+
+/**
+ * Run ffmpeg and resolve with its log output (ffmpeg logs to stderr)
+ */
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    execFile(getFfmpegPath(), ['-hide_banner', '-y', ...args], { maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        const lastLine = (stderr || '').trim().split('\n').pop();
+        reject(new Error(`ffmpeg failed: ${lastLine || error.message}`));
+        return;
+      }
+      resolve(stderr);
+    });
+  });
+}
+
+/**
+ * Read the length of the encoded audio from ffmpeg's final progress line.
+ * Browser recordings (WebM from MediaRecorder) often carry no duration in
+ * their headers, so this is measured while re-encoding rather than probed.
+ */
+function parseEncodedDuration(ffmpegOutput) {
+  const matches = [...ffmpegOutput.matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+  const last = matches[matches.length - 1];
+  if (!last) return null;
+
+  return Number(last[1]) * 3600 + Number(last[2]) * 60 + Number(last[3]);
+}
+
+/**
+ * Split an audio file into overlapping MP3 chunks
+ *
+ * @param {string} inputPath - Local audio file (any format ffmpeg reads)
+ * @param {string} workDir - Directory for the intermediate files
+ * @returns {Promise<Array<{path: string, offset: number}>>} Chunks in order, with their start time in seconds
+ */
+async function splitAudio(inputPath, workDir) {
+  const normalizedPath = path.join(workDir, 'normalized.mp3');
+  const output = await runFfmpeg(['-i', inputPath, '-vn', '-ac', '1', '-ar', '16000', '-b:a', '48k', normalizedPath]);
+  const duration = parseEncodedDuration(output);
+  if (!duration) {
+    throw new Error('Could not determine audio duration');
+  }
+
+  const chunks = [];
+  const step = CHUNK_SECONDS - CHUNK_OVERLAP_SECONDS;
+  for (let offset = 0; offset < duration; offset += step) {
+    const chunkPath = path.join(workDir, `chunk-${chunks.length}.mp3`);
+    await runFfmpeg(['-ss', String(offset), '-t', String(CHUNK_SECONDS), '-i', normalizedPath, '-c', 'copy', chunkPath]);
+    chunks.push({ path: chunkPath, offset });
+
+    if (offset + CHUNK_SECONDS >= duration) break;
+  }
+
+  return chunks;
+}
+
+/**
+ * Comparison key for a token: lowercase letters and digits only, so
+ * "Hello," in one chunk matches "hello" in the next
+ */
+function tokenKey(token) {
+  return (token || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+/**
+ * Find where the end of one chunk lines up with the start of the next: the
+ * longest run of matching tokens between the tail of `previousKeys` and the
+ * head of `nextKeys`.
+ *
+ * @returns {{previousEnd: number, nextStart: number}|null} Keep previous[0, previousEnd)
+ *          and next[nextStart, ...), or null when no reliable match was found
+ */
+function findOverlap(previousKeys, nextKeys) {
+  const previousFrom = Math.max(0, previousKeys.length - OVERLAP_WINDOW_TOKENS);
+  const nextTo = Math.min(nextKeys.length, OVERLAP_WINDOW_TOKENS);
+  let best = null;
+  let bestLength = 0;
+  let runs = new Array(nextTo + 1).fill(0);
+
+  for (let i = previousFrom; i < previousKeys.length; i++) {
+    const current = new Array(nextTo + 1).fill(0);
+    for (let j = 0; j < nextTo; j++) {
+      if (previousKeys[i] && previousKeys[i] === nextKeys[j]) {
+        current[j + 1] = runs[j] + 1;
+        if (current[j + 1] > bestLength) {
+          bestLength = current[j + 1];
+          best = { previousEnd: i + 1, nextStart: j + 1 };
+        }
+      }
+    }
+    runs = current;
+  }
+
+  return bestLength >= MIN_OVERLAP_MATCH ? best : null;
+}
+
+/**
+ * Stitch per-chunk Whisper results into one transcription.
+ * Text and words are de-duplicated by aligning the tokens both chunks heard in
+ * the shared audio; when nothing lines up, words are cut halfway through the
+ * overlap and the text is joined as is. Segments are split around the same
+ * point; a sentence that straddles a boundary may appear in both neighbouring
+ * segments, but none is dropped. All times are shifted onto the full recording.
+ *
+ * @param {Array<{offset: number, transcription: Object}>} chunks - verbose_json results in order
+ * @returns {{text: string, language: string|null, duration: number, segments: Array, words: Array}}
+ */
+function mergeChunkTranscriptions(chunks) {
+  let tokens = [];
+  let words = [];
+  let segments = [];
+  let duration = 0;
+  const languageCounts = {};
+
+  chunks.forEach(({ offset, transcription }, index) => {
+    const chunkTokens = (transcription?.text || '').trim().split(/\s+/).filter(Boolean);
+    const chunkWords = (Array.isArray(transcription?.words) ? transcription.words : [])
+      .map(word => ({ ...word, start: word.start + offset, end: word.end + offset }));
+    const chunkSegments = (Array.isArray(transcription?.segments) ? transcription.segments : [])
+      .map(segment => ({ ...segment, start: segment.start + offset, end: segment.end + offset }));
+
+    if (transcription?.language) {
+      languageCounts[transcription.language] = (languageCounts[transcription.language] || 0) + chunkTokens.length;
+    }
+    duration = Math.max(duration, offset + (Number(transcription?.duration) || 0));
+
+    if (index === 0) {
+      tokens = chunkTokens;
+      words = chunkWords;
+      segments = chunkSegments;
+      return;
+    }
+
+    const textOverlap = findOverlap(tokens.map(tokenKey), chunkTokens.map(tokenKey));
+    tokens = textOverlap
+      ? tokens.slice(0, textOverlap.previousEnd).concat(chunkTokens.slice(textOverlap.nextStart))
+      : tokens.concat(chunkTokens);
+
+    let cut = offset + CHUNK_OVERLAP_SECONDS / 2;
+    const wordOverlap = findOverlap(words.map(word => tokenKey(word.word)), chunkWords.map(word => tokenKey(word.word)));
+    if (wordOverlap) {
+      cut = words[wordOverlap.previousEnd - 1].end;
+      words = words.slice(0, wordOverlap.previousEnd).concat(chunkWords.slice(wordOverlap.nextStart));
+    } else {
+      words = words.filter(word => word.start < cut).concat(chunkWords.filter(word => word.start >= cut));
+    }
+
+    // Keep every segment of the new chunk that runs past the cut, and trim the
+    // previous chunk's segments to end where the first of those starts (none
+    // is trimmed if the new chunk only repeats what is already there)
+    const keptSegments = chunkSegments.filter(segment => segment.end > cut);
+    const segmentCut = keptSegments.length > 0 ? keptSegments[0].start : Infinity;
+    segments = segments
+      .filter(segment => segment.start < segmentCut)
+      .map(segment => ({ ...segment, end: Math.min(segment.end, segmentCut) }))
+      .concat(keptSegments);
+  });
+
+  const language = Object.keys(languageCounts)
+    .sort((a, b) => languageCounts[b] - languageCounts[a])[0] || null;
+
+  return { text: tokens.join(' '), language, duration, segments, words };
+}
+
+/**
+ * Transcribe a recording that is too large for one Whisper request
+ *
+ * @param {string} filePath - Local audio file
+ * @param {function(string): Promise<Object>} transcribeFile - Sends one file to Whisper and resolves with verbose_json
+ * @returns {Promise<Object>} verbose_json-shaped transcription of the whole recording
+ */
+async function transcribeInChunks(filePath, transcribeFile) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'whisper-chunks-'));
+
+  try {
+    const chunks = await splitAudio(filePath, workDir);
+    const results = new Array(chunks.length);
+    let nextChunk = 0;
+
+    const worker = async () => {
+      while (nextChunk < chunks.length) {
+        const index = nextChunk++;
+        results[index] = {
+          offset: chunks[index].offset,
+          transcription: await transcribeFile(chunks[index].path)
+        };
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(CHUNK_CONCURRENCY, chunks.length) }, worker));
+
+    console.log(`Transcribed ${chunks.length} chunk(s) of ${path.basename(filePath)}`);
+    return mergeChunkTranscriptions(results);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// ================================
+// AUDIO METADATA FUNCTIONS
+// (mirrors app/services/metadata.js)
+// ================================
+
+// Anything outside these bounds is treated as a bad reading rather than stored
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+const MIN_SAMPLE_RATE = 1000;
+const MAX_SAMPLE_RATE = 384000;
+const MAX_CHANNELS = 32;
+
+// Client and server durations further apart than this are logged
+const DURATION_MISMATCH_SECONDS = 5;
+
+/**
+ * Return `value` as a number within [min, max], or null
+ */
+function toBoundedNumber(value, min, max) {
+  const number = Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(number)) return null;
+  return number >= min && number <= max ? number : null;
+}
+
+/**
+ * Lowercase codec name, e.g. "Opus" -> "opus", "MPEG-4/AAC" -> "aac"
+ */
+function normalizeCodec(codec) {
+  if (!codec || typeof codec !== 'string') return null;
+  const name = codec.trim().toLowerCase();
+  return (name.split('/').pop() || '').slice(0, 40) || null;
+}
+
+/**
+ * Codec named in a MIME type's codecs parameter, e.g. "audio/webm;codecs=opus" -> "opus"
+ */
+function codecFromMimeType(mimeType) {
+  const match = typeof mimeType === 'string' ? mimeType.match(/codecs="?([^";,]+)/i) : null;
+  return match ? normalizeCodec(match[1]) : null;
+}
+
+/**
+ * Sanitize the metadata the browser sends with a transcription request
+ *
+ * @param {Object} input - { durationSeconds, mimeType, sampleRate, channelCount, sizeBytes }
+ * @returns {{durationSeconds: number|null, codec: string|null, sampleRate: number|null,
+ *            channels: number|null, sizeBytes: number|null, mimeType: string|null}}
+ */
+function parseClientMetadata(input) {
+  const metadata = input && typeof input === 'object' ? input : {};
+  const sampleRate = toBoundedNumber(metadata.sampleRate, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE);
+  const channels = toBoundedNumber(metadata.channelCount, 1, MAX_CHANNELS);
+  const sizeBytes = toBoundedNumber(metadata.sizeBytes, 1, Number.MAX_SAFE_INTEGER);
+
+  return {
+    durationSeconds: toBoundedNumber(metadata.durationSeconds, 0, MAX_DURATION_SECONDS),
+    codec: codecFromMimeType(metadata.mimeType),
+    sampleRate: sampleRate && Math.round(sampleRate),
+    channels: channels && Math.round(channels),
+    sizeBytes: sizeBytes && Math.round(sizeBytes),
+    mimeType: typeof metadata.mimeType === 'string' ? metadata.mimeType.slice(0, 100) : null
+  };
+}
+
+/**
+ * Parse an audio file's container header
+ * Never throws: unreadable files just report their size.
+ *
+ * @param {Buffer} buffer - The uploaded file
+ * @param {string|null} mimeType - Hint for the parser (e.g. audio/webm)
+ * @returns {Promise<{durationSeconds, codec, sampleRate, channels, sizeBytes}>}
+ */
+async function readAudioMetadata(buffer, mimeType) {
+  const metadata = {
+    durationSeconds: null,
+    codec: null,
+    sampleRate: null,
+    channels: null,
+    sizeBytes: buffer.length
+  };
+
+  try {
+    const { format } = await mm.parseBuffer(buffer, mimeType ? { mimeType } : undefined, {
+      duration: true,
+      skipCovers: true
+    });
+    metadata.durationSeconds = toBoundedNumber(format.duration, 0, MAX_DURATION_SECONDS);
+    metadata.codec = normalizeCodec(format.codec);
+    metadata.sampleRate = toBoundedNumber(format.sampleRate, MIN_SAMPLE_RATE, MAX_SAMPLE_RATE);
+    metadata.channels = toBoundedNumber(format.numberOfChannels, 1, MAX_CHANNELS);
+  } catch (error) {
+    console.error('Error reading audio metadata:', error.message);
+  }
+
+  return metadata;
+}
+
+/**
+ * Pick the values to store on the transcript. The file header wins, then
+ * Whisper's measured duration, then whatever the browser reported.
+ * Durations are stored as whole seconds.
+ *
+ * @param {Object} verified - Output of readAudioMetadata
+ * @param {Object} client - Output of parseClientMetadata
+ * @param {number|null} whisperDuration - `duration` from the verbose_json transcription
+ * @returns {{durationSeconds, audioCodec, audioSampleRate, audioChannels, audioSizeBytes}}
+ */
+function resolveAudioMetadata(verified, client, whisperDuration) {
+  const duration = verified.durationSeconds
+    ?? toBoundedNumber(whisperDuration, 0, MAX_DURATION_SECONDS)
+    ?? client.durationSeconds;
+
+  if (duration !== null && client.durationSeconds !== null &&
+      Math.abs(duration - client.durationSeconds) > DURATION_MISMATCH_SECONDS) {
+    console.warn(`Client-reported duration ${client.durationSeconds}s differs from measured ${duration}s`);
+  }
+
+  return {
+    durationSeconds: duration === null ? null : Math.round(duration),
+    audioCodec: verified.codec || client.codec,
+    audioSampleRate: verified.sampleRate || client.sampleRate,
+    audioChannels: verified.channels || client.channels,
+    audioSizeBytes: verified.sizeBytes || client.sizeBytes
+  };
+}
+
+// ================================
+// DICTIONARY FUNCTIONS
+// (mirrors app/services/dictionary.js)
+// ================================
+
+const DICTIONARY_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' }
+};
+
+// Columns of an exported dictionary, in CSV order (also the JSON keys)
+const DICTIONARY_COLUMNS = [
+  'original_token', 'corrected_token', 'language', 'left_context', 'right_context',
+  'count', 'disabled', 'phonetic_disabled', 'folder_id', 'series_id'
+];
+
+// Limits on an imported dictionary
+const IMPORT_MAX_ROWS = 10000;
+const IMPORT_MAX_TOKEN_LENGTH = 200;
+
+// Spreadsheet apps run cells starting with these as formulas, so exported
+// cells that do are prefixed with an apostrophe (stripped again on import)
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Check whether a dictionary format is supported
+ */
+function isDictionaryFormat(format) {
+  return Object.prototype.hasOwnProperty.call(DICTIONARY_FORMATS, format);
+}
+
+/**
+ * The exported fields of a correction row
+ */
+function toDictionaryEntry(correction) {
+  return {
+    original_token: correction.original_token || '',
+    corrected_token: correction.corrected_token || '',
+    language: correction.language || DEFAULT_LANGUAGE,
+    left_context: correction.left_context || '',
+    right_context: correction.right_context || '',
+    count: correction.count || 1,
+    disabled: !!correction.disabled,
+    phonetic_disabled: !!correction.phonetic_disabled,
+    folder_id: correction.folder_id || '',
+    series_id: correction.series_id || ''
+  };
+}
+
+/**
+ * Quote a CSV cell if it needs it
+ */
+function toCsvCell(value) {
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a dictionary export
+ *
+ * @param {Array<Object>} corrections - Correction rows
+ * @param {string} format - json or csv
+ * @returns {{body: string, contentType: string, filename: string}}
+ */
+function renderDictionary(corrections, format) {
+  const { contentType, extension } = DICTIONARY_FORMATS[format];
+  const entries = corrections.map(toDictionaryEntry);
+
+  let body;
+  if (format === 'csv') {
+    const lines = [DICTIONARY_COLUMNS.join(',')];
+    for (const entry of entries) {
+      lines.push(DICTIONARY_COLUMNS.map(column => toCsvCell(entry[column])).join(','));
+    }
+    body = lines.join('\r\n') + '\r\n';
+  } else {
+    body = JSON.stringify({
+      format: 'my-whisper-vocabulary',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      corrections: entries
+    }, null, 2);
+  }
+
+  return { body, contentType, filename: `vocabulary.${extension}` };
+}
+
+/**
+ * Undo the formula-guard apostrophe added on export
+ */
+function fromCsvCell(value) {
+  return /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+}
+
+/**
+ * Parse an uploaded dictionary into raw entries, one per row
+ *
+ * @param {string} content - File contents
+ * @param {string} format - json or csv
+ * @returns {{entries: Array<{line: number, fields: Object}>, error: string|null}}
+ */
+function parseDictionary(content, format) {
+  if (typeof content !== 'string' || !content.trim()) {
+    return { entries: [], error: 'The file is empty' };
+  }
+
+  let entries;
+  if (format === 'csv') {
+    // Quoted cells may hold commas, doubled quotes and line breaks (RFC 4180)
+    let header = [];
+    let records;
+    try {
+      records = parse(content, {
+        bom: true,
+        columns: row => (header = row.map(column => column.toLowerCase())),
+        skip_empty_lines: true,
+        trim: true,
+        relax_column_count: true,
+        info: true
+      });
+    } catch (error) {
+      return { entries: [], error: `The file is not valid CSV (${error.message})` };
+    }
+    if (header.length === 0) return { entries: [], error: 'The file is empty' };
+
+    if (!header.includes('original_token') || !header.includes('corrected_token')) {
+      return { entries: [], error: 'The CSV header must include original_token and corrected_token' };
+    }
+
+    entries = records.map(({ record, info }) => {
+      const fields = {};
+      for (const [column, value] of Object.entries(record)) fields[column] = fromCsvCell(value);
+      // The line the record ends on, as csv-parse counts them
+      return { line: info.lines, fields };
+    });
+  } else {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      return { entries: [], error: 'The file is not valid JSON' };
+    }
+
+    // A file exported from here, or a bare array of corrections
+    const list = Array.isArray(parsed) ? parsed : parsed?.corrections;
+    if (!Array.isArray(list)) {
+      return { entries: [], error: 'Expected a list of corrections' };
+    }
+    entries = list.map((fields, index) => ({ line: index + 1, fields }));
+  }
+
+  if (entries.length > IMPORT_MAX_ROWS) {
+    return { entries: [], error: `A dictionary can have at most ${IMPORT_MAX_ROWS} corrections` };
+  }
+  return { entries, error: null };
+}
+
+/**
+ * Read a yes/no cell ("true", "false", "1", "0", "yes", "no" or blank)
+ */
+function parseFlag(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', '1', 'yes'].includes(text)) return true;
+  if (['false', '0', 'no', ''].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Validate one imported row
+ *
+ * @param {Object} fields - The row's fields, keyed by column
+ * @param {number} defaultCount - Count for rows that don't give one
+ * @param {{folderIds: Set<string>, seriesIds: Set<string>}} scopes - The user's folders and series,
+ *        which scoped rows must belong to
+ * @returns {{correction: Object|null, error: string|null}}
+ */
+function validateDictionaryEntry(fields, defaultCount, scopes) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return { correction: null, error: 'Not a correction' };
+  }
+
+  const text = key => (fields[key] === undefined || fields[key] === null ? '' : String(fields[key]).trim());
+  const originalToken = text('original_token');
+  const correctedToken = text('corrected_token');
+  const leftContext = text('left_context').toLowerCase();
+  const rightContext = text('right_context').toLowerCase();
+
+  if (!originalToken && !correctedToken) {
+    return { correction: null, error: 'original_token or corrected_token is required' };
+  }
+  if (originalToken === correctedToken) {
+    return { correction: null, error: 'Corrected text must differ from the original' };
+  }
+  if ((!originalToken || !correctedToken) && !leftContext && !rightContext) {
+    return { correction: null, error: 'Insertions and deletions need a left_context or right_context' };
+  }
+  if ([originalToken, correctedToken, leftContext, rightContext].some(t => t.length > IMPORT_MAX_TOKEN_LENGTH)) {
+    return { correction: null, error: `Text is limited to ${IMPORT_MAX_TOKEN_LENGTH} characters` };
+  }
+
+  const language = text('language') || DEFAULT_LANGUAGE;
+  if (language === AUTO_DETECT || !isValidLanguage(language)) {
+    return { correction: null, error: `Unsupported language "${language}"` };
+  }
+
+  let count = defaultCount;
+  if (text('count')) {
+    count = Number(text('count'));
+    if (!Number.isInteger(count) || count < 1) {
+      return { correction: null, error: 'count must be a whole number of at least 1' };
+    }
+  }
+
+  const disabled = parseFlag(fields.disabled);
+  const phoneticDisabled = parseFlag(fields.phonetic_disabled);
+  if (disabled === null || phoneticDisabled === null) {
+    return { correction: null, error: 'disabled and phonetic_disabled must be true or false' };
+  }
+
+  const folderId = text('folder_id');
+  const seriesId = text('series_id');
+  if (folderId && seriesId) {
+    return { correction: null, error: 'A correction can be scoped to a folder or a series, not both' };
+  }
+  if (folderId && !scopes.folderIds.has(folderId)) {
+    return { correction: null, error: `Unknown folder "${folderId}"` };
+  }
+  if (seriesId && !scopes.seriesIds.has(seriesId)) {
+    return { correction: null, error: `Unknown series "${seriesId}"` };
+  }
+
+  return {
+    correction: {
+      original_token: originalToken,
+      corrected_token: correctedToken,
+      language,
+      left_context: leftContext,
+      right_context: rightContext,
+      count,
+      disabled,
+      phonetic_disabled: phoneticDisabled,
+      folder_id: folderId || null,
+      series_id: seriesId || null
+    },
+    error: null
+  };
+}
+
+/**
+ * Whether two corrections are the same entry: same language, context and
+ * scope, similar originals (see areSimilarPhrases) and the same corrected text
+ */
+function isSameEntry(a, b) {
+  return a.language === b.language &&
+    a.left_context === b.left_context &&
+    a.right_context === b.right_context &&
+    (a.folder_id || '') === (b.folder_id || '') &&
+    (a.series_id || '') === (b.series_id || '') &&
+    a.corrected_token === b.corrected_token &&
+    areSimilarPhrases(a.original_token, b.original_token);
+}
+
+/**
+ * Work out what importing a dictionary would do, without changing anything.
+ * Each valid row either creates a correction or merges into an existing one
+ * (or an earlier row of the same file); a merge keeps the higher count, so
+ * importing the same file twice changes nothing the second time.
+ *
+ * @param {Array<{line: number, fields: Object}>} entries - From parseDictionary
+ * @param {Array<Object>} existing - The user's current correction rows
+ * @param {number} defaultCount - Count for rows that don't give one
+ * @param {{folderIds?: Iterable<string>, seriesIds?: Iterable<string>}} scopes - The user's folder
+ *        and series ids; rows scoped to any other are invalid
+ * @returns {{rows: Array<Object>, creates: Array<Object>, updates: Array<{id: string, count: number}>,
+ *            summary: {created: number, merged: number, unchanged: number, invalid: number}}}
+ */
+function planDictionaryImport(entries, existing, defaultCount, { folderIds = [], seriesIds = [] } = {}) {
+  const scopes = { folderIds: new Set(folderIds), seriesIds: new Set(seriesIds) };
+  const rows = [];
+  const creates = [];
+  const updates = new Map();
+  const summary = { created: 0, merged: 0, unchanged: 0, invalid: 0 };
+  const known = existing.map(c => ({ ...toDictionaryEntry(c), id: c.id }));
+
+  for (const { line, fields } of entries) {
+    const { correction, error } = validateDictionaryEntry(fields, defaultCount, scopes);
+    if (error) {
+      rows.push({ line, action: 'invalid', error });
+      summary.invalid++;
+      continue;
+    }
+
+    const row = {
+      line,
+      original_token: correction.original_token,
+      corrected_token: correction.corrected_token,
+      language: correction.language
+    };
+
+    const match = known.find(k => isSameEntry(k, correction));
+    if (!match) {
+      const created = { ...correction };
+      creates.push(created);
+      known.push(created);
+      rows.push({ ...row, action: 'create' });
+      summary.created++;
+    } else if (correction.count > match.count) {
+      match.count = correction.count;
+      if (match.id) updates.set(match.id, { id: match.id, count: match.count });
+      rows.push({ ...row, action: 'merge' });
+      summary.merged++;
+    } else {
+      rows.push({ ...row, action: 'unchanged' });
+      summary.unchanged++;
+    }
+  }
+
+  return { rows, creates, updates: [...updates.values()], summary };
+}
+
+// ================================
+// GLOSSARY FUNCTIONS
+// (mirrors app/services/glossary.js)
+// ================================
+
+// Whisper only reads the last 224 tokens of a prompt
+const WHISPER_PROMPT_MAX_TOKENS = 224;
+const GLOSSARY_PROMPT_PREFIX = 'Glossary: ';
+
+const GLOSSARY_MAX_TERMS = 500;
+const GLOSSARY_MAX_TERM_LENGTH = 100;
+
+// Corrections are suggested as terms once their (decayed) score reaches this,
+// summed across the contexts they were learned in
+const SUGGESTION_MIN_SCORE = 3;
+const SUGGESTION_MAX_WORDS = 4;
+const SUGGESTION_LIMIT = 10;
+
+/**
+ * Clean up a term as typed: trimmed, inner whitespace collapsed, and
+ * punctuation that would break the prompt's comma list removed
+ */
+function normalizeGlossaryTerm(term) {
+  return String(term || '').replace(/[,;\n\r\t]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Check a (normalized) term can go in the glossary
+ * @returns {string|null} Why it can't, or null if it can
+ */
+function validateGlossaryTerm(term) {
+  if (!term) return 'Term cannot be empty';
+  if (term.length > GLOSSARY_MAX_TERM_LENGTH) return `Terms are limited to ${GLOSSARY_MAX_TERM_LENGTH} characters`;
+  if (!/[\p{L}\p{N}]/u.test(term)) return 'Term must contain a letter or number';
+  return null;
+}
+
+/**
+ * Key two spellings of the same term share ("openai" for "OpenAI" and "openAI")
+ */
+function glossaryKey(term) {
+  return normalizeGlossaryTerm(term).toLowerCase();
+}
+
+/**
+ * Rough token count for Whisper's tokenizer. Errs high (English averages
+ * about four characters a token; names and other languages split finer),
+ * so a prompt estimated to fit does.
+ */
+function estimatePromptTokens(text) {
+  return Math.ceil(text.length / 3);
+}
+
+/**
+ * Order terms by how much they should get into the prompt: pinned first,
+ * then ones added by hand, then accepted suggestions, newest first within each
+ */
+function rankGlossaryTerms(terms) {
+  const sourceRank = term => (term.source === 'suggested' ? 1 : 0);
+  return [...terms].sort((a, b) =>
+    (b.pinned ? 1 : 0) - (a.pinned ? 1 : 0) ||
+    sourceRank(a) - sourceRank(b) ||
+    String(b.created_at || '').localeCompare(String(a.created_at || ''))
+  );
+}
+
+/**
+ * Build the Whisper prompt for a glossary: as many terms as fit the
+ * prompt limit, in rank order (see rankGlossaryTerms). Terms that don't
+ * fit are skipped, so a shorter one further down can still go in.
+ *
+ * @param {Array<{id: string, term: string, pinned?: boolean, source?: string}>} terms - Glossary terms
+ * @param {number} maxTokens - Prompt budget (default: Whisper's limit)
+ * @returns {{prompt: string, includedIds: Array<string>, tokens: number}} The prompt ('' for an
+ *          empty glossary), the terms in it and its estimated size
+ */
+function buildGlossaryPrompt(terms, maxTokens = WHISPER_PROMPT_MAX_TOKENS) {
+  const included = [];
+  let prompt = '';
+
+  for (const term of rankGlossaryTerms(terms)) {
+    const candidate = included.length === 0
+      ? `${GLOSSARY_PROMPT_PREFIX}${term.term}.`
+      : `${prompt.slice(0, -1)}, ${term.term}.`;
+    if (estimatePromptTokens(candidate) > maxTokens) continue;
+    prompt = candidate;
+    included.push(term.id);
+  }
+
+  return { prompt, includedIds: included, tokens: prompt ? estimatePromptTokens(prompt) : 0 };
+}
+
+/**
+ * Whether a correction's target looks like a glossary term: a short phrase
+ * with a capital letter or digit in it (names, acronyms, products), not
+ * ordinary words. Corrections store sentence-initial words uncapitalised, so a
+ * capital here was chosen.
+ */
+function isGlossaryCandidate(text) {
+  const words = text.split(/\s+/).filter(Boolean);
+  return words.length > 0 && words.length <= SUGGESTION_MAX_WORDS && /[\p{Lu}\p{N}]/u.test(text);
+}
+
+/**
+ * Suggest glossary terms from the targets of a user's strongest corrections
+ * that aren't already in the glossary
+ *
+ * @param {Array<Object>} corrections - Correction rows
+ * @param {Array<{term: string}>} terms - Current glossary terms
+ * @returns {Array<{term: string, score: number, corrections: number}>} Best first
+ */
+function suggestGlossaryTerms(corrections, terms) {
+  const existing = new Set(terms.map(t => glossaryKey(t.term)));
+  const candidates = new Map();
+
+  for (const c of scoreCorrections(corrections)) {
+    if (c.disabled || c.conflicted) continue;
+
+    const term = normalizeGlossaryTerm(c.corrected_token);
+    if (!term || validateGlossaryTerm(term) || !isGlossaryCandidate(term)) continue;
+
+    const key = glossaryKey(term);
+    if (existing.has(key)) continue;
+    if (!candidates.has(key)) candidates.set(key, { term, score: 0, corrections: 0 });
+    const candidate = candidates.get(key);
+    candidate.score += c.score;
+    candidate.corrections++;
+  }
+
+  return [...candidates.values()]
+    .filter(s => s.score >= SUGGESTION_MIN_SCORE)
+    .map(s => ({ ...s, score: Math.round(s.score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score || a.term.localeCompare(b.term))
+    .slice(0, SUGGESTION_LIMIT);
+}
+
+// ================================
+// VERSION FUNCTIONS
+// (mirrors app/services/versions.js)
+// ================================
+
+// Unchanged words kept either side of a change, to show where it was made
+const DIFF_CONTEXT_WORDS = 5;
+
+// Word comparisons allowed for one diff. Past this (a long transcript largely
+// rewritten), the changed middle is reported as a single replacement.
+const DIFF_MAX_CELLS = 4000000;
+
+/**
+ * Edit script between two word arrays, as runs of 'equal', 'removed' and
+ * 'added' words. Words match exactly: a casing or punctuation fix is a change.
+ */
+function diffWords(before, after) {
+  let prefix = 0;
+  while (prefix < before.length && prefix < after.length && before[prefix] === after[prefix]) prefix++;
+
+  let suffix = 0;
+  while (suffix < before.length - prefix && suffix < after.length - prefix &&
+    before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+
+  const a = before.slice(prefix, before.length - suffix);
+  const b = after.slice(prefix, after.length - suffix);
+  const ops = [];
+  const push = (op, word) => {
+    const last = ops[ops.length - 1];
+    if (last && last.op === op) last.words.push(word);
+    else ops.push({ op, words: [word] });
+  };
+
+  before.slice(0, prefix).forEach(w => push('equal', w));
+
+  if (a.length * b.length > DIFF_MAX_CELLS) {
+    a.forEach(w => push('removed', w));
+    b.forEach(w => push('added', w));
+  } else {
+    // LCS lengths of every pair of suffixes, one flat row per word of a
+    const cols = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * cols);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * cols + j] = a[i] === b[j]
+          ? lengths[(i + 1) * cols + j + 1] + 1
+          : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        push('equal', a[i++]);
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1])) {
+        push('removed', a[i++]);
+      } else {
+        push('added', b[j++]);
+      }
+    }
+  }
+
+  before.slice(before.length - suffix).forEach(w => push('equal', w));
+  return ops;
+}
+
+/**
+ * Diff a transcript version against the one before it
+ *
+ * @param {string} previousText - The previous version's text
+ * @param {string} text - The new version's text
+ * @returns {{changes: Array<{at: number, before: string, removed: string, added: string, after: string}>,
+ *            added: number, removed: number}} Each change with its word offset in the previous text and
+ *          a few unchanged words either side, plus the total words added and removed
+ */
+function diffVersions(previousText, text) {
+  const ops = diffWords(tokenize(previousText), tokenize(text));
+  const changes = [];
+  let added = 0;
+  let removed = 0;
+  let at = 0;
+
+  for (let k = 0; k < ops.length; k++) {
+    const op = ops[k];
+    if (op.op === 'equal') {
+      at += op.words.length;
+      continue;
+    }
+
+    // A removal followed by an addition is one replacement
+    const change = { at, before: '', removed: '', added: '', after: '' };
+    const previous = ops[k - 1];
+    if (previous) change.before = previous.words.slice(-DIFF_CONTEXT_WORDS).join(' ');
+
+    if (op.op === 'removed') {
+      change.removed = op.words.join(' ');
+      removed += op.words.length;
+      at += op.words.length;
+      if (ops[k + 1]?.op === 'added') {
+        k++;
+        change.added = ops[k].words.join(' ');
+        added += ops[k].words.length;
+      }
+    } else {
+      change.added = op.words.join(' ');
+      added += op.words.length;
+    }
+
+    const next = ops[k + 1];
+    if (next) change.after = next.words.slice(0, DIFF_CONTEXT_WORDS).join(' ');
+    changes.push(change);
+  }
+
+  return { changes, added, removed };
+}
+
+// Columns returned when listing transcripts. Segment/word timestamps are
+// left out to keep the history payload small; fetch a single transcript for those.
+const TRANSCRIPT_LIST_COLUMNS = [
+  'id', 'user_id', 'raw_text', 'personalized_text', 'final_text', 'audio_url',
+  'duration_seconds', 'title', 'created_at', 'updated_at', 'folder_id',
+  'series_id', 'series_order', 'is_disposable', 'language', 'audio_codec',
+  'audio_sample_rate', 'audio_channels', 'audio_size_bytes'
+].join(', ');
+
+// ================================
+// PERSONALIZATION FUNCTIONS
+// ================================
+
+// Words either side of an edit that are stored with it as its context
+const CONTEXT_WORDS = 1;
+
+// The sentence recorded with each edit is cut to this many words either side of it
+const SENTENCE_CONTEXT_WORDS = 15;
+
+// A correction learned in at least this many different contexts is applied everywhere
+const CONTEXT_FREE_MIN_CONTEXTS = 3;
+
+// Phonetic grouping: once PHONETIC_MIN_VARIANTS different spellings that sound
+// alike have been corrected to the same word, any other spelling with the same
+// phonetic key is corrected too, provided it is spelled at least
+// PHONETIC_MIN_SIMILARITY like one already seen (1 = identical). Words shorter
+// than PHONETIC_MIN_LETTERS are never grouped.
+const PHONETIC_MIN_VARIANTS = 2;
+const PHONETIC_MIN_SIMILARITY = 0.7;
+const PHONETIC_MIN_LETTERS = 4;
+
+// Confidence decay: a correction's count holds in full for DECAY_GRACE_DAYS
+// after it was last seen, then halves every DECAY_HALF_LIFE_DAYS
+const DECAY_GRACE_DAYS = 30;
+const DECAY_HALF_LIFE_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where the same words (in the same context) have been corrected to different
+// targets, a target is only applied once it holds this share of their combined score
+const CONFLICT_MIN_SHARE = 0.75;
+
+// Contextual rows scoring below this no longer count towards promotion to context-free
+const PROMOTION_MIN_SCORE = 1;
+
+/**
+ * Tokenize text into words
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return text.trim().split(/\s+/).filter(w => w.length > 0);
+}
+
+/**
+ * Normalize text for comparison
+ */
+function normalize(word) {
+  return word.toLowerCase().replace(/[.,!?;:'"]/g, '');
+}
+
+/**
+ * Find longest common subsequence between two word arrays
+ */
+function findLCS(words1, words2) {
+  const m = words1.length;
+  const n = words2.length;
+
+  const dp = Array(m + 1).fill(null).map(() => Array(n + 1).fill(0));
+
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      if (normalize(words1[i - 1]) === normalize(words2[j - 1])) {
+        dp[i][j] = dp[i - 1][j - 1] + 1;
+      } else {
+        dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
+      }
+    }
+  }
+
+  const matches = [];
+  let i = m, j = n;
+
+  while (i > 0 && j > 0) {
+    if (normalize(words1[i - 1]) === normalize(words2[j - 1])) {
+      matches.unshift({ i: i - 1, j: j - 1 });
+      i--;
+      j--;
+    } else if (dp[i - 1][j] > dp[i][j - 1]) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Strip punctuation from word for matching, preserving for output
+ */
+function stripPunctuation(word) {
+  return word.replace(/^[.,!?;:'"]+|[.,!?;:'"]+$/g, '');
+}
+
+/**
+ * Punctuation at the start / end of a word or phrase, e.g. "," for "email,"
+ */
+function leadingPunctuation(text) {
+  const match = text.match(/^[.,!?;:'"]+/);
+  return match ? match[0] : '';
+}
+
+function trailingPunctuation(text) {
+  const match = text.match(/[.,!?;:'"]+$/);
+  return match ? match[0] : '';
+}
+
+/**
+ * The corrected side of an edit, keeping only the punctuation the user
+ * changed: "e mail" -> "email," keeps its comma, "quik," -> "quick," does not
+ * (the comma already follows the word wherever it is matched)
+ */
+function keepChangedPunctuation(originalText, correctedText) {
+  let corrected = correctedText;
+  const trailing = trailingPunctuation(corrected);
+  if (trailing === trailingPunctuation(originalText)) {
+    corrected = corrected.slice(0, corrected.length - trailing.length);
+  }
+  const leading = leadingPunctuation(corrected);
+  if (leading === leadingPunctuation(originalText)) {
+    corrected = corrected.slice(leading.length);
+  }
+  return corrected;
+}
+
+// A word that ends a sentence, allowing for a closing quote or bracket
+const SENTENCE_END = /[.!?]["')\]]*$/;
+
+/**
+ * Check whether words[index] starts a sentence
+ */
+function startsSentence(words, index) {
+  return index === 0 || SENTENCE_END.test(words[index - 1]);
+}
+
+function upperFirst(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+/**
+ * "Quick" but not "quick", "QUICK" or "McQueen"
+ */
+function isCapitalized(word) {
+  const first = word.charAt(0);
+  return first !== first.toLowerCase() && word.slice(1) === word.slice(1).toLowerCase();
+}
+
+/**
+ * Drop a capital the corrected text only has because it starts a sentence,
+ * so "quik fox" -> "Quick fox" at the start of a sentence is learned as
+ * "quik" -> "quick". Applying it capitalises it again wherever a sentence starts.
+ */
+function uncapitalizeSentenceStart(original, corrected, atSentenceStart) {
+  if (!atSentenceStart || !isCapitalized(corrected)) return corrected;
+  return original && original.charAt(0) !== original.charAt(0).toLowerCase() ? corrected : lowerFirst(corrected);
+}
+
+/**
+ * The sentence of `words` that contains words[index]
+ */
+function sentenceAt(words, index) {
+  if (words.length === 0) return '';
+
+  const at = Math.min(Math.max(index, 0), words.length - 1);
+  let start = at;
+  while (start > 0 && at - start < SENTENCE_CONTEXT_WORDS && !startsSentence(words, start)) start--;
+  let end = at;
+  while (end < words.length - 1 && end - at < SENTENCE_CONTEXT_WORDS && !SENTENCE_END.test(words[end])) end++;
+  return words.slice(start, end + 1).join(' ');
+}
+
+/**
+ * Normalized words immediately before `index`, e.g. "over the"
+ */
+function leftContextAt(words, index) {
+  return words.slice(0, Math.max(0, index)).map(normalize).filter(Boolean)
+    .slice(-CONTEXT_WORDS).join(' ');
+}
+
+/**
+ * Normalized words from `index` onwards, e.g. "is a"
+ */
+function rightContextAt(words, index) {
+  return words.slice(index).map(normalize).filter(Boolean)
+    .slice(0, CONTEXT_WORDS).join(' ');
+}
+
+/**
+ * Learn a change to a word the alignment treated as unchanged: normalize()
+ * ignores case and punctuation, so "api" -> "API" or "dont" -> "don't" lines
+ * up as a match. A first letter capitalised or lowercased only because a
+ * sentence now starts or ends there is not learned.
+ *
+ * @returns {{original: string, corrected: string, leftContext: string, rightContext: string}|null}
+ */
+function extractMatchedWordCorrection(rawWords, finalWords, i, j) {
+  const original = stripPunctuation(rawWords[i]);
+  const corrected = stripPunctuation(finalWords[j]);
+  if (!original || original === corrected) return null;
+
+  const firstLetterOnly = original.slice(1) === corrected.slice(1);
+  if (firstLetterOnly && (startsSentence(rawWords, i) || startsSentence(finalWords, j))) return null;
+
+  return {
+    original,
+    corrected,
+    leftContext: leftContextAt(rawWords, i),
+    rightContext: rightContextAt(rawWords, i + 1)
+  };
+}
+
+/**
+ * Decompose a phrase correction into word-level corrections
+ * Only works when original and corrected have equal word counts
+ *
+ * @param {string[]} originalWords - Words from original phrase
+ * @param {string[]} correctedWords - Words from corrected phrase
+ * @param {string[]} rawWords - Every word of the raw text, for context
+ * @param {number} rawStart - Index of originalWords[0] in rawWords
+ * @returns {Array<{original: string, corrected: string, leftContext: string, rightContext: string}>} Word-level corrections
+ */
+function decomposePhraseToWords(originalWords, correctedWords, rawWords, rawStart) {
+  const wordCorrections = [];
+
+  for (let i = 0; i < originalWords.length; i++) {
+    const original = originalWords[i];
+    const corrected = correctedWords[i];
+
+    // Match on the bare word; keep punctuation on the corrected side only if the user changed it
+    const originalClean = stripPunctuation(original);
+    const correctedClean = uncapitalizeSentenceStart(originalClean,
+      keepChangedPunctuation(original, corrected), startsSentence(rawWords, rawStart + i));
+
+    if (originalClean !== correctedClean) {
+      wordCorrections.push({
+        original: originalClean,
+        corrected: correctedClean,
+        leftContext: leftContextAt(rawWords, rawStart + i),
+        rightContext: rightContextAt(rawWords, rawStart + i + 1)
+      });
+    }
+  }
+
+  return wordCorrections;
+}
+
+/**
+ * Extract corrections by comparing raw text with edited text
+ * Uses LCS for alignment, then decomposes equal-length phrases into word-level corrections.
+ * Each correction carries the raw words either side of it (normalized) as its context,
+ * and the edited sentence it was made in, for its provenance.
+ * Originals are stored without edge punctuation; corrected text keeps
+ * punctuation and casing the user deliberately changed.
+ *
+ * @param {string} rawText - Original transcription from Whisper
+ * @param {string} finalText - User-edited text
+ * @returns {Array<{original: string, corrected: string, leftContext: string, rightContext: string,
+ *                  sentence: string}>} List of corrections
+ */
+function extractCorrections(rawText, finalText) {
+  if (!rawText || !finalText) return [];
+
+  // If texts are identical, no corrections
+  if (rawText.trim() === finalText.trim()) return [];
+
+  const rawWords = tokenize(rawText);
+  const finalWords = tokenize(finalText);
+
+  // Find LCS to identify unchanged portions
+  const matches = findLCS(rawWords, finalWords);
+
+  // Extract differences between matched portions
+  const corrections = [];
+
+  // Add sentinel matches at start and end for easier processing
+  const extendedMatches = [
+    { i: -1, j: -1 },
+    ...matches,
+    { i: rawWords.length, j: finalWords.length }
+  ];
+
+  for (let k = 0; k < extendedMatches.length - 1; k++) {
+    const curr = extendedMatches[k];
+    const next = extendedMatches[k + 1];
+
+    // Matched words can still have had their casing or inner punctuation fixed
+    if (k > 0) {
+      const matchedCorrection = extractMatchedWordCorrection(rawWords, finalWords, curr.i, curr.j);
+      if (matchedCorrection) corrections.push({ ...matchedCorrection, sentence: sentenceAt(finalWords, curr.j) });
+    }
+
+    // Words between current match and next match are differences
+    const rawStart = curr.i + 1;
+    const rawEnd = next.i;
+    const finalStart = curr.j + 1;
+    const finalEnd = next.j;
+
+    // Extract the differing word arrays
+    const originalWordArray = rawWords.slice(rawStart, rawEnd);
+    const correctedWordArray = finalWords.slice(finalStart, finalEnd);
+    const sentence = sentenceAt(finalWords, finalStart);
+
+    // Nothing changed between these two matches
+    if (originalWordArray.length === 0 && correctedWordArray.length === 0) {
+      continue;
+    }
+
+    // Pure insertion or deletion: anchored on the matched words either side,
+    // with an empty original (insertion) or corrected (deletion) token
+    if (originalWordArray.length === 0 || correctedWordArray.length === 0) {
+      const anchored = {
+        original: stripPunctuation(originalWordArray.join(' ')),
+        corrected: uncapitalizeSentenceStart('', correctedWordArray.join(' '), startsSentence(rawWords, rawStart)),
+        leftContext: leftContextAt(rawWords, rawStart),
+        rightContext: rightContextAt(rawWords, rawEnd),
+        sentence
+      };
+      const hasWords = stripPunctuation(anchored.original || anchored.corrected);
+      if (hasWords && (anchored.leftContext || anchored.rightContext)) {
+        corrections.push(anchored);
+      }
+      continue;
+    }
+
+    // Check if word counts are equal - if so, decompose into word pairs
+    if (originalWordArray.length === correctedWordArray.length) {
+      // Decompose into word-level corrections
+      const wordCorrections = decomposePhraseToWords(originalWordArray, correctedWordArray, rawWords, rawStart);
+      corrections.push(...wordCorrections.map(c => ({ ...c, sentence })));
+    } else {
+      // Unequal word counts - keep as phrase correction
+      const originalPhrase = originalWordArray.join(' ');
+      const correctedPhrase = correctedWordArray.join(' ');
+
+      const normalizedOriginal = normalize(originalPhrase);
+      const normalizedCorrected = normalize(correctedPhrase);
+
+      if (normalizedOriginal !== normalizedCorrected) {
+        corrections.push({
+          original: stripPunctuation(originalPhrase),
+          corrected: uncapitalizeSentenceStart(originalPhrase,
+            keepChangedPunctuation(originalPhrase, correctedPhrase), startsSentence(rawWords, rawStart)),
+          leftContext: leftContextAt(rawWords, rawStart),
+          rightContext: rightContextAt(rawWords, rawEnd),
+          sentence
+        });
+      }
+    }
+  }
+
+  return corrections;
+}
+
+/**
+ * Check whether a correction was learned without context (manual additions
+ * and corrections learned before context was recorded)
+ */
+function isContextFree(correction) {
+  return !correction.left_context && !correction.right_context;
+}
+
+/**
+ * A correction's count, decayed by how long it has gone unseen
+ */
+function decayedScore(correction, now) {
+  const count = correction.count || 0;
+  const lastSeen = Date.parse(correction.last_seen_at);
+  if (Number.isNaN(lastSeen)) return count;
+
+  const idleDays = (now - lastSeen) / DAY_MS - DECAY_GRACE_DAYS;
+  if (idleDays <= 0) return count;
+  return count * Math.pow(0.5, idleDays / DECAY_HALF_LIFE_DAYS);
+}
+
+/**
+ * The folder or series a correction is scoped to ('' for a global one).
+ * A correction has at most one of the two.
+ */
+function scopeKey(correction) {
+  if (correction.series_id) return `series:${correction.series_id}`;
+  if (correction.folder_id) return `folder:${correction.folder_id}`;
+  return '';
+}
+
+/**
+ * Precedence of a correction's scope: series over folder over global
+ */
+function scopeRank(correction) {
+  if (correction.series_id) return 2;
+  if (correction.folder_id) return 1;
+  return 0;
+}
+
+/**
+ * The corrections that apply to a transcript: global ones, plus those scoped
+ * to its folder or series
+ *
+ * @param {Array<Object>} corrections - Correction rows
+ * @param {{folderId?: string|null, seriesId?: string|null}} scope - Where the transcript lives
+ */
+function correctionsForScope(corrections, { folderId = null, seriesId = null } = {}) {
+  return corrections.filter(c =>
+    (!c.folder_id && !c.series_id) ||
+    (folderId && c.folder_id === folderId) ||
+    (seriesId && c.series_id === seriesId)
+  );
+}
+
+/**
+ * Key shared by corrections of the same words in the same context and scope,
+ * which compete when their targets differ
+ */
+function competitionKey(correction) {
+  return `${correction.language || ''}\u0000${correction.original_token.toLowerCase()}\u0000` +
+    `${correction.left_context || ''}\u0000${correction.right_context || ''}\u0000${scopeKey(correction)}`;
+}
+
+/**
+ * Key shared by the rows of one pair learned in different contexts (in one scope)
+ */
+function pairKey(correction) {
+  return `${correction.language || ''}\u0000${correction.original_token.toLowerCase()}\u0000${correction.corrected_token}` +
+    `\u0000${scopeKey(correction)}`;
+}
+
+/**
+ * Total score per competition key, and per target within it
+ */
+function tallyTargets(corrections) {
+  const tallies = new Map();
+  for (const c of corrections) {
+    const key = competitionKey(c);
+    if (!tallies.has(key)) tallies.set(key, { total: 0, byTarget: new Map() });
+    const tally = tallies.get(key);
+    tally.total += c.score;
+    tally.byTarget.set(c.corrected_token, (tally.byTarget.get(c.corrected_token) || 0) + c.score);
+  }
+  return tallies;
+}
+
+/**
+ * A correction's share of the score of everything competing with it.
+ * Disabled rows are left out of the tallies, so their own score is added back.
+ */
+function shareOf(tallies, correction) {
+  const tally = tallies.get(competitionKey(correction)) || { total: 0, byTarget: new Map() };
+  const own = correction.disabled ? correction.score : 0;
+  const total = tally.total + own;
+  if (total <= 0) return 1;
+  return ((tally.byTarget.get(correction.corrected_token) || 0) + own) / total;
+}
+
+/**
+ * Score corrections for auto-applying. Each row is returned with:
+ * - score: its count decayed by time since it was last seen (see decayedScore)
+ * - confidence: its share (0-1) of the combined score of every enabled
+ *   correction of the same words in the same context
+ * - conflicted: true while an enabled row's competitors hold its confidence
+ *   below CONFLICT_MIN_SHARE
+ * - promoted: true when its pair is applied everywhere, having been learned in
+ *   CONTEXT_FREE_MIN_CONTEXTS different contexts
+ * - applied: true when it is auto-applied (enabled, not conflicted and
+ *   score >= minCount, or promoted)
+ * Promoted pairs compete with the context-free rows for the same words.
+ *
+ * @param {Array<Object>} corrections - Correction rows
+ * @param {number} minCount - Minimum score required to apply a correction (default: 2)
+ * @param {number} now - Time to decay scores to (ms since epoch)
+ * @returns {Array<Object>} Copies of the rows with the fields above added
+ */
+function scoreCorrections(corrections, minCount = 2, now = Date.now()) {
+  const scored = corrections.map(c => ({ ...c, score: decayedScore(c, now) }));
+  const enabled = scored.filter(c => !c.disabled);
+
+  const contextual = tallyTargets(enabled.filter(c => !isContextFree(c)));
+  for (const c of scored) {
+    if (!isContextFree(c)) c.confidence = shareOf(contextual, c);
+  }
+
+  // Pairs learned beside enough different words become candidates for context-free
+  const candidates = new Map();
+  for (const c of enabled) {
+    if (isContextFree(c) || !c.original_token) continue;
+    if (c.confidence < CONFLICT_MIN_SHARE || c.score < PROMOTION_MIN_SCORE) continue;
+    const key = pairKey(c);
+    if (!candidates.has(key)) candidates.set(key, { ...c, left_context: '', right_context: '', score: 0, contexts: 0 });
+    const candidate = candidates.get(key);
+    candidate.score += c.score;
+    candidate.contexts++;
+  }
+  const promotions = [...candidates.values()].filter(p => p.contexts >= CONTEXT_FREE_MIN_CONTEXTS);
+
+  const contextFree = tallyTargets([...enabled.filter(isContextFree), ...promotions]);
+  for (const c of scored) {
+    if (isContextFree(c)) c.confidence = shareOf(contextFree, c);
+  }
+  const promoted = new Set(promotions.filter(p => shareOf(contextFree, p) >= CONFLICT_MIN_SHARE).map(pairKey));
+
+  return scored.map(c => {
+    const conflicted = !c.disabled && c.confidence < CONFLICT_MIN_SHARE;
+    const isPromoted = !c.disabled && !conflicted && !isContextFree(c) && !!c.original_token && promoted.has(pairKey(c));
+    return {
+      ...c,
+      score: Math.round(c.score * 100) / 100,
+      confidence: Math.round(c.confidence * 100) / 100,
+      conflicted,
+      promoted: isPromoted,
+      applied: !c.disabled && ((!conflicted && c.score >= minCount) || isPromoted)
+    };
+  });
+}
+
+/**
+ * Choose which scored corrections to apply, and where.
+ * Context-free corrections apply everywhere and contextual ones only next to
+ * the words they were learned beside, except that a promoted pair gets one
+ * extra context-free rule scored with the sum of its contexts.
+ */
+function selectApplicableCorrections(scored, minCount) {
+  const selected = scored.filter(c => !c.disabled && !c.conflicted && c.score >= minCount);
+
+  const promotions = new Map();
+  for (const c of scored) {
+    if (!c.promoted) continue;
+    const key = pairKey(c);
+    if (!promotions.has(key)) promotions.set(key, { ...c, left_context: '', right_context: '', score: 0, ids: [] });
+    const promotion = promotions.get(key);
+    promotion.score += c.score;
+    promotion.ids.push(c.id);
+  }
+
+  return selected.concat([...promotions.values()]);
+}
+
+/**
+ * Rules that give glossary terms their spelling wherever Whisper gets it
+ * wrong: the term in any casing ("kubernetes" -> "Kubernetes") and a
+ * run-together term split at its capitals ("open ai" -> "OpenAI"). They rank
+ * below every learned correction for the same words.
+ *
+ * @param {Array<{id: string, term: string}>} glossary - The user's glossary terms
+ */
+function glossaryRules(glossary) {
+  const rules = [];
+  for (const { id, term } of glossary) {
+    const variants = new Set([term.toLowerCase(), term.split(/(?<=\p{Ll})(?=\p{Lu})/u).join(' ').toLowerCase()]);
+    for (const original of variants) {
+      // An all-lowercase term spelled as written has nothing to fix
+      if (original === term) continue;
+      rules.push({ id, glossary: true, original_token: original, corrected_token: term, left_context: '', right_context: '', score: 0 });
+    }
+  }
+  return rules;
+}
+
+/**
+ * At least two letters, all of them capitals
+ */
+function isAllCaps(word) {
+  const letters = (word || '').replace(/[^\p{L}]/gu, '');
+  return letters.length > 1 && letters === letters.toUpperCase() && letters !== letters.toLowerCase();
+}
+
+/**
+ * Case a correction's replacement to fit where it lands.
+ * Casing the user chose ("API", "iPhone", "Abiola" learned from "abiola") is
+ * kept as is. Otherwise the first letter follows the matched text, so a
+ * capitalised sentence start stays capitalised and all-lowercase text stays
+ * lowercase, and the whole replacement is capitalised in all-caps text.
+ *
+ * @param {string} corrected - The correction's corrected_token
+ * @param {string} matched - The text being replaced
+ * @param {string} originalToken - The correction's original_token
+ * @param {{previousWord: string, nextWord: string}} position - The words either side of the match
+ */
+function matchCase(corrected, matched, originalToken, { previousWord, nextWord }) {
+  const positional = corrected === corrected.toLowerCase() ||
+    (isCapitalized(corrected) && isCapitalized(originalToken));
+
+  if (positional && isAllCaps(matched) && (isAllCaps(previousWord) || isAllCaps(nextWord))) {
+    return corrected.toUpperCase();
+  }
+  if (!positional) return corrected;
+
+  const capitalize = matched.charAt(0) !== matched.charAt(0).toLowerCase();
+  return capitalize ? upperFirst(corrected) : lowerFirst(corrected);
+}
+
+/**
+ * Lowercase ASCII letters only, accents removed: "A biola" -> "abiola"
+ */
+function lettersOf(text) {
+  return (text || '').toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+}
+
+// Consonant sound classes (Soundex groups); vowels, h, w and y have no code
+const PHONETIC_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+/**
+ * Soundex-style key for how a word or phrase sounds, computed over the whole
+ * spelling rather than truncated, with a leading vowel kept as "0" so names
+ * that start with one don't collide with names that don't:
+ * "Abiola", "Abeola" and "a biola" all give "014"
+ */
+function phoneticKey(text) {
+  const letters = lettersOf(text)
+    .replace(/ph/g, 'f')
+    .replace(/ck/g, 'k')
+    .replace(/dg/g, 'j')
+    .replace(/^kn/, 'n')
+    .replace(/^wr/, 'r');
+
+  let key = /^[aeiouy]/.test(letters) ? '0' : '';
+  let previous = '';
+  for (const letter of letters) {
+    const code = PHONETIC_CODES[letter] || '';
+    if (code && code !== previous) key += code;
+    // As in Soundex, h and w don't separate two consonants with the same code; vowels do
+    if (letter !== 'h' && letter !== 'w') previous = code;
+  }
+  return key;
+}
+
+/**
+ * Spelling similarity from 0 to 1 (1 - Levenshtein distance / longer length)
+ */
+function spellingSimilarity(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        previousRow[j] + 1,
+        row[j - 1] + 1,
+        previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previousRow = row;
+  }
+  return 1 - previousRow[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Group learned corrections whose originals sound alike and that were
+ * corrected to the same single word. Only names and other capitalised terms
+ * are grouped ("Abiola", "API"), not everyday words like "there", and only
+ * groups with PHONETIC_MIN_VARIANTS different spellings and score >= minCount
+ * between them are kept. Corrections with phonetic_disabled set, or that a
+ * competing target is contesting, are left out.
+ *
+ * @param {Array<Object>} corrections - Rows from scoreCorrections
+ *
+ * @returns {Map<string, Array<{target: string, originals: Set<string>, knownSpellings: Set<string>, ids: Array}>>} Groups by phonetic key
+ */
+function buildPhoneticGroups(corrections, minCount) {
+  const groupsByPair = new Map();
+
+  for (const c of corrections) {
+    if (!c.original_token || !c.corrected_token || c.phonetic_disabled || c.conflicted) continue;
+    if (/\s/.test(c.corrected_token.trim()) || c.corrected_token === c.corrected_token.toLowerCase()) continue;
+
+    const original = c.original_token.toLowerCase();
+    const target = lettersOf(c.corrected_token);
+    if (target.length < PHONETIC_MIN_LETTERS || original === c.corrected_token.toLowerCase()) continue;
+
+    const key = phoneticKey(c.original_token);
+    const pairKey = `${key}\u0000${c.corrected_token.toLowerCase()}`;
+    if (!groupsByPair.has(pairKey)) {
+      groupsByPair.set(pairKey, {
+        key,
+        target: c.corrected_token,
+        originals: new Set(),
+        knownSpellings: new Set([target]),
+        count: 0,
+        ids: []
+      });
+    }
+    const group = groupsByPair.get(pairKey);
+    group.ids.push(c.id);
+    group.originals.add(original);
+    group.knownSpellings.add(lettersOf(original));
+    group.count += c.score;
+  }
+
+  const groupsByKey = new Map();
+  for (const group of groupsByPair.values()) {
+    if (group.originals.size < PHONETIC_MIN_VARIANTS || group.count < minCount) continue;
+    if (!groupsByKey.has(group.key)) groupsByKey.set(group.key, []);
+    groupsByKey.get(group.key).push(group);
+  }
+  return groupsByKey;
+}
+
+/**
+ * The phonetic group an unseen spelling belongs to, if any: same phonetic key,
+ * and spelled at least PHONETIC_MIN_SIMILARITY like the target or a known variant.
+ * Spellings already learned are left to their own corrections (and contexts).
+ */
+function findPhoneticGroup(text, groupsByKey) {
+  const letters = lettersOf(text);
+  if (letters.length < PHONETIC_MIN_LETTERS) return null;
+
+  let best = null;
+  let bestSimilarity = PHONETIC_MIN_SIMILARITY;
+  for (const group of groupsByKey.get(phoneticKey(text)) || []) {
+    const lower = text.toLowerCase();
+    if (lower === group.target.toLowerCase() || group.originals.has(lower)) return null;
+    for (const spelling of group.knownSpellings) {
+      const similarity = spellingSimilarity(letters, spelling);
+      if (similarity >= bestSimilarity) {
+        best = group;
+        bestSimilarity = similarity;
+      }
+    }
+  }
+  return best;
+}
+
+// Matching engine: corrections are compiled into an Aho-Corasick automaton over word keys
+// (lowercase, edge punctuation stripped), so a transcript is scanned once
+// however many corrections a user has. All matches are found against the
+// original text, then the leftmost-longest non-overlapping ones are applied
+// in a single rewrite, so one correction's output is never fed into another.
+
+// Compiled matchers kept per cache key (user + language), least recently used evicted first
+const MATCHER_CACHE_SIZE = 100;
+const matcherCache = new Map();
+
+/**
+ * Matching key for a word: lowercase, without edge punctuation
+ */
+function wordKey(word) {
+  return stripPunctuation(word).toLowerCase();
+}
+
+/**
+ * Split text into words with their character offsets. coreStart/coreEnd
+ * bound the word without its leading/trailing punctuation.
+ */
+function tokenizeWithOffsets(text) {
+  return [...text.matchAll(/\S+/g)].map(match => {
+    const word = match[0];
+    const leading = leadingPunctuation(word);
+    const trailing = leading.length === word.length ? '' : trailingPunctuation(word);
+    return {
+      word,
+      start: match.index,
+      end: match.index + word.length,
+      coreStart: match.index + leading.length,
+      coreEnd: match.index + word.length - trailing.length,
+      leading,
+      trailing
+    };
+  });
+}
+
+/**
+ * leftContextAt/rightContextAt for every position at once:
+ * left[i] is the context before words[i], right[i] the context from words[i] on
+ */
+function contextWindows(words) {
+  const normalized = words.map(normalize);
+  const left = [];
+  const right = [];
+  let window = [];
+
+  for (let i = 0; i <= words.length; i++) {
+    left.push(window.join(' '));
+    if (i < words.length && normalized[i]) window = window.concat(normalized[i]).slice(-CONTEXT_WORDS);
+  }
+  window = [];
+  for (let i = words.length; i >= 0; i--) {
+    right[i] = window.join(' ');
+    if (i > 0 && normalized[i - 1]) window = [normalized[i - 1]].concat(window).slice(0, CONTEXT_WORDS);
+  }
+
+  return { left, right };
+}
+
+/**
+ * Order in which rules sharing the same words are tried: the narrowest scope
+ * first (see scopeRank), then contextual before context-free, then the highest scoring
+ */
+function compareRulePriority(a, b) {
+  return scopeRank(b) - scopeRank(a) || isContextFree(a) - isContextFree(b) || b.score - a.score;
+}
+
+/**
+ * Compile corrections (and glossary terms) into a matcher
+ *
+ * @param {Array<Object>} corrections - Correction rows for one language
+ * @param {number} minCount - Minimum score required to apply a correction
+ * @param {Array<{id: string, term: string}>} glossary - Glossary terms (see glossaryRules)
+ * @returns {{nodes: Array, insertions: Map, phoneticGroups: Map}} Compiled matcher for runMatcher
+ */
+function compileCorrections(corrections, minCount, glossary = []) {
+  const scored = scoreCorrections(corrections, minCount);
+  const rules = selectApplicableCorrections(scored, minCount)
+    .concat(glossaryRules(glossary))
+    .sort(compareRulePriority);
+
+  // Trie over word keys; node 0 is the root
+  const nodes = [{ next: new Map(), fail: 0, rules: null, length: 0, output: -1 }];
+  const insertions = new Map();
+
+  for (const rule of rules) {
+    if (!rule.original_token) {
+      // Insertions are looked up by the words either side of a gap
+      const anchorKey = `${rule.left_context || ''}\u0000${rule.right_context || ''}`;
+      if (!insertions.has(anchorKey)) insertions.set(anchorKey, rule);
+      continue;
+    }
+
+    const keys = tokenize(rule.original_token).map(wordKey).filter(Boolean);
+    if (keys.length === 0) continue;
+
+    let node = 0;
+    for (const key of keys) {
+      if (!nodes[node].next.has(key)) {
+        nodes.push({ next: new Map(), fail: 0, rules: null, length: 0, output: -1 });
+        nodes[node].next.set(key, nodes.length - 1);
+      }
+      node = nodes[node].next.get(key);
+    }
+    if (!nodes[node].rules) {
+      nodes[node].rules = [];
+      nodes[node].length = keys.length;
+    }
+    nodes[node].rules.push(rule);
+  }
+
+  // Breadth-first: failure links to the longest proper suffix in the trie, and
+  // output links to the nearest suffix node that ends a pattern
+  const queue = [...nodes[0].next.values()];
+  for (let q = 0; q < queue.length; q++) {
+    const nodeIndex = queue[q];
+    for (const [key, child] of nodes[nodeIndex].next) {
+      let fail = nodes[nodeIndex].fail;
+      while (fail !== 0 && !nodes[fail].next.has(key)) fail = nodes[fail].fail;
+      const target = nodes[fail].next.get(key);
+      nodes[child].fail = target !== undefined && target !== child ? target : 0;
+      const failNode = nodes[nodes[child].fail];
+      nodes[child].output = failNode.rules ? nodes[child].fail : failNode.output;
+      queue.push(child);
+    }
+  }
+
+  return { nodes, insertions, phoneticGroups: buildPhoneticGroups(scored, minCount) };
+}
+
+/**
+ * Check whether words [start, end) can be matched as one phrase: no
+ * punctuation between them (so "e mail" matches, "e. Mail" doesn't)
+ */
+function isContinuousSpan(tokens, start, end) {
+  for (let i = start; i < end - 1; i++) {
+    if (tokens[i].trailing || tokens[i + 1].leading) return false;
+  }
+  return true;
+}
+
+/**
+ * Scan the words once and pick, for each start position, the longest match
+ * whose rule's context fits. Returns the leftmost-longest non-overlapping set.
+ *
+ * @returns {Map<number, {end: number, rule: Object}>} Matches by start word index
+ */
+function findMatches(matcher, tokens, contexts) {
+  const { nodes } = matcher;
+  const longestByStart = new Map();
+  let state = 0;
+
+  tokens.forEach((token, i) => {
+    const key = wordKey(token.word);
+    while (state !== 0 && !nodes[state].next.has(key)) state = nodes[state].fail;
+    state = nodes[state].next.get(key) ?? 0;
+
+    for (let node = nodes[state].rules ? state : nodes[state].output; node > 0; node = nodes[node].output) {
+      const start = i - nodes[node].length + 1;
+      const end = i + 1;
+      if ((longestByStart.get(start)?.end || 0) >= end || !isContinuousSpan(tokens, start, end)) continue;
+
+      const rule = nodes[node].rules.find(r =>
+        (!r.left_context || r.left_context === contexts.left[start]) &&
+        (!r.right_context || r.right_context === contexts.right[end])
+      );
+      if (rule) longestByStart.set(start, { end, rule });
+    }
+  });
+
+  const selected = new Map();
+  for (let i = 0; i < tokens.length; i++) {
+    const match = longestByStart.get(i);
+    if (!match) continue;
+    selected.set(i, match);
+    i = match.end - 1;
+  }
+  return selected;
+}
+
+/**
+ * IDs of the correction rows a rule was built from (several for a promoted
+ * pair, none for a glossary term)
+ */
+function correctionIdsOf(rule) {
+  if (rule.glossary) return [];
+  return rule.ids || [rule.id];
+}
+
+/**
+ * Apply a compiled matcher to text in one left-to-right pass.
+ * Substitutions keep the punctuation around the matched words (dropping the
+ * replacement's own trailing punctuation if it would double it up); deletions
+ * take a trailing comma and the space before them, and capitalise the next word
+ * if they started a sentence; insertions go into gaps between their anchors.
+ * Words no rule matched are checked against the phonetic groups.
+ *
+ * @returns {{text: string, applied: Array<Object>}} The corrected text and the
+ *          edits made to it (see applyCorrectionsWithDetails)
+ */
+function runMatcher(text, matcher) {
+  const tokens = tokenizeWithOffsets(text);
+  if (tokens.length === 0) return { text, applied: [] };
+
+  const words = tokens.map(t => t.word);
+  const contexts = contextWindows(words);
+  const matches = findMatches(matcher, tokens, contexts);
+  const edits = [];
+  let capitalizeNext = false;
+  // Correction a pending capital belongs to, so undoing that deletion undoes the capital too
+  let capitalizeFor = null;
+
+  const sentenceStartAt = i => startsSentence(words, i);
+  const capitalizeIfNeeded = value => {
+    if (!capitalizeNext || !value) return value;
+    capitalizeNext = false;
+    return upperFirst(value);
+  };
+
+  for (let i = 0; i <= tokens.length; i++) {
+    const match = matches.get(i);
+    const isDeletion = match && !match.rule.corrected_token;
+
+    // Insertion into the gap before word i (or after the last word)
+    const insertion = !(isDeletion && i > 0) &&
+      matcher.insertions.get(`${contexts.left[i]}\u0000${contexts.right[i]}`);
+    if (insertion) {
+      const inserted = capitalizeIfNeeded(sentenceStartAt(i)
+        ? upperFirst(insertion.corrected_token)
+        : insertion.corrected_token);
+      const correctionIds = correctionIdsOf(insertion);
+      if (i < tokens.length) edits.push({ start: tokens[i].start, end: tokens[i].start, text: `${inserted} `, correctionIds, kind: 'insert' });
+      else edits.push({ start: tokens[i - 1].end, end: tokens[i - 1].end, text: ` ${inserted}`, correctionIds, kind: 'insert' });
+    }
+    if (i === tokens.length) break;
+
+    if (isDeletion) {
+      const last = tokens[match.end - 1];
+      // Sentence-ending punctuation stays with the previous word ("think um." -> "think."),
+      // unless it already ends in punctuation of its own ("Hello, um. World" -> "Hello, World")
+      const keptPunctuation = i > 0 && tokens[i - 1].trailing ? '' : last.trailing.replace(/[,;:]/g, '');
+      const correctionIds = correctionIdsOf(match.rule);
+      if (i > 0) {
+        edits.push({ start: tokens[i - 1].end, end: last.end, text: keptPunctuation, correctionIds, kind: 'delete' });
+      } else {
+        edits.push({ start: 0, end: match.end < tokens.length ? tokens[match.end].start : last.end, text: '', correctionIds, kind: 'delete' });
+      }
+      // A capital the deleted word had at the start of a sentence moves to the next word
+      const capitalized = text.charAt(tokens[i].coreStart) !== text.charAt(tokens[i].coreStart).toLowerCase();
+      if (sentenceStartAt(i) && capitalized) {
+        capitalizeNext = true;
+        capitalizeFor = correctionIds;
+      }
+      i = match.end - 1;
+      continue;
+    }
+
+    if (match) {
+      const first = tokens[i];
+      const last = tokens[match.end - 1];
+      const position = {
+        previousWord: words[i - 1],
+        nextWord: words[match.end]
+      };
+      const matched = text.slice(first.coreStart, last.coreEnd);
+      let replacement = matchCase(match.rule.corrected_token, matched, match.rule.original_token, position);
+      if (/^[.,!?;:]/.test(last.trailing)) replacement = replacement.replace(/[.,!?;:]+$/, '');
+      replacement = capitalizeIfNeeded(replacement);
+
+      // Text already spelled the way a rule wants it (a glossary term, a casing fix) isn't an edit
+      if (replacement !== matched) {
+        edits.push({
+          start: first.coreStart,
+          end: last.coreEnd,
+          text: replacement,
+          correctionIds: correctionIdsOf(match.rule),
+          kind: match.rule.glossary ? 'glossary' : 'replace'
+        });
+      }
+      i = match.end - 1;
+      continue;
+    }
+
+    // Sound-alike spelling of a grouped name: two words first ("a biola"), then one
+    let replaced = false;
+    if (matcher.phoneticGroups.size > 0) {
+      const widths = i + 1 < tokens.length && !matches.has(i + 1) && isContinuousSpan(tokens, i, i + 2) ? [2, 1] : [1];
+      for (const width of widths) {
+        const first = tokens[i];
+        const last = tokens[i + width - 1];
+        const group = findPhoneticGroup(text.slice(first.coreStart, last.coreEnd), matcher.phoneticGroups);
+        if (!group) continue;
+
+        // Grouped targets are always capitalised terms, so their casing is kept as is
+        edits.push({ start: first.coreStart, end: last.coreEnd, text: group.target, correctionIds: group.ids, kind: 'sound-alike' });
+        capitalizeNext = false;
+        i += width - 1;
+        replaced = true;
+        break;
+      }
+    }
+
+    if (!replaced && capitalizeNext) {
+      const token = tokens[i];
+      edits.push({
+        start: token.coreStart,
+        end: token.coreStart + 1,
+        text: capitalizeIfNeeded(text.charAt(token.coreStart)),
+        correctionIds: capitalizeFor,
+        extendsPrevious: true
+      });
+    }
+  }
+
+  let result = '';
+  let cursor = 0;
+  const applied = [];
+  for (const edit of edits) {
+    const unchanged = text.slice(cursor, edit.start);
+    const start = result.length + unchanged.length;
+    result += unchanged + edit.text;
+    cursor = edit.end;
+
+    const previous = applied[applied.length - 1];
+    if (edit.extendsPrevious && previous && previous.correctionIds === edit.correctionIds) {
+      // The capital left by a deletion becomes part of that deletion's edit
+      previous.original += unchanged + text.slice(edit.start, edit.end);
+      previous.corrected += unchanged + edit.text;
+      previous.end = result.length;
+    } else if (!edit.extendsPrevious) {
+      applied.push({
+        start,
+        end: result.length,
+        original: text.slice(edit.start, edit.end),
+        corrected: edit.text,
+        correctionIds: edit.correctionIds,
+        kind: edit.kind
+      });
+    }
+  }
+  return { text: result + text.slice(cursor), applied };
+}
+
+/**
+ * Fingerprint of the rows a matcher is compiled from, so a cached matcher is
+ * rebuilt whenever a correction is learned, edited, toggled or deleted (or the
+ * glossary changes), and at least daily as scores decay
+ */
+function correctionsSignature(corrections, minCount, glossary = []) {
+  const hash = crypto.createHash('sha1').update(`${minCount}\u0000${Math.floor(Date.now() / DAY_MS)}`);
+  for (const c of corrections) {
+    hash.update(`\u0001${c.id}\u0000${c.original_token}\u0000${c.corrected_token}\u0000${c.count}\u0000` +
+      `${c.left_context || ''}\u0000${c.right_context || ''}\u0000${c.phonetic_disabled ? 1 : 0}\u0000${c.last_seen_at || ''}\u0000` +
+      scopeKey(c));
+  }
+  for (const g of glossary) {
+    hash.update(`\u0002${g.id}\u0000${g.term}`);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Compiled matcher for these corrections, reused from the cache when the
+ * rows haven't changed since it was built
+ */
+function getCompiledCorrections(corrections, minCount, cacheKey, glossary = []) {
+  if (!cacheKey) return compileCorrections(corrections, minCount, glossary);
+
+  const signature = correctionsSignature(corrections, minCount, glossary);
+  const cached = matcherCache.get(cacheKey);
+  if (cached && cached.signature === signature) {
+    // Refresh its place in the least-recently-used order
+    matcherCache.delete(cacheKey);
+    matcherCache.set(cacheKey, cached);
+    return cached.matcher;
+  }
+
+  const matcher = compileCorrections(corrections, minCount, glossary);
+  matcherCache.delete(cacheKey);
+  matcherCache.set(cacheKey, { signature, matcher });
+  if (matcherCache.size > MATCHER_CACHE_SIZE) {
+    matcherCache.delete(matcherCache.keys().next().value);
+  }
+  return matcher;
+}
+
+/**
+ * Apply learned corrections to a new transcription
+ * Only applies corrections that have been seen often enough and recently
+ * enough (score >= minCount, see scoreCorrections) and that no competing
+ * target is contesting, and, when a language is given, only corrections
+ * learned in that language.
+ * Corrections with a left/right context are only applied where the
+ * neighbouring words match it. Where several corrections match overlapping
+ * words, the longest wins; among matches of the same words, one scoped to the
+ * transcript's series beats one scoped to its folder, which beats a global one
+ * (pass only the corrections that apply, see correctionsForScope).
+ * Replacements take the casing and punctuation of the
+ * text they land in (see matchCase / runMatcher). Finally, unseen spellings
+ * that sound like a corrected word's known misspellings are corrected too
+ * (see buildPhoneticGroups). Glossary terms, when given, fix the casing and
+ * spacing of those words where no learned correction does (see glossaryRules).
+ *
+ * @param {string} text - New transcription text
+ * @param {Array<{id?: string, original_token: string, corrected_token: string, count: number, language?: string,
+ *                left_context?: string, right_context?: string, phonetic_disabled?: boolean,
+ *                last_seen_at?: string}>} corrections - Learned corrections
+ * @param {number} minCount - Minimum score required to apply a correction (default: 2)
+ * @param {string|null} language - Language of the text (ISO-639-1); null applies all corrections
+ * @param {string|null} cacheKey - Key to cache the compiled corrections under (e.g. user and language)
+ * @param {Array<{id: string, term: string}>} glossary - The user's glossary terms
+ * @returns {string} Text with corrections applied
+ */
+function applyCorrections(text, corrections, minCount = 2, language = null, cacheKey = null, glossary = []) {
+  return applyCorrectionsWithDetails(text, corrections, minCount, language, cacheKey, glossary).text;
+}
+
+/**
+ * Apply learned corrections as applyCorrections does, also reporting each edit
+ * made so it can be shown and undone later. Offsets are into the returned text;
+ * a deletion's start and end are equal (or span the punctuation it kept).
+ *
+ * @returns {{text: string, applied: Array<{start: number, end: number, original: string, corrected: string,
+ *            correctionIds: Array<string>, kind: 'replace'|'insert'|'delete'|'sound-alike'|'glossary'}>}}
+ *          (a glossary edit has no correction IDs)
+ */
+function applyCorrectionsWithDetails(text, corrections, minCount = 2, language = null, cacheKey = null, glossary = []) {
+  if (!text || ((!corrections || corrections.length === 0) && glossary.length === 0)) return { text, applied: [] };
+
+  const languageCorrections = (corrections || []).filter(c => !language || !c.language || c.language === language);
+  return runMatcher(text, getCompiledCorrections(languageCorrections, minCount, cacheKey, glossary));
+}
+
+/**
+ * Check if two phrases are similar enough to be considered the same correction
+ * Used for deduplication
+ */
+function areSimilarPhrases(phrase1, phrase2) {
+  return normalize(phrase1) === normalize(phrase2);
+}
+
+/**
+ * Get enabled corrections from database for a given language
+ * (still-learning ones included, for counting contexts; those learned only
+ * from recordings in the Trash, with count 0, left out)
+ */
+async function getCorrections(userId, language = DEFAULT_LANGUAGE) {
+  const { data, error } = await supabase
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('disabled', false)
+    .eq('language', language)
+    .gt('count', 0)
+    .order('count', { ascending: false });
+
+  if (error) {
+    console.error('Error fetching corrections:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * The scope corrections learned from a transcript are saved in: its series if
+ * it has one, else its folder, else none (global)
+ */
+function correctionScopeOf(transcript) {
+  if (transcript?.series_id) return { folderId: null, seriesId: transcript.series_id };
+  if (transcript?.folder_id) return { folderId: transcript.folder_id, seriesId: null };
+  return { folderId: null, seriesId: null };
+}
+
+/**
+ * Narrow a corrections query to one scope (null for global)
+ */
+function whereScope(query, folderId, seriesId) {
+  query = folderId ? query.eq('folder_id', folderId) : query.is('folder_id', null);
+  return seriesId ? query.eq('series_id', seriesId) : query.is('series_id', null);
+}
+
+/**
+ * Save or update a correction (one row per pair per context and scope)
+ */
+async function saveCorrection(userId, originalToken, correctedToken, language = DEFAULT_LANGUAGE, leftContext = '', rightContext = '',
+  { folderId = null, seriesId = null } = {}, transcriptId = null, sentence = '', versionId = null) {
+  // Check if correction already exists
+  const { data: existing } = await whereScope(supabase
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('original_token', originalToken)
+    .eq('corrected_token', correctedToken)
+    .eq('language', language)
+    .eq('left_context', leftContext)
+    .eq('right_context', rightContext), folderId, seriesId)
+    .single();
+
+  if (existing) {
+    // Increment count
+    const { data, error } = await supabase
+      .from('corrections')
+      .update({
+        count: existing.count + 1,
+        last_seen_at: new Date().toISOString()
+      })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    await recordCorrectionOccurrence(userId, data.id, transcriptId, sentence, versionId);
+    return data;
+  } else {
+    // Create new correction
+    const id = `cor_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    const { data, error } = await supabase
+      .from('corrections')
+      .insert({
+        id,
+        user_id: userId,
+        original_token: originalToken,
+        corrected_token: correctedToken,
+        count: 1,
+        first_seen_at: new Date().toISOString(),
+        last_seen_at: new Date().toISOString(),
+        disabled: false,
+        language,
+        left_context: leftContext,
+        right_context: rightContext,
+        folder_id: folderId,
+        series_id: seriesId
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    await recordCorrectionOccurrence(userId, data.id, transcriptId, sentence, versionId);
+    return data;
+  }
+}
+
+/**
+ * Record where a correction was learned: the transcript (and the version of
+ * it that was saved), and the edited sentence it was made in. Nothing is
+ * recorded without a transcript.
+ */
+async function recordCorrectionOccurrence(userId, correctionId, transcriptId, sentence = '', versionId = null) {
+  if (!transcriptId) return;
+
+  const { error } = await supabase
+    .from('correction_occurrences')
+    .insert({
+      user_id: userId,
+      correction_id: correctionId,
+      transcript_id: transcriptId,
+      version_id: versionId,
+      sentence: sentence || '',
+      created_at: new Date().toISOString()
+    });
+
+  if (error) throw error;
+}
+
+/**
+ * Take the occurrences of transcripts moved to the Trash back off the
+ * corrections they taught, so those stop being applied. The occurrences stay,
+ * and a correction left with no count is kept at 0, so that restoring the
+ * transcripts gives the counts back (see restoreTranscriptCorrections).
+ */
+async function suspendTranscriptCorrections(userId, transcriptIds) {
+  const occurrences = await getTranscriptOccurrences(userId, transcriptIds);
+  if (occurrences.length > 0) await takeBackOccurrences(userId, occurrences, { keepEmpty: true });
+}
+
+/**
+ * Give restored transcripts' occurrences back to the corrections they taught
+ */
+async function restoreTranscriptCorrections(userId, transcriptIds) {
+  const occurrences = await getTranscriptOccurrences(userId, transcriptIds);
+  if (occurrences.length === 0) return;
+
+  for (const { correction, seen } of await occurrenceCounts(userId, occurrences)) {
+    const { error } = await supabase
+      .from('corrections')
+      .update({ count: correction.count + seen })
+      .eq('id', correction.id)
+      .eq('user_id', userId);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Forget the occurrences of transcripts deleted for good. Their counts were
+ * taken back when they were moved to the Trash; a correction left with no
+ * count and no occurrences (say from recordings still in the Trash) is deleted.
+ */
+async function forgetTranscriptCorrections(userId, transcriptIds) {
+  const occurrences = await getTranscriptOccurrences(userId, transcriptIds);
+  if (occurrences.length === 0) return;
+
+  const { error: deleteError } = await supabase
+    .from('correction_occurrences')
+    .delete()
+    .eq('user_id', userId)
+    .in('transcript_id', transcriptIds);
+
+  if (deleteError) throw deleteError;
+
+  const correctionIds = [...new Set(occurrences.map(o => o.correction_id))];
+  const { data: remaining, error: remainingError } = await supabase
+    .from('correction_occurrences')
+    .select('correction_id')
+    .eq('user_id', userId)
+    .in('correction_id', correctionIds);
+
+  if (remainingError) throw remainingError;
+
+  const stillTaught = new Set((remaining || []).map(o => o.correction_id));
+  const forgotten = correctionIds.filter(id => !stillTaught.has(id));
+  if (forgotten.length === 0) return;
+
+  const { error: emptyError } = await supabase
+    .from('corrections')
+    .delete()
+    .eq('user_id', userId)
+    .in('id', forgotten)
+    .lte('count', 0);
+
+  if (emptyError) throw emptyError;
+}
+
+async function getTranscriptOccurrences(userId, transcriptIds) {
+  if (transcriptIds.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('correction_occurrences')
+    .select('correction_id')
+    .eq('user_id', userId)
+    .in('transcript_id', transcriptIds);
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The corrections occurrences taught, each with how many of the occurrences it has
+ */
+async function occurrenceCounts(userId, occurrences) {
+  const seenByCorrection = new Map();
+  for (const o of occurrences) {
+    seenByCorrection.set(o.correction_id, (seenByCorrection.get(o.correction_id) || 0) + 1);
+  }
+
+  const { data: corrections, error } = await supabase
+    .from('corrections')
+    .select('id, count')
+    .eq('user_id', userId)
+    .in('id', [...seenByCorrection.keys()]);
+
+  if (error) throw error;
+  return (corrections || []).map(correction => ({ correction, seen: seenByCorrection.get(correction.id) }));
+}
+
+/**
+ * Take occurrences back off the counts of the corrections they taught
+ * (the caller deletes the occurrences). A correction left with no count is
+ * deleted, or with keepEmpty kept at 0.
+ */
+async function takeBackOccurrences(userId, occurrences, { keepEmpty = false } = {}) {
+  for (const { correction, seen } of await occurrenceCounts(userId, occurrences)) {
+    const count = Math.max(correction.count - seen, 0);
+    const query = count > 0 || keepEmpty
+      ? supabase.from('corrections').update({ count }).eq('id', correction.id)
+      : supabase.from('corrections').delete().eq('id', correction.id);
+    const { error: updateError } = await query.eq('user_id', userId);
+    if (updateError) throw updateError;
+  }
+}
+
+// Saves of a transcript's next version to try before giving up on clashing version numbers
+const VERSION_SAVE_ATTEMPTS = 5;
+
+/**
+ * The text a transcript shows now, as the version it would be saved as if it
+ * has none yet: as transcribed, or as last edited before versions were kept
+ */
+function currentVersionOf(transcript) {
+  if (transcript.final_text != null) {
+    return { text: transcript.final_text, source: 'edit', createdAt: transcript.updated_at || transcript.created_at };
+  }
+  return { text: transcript.personalized_text || transcript.raw_text || '', source: 'transcription', createdAt: transcript.created_at };
+}
+
+/**
+ * Save the next version of a transcript's text, with its diff against the
+ * version before (see diffVersions). The first time, the text it replaces
+ * (current, see currentVersionOf) is saved as version 1.
+ * Two saves at once can pick the same version number; the one that loses
+ * (a unique violation on transcript_id and version) reads the latest version
+ * again and saves after it.
+ */
+async function saveTranscriptVersion(userId, transcriptId, text, options) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await insertNextTranscriptVersion(userId, transcriptId, text, options);
+    } catch (error) {
+      if (error.code !== '23505' || attempt >= VERSION_SAVE_ATTEMPTS) throw error;
+    }
+  }
+}
+
+async function insertNextTranscriptVersion(userId, transcriptId, text, { source = 'edit', revertedTo = null, current }) {
+  const { data: latest, error: latestError } = await supabase
+    .from('transcript_versions')
+    .select('version, text')
+    .eq('transcript_id', transcriptId)
+    .eq('user_id', userId)
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) throw latestError;
+
+  let previous = latest;
+  if (!previous) {
+    previous = { version: 1, text: current.text };
+    const { error } = await supabase
+      .from('transcript_versions')
+      .insert({
+        user_id: userId,
+        transcript_id: transcriptId,
+        version: 1,
+        text: current.text,
+        diff: diffVersions('', ''),
+        source: current.source,
+        author_id: current.source === 'edit' ? userId : null,
+        created_at: current.createdAt || new Date().toISOString()
+      });
+
+    if (error) throw error;
+  }
+
+  const { data, error } = await supabase
+    .from('transcript_versions')
+    .insert({
+      user_id: userId,
+      transcript_id: transcriptId,
+      version: previous.version + 1,
+      text,
+      diff: diffVersions(previous.text, text),
+      source,
+      reverted_to: revertedTo,
+      author_id: userId,
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete trashed transcripts for good and forget their occurrences, deleting
+ * the corrections only they taught (see forgetTranscriptCorrections).
+ * Returns the audio URLs no other transcript uses.
+ */
+async function purgeTranscripts(transcripts) {
+  if (transcripts.length === 0) return [];
+
+  const { error } = await supabase
+    .from('transcripts')
+    .delete()
+    .in('id', transcripts.map(t => t.id))
+    .not('deleted_at', 'is', null);
+
+  if (error) throw error;
+
+  const idsByUser = new Map();
+  for (const t of transcripts) {
+    idsByUser.set(t.user_id, [...(idsByUser.get(t.user_id) || []), t.id]);
+  }
+  for (const [userId, ids] of idsByUser) {
+    try {
+      await forgetTranscriptCorrections(userId, ids);
+    } catch (forgetError) {
+      // The transcripts are gone either way; their corrections just keep their occurrences
+      console.error('Error forgetting transcript corrections:', forgetError);
+    }
+  }
+
+  const audioUrls = [...new Set(transcripts.map(t => t.audio_url).filter(Boolean))];
+  if (audioUrls.length === 0) return [];
+
+  const { data: stillUsed, error: usedError } = await supabase
+    .from('transcripts')
+    .select('audio_url')
+    .in('audio_url', audioUrls);
+
+  if (usedError) throw usedError;
+  const used = new Set((stillUsed || []).map(t => t.audio_url));
+  return audioUrls.filter(url => !used.has(url));
+}
+
+/**
+ * Delete what has been in the Trash longer than the retention period, for
+ * every user or just one. olderThanDays 0 empties the Trash.
+ */
+async function purgeTrash({ userId = null, olderThanDays = TRASH_RETENTION_DAYS } = {}) {
+  const cutoff = new Date(Date.now() - olderThanDays * 24 * 60 * 60 * 1000).toISOString();
+  const trashed = (table, columns) => {
+    let query = supabase.from(table).select(columns).not('deleted_at', 'is', null);
+    if (olderThanDays > 0) query = query.lt('deleted_at', cutoff);
+    if (userId) query = query.eq('user_id', userId);
+    return query;
+  };
+
+  const { data: transcripts, error: transcriptsError } = await trashed('transcripts', 'id, user_id, audio_url');
+  if (transcriptsError) throw transcriptsError;
+
+  const audioUrls = await purgeTranscripts(transcripts || []);
+
+  const { data: folders, error: foldersError } = await trashed('folders', 'id');
+  if (foldersError) throw foldersError;
+
+  if (folders && folders.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('folders')
+      .delete()
+      .in('id', folders.map(f => f.id));
+
+    if (deleteError) throw deleteError;
+  }
+
+  return { transcripts: (transcripts || []).length, folders: (folders || []).length, audioUrls };
+}
+
+/**
+ * Delete recordings' audio from the bucket once their transcripts are gone.
+ * Audio stored anywhere else is left alone, and failures are only logged.
+ */
+async function deleteAudioObjects(audioUrls) {
+  for (const url of audioUrls) {
+    const s3Info = parseS3Url(url);
+    if (!s3Info || s3Info.bucket !== BUCKET_NAME || !s3Info.key) continue;
+
+    try {
+      await s3Client.send(new DeleteObjectCommand({ Bucket: s3Info.bucket, Key: s3Info.key }));
+    } catch (error) {
+      console.error(`Error deleting audio ${s3Info.key}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Delete everything that has been in the Trash past the retention period, with
+ * its audio. Run by the scheduled invocation (see infrastructure/lambda.tf).
+ */
+async function purgeExpiredTrash() {
+  if (!supabase) {
+    console.error('Trash purge skipped: database not configured');
+    return;
+  }
+
+  const { transcripts, folders, audioUrls } = await purgeTrash();
+  await deleteAudioObjects(audioUrls);
+  console.log(`Purged ${transcripts} recording(s) and ${folders} folder(s) from the Trash`);
+}
+
+/**
+ * Get a user's default transcription language (English if never set)
+ */
+async function getUserDefaultLanguage(userId) {
+  const { data, error } = await supabase
+    .from('user_settings')
+    .select('default_language')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching user settings:', error);
+    return DEFAULT_LANGUAGE;
+  }
+
+  return data?.default_language || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Get a user's glossary terms, oldest first (none if they can't be read)
+ */
+async function getGlossaryTerms(userId) {
+  const { data, error } = await supabase
+    .from('glossary_terms')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error fetching glossary:', error);
+    return [];
+  }
+
+  return data || [];
+}
+
+// Route handlers
+async function handleHealth() {
+  return jsonResponse(200, {
+    status: 'ok',
+    bucket: BUCKET_NAME,
+    region: REGION,
+    features: {
+      transcription: !!openaiClient,
+      database: !!supabase
+    }
+  });
+}
+
+async function handleGetUploadUrl(body) {
+  const { filename, contentType } = body;
+
+  if (!filename) {
+    return errorResponse(400, 'Filename is required');
+  }
 
   if (!isValidAudioFile(filename)) {
     return errorResponse(400, 'Invalid file type. Only audio files are allowed.');
   }
 
-  const sanitizedFilename = sanitizeFilename(filename);
-  const key = `uploads/${sanitizedFilename}`;
+  const sanitizedFilename = sanitizeFilename(filename);
+  const key = `uploads/${sanitizedFilename}`;
+
+  const command = new PutObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: key,
+    ContentType: contentType || 'audio/webm'
+  });
+
+  const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 900 });
+
+  return jsonResponse(200, {
+    uploadUrl,
+    key,
+    filename: sanitizedFilename
+  });
+}
+
+async function handleMoveToShared(body) {
+  const { filename } = body;
+
+  if (!filename) {
+    return errorResponse(400, 'Filename is required');
+  }
+
+  const sanitizedFilename = sanitizeFilename(filename);
+  const sourceKey = `uploads/${sanitizedFilename}`;
+  const destinationKey = `shared/${sanitizedFilename}`;
+
+  await s3Client.send(new CopyObjectCommand({
+    Bucket: BUCKET_NAME,
+    CopySource: `${BUCKET_NAME}/${sourceKey}`,
+    Key: destinationKey
+  }));
+
+  await s3Client.send(new DeleteObjectCommand({
+    Bucket: BUCKET_NAME,
+    Key: sourceKey
+  }));
+
+  const shareableUrl = `https://${BUCKET_NAME}.s3.${REGION}.amazonaws.com/${destinationKey}`;
+
+  return jsonResponse(200, {
+    success: true,
+    shareableUrl,
+    filename: sanitizedFilename
+  });
+}
+
+// ============================================
+// Transcription Jobs
+// ============================================
+
+function formatTranscriptionJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    result: job.result || null,
+    error: job.error || null,
+    transcriptId: job.transcript_id || null,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at
+  };
+}
+
+async function updateTranscriptionJob(jobId, updates) {
+  const { error } = await supabase
+    .from('transcription_jobs')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', jobId);
+
+  if (error) throw error;
+}
+
+/**
+ * Queue a transcription job and hand it to an asynchronous invocation of this
+ * function, so the API Gateway request returns before Whisper runs
+ */
+async function handleTranscribe(body, userId, headers) {
+  const { fileUrl, folderId, seriesId, isDisposable, language } = body;
+
+  if (!fileUrl) {
+    return errorResponse(400, 'File URL is required');
+  }
+
+  if (language && !isValidLanguage(language)) {
+    return errorResponse(400, 'Unsupported language');
+  }
+
+  if (!supabase) {
+    return errorResponse(500, 'Database not configured');
+  }
+
+  // Check anonymous user limit
+  if (!isAuthenticatedUser(headers)) {
+    try {
+      const { data: transcripts } = await supabase
+        .from('transcripts')
+        .select('id')
+        .eq('user_id', userId);
+
+      if (transcripts && transcripts.length >= ANONYMOUS_RECORDING_LIMIT) {
+        return errorResponse(403, 'Trial limit reached. Sign in for unlimited access.');
+      }
+    } catch (limitError) {
+      console.error('Error checking limit:', limitError);
+      // Continue if limit check fails (fail open)
+    }
+  }
+
+  if (!openaiClient) {
+    return errorResponse(500, 'OpenAI API key not configured');
+  }
+
+  const { data: job, error } = await supabase
+    .from('transcription_jobs')
+    .insert({
+      id: crypto.randomUUID(),
+      user_id: userId,
+      status: 'queued',
+      request: {
+        fileUrl,
+        language: language || null,
+        folderId: folderId || null,
+        seriesId: seriesId || null,
+        isDisposable: isDisposable || false,
+        audioMetadata: parseClientMetadata(body.audioMetadata)
+      }
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating transcription job:', error);
+    return errorResponse(500, 'Failed to queue transcription');
+  }
+
+  try {
+    await lambdaClient.send(new InvokeCommand({
+      FunctionName: process.env.AWS_LAMBDA_FUNCTION_NAME,
+      InvocationType: 'Event',
+      Payload: Buffer.from(JSON.stringify({ transcriptionJobId: job.id }))
+    }));
+  } catch (invokeError) {
+    console.error('Error starting transcription job:', invokeError);
+    await updateTranscriptionJob(job.id, { status: 'failed', error: 'Failed to start transcription' })
+      .catch(updateError => console.error('Error recording job failure:', updateError));
+    return errorResponse(500, 'Failed to queue transcription');
+  }
+
+  return jsonResponse(202, { jobId: job.id, status: job.status });
+}
+
+async function handleGetTranscriptionJob(jobId, userId) {
+  if (!supabase) {
+    return errorResponse(500, 'Database not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('transcription_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching transcription job:', error);
+    return errorResponse(500, 'Failed to fetch transcription job');
+  }
+  if (!data) {
+    return errorResponse(404, 'Transcription job not found');
+  }
+
+  return jsonResponse(200, { job: formatTranscriptionJob(data) });
+}
+
+/**
+ * Run a queued job (asynchronous invocation): download the audio, transcribe it,
+ * generate a title and save the transcript. Failures are stored on the job.
+ */
+async function processTranscriptionJob(jobId) {
+  if (!supabase) {
+    console.error('Database not configured; cannot run transcription job', jobId);
+    return;
+  }
+
+  const { data: job, error } = await supabase
+    .from('transcription_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .maybeSingle();
+
+  if (error || !job) {
+    console.error('Transcription job not found:', jobId, error);
+    return;
+  }
+  // Async invocations can be retried; don't redo a job that has already moved on
+  if (job.status !== 'queued') {
+    console.log(`Skipping transcription job ${jobId} in status ${job.status}`);
+    return;
+  }
+
+  try {
+    await updateTranscriptionJob(job.id, { status: 'transcribing' });
+    await runTranscriptionJob(job);
+  } catch (jobError) {
+    console.error(`Transcription job ${jobId} failed:`, jobError);
+    await updateTranscriptionJob(job.id, {
+      status: 'failed',
+      error: jobError.message || 'Failed to transcribe audio'
+    }).catch(updateError => console.error('Error recording job failure:', updateError));
+  }
+}
+
+// Transcription pipeline for a job already marked 'transcribing'; throws on failure
+async function runTranscriptionJob(job) {
+  const userId = job.user_id;
+  const request = job.request;
+  const { fileUrl, folderId, seriesId, isDisposable } = request;
+
+  // Download audio file using S3 SDK (required for private buckets)
+  let audioFile;
+  try {
+    audioFile = await downloadFromS3(fileUrl);
+  } catch (downloadError) {
+    console.error('Failed to download audio:', downloadError);
+    throw new Error('Failed to download audio file');
+  }
+
+  const clientMetadata = parseClientMetadata(request.audioMetadata);
+  const verifiedMetadata = await readAudioMetadata(audioFile, clientMetadata.mimeType);
+
+  // Create temp file for Whisper
+  const urlObject = new URL(fileUrl);
+  const originalFilename = path.basename(urlObject.pathname);
+  const tempFilePath = path.join('/tmp', originalFilename);
+  fs.writeFileSync(tempFilePath, audioFile);
+
+  // Per-recording choice wins, then the user's default, then English
+  const userDefaultLanguage = supabase ? await getUserDefaultLanguage(userId) : null;
+  const requestedLanguage = resolveRequestedLanguage(request.language, userDefaultLanguage);
+
+  // The user's glossary nudges Whisper towards their spellings of names and terms
+  const glossary = supabase ? await getGlossaryTerms(userId) : [];
+  const glossaryPrompt = buildGlossaryPrompt(glossary).prompt;
+
+  const transcribeFile = (filePath) => {
+    const whisperOptions = {
+      file: fs.createReadStream(filePath),
+      model: 'whisper-1',
+      // verbose_json reports the detected language and segment/word timings
+      response_format: 'verbose_json',
+      timestamp_granularities: ['segment', 'word']
+    };
+    if (requestedLanguage !== AUTO_DETECT) {
+      whisperOptions.language = requestedLanguage;
+    }
+    if (glossaryPrompt) {
+      whisperOptions.prompt = glossaryPrompt;
+    }
+    return openaiClient.audio.transcriptions.create(whisperOptions);
+  };
+
+  let transcription;
+  try {
+    // Recordings over the Whisper upload limit are transcribed in overlapping chunks
+    transcription = needsChunking(audioFile.length)
+      ? await transcribeInChunks(tempFilePath, transcribeFile)
+      : await transcribeFile(tempFilePath);
+  } finally {
+    if (fs.existsSync(tempFilePath)) {
+      fs.unlinkSync(tempFilePath);
+    }
+  }
+
+  // Generate AI title
+  let generatedTitle = null;
+  if (transcription?.text) {
+    await updateTranscriptionJob(job.id, { status: 'titling' });
+    try {
+      const prompt = `Summarize the following transcript in 1 to 4 words. Return only the concise title.\n\nTranscript:\n${transcription.text}`;
+      const titleResponse = await openaiClient.responses.create({
+        model: 'gpt-4o-mini',
+        input: prompt,
+        max_output_tokens: 20,
+        temperature: 0.2
+      });
+      const rawTitle = titleResponse.output_text || titleResponse.outputText || null;
+      generatedTitle = cleanGeneratedTitle(rawTitle);
+    } catch (titleError) {
+      console.error('Title generation error:', titleError);
+    }
+  }
+
+  const language = requestedLanguage === AUTO_DETECT
+    ? normalizeDetectedLanguage(transcription?.language)
+    : requestedLanguage;
+  const { segments, words } = extractTimestamps(transcription);
+  const recordingMetadata = resolveAudioMetadata(verifiedMetadata, clientMetadata, transcription?.duration);
+
+  // Apply personalization (learned corrections for this language) to the raw transcription
+  const rawText = transcription?.text || '';
+  let personalizedText = rawText;
+  let appliedCorrections = [];
+
+  if (supabase) {
+    try {
+      // Global corrections, plus those scoped to the recording's folder or series
+      const corrections = correctionsForScope(await getCorrections(userId, language), { folderId, seriesId });
+      if (corrections.length > 0 || glossary.length > 0) {
+        const cacheKey = `${userId}:${language}:${folderId || ''}:${seriesId || ''}`;
+        const personalized = applyCorrectionsWithDetails(rawText, corrections, 2, language, cacheKey, glossary);
+        personalizedText = personalized.text;
+        appliedCorrections = personalized.applied;
+        console.log(`Applied ${appliedCorrections.length} of ${corrections.length} correction(s) to transcription`);
+      }
+    } catch (persError) {
+      console.error('Personalization error:', persError);
+      // Continue with raw text if personalization fails
+    }
+  }
+
+  // Save to Supabase
+  let savedTranscript = null;
+  if (supabase) {
+    try {
+      const id = `tr_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+
+      // Resolve series order if continuing a series
+      let resolvedSeriesOrder = null;
+      if (seriesId) {
+        const { data: seriesData } = await supabase
+          .from('transcripts')
+          .select('series_order')
+          .eq('user_id', userId)
+          .eq('series_id', seriesId)
+          .order('series_order', { ascending: false })
+          .limit(1);
+        resolvedSeriesOrder = (seriesData && seriesData.length > 0 ? seriesData[0].series_order : 0) + 1;
+      }
+
+      const insertData = {
+        id,
+        user_id: userId,
+        raw_text: rawText,
+        personalized_text: personalizedText,
+        audio_url: fileUrl,
+        duration_seconds: recordingMetadata.durationSeconds,
+        title: generatedTitle,
+        language
+      };
+      if (folderId) insertData.folder_id = folderId;
+      if (seriesId) insertData.series_id = seriesId;
+      if (resolvedSeriesOrder != null) insertData.series_order = resolvedSeriesOrder;
+      if (isDisposable) insertData.is_disposable = true;
+      if (segments) insertData.segments = segments;
+      if (words) insertData.words = words;
+      if (appliedCorrections.length > 0) insertData.applied_corrections = appliedCorrections;
+      if (recordingMetadata.audioCodec) insertData.audio_codec = recordingMetadata.audioCodec;
+      if (recordingMetadata.audioSampleRate) insertData.audio_sample_rate = recordingMetadata.audioSampleRate;
+      if (recordingMetadata.audioChannels) insertData.audio_channels = recordingMetadata.audioChannels;
+      if (recordingMetadata.audioSizeBytes) insertData.audio_size_bytes = recordingMetadata.audioSizeBytes;
+
+      const { data, error } = await supabase
+        .from('transcripts')
+        .insert(insertData)
+        .select()
+        .single();
+
+      if (error) throw error;
+      savedTranscript = data;
+      console.log('Transcript saved:', savedTranscript.id);
+    } catch (dbError) {
+      console.error('Database save error:', dbError);
+    }
+  }
+
+  await updateTranscriptionJob(job.id, {
+    status: 'done',
+    transcript_id: savedTranscript?.id || null,
+    result: {
+      success: true,
+      transcription: personalizedText,
+      rawTranscription: rawText,
+      language,
+      title: generatedTitle,
+      transcriptId: savedTranscript?.id || null,
+      shareableUrl: fileUrl
+    }
+  });
+}
+
+async function handleGetTranscripts(queryParams, userId) {
+  if (!supabase) {
+    return errorResponse(500, 'Database not configured');
+  }
+
+  const { params, error: paramError } = parseListParams(queryParams || {});
+  if (paramError) {
+    return errorResponse(400, paramError);
+  }
+
+  let query = supabase
+    .from('transcripts')
+    .select(TRANSCRIPT_LIST_COLUMNS)
+    .eq('user_id', userId)
+    .is('deleted_at', null);
+
+  if (params.minDuration != null) query = query.gte('duration_seconds', params.minDuration);
+  if (params.maxDuration != null) query = query.lt('duration_seconds', params.maxDuration);
+
+  for (const [column, ascending] of params.order) {
+    query = query.order(column, { ascending, nullsFirst: false });
+  }
+
+  const { data, error } = await query.range(params.offset, params.offset + params.limit - 1);
+
+  if (error) {
+    console.error('Error fetching transcripts:', error);
+    return errorResponse(500, 'Failed to fetch transcripts');
+  }
+
+  return jsonResponse(200, { transcripts: data });
+}
+
+async function handleSearchTranscripts(queryParams, userId) {
+  if (!supabase) {
+    return errorResponse(500, 'Database not configured');
+  }
+
+  const { params, error: paramError } = parseSearchParams(queryParams);
+  if (paramError) {
+    return errorResponse(400, paramError);
+  }
+
+  const search = (limit, offset) => supabase.rpc('search_transcripts', {
+    p_user_id: userId,
+    p_query: params.q,
+    p_folder_id: params.folderId,
+    p_series_id: params.seriesId,
+    p_from: params.from,
+    p_to: params.to,
+    p_limit: limit,
+    p_offset: offset,
+    p_min_duration: params.minDuration,
+    p_max_duration: params.maxDuration
+  });
+
+  const { data, error } = await search(params.limit, params.offset);
+  if (error) {
+    console.error('Error searching transcripts:', error);
+    return errorResponse(500, 'Failed to search transcripts');
+  }
+
+  // Every row carries the number of matches; past the last match, read it from the first
+  const rows = data || [];
+  let total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+  if (rows.length === 0 && params.offset > 0) {
+    const { data: first, error: countError } = await search(1, 0);
+    if (countError) {
+      console.error('Error counting search results:', countError);
+      return errorResponse(500, 'Failed to search transcripts');
+    }
+    total = first && first.length > 0 ? Number(first[0].total_count) : 0;
+  }
+
+  return jsonResponse(200, {
+    results: rows.map(row => ({
+      ...row.transcript,
+      rank: row.rank,
+      snippet: parseHeadline(row.headline)
+    })),
+    total,
+    limit: params.limit,
+    offset: params.offset
+  });
+}
+
+async function handleGetTranscript(id, userId) {
+  if (!supabase) {
+    return errorResponse(500, 'Database not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('transcripts')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !data) {
+    return errorResponse(404, 'Transcript not found');
+  }
+
+  return jsonResponse(200, { transcript: data });
+}
+
+async function handleUpdateTranscript(id, body, userId) {
+  if (!supabase) {
+    return errorResponse(500, 'Database not configured');
+  }
+
+  const { finalText } = body;
+
+  // First, fetch the current transcript to get raw_text (and language and scope) for correction extraction
+  const { data: existing, error: fetchError } = await supabase
+    .from('transcripts')
+    .select('raw_text, personalized_text, final_text, language, folder_id, series_id, created_at, updated_at')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (fetchError) {
+    console.error('Error fetching transcript:', fetchError);
+    return errorResponse(500, 'Failed to fetch transcript');
+  }
+  // Recordings in the Trash can't be edited
+  if (!existing) return errorResponse(404, 'Transcript not found');
+
+  // Keep the text being replaced as a version, so the edit can be reverted
+  const current = currentVersionOf(existing);
+  let version = null;
+  if (finalText != null && finalText !== current.text) {
+    try {
+      version = await saveTranscriptVersion(userId, id, finalText, { source: 'edit', current });
+    } catch (versionError) {
+      console.error('Error saving transcript version:', versionError);
+      return errorResponse(500, 'Failed to update transcript');
+    }
+  }
+
+  // Extract corrections from the diff
+  if (existing?.raw_text && finalText) {
+    const corrections = extractCorrections(existing.raw_text, finalText);
+    // Corrections made in a series or folder are learned for it alone
+    const scope = correctionScopeOf(existing);
+
+    // Save each correction
+    for (const correction of corrections) {
+      try {
+        await saveCorrection(userId, correction.original, correction.corrected, existing.language || DEFAULT_LANGUAGE,
+          correction.leftContext, correction.rightContext, scope, id, correction.sentence, version?.id || null);
+        console.log('Correction saved:', correction.original, '->', correction.corrected);
+      } catch (corrError) {
+        console.error('Error saving correction:', corrError);
+        // Continue saving other corrections even if one fails
+      }
+    }
+
+    if (corrections.length > 0) {
+      console.log(`Extracted ${corrections.length} correction(s) from edit`);
+    }
+  }
+
+  // Update the transcript
+  const { data, error } = await supabase
+    .from('transcripts')
+    .update({
+      final_text: finalText,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error updating transcript:', error);
+    return errorResponse(500, 'Failed to update transcript');
+  }
+
+  return jsonResponse(200, { transcript: data });
+}
+
+/**
+ * Corrections personalization applied to a transcript (offsets point into personalizedText)
+ */
+async function handleGetAppliedCorrections(id, userId) {
+  if (!supabase) {
+    return errorResponse(500, 'Database not configured');
+  }
+
+  const { data, error } = await supabase
+    .from('transcripts')
+    .select('personalized_text, final_text, applied_corrections')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (error) return errorResponse(500, 'Failed to fetch applied corrections');
+  if (!data) return errorResponse(404, 'Transcript not found');
+
+  return jsonResponse(200, {
+    personalizedText: data.personalized_text || '',
+    appliedCorrections: data.applied_corrections || [],
+    // Once the user has saved their own edits, the transcript shown is final_text, not this one
+    edited: data.final_text != null && data.final_text !== data.personalized_text
+  });
+}
+
+/**
+ * Undo one applied correction: put its original words back into
+ * personalized_text (and final_text while that is still an unedited copy) and
+ * disable the correction rows behind it - or, for a sound-alike match, take
+ * them out of phonetic grouping
+ */
+async function handleUndoAppliedCorrection(id, index, userId) {
+  if (!supabase) {
+    return errorResponse(500, 'Database not configured');
+  }
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('transcripts')
+    .select('personalized_text, final_text, applied_corrections')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (fetchError) return errorResponse(500, 'Failed to fetch transcript');
+  const applied = existing?.applied_corrections || [];
+  const entry = applied[index];
+  if (!entry) return errorResponse(404, 'Applied correction not found');
+
+  const text = existing.personalized_text || '';
+  const updates = {
+    applied_corrections: applied.filter((_, i) => i !== index),
+    updated_at: new Date().toISOString()
+  };
+
+  // Only rewrite the text where it still reads as personalization left it
+  if (text.slice(entry.start, entry.end) === entry.corrected) {
+    const undone = text.slice(0, entry.start) + entry.original + text.slice(entry.end);
+    const shift = entry.original.length - entry.corrected.length;
+    updates.personalized_text = undone;
+    updates.applied_corrections = applied
+      .map((a, i) => i > index ? { ...a, start: a.start + shift, end: a.end + shift } : a)
+      .filter((_, i) => i !== index);
+    if (existing.final_text === text) updates.final_text = undone;
+  }
+
+  const { data, error } = await supabase
+    .from('transcripts')
+    .update(updates)
+    .eq('id', id)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error undoing applied correction:', error);
+    return errorResponse(500, 'Failed to undo correction');
+  }
+
+  const correctionIds = (entry.correctionIds || []).filter(Boolean);
+  if (correctionIds.length > 0) {
+    const { error: correctionError } = await supabase
+      .from('corrections')
+      .update(entry.kind === 'sound-alike' ? { phonetic_disabled: true } : { disabled: true })
+      .in('id', correctionIds)
+      .eq('user_id', userId);
+
+    if (correctionError) {
+      console.error('Error disabling undone correction:', correctionError);
+      return errorResponse(500, 'Failed to undo correction');
+    }
+  }
+
+  return jsonResponse(200, { transcript: data });
+}
+
+/**
+ * A transcript's saved versions, newest first, without their text
+ */
+async function handleListTranscriptVersions(id, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const { data: transcript, error: transcriptError } = await supabase
+    .from('transcripts')
+    .select('id')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (transcriptError) return errorResponse(500, 'Failed to fetch transcript versions');
+  if (!transcript) return errorResponse(404, 'Transcript not found');
+
+  const { data, error } = await supabase
+    .from('transcript_versions')
+    .select('id, version, source, reverted_to, author_id, created_at, diff')
+    .eq('transcript_id', id)
+    .eq('user_id', userId)
+    .order('version', { ascending: false });
+
+  if (error) return errorResponse(500, 'Failed to fetch transcript versions');
+  return jsonResponse(200, {
+    versions: (data || []).map(({ diff, ...v }) => ({ ...v, added: diff?.added || 0, removed: diff?.removed || 0 }))
+  });
+}
+
+/**
+ * One version of a transcript, with its text and what changed from the version before
+ */
+async function handleGetTranscriptVersion(id, versionNumber, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+  if (!Number.isInteger(versionNumber) || versionNumber < 1) return errorResponse(400, 'Invalid version');
+
+  const { data, error } = await supabase
+    .from('transcript_versions')
+    .select('*')
+    .eq('transcript_id', id)
+    .eq('user_id', userId)
+    .eq('version', versionNumber)
+    .maybeSingle();
+
+  if (error) return errorResponse(500, 'Failed to fetch transcript version');
+  if (!data) return errorResponse(404, 'Version not found');
+  return jsonResponse(200, { version: data });
+}
+
+/**
+ * Revert a transcript to an earlier version, saved as a new version. Corrections
+ * taught by the edits saved since that version are taken back, unless the
+ * restored text makes the same correction; reverting doesn't teach anything itself.
+ */
+async function handleRevertTranscript(id, versionNumber, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+  if (!Number.isInteger(versionNumber) || versionNumber < 1) return errorResponse(400, 'Invalid version');
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('transcripts')
+    .select('raw_text, personalized_text, final_text, created_at, updated_at')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (fetchError) return errorResponse(500, 'Failed to revert transcript');
+  if (!existing) return errorResponse(404, 'Version not found');
+
+  const { data: target, error: targetError } = await supabase
+    .from('transcript_versions')
+    .select('*')
+    .eq('transcript_id', id)
+    .eq('user_id', userId)
+    .eq('version', versionNumber)
+    .maybeSingle();
+
+  if (targetError) return errorResponse(500, 'Failed to revert transcript');
+  if (!target) return errorResponse(404, 'Version not found');
+
+  try {
+    const { data: later, error: laterError } = await supabase
+      .from('transcript_versions')
+      .select('id')
+      .eq('transcript_id', id)
+      .eq('user_id', userId)
+      .gt('version', target.version);
+
+    if (laterError) throw laterError;
+
+    let forgottenCorrections = 0;
+    if (later && later.length > 0) {
+      const { data: occurrences, error: occurrencesError } = await supabase
+        .from('correction_occurrences')
+        .select('id, correction_id')
+        .eq('user_id', userId)
+        .in('version_id', later.map(v => v.id));
+
+      if (occurrencesError) throw occurrencesError;
+
+      if (occurrences && occurrences.length > 0) {
+        const { data: corrections, error: correctionsError } = await supabase
+          .from('corrections')
+          .select('id, original_token, corrected_token, left_context, right_context')
+          .eq('user_id', userId)
+          .in('id', [...new Set(occurrences.map(o => o.correction_id))]);
+
+        if (correctionsError) throw correctionsError;
+
+        const pairKey = (original, corrected, left, right) => [original, corrected, left || '', right || ''].join('\u0000');
+        const kept = new Set(extractCorrections(existing.raw_text, target.text)
+          .map(c => pairKey(c.original, c.corrected, c.leftContext, c.rightContext)));
+        const byId = new Map((corrections || []).map(c => [c.id, c]));
+        const taught = occurrences.filter(o => {
+          const c = byId.get(o.correction_id);
+          return c && !kept.has(pairKey(c.original_token, c.corrected_token, c.left_context, c.right_context));
+        });
+
+        if (taught.length > 0) {
+          await takeBackOccurrences(userId, taught);
+
+          const { error: deleteError } = await supabase
+            .from('correction_occurrences')
+            .delete()
+            .eq('user_id', userId)
+            .in('id', taught.map(o => o.id));
+
+          if (deleteError) throw deleteError;
+          forgottenCorrections = new Set(taught.map(o => o.correction_id)).size;
+        }
+      }
+    }
+
+    const version = await saveTranscriptVersion(userId, id, target.text, {
+      source: 'revert',
+      revertedTo: target.version,
+      current: currentVersionOf(existing)
+    });
+
+    const { data: transcript, error } = await supabase
+      .from('transcripts')
+      .update({
+        final_text: target.text,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return jsonResponse(200, { transcript, version, forgottenCorrections });
+  } catch (revertError) {
+    console.error('Error reverting transcript:', revertError);
+    return errorResponse(500, 'Failed to revert transcript');
+  }
+}
+
+async function handleDeleteTranscript(id, userId) {
+  if (!supabase) {
+    return errorResponse(500, 'Database not configured');
+  }
 
-  const command = new PutObjectCommand({
-    Bucket: BUCKET_NAME,
-    Key: key,
-    ContentType: contentType || 'audio/webm'
-  });
+  // Moves it to the Trash, taking its occurrences back off the corrections it taught
+  try {
+    const { data, error } = await supabase
+      .from('transcripts')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .is('deleted_at', null)
+      .select('id');
 
-  const uploadUrl = await getSignedUrl(s3Client, command, { expiresIn: 900 });
+    if (error) throw error;
+    await suspendTranscriptCorrections(userId, (data || []).map(t => t.id));
+    return jsonResponse(200, { success: true });
+  } catch (deleteError) {
+    console.error('Error deleting transcript:', deleteError);
+    return errorResponse(500, 'Failed to delete transcript');
+  }
+}
+
+// ============================================
+// Folder Handlers
+// ============================================
+
+async function handleGetFolders(userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const { data, error } = await supabase
+    .from('folders')
+    .select('*')
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true });
+
+  if (error) return errorResponse(500, 'Failed to fetch folders');
+  return jsonResponse(200, { folders: data || [] });
+}
+
+async function handleCreateFolder(body, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const { name } = body;
+  if (!name || !name.trim()) return errorResponse(400, 'Folder name is required');
+
+  const id = crypto.randomUUID();
+  const { data, error } = await supabase
+    .from('folders')
+    .insert({ id, user_id: userId, name: name.trim() })
+    .select()
+    .single();
+
+  if (error) return errorResponse(500, 'Failed to create folder');
+  return jsonResponse(200, { folder: data });
+}
+
+async function handleUpdateFolder(folderId, body, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const { name } = body;
+  if (!name || !name.trim()) return errorResponse(400, 'Folder name is required');
+
+  const { data, error } = await supabase
+    .from('folders')
+    .update({ name: name.trim(), updated_at: new Date().toISOString() })
+    .eq('id', folderId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) return errorResponse(500, 'Failed to update folder');
+  return jsonResponse(200, { folder: data });
+}
+
+async function handleDeleteFolder(folderId, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  // Moves it to the Trash; its recordings show as unfiled until it is restored
+  const { error } = await supabase
+    .from('folders')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('id', folderId)
+    .eq('user_id', userId)
+    .is('deleted_at', null);
+
+  if (error) return errorResponse(500, 'Failed to delete folder');
+  return jsonResponse(200, { success: true });
+}
+
+async function handleMoveTranscript(transcriptId, body, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const { folderId } = body;
+  const { data, error } = await supabase
+    .from('transcripts')
+    .update({ folder_id: folderId || null, updated_at: new Date().toISOString() })
+    .eq('id', transcriptId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) return errorResponse(500, 'Failed to move transcript');
+  if (!data) return errorResponse(404, 'Transcript not found');
+  return jsonResponse(200, { transcript: data });
+}
+
+async function handleSetSeries(transcriptId, body, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const sid = body.seriesId || crypto.randomUUID();
+
+  // Get next series order
+  const { data: seriesData } = await supabase
+    .from('transcripts')
+    .select('series_order')
+    .eq('user_id', userId)
+    .eq('series_id', sid)
+    .order('series_order', { ascending: false })
+    .limit(1);
+  const seriesOrder = (seriesData && seriesData.length > 0 ? seriesData[0].series_order : 0) + 1;
+
+  const { data, error } = await supabase
+    .from('transcripts')
+    .update({ series_id: sid, series_order: seriesOrder, updated_at: new Date().toISOString() })
+    .eq('id', transcriptId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .select()
+    .maybeSingle();
+
+  if (error) return errorResponse(500, 'Failed to set series');
+  if (!data) return errorResponse(404, 'Transcript not found');
+  return jsonResponse(200, { transcript: data, seriesId: sid });
+}
+
+async function handleDeleteDisposable(userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  // Moves them to the Trash, taking their occurrences back off the corrections they taught
+  try {
+    const { data, error } = await supabase
+      .from('transcripts')
+      .update({ deleted_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('is_disposable', true)
+      .is('deleted_at', null)
+      .select('id');
+
+    if (error) throw error;
+    await suspendTranscriptCorrections(userId, (data || []).map(t => t.id));
+    return jsonResponse(200, { success: true });
+  } catch (deleteError) {
+    console.error('Error deleting disposable notes:', deleteError);
+    return errorResponse(500, 'Failed to delete disposable notes');
+  }
+}
+
+// ============================================
+// Trash Handlers
+// ============================================
+
+async function handleGetTrash(userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const [transcriptsResult, foldersResult] = await Promise.all([
+    supabase
+      .from('transcripts')
+      .select(`${TRANSCRIPT_LIST_COLUMNS}, deleted_at`)
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false }),
+    supabase
+      .from('folders')
+      .select('*')
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+  ]);
+
+  if (transcriptsResult.error || foldersResult.error) return errorResponse(500, 'Failed to fetch trash');
 
   return jsonResponse(200, {
-    uploadUrl,
-    key,
-    filename: sanitizedFilename
+    transcripts: transcriptsResult.data || [],
+    folders: foldersResult.data || [],
+    retentionDays: TRASH_RETENTION_DAYS
   });
 }
 
-async function handleMoveToShared(body) {
-  const { filename } = body;
+async function handleEmptyTrash(userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  try {
+    const { transcripts, folders, audioUrls } = await purgeTrash({ userId, olderThanDays: 0 });
+    await deleteAudioObjects(audioUrls);
+    return jsonResponse(200, { success: true, transcripts, folders });
+  } catch (emptyError) {
+    console.error('Error emptying trash:', emptyError);
+    return errorResponse(500, 'Failed to empty trash');
+  }
+}
+
+/**
+ * Take a recording ('transcripts') or folder ('folders') back out of the Trash
+ */
+async function handleRestoreFromTrash(table, id, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const { data, error } = await supabase
+    .from(table)
+    .update({ deleted_at: null, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+    .select()
+    .maybeSingle();
+
+  if (table === 'folders') {
+    if (error) return errorResponse(500, 'Failed to restore folder');
+    if (!data) return errorResponse(404, 'Folder not found in trash');
+    return jsonResponse(200, { folder: data });
+  }
+
+  if (error) return errorResponse(500, 'Failed to restore recording');
+  if (!data) return errorResponse(404, 'Recording not found in trash');
+
+  // Give its occurrences back to the corrections it taught
+  try {
+    await restoreTranscriptCorrections(userId, [data.id]);
+  } catch (restoreError) {
+    console.error('Error restoring transcript corrections:', restoreError);
+    return errorResponse(500, 'Failed to restore recording');
+  }
+  return jsonResponse(200, { transcript: data });
+}
+
+async function handleDeleteTrashedTranscript(id, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  try {
+    const { data, error } = await supabase
+      .from('transcripts')
+      .select('id, user_id, audio_url')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .not('deleted_at', 'is', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return errorResponse(404, 'Recording not found in trash');
+
+    await deleteAudioObjects(await purgeTranscripts([data]));
+    return jsonResponse(200, { success: true });
+  } catch (deleteError) {
+    console.error('Error deleting trashed transcript:', deleteError);
+    return errorResponse(500, 'Failed to delete recording');
+  }
+}
+
+async function handleDeleteTrashedFolder(folderId, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  // Its recordings become unfiled and the corrections scoped to it are deleted
+  const { data, error } = await supabase
+    .from('folders')
+    .delete()
+    .eq('id', folderId)
+    .eq('user_id', userId)
+    .not('deleted_at', 'is', null)
+    .select('id');
+
+  if (error) return errorResponse(500, 'Failed to delete folder');
+  if (!data || data.length === 0) return errorResponse(404, 'Folder not found in trash');
+  return jsonResponse(200, { success: true });
+}
+
+// ============================================
+// Export Handlers
+// ============================================
+
+function exportFormatError() {
+  return errorResponse(400, `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+}
+
+async function sendExport(transcripts, format, options) {
+  const { body, contentType, filename } = await renderExport(transcripts, format, options);
+  return fileResponse(body, contentType, filename);
+}
+
+async function handleExportTranscript(id, format, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+  if (!isExportFormat(format)) return exportFormatError();
+
+  const { data, error } = await supabase
+    .from('transcripts')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .single();
+
+  if (error || !data) return errorResponse(404, 'Transcript not found');
+
+  return sendExport([data], format, { title: data.title || 'Untitled Recording', scope: 'transcript' });
+}
+
+async function handleExportSeries(seriesId, format, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+  if (!isExportFormat(format)) return exportFormatError();
+
+  const { data, error } = await supabase
+    .from('transcripts')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('series_id', seriesId)
+    .is('deleted_at', null)
+    .order('series_order', { ascending: true });
+
+  if (error) return errorResponse(500, 'Failed to export series');
+  if (!data || data.length === 0) return errorResponse(404, 'Series not found');
+
+  return sendExport(data, format, { title: data[0].title || 'Untitled Series', scope: 'series' });
+}
+
+async function handleExportFolder(folderId, format, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+  if (!isExportFormat(format)) return exportFormatError();
+
+  const { data: folder } = await supabase
+    .from('folders')
+    .select('*')
+    .eq('id', folderId)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .maybeSingle();
+
+  if (!folder) return errorResponse(404, 'Folder not found');
+
+  const { data, error } = await supabase
+    .from('transcripts')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('folder_id', folderId)
+    .is('deleted_at', null)
+    .order('created_at', { ascending: true });
+
+  if (error) return errorResponse(500, 'Failed to export folder');
+  if (!data || data.length === 0) return errorResponse(400, 'Folder is empty');
 
-  if (!filename) {
-    return errorResponse(400, 'Filename is required');
-  }
+  return sendExport(data, format, { title: folder.name, scope: 'folder' });
+}
 
-  const sanitizedFilename = sanitizeFilename(filename);
-  const sourceKey = `uploads/${sanitizedFilename}`;
-  const destinationKey = `shared/${sanitizedFilename}`;
+// ============================================
+// Correction (Vocabulary) Handlers
+// ============================================
 
-  await s3Client.send(new CopyObjectCommand({
-    Bucket: BUCKET_NAME,
-    CopySource: `${BUCKET_NAME}/${sourceKey}`,
-    Key: destinationKey
-  }));
+// Manually added corrections start at the auto-apply threshold
+const MANUAL_CORRECTION_COUNT = 2;
 
-  await s3Client.send(new DeleteObjectCommand({
-    Bucket: BUCKET_NAME,
-    Key: sourceKey
-  }));
+async function handleGetCorrections(userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
 
-  const shareableUrl = `https://${BUCKET_NAME}.s3.${REGION}.amazonaws.com/${destinationKey}`;
+  // Corrections learned only from recordings in the Trash have count 0
+  const { data, error } = await supabase
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId)
+    .gt('count', 0)
+    .order('count', { ascending: false })
+    .order('last_seen_at', { ascending: false });
 
-  return jsonResponse(200, {
-    success: true,
-    shareableUrl,
-    filename: sanitizedFilename
-  });
+  if (error) return errorResponse(500, 'Failed to fetch corrections');
+  return jsonResponse(200, { corrections: scoreCorrections(data || []) });
 }
 
-async function handleTranscribe(body, userId, headers) {
-  const { fileUrl, folderId, seriesId, isDisposable } = body;
+async function handleCreateCorrection(body, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
 
-  if (!fileUrl) {
-    return errorResponse(400, 'File URL is required');
+  if (body.originalToken !== undefined && typeof body.originalToken !== 'string') {
+    return errorResponse(400, 'Original text must be a string');
   }
-
-  // Check anonymous user limit
-  if (!isAuthenticatedUser(headers)) {
-    try {
-      const { data: transcripts } = await supabase
-        .from('transcripts')
-        .select('id')
-        .eq('user_id', userId);
-
-      if (transcripts && transcripts.length >= ANONYMOUS_RECORDING_LIMIT) {
-        return errorResponse(403, 'Trial limit reached. Sign in for unlimited access.');
-      }
-    } catch (limitError) {
-      console.error('Error checking limit:', limitError);
-      // Continue if limit check fails (fail open)
-    }
+  if (body.correctedToken !== undefined && typeof body.correctedToken !== 'string') {
+    return errorResponse(400, 'Corrected text must be a string');
   }
-
-  if (!openaiClient) {
-    return errorResponse(500, 'OpenAI API key not configured');
+  const originalToken = (body.originalToken || '').trim();
+  const correctedToken = (body.correctedToken || '').trim();
+  if (!originalToken || !correctedToken) {
+    return errorResponse(400, 'Both the original and corrected text are required');
+  }
+  if (originalToken === correctedToken) {
+    return errorResponse(400, 'Corrected text must differ from the original');
   }
 
-  // Download audio file using S3 SDK (required for private buckets)
-  let audioFile;
-  try {
-    audioFile = await downloadFromS3(fileUrl);
-  } catch (downloadError) {
-    console.error('Failed to download audio:', downloadError);
-    return errorResponse(500, 'Failed to download audio file');
+  const language = body.language || DEFAULT_LANGUAGE;
+  if (typeof language !== 'string' || language === AUTO_DETECT || !isValidLanguage(language)) {
+    return errorResponse(400, 'Unsupported language');
   }
 
-  // Create temp file for Whisper
-  const urlObject = new URL(fileUrl);
-  const originalFilename = path.basename(urlObject.pathname);
-  const tempFilePath = path.join('/tmp', originalFilename);
-  fs.writeFileSync(tempFilePath, audioFile);
+  const now = new Date().toISOString();
 
-  let transcription;
-  try {
-    transcription = await openaiClient.audio.transcriptions.create({
-      file: fs.createReadStream(tempFilePath),
-      model: 'whisper-1',
-      language: 'en'
-    });
-  } finally {
-    if (fs.existsSync(tempFilePath)) {
-      fs.unlinkSync(tempFilePath);
-    }
-  }
+  // Re-enable and promote an existing context-free global pair rather than duplicating it
+  const { data: existing } = await whereScope(supabase
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('original_token', originalToken)
+    .eq('corrected_token', correctedToken)
+    .eq('language', language)
+    .eq('left_context', '')
+    .eq('right_context', ''), null, null)
+    .single();
 
-  // Generate AI title
-  let generatedTitle = null;
-  if (transcription?.text) {
-    try {
-      const prompt = `Summarize the following transcript in 1 to 4 words. Return only the concise title.\n\nTranscript:\n${transcription.text}`;
-      const titleResponse = await openaiClient.responses.create({
-        model: 'gpt-4o-mini',
-        input: prompt,
-        max_output_tokens: 20,
-        temperature: 0.2
-      });
-      const rawTitle = titleResponse.output_text || titleResponse.outputText || null;
-      generatedTitle = cleanGeneratedTitle(rawTitle);
-    } catch (titleError) {
-      console.error('Title generation error:', titleError);
-    }
+  if (existing) {
+    const { data, error } = await supabase
+      .from('corrections')
+      .update({
+        count: Math.max(existing.count, MANUAL_CORRECTION_COUNT),
+        disabled: false,
+        phonetic_disabled: !!body.phoneticDisabled,
+        last_seen_at: now
+      })
+      .eq('id', existing.id)
+      .select()
+      .single();
+
+    if (error) return errorResponse(500, 'Failed to create correction');
+    return jsonResponse(200, { correction: data });
   }
 
-  // Apply personalization (learned corrections) to the raw transcription
-  const rawText = transcription?.text || '';
-  let personalizedText = rawText;
+  const id = `cor_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  const { data, error } = await supabase
+    .from('corrections')
+    .insert({
+      id,
+      user_id: userId,
+      original_token: originalToken,
+      corrected_token: correctedToken,
+      count: MANUAL_CORRECTION_COUNT,
+      first_seen_at: now,
+      last_seen_at: now,
+      disabled: false,
+      phonetic_disabled: !!body.phoneticDisabled,
+      language
+    })
+    .select()
+    .single();
 
-  if (supabase) {
-    try {
-      const corrections = await getCorrections(userId, 2);
-      if (corrections.length > 0) {
-        personalizedText = applyCorrections(rawText, corrections, 2);
-        console.log(`Applied ${corrections.length} correction(s) to transcription`);
-      }
-    } catch (persError) {
-      console.error('Personalization error:', persError);
-      // Continue with raw text if personalization fails
+  if (error) return errorResponse(500, 'Failed to create correction');
+  return jsonResponse(200, { correction: data });
+}
+
+async function handleUpdateCorrection(correctionId, body, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const { originalToken, correctedToken, disabled, phoneticDisabled, language } = body;
+  const updates = {};
+
+  if (originalToken !== undefined) {
+    if (typeof originalToken !== 'string') return errorResponse(400, 'Original text must be a string');
+    if (!originalToken.trim()) return errorResponse(400, 'Original text cannot be empty');
+    updates.original_token = originalToken.trim();
+  }
+  if (correctedToken !== undefined) {
+    if (typeof correctedToken !== 'string') return errorResponse(400, 'Corrected text must be a string');
+    if (!correctedToken.trim()) return errorResponse(400, 'Corrected text cannot be empty');
+    updates.corrected_token = correctedToken.trim();
+  }
+  if (disabled !== undefined) {
+    updates.disabled = !!disabled;
+  }
+  if (phoneticDisabled !== undefined) {
+    updates.phonetic_disabled = !!phoneticDisabled;
+  }
+  if (language !== undefined) {
+    if (typeof language !== 'string' || language === AUTO_DETECT || !isValidLanguage(language)) {
+      return errorResponse(400, 'Unsupported language');
     }
+    updates.language = language;
   }
 
-  // Save to Supabase
-  let savedTranscript = null;
-  if (supabase) {
-    try {
-      const id = `tr_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+  if (Object.keys(updates).length === 0) return errorResponse(400, 'Nothing to update');
 
-      // Resolve series order if continuing a series
-      let resolvedSeriesOrder = null;
-      if (seriesId) {
-        const { data: seriesData } = await supabase
-          .from('transcripts')
-          .select('series_order')
-          .eq('user_id', userId)
-          .eq('series_id', seriesId)
-          .order('series_order', { ascending: false })
-          .limit(1);
-        resolvedSeriesOrder = (seriesData && seriesData.length > 0 ? seriesData[0].series_order : 0) + 1;
-      }
+  const { data, error } = await supabase
+    .from('corrections')
+    .update(updates)
+    .eq('id', correctionId)
+    .eq('user_id', userId)
+    .select()
+    .maybeSingle();
 
-      const insertData = {
-        id,
-        user_id: userId,
-        raw_text: rawText,
-        personalized_text: personalizedText,
-        audio_url: fileUrl,
-        title: generatedTitle
-      };
-      if (folderId) insertData.folder_id = folderId;
-      if (seriesId) insertData.series_id = seriesId;
-      if (resolvedSeriesOrder != null) insertData.series_order = resolvedSeriesOrder;
-      if (isDisposable) insertData.is_disposable = true;
+  if (error) return errorResponse(500, 'Failed to update correction');
+  if (!data) return errorResponse(404, 'Correction not found');
+  return jsonResponse(200, { correction: data });
+}
 
-      const { data, error } = await supabase
-        .from('transcripts')
-        .insert(insertData)
-        .select()
-        .single();
+async function handleDeleteCorrection(correctionId, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
 
-      if (error) throw error;
-      savedTranscript = data;
-      console.log('Transcript saved:', savedTranscript.id);
-    } catch (dbError) {
-      console.error('Database save error:', dbError);
-    }
-  }
+  const { error } = await supabase
+    .from('corrections')
+    .delete()
+    .eq('id', correctionId)
+    .eq('user_id', userId);
 
-  return jsonResponse(200, {
-    success: true,
-    transcription: personalizedText,
-    rawTranscription: rawText,
-    language: 'en',
-    title: generatedTitle,
-    transcriptId: savedTranscript?.id || null,
-    shareableUrl: fileUrl
-  });
+  if (error) return errorResponse(500, 'Failed to delete correction');
+  return jsonResponse(200, { success: true });
 }
 
-async function handleGetTranscripts(queryParams, userId) {
-  if (!supabase) {
-    return errorResponse(500, 'Database not configured');
-  }
+/**
+ * Make a folder- or series-scoped correction global, merging it into the
+ * global one with the same words and context if there is one
+ */
+async function handlePromoteCorrection(correctionId, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
 
-  const limit = parseInt(queryParams?.limit) || 50;
-  const offset = parseInt(queryParams?.offset) || 0;
+  const { data: correction, error: fetchError } = await supabase
+    .from('corrections')
+    .select('*')
+    .eq('id', correctionId)
+    .eq('user_id', userId)
+    .maybeSingle();
 
-  const { data, error } = await supabase
-    .from('transcripts')
+  if (fetchError) return errorResponse(500, 'Failed to make correction global');
+  if (!correction) return errorResponse(404, 'Correction not found');
+  if (!correction.folder_id && !correction.series_id) return jsonResponse(200, { correction });
+
+  const { data: twin, error: twinError } = await whereScope(supabase
+    .from('corrections')
     .select('*')
     .eq('user_id', userId)
-    .order('created_at', { ascending: false })
-    .range(offset, offset + limit - 1);
+    .eq('original_token', correction.original_token)
+    .eq('corrected_token', correction.corrected_token)
+    .eq('language', correction.language)
+    .eq('left_context', correction.left_context || '')
+    .eq('right_context', correction.right_context || ''), null, null)
+    .maybeSingle();
 
-  if (error) {
-    console.error('Error fetching transcripts:', error);
-    return errorResponse(500, 'Failed to fetch transcripts');
+  if (twinError) return errorResponse(500, 'Failed to make correction global');
+
+  if (!twin) {
+    const { data, error } = await supabase
+      .from('corrections')
+      .update({ folder_id: null, series_id: null })
+      .eq('id', correctionId)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) return errorResponse(500, 'Failed to make correction global');
+    return jsonResponse(200, { correction: data });
   }
 
-  return jsonResponse(200, { transcripts: data });
+  // Merge into the existing global correction: counts add up and its occurrences move over
+  const { data: merged, error: mergeError } = await supabase
+    .from('corrections')
+    .update({
+      count: twin.count + correction.count,
+      last_seen_at: String(correction.last_seen_at || '') > String(twin.last_seen_at || '')
+        ? correction.last_seen_at
+        : twin.last_seen_at
+    })
+    .eq('id', twin.id)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (mergeError) return errorResponse(500, 'Failed to make correction global');
+
+  const { error: moveError } = await supabase
+    .from('correction_occurrences')
+    .update({ correction_id: twin.id })
+    .eq('correction_id', correctionId)
+    .eq('user_id', userId);
+
+  if (moveError) return errorResponse(500, 'Failed to make correction global');
+
+  const { error: deleteError } = await supabase
+    .from('corrections')
+    .delete()
+    .eq('id', correctionId)
+    .eq('user_id', userId);
+
+  if (deleteError) return errorResponse(500, 'Failed to make correction global');
+  return jsonResponse(200, { correction: merged });
 }
 
-async function handleGetTranscript(id, userId) {
-  if (!supabase) {
-    return errorResponse(500, 'Database not configured');
+/**
+ * Export the user's vocabulary as JSON or CSV
+ */
+async function handleExportCorrections(format, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+  if (!isDictionaryFormat(format)) {
+    return errorResponse(400, `Unsupported export format. Use one of: ${Object.keys(DICTIONARY_FORMATS).join(', ')}`);
   }
 
   const { data, error } = await supabase
-    .from('transcripts')
+    .from('corrections')
     .select('*')
-    .eq('id', id)
     .eq('user_id', userId)
-    .single();
+    .order('count', { ascending: false })
+    .order('last_seen_at', { ascending: false });
 
-  if (error || !data) {
-    return errorResponse(404, 'Transcript not found');
-  }
+  if (error) return errorResponse(500, 'Failed to export corrections');
 
-  return jsonResponse(200, { transcript: data });
+  const { body, contentType, filename } = renderDictionary(data || [], format);
+  return fileResponse(body, contentType, filename);
 }
 
-async function handleUpdateTranscript(id, body, userId) {
-  if (!supabase) {
-    return errorResponse(500, 'Database not configured');
+/**
+ * Merge an uploaded vocabulary file into the user's corrections
+ * (with dryRun, only preview what would change)
+ */
+async function handleImportCorrections(body, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
+
+  const format = String(body.format || 'json').toLowerCase();
+  if (!isDictionaryFormat(format)) {
+    return errorResponse(400, `Unsupported import format. Use one of: ${Object.keys(DICTIONARY_FORMATS).join(', ')}`);
   }
 
-  const { finalText } = body;
+  const { entries, error: parseError } = parseDictionary(body.content, format);
+  if (parseError) return errorResponse(400, parseError);
 
-  // First, fetch the current transcript to get raw_text for correction extraction
   const { data: existing, error: fetchError } = await supabase
-    .from('transcripts')
-    .select('raw_text')
-    .eq('id', id)
-    .eq('user_id', userId)
-    .single();
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId);
 
-  if (fetchError) {
-    console.error('Error fetching transcript:', fetchError);
-    return errorResponse(500, 'Failed to fetch transcript');
-  }
+  if (fetchError) return errorResponse(500, 'Failed to import corrections');
 
-  // Extract corrections from the diff
-  if (existing?.raw_text && finalText) {
-    const corrections = extractCorrections(existing.raw_text, finalText);
+  // Scoped rows must name one of the user's own folders or series
+  const [{ data: folders, error: foldersError }, { data: series, error: seriesError }] = await Promise.all([
+    supabase.from('folders').select('id').eq('user_id', userId),
+    supabase.from('transcripts').select('series_id').eq('user_id', userId).not('series_id', 'is', null)
+  ]);
 
-    // Save each correction
-    for (const correction of corrections) {
-      try {
-        await saveCorrection(userId, correction.original, correction.corrected);
-        console.log('Correction saved:', correction.original, '->', correction.corrected);
-      } catch (corrError) {
-        console.error('Error saving correction:', corrError);
-        // Continue saving other corrections even if one fails
-      }
-    }
+  if (foldersError || seriesError) return errorResponse(500, 'Failed to import corrections');
 
-    if (corrections.length > 0) {
-      console.log(`Extracted ${corrections.length} correction(s) from edit`);
-    }
+  const dryRun = !!body.dryRun;
+  const plan = planDictionaryImport(entries, existing || [], MANUAL_CORRECTION_COUNT, {
+    folderIds: (folders || []).map(f => f.id),
+    seriesIds: (series || []).map(t => t.series_id)
+  });
+  const result = { dryRun, rows: plan.rows, summary: plan.summary };
+  if (dryRun) return jsonResponse(200, result);
+
+  const now = new Date().toISOString();
+
+  if (plan.creates.length > 0) {
+    const { error } = await supabase
+      .from('corrections')
+      .insert(plan.creates.map(c => ({
+        id: `cor_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+        user_id: userId,
+        ...c,
+        first_seen_at: now,
+        last_seen_at: now
+      })));
+
+    if (error) return errorResponse(500, 'Failed to import corrections');
   }
 
-  // Update the transcript
-  const { data, error } = await supabase
-    .from('transcripts')
-    .update({
-      final_text: finalText,
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', id)
-    .eq('user_id', userId)
-    .select()
-    .single();
+  for (const { id, count } of plan.updates) {
+    const { error } = await supabase
+      .from('corrections')
+      .update({ count, last_seen_at: now })
+      .eq('id', id)
+      .eq('user_id', userId);
 
-  if (error) {
-    console.error('Error updating transcript:', error);
-    return errorResponse(500, 'Failed to update transcript');
+    if (error) return errorResponse(500, 'Failed to import corrections');
   }
 
-  return jsonResponse(200, { transcript: data });
+  return jsonResponse(200, result);
 }
 
-async function handleDeleteTranscript(id, userId) {
-  if (!supabase) {
-    return errorResponse(500, 'Database not configured');
-  }
+/**
+ * Where a correction was learned, newest first, with each transcript's title
+ */
+async function handleGetCorrectionOccurrences(correctionId, userId) {
+  if (!supabase) return errorResponse(500, 'Database not configured');
 
-  const { error } = await supabase
+  const { data: correction, error: correctionError } = await supabase
+    .from('corrections')
+    .select('id')
+    .eq('id', correctionId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (correctionError) return errorResponse(500, 'Failed to fetch correction occurrences');
+  if (!correction) return errorResponse(404, 'Correction not found');
+
+  const { data: occurrences, error } = await supabase
+    .from('correction_occurrences')
+    .select('id, transcript_id, sentence, created_at')
+    .eq('correction_id', correctionId)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+
+  if (error) return errorResponse(500, 'Failed to fetch correction occurrences');
+  if (!occurrences || occurrences.length === 0) return jsonResponse(200, { occurrences: [] });
+
+  const { data: transcripts, error: transcriptsError } = await supabase
     .from('transcripts')
-    .delete()
-    .eq('id', id)
-    .eq('user_id', userId);
+    .select('id, title')
+    .eq('user_id', userId)
+    .in('id', [...new Set(occurrences.map(o => o.transcript_id))]);
 
-  if (error) {
-    console.error('Error deleting transcript:', error);
-    return errorResponse(500, 'Failed to delete transcript');
-  }
+  if (transcriptsError) return errorResponse(500, 'Failed to fetch correction occurrences');
 
-  return jsonResponse(200, { success: true });
+  const titles = new Map((transcripts || []).map(t => [t.id, t.title]));
+  return jsonResponse(200, {
+    occurrences: occurrences.map(o => ({ ...o, transcript_title: titles.get(o.transcript_id) || null }))
+  });
 }
 
 // ============================================
-// Folder Handlers
+// Glossary Handlers
 // ============================================
 
-async function handleGetFolders(userId) {
+/**
+ * Check a glossary term from a request body against the user's glossary
+ * @returns {{term: string|null, status?: number, error?: string}}
+ */
+function checkGlossaryTerm(rawTerm, terms, exceptId = null) {
+  const term = normalizeGlossaryTerm(rawTerm);
+  const invalid = validateGlossaryTerm(term);
+  if (invalid) return { term: null, status: 400, error: invalid };
+
+  const key = glossaryKey(term);
+  if (terms.some(t => t.id !== exceptId && glossaryKey(t.term) === key)) {
+    return { term: null, status: 409, error: 'That term is already in the glossary' };
+  }
+  return { term };
+}
+
+async function handleGetGlossary(userId) {
   if (!supabase) return errorResponse(500, 'Database not configured');
 
-  const { data, error } = await supabase
-    .from('folders')
+  const { data: terms, error: termsError } = await supabase
+    .from('glossary_terms')
     .select('*')
     .eq('user_id', userId)
     .order('created_at', { ascending: true });
 
-  if (error) return errorResponse(500, 'Failed to fetch folders');
-  return jsonResponse(200, { folders: data || [] });
+  if (termsError) return errorResponse(500, 'Failed to fetch glossary');
+
+  const { data: corrections, error } = await supabase
+    .from('corrections')
+    .select('*')
+    .eq('user_id', userId);
+
+  if (error) return errorResponse(500, 'Failed to fetch glossary');
+
+  const { includedIds, tokens } = buildGlossaryPrompt(terms || []);
+  const included = new Set(includedIds);
+  return jsonResponse(200, {
+    terms: (terms || []).map(t => ({ ...t, inPrompt: included.has(t.id) })),
+    suggestions: suggestGlossaryTerms(corrections || [], terms || []),
+    promptTokens: tokens,
+    promptTokenLimit: WHISPER_PROMPT_MAX_TOKENS
+  });
 }
 
-async function handleCreateFolder(body, userId) {
+async function handleCreateGlossaryTerm(body, userId) {
   if (!supabase) return errorResponse(500, 'Database not configured');
 
-  const { name } = body;
-  if (!name || !name.trim()) return errorResponse(400, 'Folder name is required');
+  const terms = await getGlossaryTerms(userId);
+  if (terms.length >= GLOSSARY_MAX_TERMS) {
+    return errorResponse(400, `The glossary can have at most ${GLOSSARY_MAX_TERMS} terms`);
+  }
+
+  const { term, status, error: invalid } = checkGlossaryTerm(body.term, terms);
+  if (!term) return errorResponse(status, invalid);
 
-  const id = crypto.randomUUID();
   const { data, error } = await supabase
-    .from('folders')
-    .insert({ id, user_id: userId, name: name.trim() })
+    .from('glossary_terms')
+    .insert({
+      user_id: userId,
+      term,
+      source: body.source === 'suggested' ? 'suggested' : 'manual',
+      pinned: !!body.pinned,
+      created_at: new Date().toISOString()
+    })
     .select()
     .single();
 
-  if (error) return errorResponse(500, 'Failed to create folder');
-  return jsonResponse(200, { folder: data });
+  if (error) {
+    if (error.code === '23505') return errorResponse(409, 'That term is already in the glossary');
+    return errorResponse(500, 'Failed to create glossary term');
+  }
+  return jsonResponse(200, { term: data });
 }
 
-async function handleUpdateFolder(folderId, body, userId) {
+async function handleUpdateGlossaryTerm(termId, body, userId) {
   if (!supabase) return errorResponse(500, 'Database not configured');
 
-  const { name } = body;
-  if (!name || !name.trim()) return errorResponse(400, 'Folder name is required');
+  const updates = {};
+  if (body.term !== undefined) {
+    const terms = await getGlossaryTerms(userId);
+    const { term, status, error: invalid } = checkGlossaryTerm(body.term, terms, termId);
+    if (!term) return errorResponse(status, invalid);
+    updates.term = term;
+  }
+  if (body.pinned !== undefined) {
+    updates.pinned = !!body.pinned;
+  }
+
+  if (Object.keys(updates).length === 0) return errorResponse(400, 'Nothing to update');
 
   const { data, error } = await supabase
-    .from('folders')
-    .update({ name: name.trim(), updated_at: new Date().toISOString() })
-    .eq('id', folderId)
+    .from('glossary_terms')
+    .update(updates)
+    .eq('id', termId)
     .eq('user_id', userId)
     .select()
-    .single();
+    .maybeSingle();
 
-  if (error) return errorResponse(500, 'Failed to update folder');
-  return jsonResponse(200, { folder: data });
+  if (error) {
+    if (error.code === '23505') return errorResponse(409, 'That term is already in the glossary');
+    return errorResponse(500, 'Failed to update glossary term');
+  }
+  if (!data) return errorResponse(404, 'Glossary term not found');
+  return jsonResponse(200, { term: data });
 }
 
-async function handleDeleteFolder(folderId, userId) {
+async function handleDeleteGlossaryTerm(termId, userId) {
   if (!supabase) return errorResponse(500, 'Database not configured');
 
   const { error } = await supabase
-    .from('folders')
+    .from('glossary_terms')
     .delete()
-    .eq('id', folderId)
+    .eq('id', termId)
     .eq('user_id', userId);
 
-  if (error) return errorResponse(500, 'Failed to delete folder');
+  if (error) return errorResponse(500, 'Failed to delete glossary term');
   return jsonResponse(200, { success: true });
 }
 
-async function handleMoveTranscript(transcriptId, body, userId) {
+// ============================================
+// User Settings Handlers
+// ============================================
+
+async function handleGetSettings(userId) {
   if (!supabase) return errorResponse(500, 'Database not configured');
 
-  const { folderId } = body;
   const { data, error } = await supabase
-    .from('transcripts')
-    .update({ folder_id: folderId || null, updated_at: new Date().toISOString() })
-    .eq('id', transcriptId)
+    .from('user_settings')
+    .select('*')
     .eq('user_id', userId)
-    .select()
-    .single();
+    .maybeSingle();
 
-  if (error) return errorResponse(500, 'Failed to move transcript');
-  return jsonResponse(200, { transcript: data });
+  if (error) return errorResponse(500, 'Failed to fetch settings');
+  return jsonResponse(200, { settings: data || { user_id: userId, default_language: DEFAULT_LANGUAGE } });
 }
 
-async function handleSetSeries(transcriptId, body, userId) {
+async function handleUpdateSettings(body, userId) {
   if (!supabase) return errorResponse(500, 'Database not configured');
 
-  const sid = body.seriesId || crypto.randomUUID();
-
-  // Get next series order
-  const { data: seriesData } = await supabase
-    .from('transcripts')
-    .select('series_order')
-    .eq('user_id', userId)
-    .eq('series_id', sid)
-    .order('series_order', { ascending: false })
-    .limit(1);
-  const seriesOrder = (seriesData && seriesData.length > 0 ? seriesData[0].series_order : 0) + 1;
+  const { defaultLanguage } = body;
+  if (!defaultLanguage || !isValidLanguage(defaultLanguage)) return errorResponse(400, 'Unsupported language');
 
   const { data, error } = await supabase
-    .from('transcripts')
-    .update({ series_id: sid, series_order: seriesOrder, updated_at: new Date().toISOString() })
-    .eq('id', transcriptId)
-    .eq('user_id', userId)
+    .from('user_settings')
+    .upsert({
+      user_id: userId,
+      default_language: defaultLanguage,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' })
     .select()
     .single();
 
-  if (error) return errorResponse(500, 'Failed to set series');
-  return jsonResponse(200, { transcript: data, seriesId: sid });
-}
-
-async function handleDeleteDisposable(userId) {
-  if (!supabase) return errorResponse(500, 'Database not configured');
-
-  const { error } = await supabase
-    .from('transcripts')
-    .delete()
-    .eq('user_id', userId)
-    .eq('is_disposable', true);
-
-  if (error) return errorResponse(500, 'Failed to delete disposable notes');
-  return jsonResponse(200, { success: true });
+  if (error) return errorResponse(500, 'Failed to update settings');
+  return jsonResponse(200, { settings: data });
 }
 
 /**
@@ -948,6 +5161,7 @@ async function handlePublicShare(id) {
     .from('transcripts')
     .select('id, title, raw_text, final_text, personalized_text, audio_url, created_at, user_id')
     .eq('id', id)
+    .is('deleted_at', null)
     .single();
 
   if (error || !data) {
@@ -1023,6 +5237,7 @@ async function handleSharePage(id) {
     .from('transcripts')
     .select('id, title, raw_text, final_text, personalized_text, audio_url, created_at')
     .eq('id', id)
+    .is('deleted_at', null)
     .single();
 
   if (error || !data) {
@@ -2256,6 +6471,11 @@ async function handleBATranscribe(body) {
     return errorResponse(400, 'File URL is required');
   }
 
+  if (body.language && !isValidLanguage(body.language)) {
+    return errorResponse(400, 'Unsupported language');
+  }
+  const requestedLanguage = resolveRequestedLanguage(body.language);
+
   if (!openaiClient) {
     return errorResponse(500, 'OpenAI not configured');
   }
@@ -2273,17 +6493,26 @@ async function handleBATranscribe(body) {
     fs.writeFileSync(tempPath, audioBuffer);
 
     // Transcribe with Whisper
-    const transcription = await openaiClient.audio.transcriptions.create({
+    const whisperOptions = {
       file: fs.createReadStream(tempPath),
       model: 'whisper-1',
-      language: 'en'
-    });
+      response_format: 'verbose_json'
+    };
+    if (requestedLanguage !== AUTO_DETECT) {
+      whisperOptions.language = requestedLanguage;
+    }
+    const transcription = await openaiClient.audio.transcriptions.create(whisperOptions);
 
     // Clean up temp file
     fs.unlinkSync(tempPath);
 
+    const language = requestedLanguage === AUTO_DETECT
+      ? normalizeDetectedLanguage(transcription.language)
+      : requestedLanguage;
+
     return jsonResponse(200, {
-      transcription: transcription.text
+      transcription: transcription.text,
+      language
     });
 
   } catch (error) {
@@ -2324,6 +6553,7 @@ async function handleGetSavedShares(queryParams, userId) {
       )
     `)
     .eq('saved_by_user_id', userId)
+    .is('transcripts.deleted_at', null)
     .order('saved_at', { ascending: false });
 
   if (error) {
@@ -2331,7 +6561,7 @@ async function handleGetSavedShares(queryParams, userId) {
     return errorResponse(500, 'Failed to fetch saved shares');
   }
 
-  // Filter out any shares where the recording was deleted (transcripts is null)
+  // Filter out any shares where the recording was deleted or is in the Trash (transcripts is null)
   const validShares = (data || []).filter(share => share.transcripts);
 
   // Flatten the response
@@ -2358,17 +6588,18 @@ async function handleGetSavedSharesByPerson(userId) {
 
   const { data, error } = await supabase
     .from('saved_shares')
-    .select('owner_user_id, owner_name, saved_at')
-    .eq('saved_by_user_id', userId);
+    .select('owner_user_id, owner_name, saved_at, transcripts:recording_id (id)')
+    .eq('saved_by_user_id', userId)
+    .is('transcripts.deleted_at', null);
 
   if (error) {
     console.error('Error fetching saved shares by person:', error);
     return errorResponse(500, 'Failed to fetch saved shares');
   }
 
-  // Group by owner
+  // Group by owner, leaving out recordings that were deleted or are in the Trash
   const peopleMap = new Map();
-  for (const share of (data || [])) {
+  for (const share of (data || []).filter(share => share.transcripts)) {
     const key = share.owner_user_id || 'unknown';
     if (!peopleMap.has(key)) {
       peopleMap.set(key, {
@@ -2420,6 +6651,7 @@ async function handleGetSavedSharesFromPerson(ownerUserId, userId) {
       )
     `)
     .eq('saved_by_user_id', userId)
+    .is('transcripts.deleted_at', null)
     .eq('owner_user_id', ownerUserId)
     .order('saved_at', { ascending: false });
 
@@ -2428,7 +6660,7 @@ async function handleGetSavedSharesFromPerson(ownerUserId, userId) {
     return errorResponse(500, 'Failed to fetch shares');
   }
 
-  // Filter out deleted recordings and flatten
+  // Filter out deleted or trashed recordings (transcripts is null) and flatten
   const validShares = (data || []).filter(share => share.transcripts);
   const shares = validShares.map(share => ({
     id: share.id,
@@ -2464,6 +6696,7 @@ async function handleCreateSavedShare(body, userId) {
     .from('transcripts')
     .select('id, user_id, title')
     .eq('id', recordingId)
+    .is('deleted_at', null)
     .single();
 
   if (recordingError || !recording) {
@@ -2562,9 +6795,10 @@ async function handleCheckSavedShare(recordingId, userId) {
 
   const { data, error } = await supabase
     .from('saved_shares')
-    .select('id')
+    .select('id, transcripts:recording_id (id)')
     .eq('recording_id', recordingId)
     .eq('saved_by_user_id', userId)
+    .is('transcripts.deleted_at', null)
     .single();
 
   if (error && error.code !== 'PGRST116') {
@@ -2574,8 +6808,8 @@ async function handleCheckSavedShare(recordingId, userId) {
   }
 
   return jsonResponse(200, {
-    saved: !!data,
-    shareId: data?.id || null
+    saved: !!data?.transcripts,
+    shareId: data?.transcripts ? data.id : null
   });
 }
 
@@ -2584,6 +6818,18 @@ exports.handler = async (event) => {
   // Initialize clients on cold start
   initClients();
 
+  // Asynchronous invocation queued by POST /transcribe (not an HTTP request)
+  if (event.transcriptionJobId) {
+    await processTranscriptionJob(event.transcriptionJobId);
+    return;
+  }
+
+  // Scheduled invocation (see infrastructure/lambda.tf)
+  if (event.purgeExpiredTrash) {
+    await purgeExpiredTrash();
+    return;
+  }
+
   const method = event.requestContext?.http?.method || event.httpMethod;
   const rawPath = event.rawPath || event.path || '';
   const headers = event.headers || {};
@@ -2632,6 +6878,12 @@ exports.handler = async (event) => {
       return await handleTranscribe(body, userId, headers);
     }
 
+    // Match /transcription-jobs/:id
+    const transcriptionJobMatch = path.match(/^\/transcription-jobs\/([^\/]+)$/);
+    if (transcriptionJobMatch && method === 'GET') {
+      return await handleGetTranscriptionJob(transcriptionJobMatch[1], userId);
+    }
+
     if (path === '/transcripts' && method === 'GET') {
       return await handleGetTranscripts(queryParams, userId);
     }
@@ -2652,6 +6904,11 @@ exports.handler = async (event) => {
       return await handlePublicShare(shareMatch[1]);
     }
 
+    // Full-text search (must be before /transcripts/:id to avoid route conflict)
+    if (path === '/transcripts/search' && method === 'GET') {
+      return await handleSearchTranscripts(queryParams, userId);
+    }
+
     // Bulk delete disposable notes (must be before /transcripts/:id to avoid route conflict)
     if (path === '/transcripts/disposable' && method === 'DELETE') {
       return await handleDeleteDisposable(userId);
@@ -2663,12 +6920,63 @@ exports.handler = async (event) => {
       return await handleMoveTranscript(transcriptMoveMatch[1], body, userId);
     }
 
+    // Match /transcripts/:id/corrections
+    const transcriptCorrectionsMatch = path.match(/^\/transcripts\/([^\/]+)\/corrections$/);
+    if (transcriptCorrectionsMatch && method === 'GET') {
+      return await handleGetAppliedCorrections(transcriptCorrectionsMatch[1], userId);
+    }
+
+    // Match /transcripts/:id/corrections/:index/undo
+    const undoCorrectionMatch = path.match(/^\/transcripts\/([^\/]+)\/corrections\/(\d+)\/undo$/);
+    if (undoCorrectionMatch && method === 'POST') {
+      return await handleUndoAppliedCorrection(undoCorrectionMatch[1], Number(undoCorrectionMatch[2]), userId);
+    }
+
+    // Match /transcripts/:id/versions
+    const transcriptVersionsMatch = path.match(/^\/transcripts\/([^\/]+)\/versions$/);
+    if (transcriptVersionsMatch && method === 'GET') {
+      return await handleListTranscriptVersions(transcriptVersionsMatch[1], userId);
+    }
+
+    // Match /transcripts/:id/versions/:version
+    const transcriptVersionMatch = path.match(/^\/transcripts\/([^\/]+)\/versions\/(\d+)$/);
+    if (transcriptVersionMatch && method === 'GET') {
+      return await handleGetTranscriptVersion(transcriptVersionMatch[1], Number(transcriptVersionMatch[2]), userId);
+    }
+
+    // Match /transcripts/:id/versions/:version/revert
+    const revertVersionMatch = path.match(/^\/transcripts\/([^\/]+)\/versions\/(\d+)\/revert$/);
+    if (revertVersionMatch && method === 'POST') {
+      return await handleRevertTranscript(revertVersionMatch[1], Number(revertVersionMatch[2]), userId);
+    }
+
     // Match /transcripts/:id/series
     const transcriptSeriesMatch = path.match(/^\/transcripts\/([^\/]+)\/series$/);
     if (transcriptSeriesMatch && method === 'POST') {
       return await handleSetSeries(transcriptSeriesMatch[1], body, userId);
     }
 
+    // ============================================
+    // Export Routes (?format=srt|vtt|md|docx|json)
+    // ============================================
+
+    const exportFormat = String(queryParams.format || 'json').toLowerCase();
+
+    const transcriptExportMatch = path.match(/^\/transcripts\/([^\/]+)\/export$/);
+    if (transcriptExportMatch && method === 'GET') {
+      return await handleExportTranscript(transcriptExportMatch[1], exportFormat, userId);
+    }
+
+    const seriesExportMatch = path.match(/^\/series\/([^\/]+)\/export$/);
+    if (seriesExportMatch && method === 'GET') {
+      return await handleExportSeries(seriesExportMatch[1], exportFormat, userId);
+    }
+
+    const folderExportMatch = path.match(/^\/folders\/([^\/]+)\/export$/);
+    if (folderExportMatch && method === 'GET') {
+      return await handleExportFolder(folderExportMatch[1], exportFormat, userId);
+    }
+
     // Match /transcripts/:id
     const transcriptMatch = path.match(/^\/transcripts\/([^\/]+)$/);
     if (transcriptMatch) {
@@ -2708,6 +7016,114 @@ exports.handler = async (event) => {
       }
     }
 
+    // ============================================
+    // Trash Routes
+    // ============================================
+
+    if (path === '/trash' && method === 'GET') {
+      return await handleGetTrash(userId);
+    }
+
+    if (path === '/trash' && method === 'DELETE') {
+      return await handleEmptyTrash(userId);
+    }
+
+    // Match /trash/transcripts/:id/restore and /trash/folders/:id/restore
+    const trashRestoreMatch = path.match(/^\/trash\/(transcripts|folders)\/([^\/]+)\/restore$/);
+    if (trashRestoreMatch && method === 'POST') {
+      return await handleRestoreFromTrash(trashRestoreMatch[1], trashRestoreMatch[2], userId);
+    }
+
+    // Match /trash/transcripts/:id
+    const trashTranscriptMatch = path.match(/^\/trash\/transcripts\/([^\/]+)$/);
+    if (trashTranscriptMatch && method === 'DELETE') {
+      return await handleDeleteTrashedTranscript(trashTranscriptMatch[1], userId);
+    }
+
+    // Match /trash/folders/:id
+    const trashFolderMatch = path.match(/^\/trash\/folders\/([^\/]+)$/);
+    if (trashFolderMatch && method === 'DELETE') {
+      return await handleDeleteTrashedFolder(trashFolderMatch[1], userId);
+    }
+
+    // ============================================
+    // Correction (Vocabulary) Routes
+    // ============================================
+
+    if (path === '/corrections' && method === 'GET') {
+      return await handleGetCorrections(userId);
+    }
+
+    if (path === '/corrections' && method === 'POST') {
+      return await handleCreateCorrection(body, userId);
+    }
+
+    if (path === '/corrections/export' && method === 'GET') {
+      return await handleExportCorrections(String(queryParams.format || 'json').toLowerCase(), userId);
+    }
+
+    if (path === '/corrections/import' && method === 'POST') {
+      return await handleImportCorrections(body, userId);
+    }
+
+    // Match /corrections/:id/occurrences
+    const correctionOccurrencesMatch = path.match(/^\/corrections\/([^\/]+)\/occurrences$/);
+    if (correctionOccurrencesMatch && method === 'GET') {
+      return await handleGetCorrectionOccurrences(correctionOccurrencesMatch[1], userId);
+    }
+
+    // Match /corrections/:id/promote
+    const correctionPromoteMatch = path.match(/^\/corrections\/([^\/]+)\/promote$/);
+    if (correctionPromoteMatch && method === 'POST') {
+      return await handlePromoteCorrection(correctionPromoteMatch[1], userId);
+    }
+
+    // Match /corrections/:id
+    const correctionMatch = path.match(/^\/corrections\/([^\/]+)$/);
+    if (correctionMatch) {
+      if (method === 'PUT') {
+        return await handleUpdateCorrection(correctionMatch[1], body, userId);
+      }
+      if (method === 'DELETE') {
+        return await handleDeleteCorrection(correctionMatch[1], userId);
+      }
+    }
+
+    // ============================================
+    // Glossary Routes
+    // ============================================
+
+    if (path === '/glossary' && method === 'GET') {
+      return await handleGetGlossary(userId);
+    }
+
+    if (path === '/glossary' && method === 'POST') {
+      return await handleCreateGlossaryTerm(body, userId);
+    }
+
+    // Match /glossary/:id
+    const glossaryTermMatch = path.match(/^\/glossary\/([^\/]+)$/);
+    if (glossaryTermMatch) {
+      if (method === 'PUT') {
+        return await handleUpdateGlossaryTerm(glossaryTermMatch[1], body, userId);
+      }
+      if (method === 'DELETE') {
+        return await handleDeleteGlossaryTerm(glossaryTermMatch[1], userId);
+      }
+    }
+
+    // ============================================
+    // User Settings Routes
+    // ============================================
+
+    if (path === '/settings' && method === 'GET') {
+      return await handleGetSettings(userId);
+    }
+
+    if (path === '/settings' && method === 'PUT') {
+      return await handleUpdateSettings(body, userId);
+    }
+
     // ============================================
     // BA (Business Analyst) Routes
     // ============================================
@@ -0,0 +1,39 @@
+-- Migration: Add transcription language, per-user default language, and language-scoped corrections
+-- Run this in your Supabase SQL Editor
+
+-- 1. Store the language each transcript was transcribed in (ISO-639-1 code, e.g. 'en', 'fr', 'yo')
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS language TEXT;
+
+-- 2. Scope corrections to a language so English fixes are never applied to French text
+ALTER TABLE corrections ADD COLUMN IF NOT EXISTS language TEXT NOT NULL DEFAULT 'en';
+
+-- Existing transcripts were all transcribed with language = 'en'
+UPDATE transcripts SET language = 'en' WHERE language IS NULL;
+
+-- 3. Create user_settings table (per-user defaults, works for anonymous IDs too)
+CREATE TABLE IF NOT EXISTS user_settings (
+  user_id UUID PRIMARY KEY,
+  default_language TEXT NOT NULL DEFAULT 'en',
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 4. Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_transcripts_language ON transcripts(language);
+CREATE INDEX IF NOT EXISTS idx_corrections_user_language ON corrections(user_id, language);
+
+-- 5. Enable RLS on user_settings table
+ALTER TABLE user_settings ENABLE ROW LEVEL SECURITY;
+
+-- 6. RLS policies for user_settings (matches transcripts/corrections pattern)
+-- Policy 1: Anon role gets full access (server uses anon key for all operations)
+CREATE POLICY "Allow anon access for Lambda"
+  ON user_settings FOR ALL
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy 2: Authenticated users can access own settings (for direct client-side access)
+CREATE POLICY "Users can access own settings"
+  ON user_settings FOR ALL
+  USING (auth.uid() = user_id);
@@ -0,0 +1,8 @@
+-- Migration: Store Whisper segment and word timestamps with each transcript
+-- Run this in your Supabase SQL Editor
+
+-- 1. Add timestamp columns to transcripts table
+-- segments: [{ id, start, end, text }]  (seconds from start of audio)
+-- words:    [{ word, start, end }]
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS segments JSONB;
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS words JSONB;
@@ -0,0 +1,65 @@
+-- Migration: Full-text search across transcript titles and text
+-- Run this in your Supabase SQL Editor
+
+-- 1. Add a generated search vector over title, raw, personalized and final text
+-- Uses the 'simple' configuration (no stemming or stop words) because transcripts
+-- can be in any language. Titles are weighted highest.
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('simple', COALESCE(final_text, '')), 'B') ||
+    setweight(to_tsvector('simple', COALESCE(personalized_text, '')), 'C') ||
+    setweight(to_tsvector('simple', COALESCE(raw_text, '')), 'D')
+  ) STORED;
+
+-- 2. Create index for performance
+CREATE INDEX IF NOT EXISTS idx_transcripts_search_vector ON transcripts USING GIN (search_vector);
+
+-- 3. Search function (called via supabase.rpc)
+-- p_query uses web search syntax: "exact phrase", or, -excluded
+-- p_from is inclusive, p_to is exclusive
+-- Returns one page of matches, best first, with the transcript as JSON (without
+-- timestamps), a highlighted excerpt and the total number of matches.
+-- Matches in the excerpt are wrapped in chr(2) ... chr(3) so the API can mark
+-- them without trusting the text as HTML.
+CREATE OR REPLACE FUNCTION search_transcripts(
+  p_user_id UUID,
+  p_query TEXT,
+  p_folder_id UUID DEFAULT NULL,
+  p_series_id UUID DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (transcript JSONB, headline TEXT, rank REAL, total_count BIGINT)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('simple', p_query) AS query
+  ),
+  page AS (
+    SELECT t.*, ts_rank(t.search_vector, q.query) AS match_rank, COUNT(*) OVER () AS match_count
+    FROM transcripts t, q
+    WHERE t.user_id = p_user_id
+      AND t.search_vector @@ q.query
+      AND (p_folder_id IS NULL OR t.folder_id = p_folder_id)
+      AND (p_series_id IS NULL OR t.series_id = p_series_id)
+      AND (p_from IS NULL OR t.created_at >= p_from)
+      AND (p_to IS NULL OR t.created_at < p_to)
+    ORDER BY match_rank DESC, t.created_at DESC
+    LIMIT p_limit OFFSET p_offset
+  )
+  SELECT
+    to_jsonb(page) - 'search_vector' - 'segments' - 'words' - 'match_rank' - 'match_count',
+    ts_headline(
+      'simple',
+      COALESCE(page.final_text, page.personalized_text, page.raw_text, ''),
+      q.query,
+      'StartSel="' || chr(2) || '", StopSel="' || chr(3) || '", MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" ... "'
+    ),
+    page.match_rank,
+    page.match_count
+  FROM page, q
+  ORDER BY page.match_rank DESC, page.created_at DESC;
+$$;
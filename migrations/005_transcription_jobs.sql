@@ -0,0 +1,39 @@
+-- Migration: Asynchronous transcription jobs
+-- Run this in your Supabase SQL Editor
+
+-- 1. Create transcription_jobs table
+-- status moves queued -> transcribing -> titling -> done, or to failed at any step
+-- request: the original POST /api/transcribe body (fileUrl, language, folderId, seriesId, isDisposable)
+-- result:  the transcription response once done (same shape the endpoint used to return)
+CREATE TABLE IF NOT EXISTS transcription_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  status TEXT NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'transcribing', 'titling', 'done', 'failed')),
+  request JSONB NOT NULL,
+  result JSONB,
+  error TEXT,
+  transcript_id TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_transcription_jobs_user_id ON transcription_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_transcription_jobs_status ON transcription_jobs(status);
+
+-- 3. Enable RLS on transcription_jobs table
+ALTER TABLE transcription_jobs ENABLE ROW LEVEL SECURITY;
+
+-- 4. RLS policies for transcription_jobs (matches transcripts/corrections pattern)
+-- Policy 1: Anon role gets full access (server uses anon key for all operations)
+CREATE POLICY "Allow anon access for Lambda"
+  ON transcription_jobs FOR ALL
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy 2: Authenticated users can access own jobs (for direct client-side access)
+CREATE POLICY "Users can access own transcription jobs"
+  ON transcription_jobs FOR ALL
+  USING (auth.uid() = user_id);
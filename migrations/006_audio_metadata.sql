@@ -0,0 +1,65 @@
+-- Migration: Audio metadata on transcripts, duration sort/filter
+-- Run this in your Supabase SQL Editor
+
+-- 1. Add audio metadata columns to transcripts
+-- duration_seconds already exists and is now filled in on every new transcript.
+-- Values come from the uploaded file's container header, falling back to what
+-- Whisper or the browser reported.
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS audio_codec TEXT;
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS audio_sample_rate INTEGER;
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS audio_channels SMALLINT;
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS audio_size_bytes BIGINT;
+
+-- 2. Create index for sorting and filtering history by length
+CREATE INDEX IF NOT EXISTS idx_transcripts_user_duration ON transcripts(user_id, duration_seconds);
+
+-- 3. Replace search_transcripts() with a version that can filter by length
+-- (dropped first because adding parameters would otherwise create an overload)
+-- p_min_duration is inclusive, p_max_duration is exclusive, both in seconds
+DROP FUNCTION IF EXISTS search_transcripts(UUID, TEXT, UUID, UUID, TIMESTAMPTZ, TIMESTAMPTZ, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_transcripts(
+  p_user_id UUID,
+  p_query TEXT,
+  p_folder_id UUID DEFAULT NULL,
+  p_series_id UUID DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0,
+  p_min_duration NUMERIC DEFAULT NULL,
+  p_max_duration NUMERIC DEFAULT NULL
+)
+RETURNS TABLE (transcript JSONB, headline TEXT, rank REAL, total_count BIGINT)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('simple', p_query) AS query
+  ),
+  page AS (
+    SELECT t.*, ts_rank(t.search_vector, q.query) AS match_rank, COUNT(*) OVER () AS match_count
+    FROM transcripts t, q
+    WHERE t.user_id = p_user_id
+      AND t.search_vector @@ q.query
+      AND (p_folder_id IS NULL OR t.folder_id = p_folder_id)
+      AND (p_series_id IS NULL OR t.series_id = p_series_id)
+      AND (p_from IS NULL OR t.created_at >= p_from)
+      AND (p_to IS NULL OR t.created_at < p_to)
+      AND (p_min_duration IS NULL OR t.duration_seconds >= p_min_duration)
+      AND (p_max_duration IS NULL OR t.duration_seconds < p_max_duration)
+    ORDER BY match_rank DESC, t.created_at DESC
+    LIMIT p_limit OFFSET p_offset
+  )
+  SELECT
+    to_jsonb(page) - 'search_vector' - 'segments' - 'words' - 'match_rank' - 'match_count',
+    ts_headline(
+      'simple',
+      COALESCE(page.final_text, page.personalized_text, page.raw_text, ''),
+      q.query,
+      'StartSel="' || chr(2) || '", StopSel="' || chr(3) || '", MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" ... "'
+    ),
+    page.match_rank,
+    page.match_count
+  FROM page, q
+  ORDER BY page.match_rank DESC, page.created_at DESC;
+$$;
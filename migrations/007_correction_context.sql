@@ -0,0 +1,16 @@
+-- Migration: Context-aware corrections
+-- Run this in your Supabase SQL Editor
+
+-- 1. Add neighbouring-word context to corrections
+-- left_context/right_context hold the normalized words either side of the edit
+-- in the raw transcription (e.g. "over" and "in" for "over their in" -> "over there in").
+-- A learned correction is only applied where those words match; the same pair
+-- learned beside different words gets one row per context.
+-- Empty strings mean "no context": manual corrections and rows learned before
+-- this migration keep applying everywhere.
+ALTER TABLE corrections ADD COLUMN IF NOT EXISTS left_context TEXT NOT NULL DEFAULT '';
+ALTER TABLE corrections ADD COLUMN IF NOT EXISTS right_context TEXT NOT NULL DEFAULT '';
+
+-- 2. Create index for looking up a pair (and its contexts) when saving an edit
+CREATE INDEX IF NOT EXISTS idx_corrections_user_language_original
+  ON corrections(user_id, language, original_token);
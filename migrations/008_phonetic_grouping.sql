@@ -0,0 +1,8 @@
+-- Migration: Per-correction opt-out of phonetic grouping
+-- Run this in your Supabase SQL Editor
+
+-- 1. Add phonetic_disabled to corrections
+-- Corrections of a capitalised word (e.g. "Abeola" -> "Abiola", "a biola" -> "Abiola")
+-- are grouped by how their originals sound, so a third, unseen spelling is corrected
+-- too. Set this to keep a correction out of that grouping; it is still applied itself.
+ALTER TABLE corrections ADD COLUMN IF NOT EXISTS phonetic_disabled BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,11 @@
+-- Migration: Record which corrections were applied to each transcript
+-- Run this in your Supabase SQL Editor
+
+-- 1. Add applied_corrections to transcripts
+-- One entry per edit personalization made to raw_text, with offsets into
+-- personalized_text, e.g.
+--   {"start": 4, "end": 9, "original": "quik", "corrected": "quick",
+--    "correctionIds": ["..."], "kind": "replace"}
+-- kind is replace, insert, delete or sound-alike (a phonetic group match).
+-- Transcripts created before this migration have an empty list.
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS applied_corrections JSONB NOT NULL DEFAULT '[]'::jsonb;
@@ -0,0 +1,37 @@
+-- Migration: Correction provenance
+-- Run this in your Supabase SQL Editor
+
+-- 1. Create correction_occurrences table
+-- One row each time a saved edit teaches (or re-teaches) a correction:
+-- the transcript it was made in, when, and the edited sentence around it.
+-- Deleting the transcript takes its occurrences back off the correction's count.
+-- transcript_id has no foreign key (like transcription_jobs.transcript_id) so the
+-- occurrences are still there to count when the transcript is deleted.
+CREATE TABLE IF NOT EXISTS correction_occurrences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  correction_id TEXT NOT NULL REFERENCES corrections(id) ON DELETE CASCADE,
+  transcript_id TEXT NOT NULL,
+  sentence TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_correction_occurrences_correction_id ON correction_occurrences(correction_id);
+CREATE INDEX IF NOT EXISTS idx_correction_occurrences_user_transcript ON correction_occurrences(user_id, transcript_id);
+
+-- 3. Enable RLS on correction_occurrences table
+ALTER TABLE correction_occurrences ENABLE ROW LEVEL SECURITY;
+
+-- 4. RLS policies for correction_occurrences (matches transcripts/corrections pattern)
+-- Policy 1: Anon role gets full access (server uses anon key for all operations)
+CREATE POLICY "Allow anon access for Lambda"
+  ON correction_occurrences FOR ALL
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy 2: Authenticated users can access own correction occurrences (for direct client-side access)
+CREATE POLICY "Users can access own correction occurrences"
+  ON correction_occurrences FOR ALL
+  USING (auth.uid() = user_id);
@@ -0,0 +1,36 @@
+-- Migration: Custom vocabulary glossary
+-- Run this in your Supabase SQL Editor
+
+-- 1. Create glossary_terms table
+-- Product names, acronyms and people's names a user wants spelled their way.
+-- The highest-ranked terms that fit are passed to Whisper as its prompt, and
+-- personalization fixes their casing and spacing in every transcript.
+-- source is 'manual' (typed in) or 'suggested' (accepted from the user's corrections);
+-- pinned terms go into the prompt first.
+CREATE TABLE IF NOT EXISTS glossary_terms (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  term TEXT NOT NULL,
+  source TEXT NOT NULL DEFAULT 'manual',
+  pinned BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- 2. One entry per term per user, whatever its casing
+CREATE UNIQUE INDEX IF NOT EXISTS idx_glossary_terms_user_term ON glossary_terms(user_id, lower(term));
+
+-- 3. Enable RLS on glossary_terms table
+ALTER TABLE glossary_terms ENABLE ROW LEVEL SECURITY;
+
+-- 4. RLS policies for glossary_terms (matches transcripts/corrections pattern)
+-- Policy 1: Anon role gets full access (server uses anon key for all operations)
+CREATE POLICY "Allow anon access for Lambda"
+  ON glossary_terms FOR ALL
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy 2: Authenticated users can access own glossary terms (for direct client-side access)
+CREATE POLICY "Users can access own glossary terms"
+  ON glossary_terms FOR ALL
+  USING (auth.uid() = user_id);
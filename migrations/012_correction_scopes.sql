@@ -0,0 +1,15 @@
+-- Migration: Folder- and series-scoped corrections
+-- Run this in your Supabase SQL Editor
+
+-- 1. Add scope columns to corrections table
+-- A correction learned from a transcript in a series is scoped to the series,
+-- otherwise one learned in a folder is scoped to the folder; neither set means
+-- the correction is global. At most one of the two is set.
+-- Deleting a folder deletes the corrections scoped to it. series_id has no
+-- foreign key, as there is no series table (see transcripts.series_id).
+ALTER TABLE corrections ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES folders(id) ON DELETE CASCADE;
+ALTER TABLE corrections ADD COLUMN IF NOT EXISTS series_id UUID;
+
+-- 2. Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_corrections_folder_id ON corrections(folder_id);
+CREATE INDEX IF NOT EXISTS idx_corrections_series_id ON corrections(series_id);
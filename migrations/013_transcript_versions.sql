@@ -0,0 +1,47 @@
+-- Migration: Transcript edit history
+-- Run this in your Supabase SQL Editor
+
+-- 1. Create transcript_versions table
+-- One row per saved version of a transcript's text, numbered from 1. Version 1
+-- is the text as transcribed, recorded when the transcript is first edited;
+-- each save or revert adds the next one. diff holds the word-level changes
+-- from the version before (see app/services/versions.js). author_id is the
+-- user who saved it (null for the transcribed text); reverted_to is the
+-- version a revert restored.
+CREATE TABLE IF NOT EXISTS transcript_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL,
+  transcript_id TEXT NOT NULL REFERENCES transcripts(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  text TEXT NOT NULL,
+  diff JSONB NOT NULL DEFAULT '{}',
+  source TEXT NOT NULL DEFAULT 'edit',
+  reverted_to INTEGER,
+  author_id UUID,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (transcript_id, version)
+);
+
+-- 2. Record which version taught each correction occurrence, so reverting an
+-- edit can take back what only that edit taught
+ALTER TABLE correction_occurrences ADD COLUMN IF NOT EXISTS version_id UUID REFERENCES transcript_versions(id) ON DELETE SET NULL;
+
+-- 3. Create indexes for performance
+CREATE INDEX IF NOT EXISTS idx_transcript_versions_user_transcript ON transcript_versions(user_id, transcript_id);
+CREATE INDEX IF NOT EXISTS idx_correction_occurrences_version_id ON correction_occurrences(version_id);
+
+-- 4. Enable RLS on transcript_versions table
+ALTER TABLE transcript_versions ENABLE ROW LEVEL SECURITY;
+
+-- 5. RLS policies for transcript_versions (matches transcripts/corrections pattern)
+-- Policy 1: Anon role gets full access (server uses anon key for all operations)
+CREATE POLICY "Allow anon access for Lambda"
+  ON transcript_versions FOR ALL
+  TO anon
+  USING (true)
+  WITH CHECK (true);
+
+-- Policy 2: Authenticated users can access own transcript versions (for direct client-side access)
+CREATE POLICY "Users can access own transcript versions"
+  ON transcript_versions FOR ALL
+  USING (auth.uid() = user_id);
@@ -0,0 +1,64 @@
+-- Migration: Trash for recordings and folders
+-- Run this in your Supabase SQL Editor
+
+-- 1. Add deleted_at to transcripts and folders
+-- Deleting a recording or folder sets deleted_at instead of removing the row,
+-- which moves it to the Trash. Restoring clears it. Rows in the Trash longer
+-- than the retention period (TRASH_RETENTION_DAYS, 30 by default) are then
+-- deleted for good, with their audio. A recording in a trashed folder keeps its
+-- folder_id and is shown as unfiled until the folder is restored.
+ALTER TABLE transcripts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE folders ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- 2. Create indexes for listing and purging the Trash
+CREATE INDEX IF NOT EXISTS idx_transcripts_deleted_at ON transcripts(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_folders_deleted_at ON folders(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- 3. Replace search_transcripts() so recordings in the Trash are not found
+-- (same signature as 006_audio_metadata.sql, so no DROP is needed)
+CREATE OR REPLACE FUNCTION search_transcripts(
+  p_user_id UUID,
+  p_query TEXT,
+  p_folder_id UUID DEFAULT NULL,
+  p_series_id UUID DEFAULT NULL,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0,
+  p_min_duration NUMERIC DEFAULT NULL,
+  p_max_duration NUMERIC DEFAULT NULL
+)
+RETURNS TABLE (transcript JSONB, headline TEXT, rank REAL, total_count BIGINT)
+LANGUAGE sql STABLE
+AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('simple', p_query) AS query
+  ),
+  page AS (
+    SELECT t.*, ts_rank(t.search_vector, q.query) AS match_rank, COUNT(*) OVER () AS match_count
+    FROM transcripts t, q
+    WHERE t.user_id = p_user_id
+      AND t.deleted_at IS NULL
+      AND t.search_vector @@ q.query
+      AND (p_folder_id IS NULL OR t.folder_id = p_folder_id)
+      AND (p_series_id IS NULL OR t.series_id = p_series_id)
+      AND (p_from IS NULL OR t.created_at >= p_from)
+      AND (p_to IS NULL OR t.created_at < p_to)
+      AND (p_min_duration IS NULL OR t.duration_seconds >= p_min_duration)
+      AND (p_max_duration IS NULL OR t.duration_seconds < p_max_duration)
+    ORDER BY match_rank DESC, t.created_at DESC
+    LIMIT p_limit OFFSET p_offset
+  )
+  SELECT
+    to_jsonb(page) - 'search_vector' - 'segments' - 'words' - 'match_rank' - 'match_count',
+    ts_headline(
+      'simple',
+      COALESCE(page.final_text, page.personalized_text, page.raw_text, ''),
+      q.query,
+      'StartSel="' || chr(2) || '", StopSel="' || chr(3) || '", MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" ... "'
+    ),
+    page.match_rank,
+    page.match_count
+  FROM page, q
+  ORDER BY page.match_rank DESC, page.created_at DESC;
+$$;
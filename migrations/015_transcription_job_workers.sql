@@ -0,0 +1,12 @@
+-- Migration: Record which server runs each transcription job
+-- Run this in your Supabase SQL Editor
+
+-- 1. Add worker_id to transcription_jobs
+-- The id of the Express server that queued the job in its in-process queue
+-- (TRANSCRIPTION_WORKER_ID, the host name and port by default). On startup a
+-- server fails only its own unfinished jobs, which its restart lost, and
+-- leaves those of other servers and of the Lambda (null) running.
+ALTER TABLE transcription_jobs ADD COLUMN IF NOT EXISTS worker_id TEXT;
+
+-- 2. Create index for finding a worker's unfinished jobs
+CREATE INDEX IF NOT EXISTS idx_transcription_jobs_worker_status ON transcription_jobs(worker_id, status);